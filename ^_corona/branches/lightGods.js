@@ -1,6 +1,7 @@
 /**
  * lightGods.js - 16 Light Gods (Yggdrasil Branches)
  * Divine light realm - branches reaching toward earth
+ * Load through GodRegistry.js, which resolves aliases and validates references
  */
 
 export const lightBranches = {
@@ -13,7 +14,9 @@ export const lightBranches = {
       domain: 'Nature & Hunt',
       power: 'Wild Code Generation',
       energy: 100,
-      tools: ['arrows', 'bow', 'moonlight']
+      tools: ['arrows', 'bow', 'moonlight'],
+      aliases: ['ull'],
+      capabilities: ['code-generation', 'exploration', 'prototyping', 'tracking']
     },
     freyr: {
       id: 'light_1', 
@@ -22,7 +25,9 @@ export const lightBranches = {
       domain: 'Prosperity & Fertility',
       power: 'Abundant Solutions',
       energy: 95,
-      tools: ['harvest', 'abundance', 'growth']
+      tools: ['harvest', 'abundance', 'growth'],
+      aliases: ['surya'],
+      capabilities: ['optimization', 'growth', 'scaling', 'prosperity']
     },
     heimdall: {
       id: 'light_2',
@@ -31,7 +36,9 @@ export const lightBranches = {
       domain: 'Guardian & Watcher',
       power: 'Code Surveillance',
       energy: 98,
-      tools: ['bifrost', 'horn', 'sight']
+      tools: ['bifrost', 'horn', 'sight'],
+      aliases: ['marut'],
+      capabilities: ['security', 'monitoring', 'auth', 'protection']
     },
     hermes: {
       id: 'light_3',
@@ -40,7 +47,9 @@ export const lightBranches = {
       domain: 'Communication & Speed',
       power: 'Rapid Execution',
       energy: 92,
-      tools: ['caduceus', 'wings', 'messages']
+      tools: ['caduceus', 'wings', 'messages'],
+      aliases: ['ashwin', 'hodr'],
+      capabilities: ['api', 'communication', 'integration', 'speed']
     },
     tyr: {
       id: 'light_4',
@@ -49,7 +58,9 @@ export const lightBranches = {
       domain: 'Justice & Courage',
       power: 'Righteous Code',
       energy: 90,
-      tools: ['sword', 'justice', 'sacrifice']
+      tools: ['sword', 'justice', 'sacrifice'],
+      aliases: ['varuna', 'forseti'],
+      capabilities: ['justice', 'validation', 'ethics', 'fairness']
     }
   },
 
@@ -62,7 +73,9 @@ export const lightBranches = {
       domain: 'Wisdom & Strategy',
       power: 'Strategic Planning',
       energy: 100,
-      tools: ['owl', 'shield', 'strategy']
+      tools: ['owl', 'shield', 'strategy'],
+      aliases: ['ganesha'],
+      capabilities: ['strategy', 'planning', 'design-review', 'problem-solving']
     },
     odin: {
       id: 'light_6',
@@ -71,7 +84,9 @@ export const lightBranches = {
       domain: 'Knowledge & Magic',
       power: 'Deep Understanding',
       energy: 100,
-      tools: ['gungnir', 'ravens', 'runes']
+      tools: ['gungnir', 'ravens', 'runes'],
+      aliases: ['vishnu'],
+      capabilities: ['architecture', 'wisdom', 'planning', 'system-design']
     },
     thor: {
       id: 'light_7',
@@ -80,7 +95,9 @@ export const lightBranches = {
       domain: 'Strength & Protection',
       power: 'Powerful Execution',
       energy: 95,
-      tools: ['mjolnir', 'thunder', 'strength']
+      tools: ['mjolnir', 'thunder', 'strength'],
+      aliases: ['rudra', 'magni'],
+      capabilities: ['testing', 'debugging', 'performance', 'strength']
     },
     zeus: {
       id: 'light_8',
@@ -89,7 +106,9 @@ export const lightBranches = {
       domain: 'Authority & Sky',
       power: 'Divine Command',
       energy: 100,
-      tools: ['lightning', 'eagle', 'authority']
+      tools: ['lightning', 'eagle', 'authority'],
+      aliases: ['brahma', 'vili', 'indra'],
+      capabilities: ['creation', 'orchestration', 'governance', 'authority']
     }
   },
 
@@ -102,7 +121,9 @@ export const lightBranches = {
       domain: 'Light & Purity',
       power: 'Pure Code',
       energy: 98,
-      tools: ['light', 'purity', 'peace']
+      tools: ['light', 'purity', 'peace'],
+      aliases: ['soma', 'frigg'],
+      capabilities: ['ui-ux', 'beauty', 'harmony', 'user-experience']
     },
     bragi: {
       id: 'light_10',
@@ -111,7 +132,9 @@ export const lightBranches = {
       domain: 'Poetry & Eloquence',
       power: 'Elegant Code',
       energy: 88,
-      tools: ['harp', 'poetry', 'eloquence']
+      tools: ['harp', 'poetry', 'eloquence'],
+      aliases: ['saraswati'],
+      capabilities: ['documentation', 'communication', 'storytelling']
     },
     demeter: {
       id: 'light_11',
@@ -120,7 +143,9 @@ export const lightBranches = {
       domain: 'Harvest & Agriculture',
       power: 'Cultivated Growth',
       energy: 93,
-      tools: ['wheat', 'seasons', 'fertility']
+      tools: ['wheat', 'seasons', 'fertility'],
+      aliases: ['prithvi', 'lakshmi', 'tulasi'],
+      capabilities: ['dependencies', 'cultivation', 'maintenance', 'growth']
     },
     hephaestus: {
       id: 'light_12',
@@ -129,7 +154,9 @@ export const lightBranches = {
       domain: 'Forge & Craftsmanship',
       power: 'Code Crafting',
       energy: 96,
-      tools: ['hammer', 'forge', 'craft']
+      tools: ['hammer', 'forge', 'craft'],
+      aliases: ['agni', 'modi'],
+      capabilities: ['refactoring', 'tooling', 'build-systems', 'craftsmanship']
     },
     poseidon: {
       id: 'light_13',
@@ -138,7 +165,9 @@ export const lightBranches = {
       domain: 'Ocean & Earthquakes',
       power: 'Fluid Dynamics',
       energy: 94,
-      tools: ['trident', 'waves', 'horses']
+      tools: ['trident', 'waves', 'horses'],
+      aliases: ['ganga'],
+      capabilities: ['data-flow', 'streaming', 'concurrency', 'integration']
     },
     vidar: {
       id: 'light_14',
@@ -147,7 +176,9 @@ export const lightBranches = {
       domain: 'Silence & Vengeance',
       power: 'Silent Execution',
       energy: 87,
-      tools: ['boot', 'silence', 'strength']
+      tools: ['boot', 'silence', 'strength'],
+      aliases: ['vayu', 'vali'],
+      capabilities: ['clean-code', 'silence', 'minimalism', 'clarity']
     },
     apollo: {
       id: 'light_15',
@@ -156,7 +187,9 @@ export const lightBranches = {
       domain: 'Sun & Arts',
       power: 'Illuminated Code',
       energy: 100,
-      tools: ['lyre', 'sun', 'prophecy']
+      tools: ['lyre', 'sun', 'prophecy'],
+      aliases: ['akasha', 've'],
+      capabilities: ['release', 'celebration', 'illumination', 'creativity']
     }
   }
 };
@@ -5,15 +5,31 @@
  * Divine AI-powered code assistant with evolutionary algorithms
  */
 
-import { program } from 'commander';
+import './|_trunk/core/OutputPreamble.js';
+import { program, Option } from 'commander';
 import chalk from 'chalk';
 import inquirer from 'inquirer';
 import { ashvatthaTree } from './|_trunk/core/GodRealms.js';
 import { treeCoordinator } from './|_trunk/core/TreeCoordinator.js';
 import GitEvolutionEngine from './|_trunk/heartwood/GitEvolutionEngine.js';
+import { EvolutionPlan } from './|_trunk/heartwood/EvolutionPlan.js';
+import EvolutionBirther from './|_trunk/heartwood/EvolutionBirther.js';
 import { authManager } from './|_trunk/auth/AuthManager.js';
 import { logger, setupGlobalErrorHandling } from './|_trunk/core/Logger.js';
 import { zodiacPolarity } from './|_trunk/core/ZodiacPolarity.js';
+import { divineEngine, DEFAULT_DEBATE_ROUNDS } from './|_trunk/core/ashvattha_int_design.js';
+import { collectList } from './|_trunk/core/ContextBuilder.js';
+import { DashboardStream, STREAM_EVENTS, subscribeStream } from './|_trunk/core/DashboardStream.js';
+import { patchEngine } from './|_trunk/core/PatchEngine.js';
+import { loadProjectConfig, updateProjectConfig } from './|_trunk/core/ProjectConfig.js';
+import { ENV_CREDENTIALS, PROVIDER_PRECEDENCE, CREDENTIAL_PRECEDENCE } from './|_trunk/auth/EnvCredentials.js';
+import { providerRegistry } from './|_trunk/auth/providers/ProviderRegistry.js';
+import { loadCustomGods } from './|_trunk/core/CustomGods.js';
+import { describeCause } from './|_trunk/core/BalanceLedger.js';
+import { usageLedger, ROLLUPS } from './|_trunk/core/UsageLedger.js';
+import { responseCache } from './|_trunk/core/ResponseCache.js';
+import { CONTRACTS } from './|_trunk/core/OutputContracts.js';
+import { outputMode, OUTPUT_FORMATS } from './|_trunk/core/OutputMode.js';
 
 // Initialize core systems
 const evolutionEngine = new GitEvolutionEngine();
@@ -29,8 +45,9 @@ logger.info('Gaia Archtree system initializing', {
   arch: process.arch
 });
 
-// ASCII Art Header
+// ASCII Art Header (not shown in --json / --output mode)
 const displayHeader = () => {
+  if (outputMode.machine) return;
   console.log(chalk.cyan(`
     ╔══════════════════════════════════════════════╗
     ║               🌳 GAIA ARCHTREE 🌳             ║
@@ -43,6 +60,167 @@ const displayHeader = () => {
   `));
 };
 
+// Run a cancellable operation - Ctrl-C aborts it instead of killing the process
+const withCancellation = async (run) => {
+  const controller = new AbortController();
+  const onInterrupt = () => {
+    console.log(chalk.yellow('\n🛑 Cancelling divine intervention...'));
+    controller.abort();
+  };
+
+  process.once('SIGINT', onInterrupt);
+  try {
+    return await run(controller.signal);
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
+  }
+};
+
+// Render streamed tokens live, labelled with the speaking god
+const createTokenRenderer = () => {
+  let speaking = null;
+
+  return {
+    token({ phase = 'invoke', god, round = null, token }) {
+      if (speaking !== `${phase}:${god}:${round}`) {
+        speaking = `${phase}:${god}:${round}`;
+        const speaker = round ? `${god} (round ${round})` : god;
+        const label = phase === 'light' ? chalk.yellow(`☀️  ${speaker} › `) :
+                      phase === 'shadow' ? chalk.magenta(`🌙 ${speaker} › `) :
+                      chalk.cyan(`🔮 ${speaker} › `);
+        process.stdout.write(`\n${label}`);
+      }
+      process.stdout.write(token);
+    },
+    end() {
+      if (speaking) process.stdout.write('\n');
+      speaking = null;
+    }
+  };
+};
+
+// Live output for stream events (see STREAM_EVENTS): ndjson events in machine mode, otherwise the terminal renderer,
+// which prints a phase's whole answer when it completes if tokens were not streamed
+const streamOutput = ({ stream = true } = {}) => {
+  const renderer = createTokenRenderer();
+  return (event, data) => {
+    if (outputMode.machine) {
+      outputMode.event(event, data);
+    } else if (event === 'token') {
+      renderer.token(data);
+    } else if (event === 'phase-complete') {
+      if (!stream) renderer.token({ ...data, token: data.text });
+      renderer.end();
+    }
+  };
+};
+
+// Invoke a single god with the divine preferences (context, budget, cache), streaming its answer to the terminal
+const invokeGodStreaming = async (godName, task, { stream = true, preferences = {}, contract = null } = {}) => {
+  const output = streamOutput({ stream });
+  output(STREAM_EVENTS['phase:start'], { god: godName });
+
+  const result = await withCancellation(signal => divineEngine.invokeSingleGod(godName, task, preferences, {
+    signal,
+    contract,
+    onToken: stream ? token => output(STREAM_EVENTS.token, { god: godName, token }) : null
+  }));
+
+  output(STREAM_EVENTS['phase:complete'], { god: godName, text: result.text, usage: result.usage });
+  return result;
+};
+
+// Invoke one god for divine --god or its replay: stream the answer, then offer its patches
+const runGodInvocation = async (godName, task, options = {}) => {
+  const result = await invokeGodStreaming(godName, task, { stream: options.stream, preferences: options.preferences, contract: options.structured || null });
+  const patches = result.structured ? printStructured(result.structured) : patchEngine.parse(result.text);
+  const patchResult = await offerPatches(patches, options);
+  return { result, patches, patchResult };
+};
+
+// Summarize a typed answer; documentation patches become file patches
+const printStructured = ({ contract, data, attempts }) => {
+  console.log(chalk.cyan(`\n📐 ${contract} contract${attempts > 1 ? ` (after ${attempts - 1} repair(s))` : ''}${data.summary ? `: ${data.summary}` : ''}`));
+  if (contract === 'security') {
+    data.findings.forEach(finding => console.log(`   ${chalk.red(finding.severity.padEnd(8))} ${finding.title}${finding.file ? chalk.gray(` ${finding.file}${finding.line ? `:${finding.line}` : ''}`) : ''}`));
+  } else if (contract === 'testing') {
+    data.tests.forEach(test => console.log(`   ${chalk.green(test.type.padEnd(11))} ${test.name}${test.target ? chalk.gray(` → ${test.target}`) : ''}`));
+  } else if (contract === 'documentation') {
+    data.patches.forEach(patch => console.log(`   ${chalk.blue(patch.path)} ${chalk.gray(patch.summary)}`));
+    return data.patches.flatMap(patch => patch.diff
+      ? patchEngine.parseUnifiedDiff(patch.diff)
+      : [{ type: 'replace', path: patch.path, content: patch.content }]);
+  }
+  return [];
+};
+
+// Preview file patches from divine output and apply them on request
+const offerPatches = async (patches, options = {}) => {
+  if (patches.length === 0) return null;
+
+  const validation = await patchEngine.validate(patches);
+  console.log(chalk.cyan(`\n🩹 Divine patch: ${validation.changes.length} file(s)`));
+  console.log(patchEngine.preview(validation.changes));
+
+  if (!validation.valid) {
+    validation.errors.forEach(e => console.log(chalk.red(`   ✗ ${e.path}: ${e.error}`)));
+    console.log(chalk.yellow('⚠️  Patch does not apply cleanly - working tree left untouched'));
+    return { applied: false, errors: validation.errors };
+  }
+
+  let apply = !!options.apply;
+  if (!apply && outputMode.canPrompt()) {
+    ({ apply } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'apply',
+      message: `Apply divine patch to ${validation.changes.length} file(s)?`,
+      default: false
+    }]));
+  }
+
+  if (!apply) {
+    console.log(chalk.gray('Patch not applied (use --apply)'));
+    return { applied: false };
+  }
+
+  const result = await patchEngine.apply(patches);
+  console.log(chalk.green(`✅ Applied divine patch to ${result.files.length} file(s)`));
+  return result;
+};
+
+// Light + shadow intervention with live token output
+const runDivineIntervention = async (task, options = {}) => {
+  console.log(chalk.magenta('🔮 Initiating Divine Intervention...'));
+
+  const stream = options.stream !== false;
+  const intervention = await divineEngine.createIntervention(task, options.preferences);
+  const unsubscribe = [subscribeStream(divineEngine, streamOutput({ stream }))];
+
+  let dashboardStream = null;
+  if (options.dashboard) {
+    dashboardStream = new DashboardStream(typeof options.dashboard === 'string' ? options.dashboard : undefined);
+    if (await dashboardStream.connect()) unsubscribe.push(dashboardStream.attach(divineEngine));
+  }
+
+  try {
+    await withCancellation(signal => divineEngine.executeIntervention(intervention.id, null, {
+      stream,
+      signal,
+      evolution: false
+    }));
+
+    console.log(chalk.green('\n✨ Divine intervention completed!'));
+    console.log(chalk.cyan(`Final Balance: ${intervention.finalResult.balance}`));
+
+    const patchResult = await offerPatches(intervention.finalResult.patches, options);
+    if (patchResult?.applied) intervention.appliedPatches = patchResult.files;
+    return intervention;
+  } finally {
+    unsubscribe.forEach(stop => stop());
+    dashboardStream?.close();
+  }
+};
+
 // Divine Intervention Command
 const divineIntervention = async (task) => {
   console.log(chalk.magenta('🔮 Initiating Divine Intervention...'));
@@ -108,9 +286,8 @@ const divineIntervention = async (task) => {
   }
 
   try {
-    const result = await ashvatthaTree.invokeGod(selectedGod, task);
+    const result = await invokeGodStreaming(selectedGod, task);
     console.log(chalk.green('✨ Divine intervention completed!'));
-    console.log(chalk.cyan(`Result: ${result.intervention}`));
     return result;
   } catch (error) {
     console.error(chalk.red(`❌ Divine intervention failed: ${error.message}`));
@@ -118,20 +295,48 @@ const divineIntervention = async (task) => {
   }
 };
 
-// Evolution Command
+const EVOLUTION_GODS = ['Brahma', 'Vishnu', 'Agni', 'Vayu'];
+const pickEvolutionGod = () => EVOLUTION_GODS[Math.floor(Math.random() * EVOLUTION_GODS.length)];
+
+// Evolution dry run - the steps runEvolution would take, without touching git or invoking gods
+const planEvolution = async (iterations = 3) => {
+  const plan = new EvolutionPlan('evolve', {
+    iterations,
+    base: await evolutionEngine.getCurrentBranch(),
+    target: 'main',
+    mergeThreshold: evolutionEngine.mergeThreshold
+  });
+
+  for (let i = 0; i < iterations; i++) {
+    const god = pickEvolutionGod();
+    await evolutionEngine.planMutation(plan, `evolution_${Date.now()}_${i}`, god, {}, `Evolution iteration ${i + 1}: ${god} guidance`);
+  }
+  return plan;
+};
+
+// Evolution Command - returns each iteration's outcome and the final stats
 const runEvolution = async (iterations = 3) => {
   console.log(chalk.cyan(`🧬 Starting Git Evolution (${iterations} iterations)`));
+  await evolutionEngine.workspace.assertReady(); // Not mid-merge or mid-rebase
+
+  // Pick up mutation branches from earlier runs, including ones the state file does not know
+  const restored = await evolutionEngine.syncState();
+  if (restored.adopted.length > 0 || restored.missing.length > 0) {
+    console.log(chalk.gray(`   Evolution state: ${restored.restored} tracked, ${restored.adopted.length} recovered, ${restored.missing.length} missing (gaia evolve reconcile forgets them)`));
+  }
+  const outcomes = [];
   
   for (let i = 0; i < iterations; i++) {
+    const mutationId = `evolution_${Date.now()}_${i}`;
+    const randomGod = pickEvolutionGod();
+    const outcome = { iteration: i + 1, mutationId, god: randomGod, branch: null, fitness: null, fitnessBreakdown: null, merged: false, status: null, error: null };
+
     try {
-      const mutationId = `evolution_${Date.now()}_${i}`;
-      const gods = ['Brahma', 'Vishnu', 'Agni', 'Vayu'];
-      const randomGod = gods[Math.floor(Math.random() * gods.length)];
-      
       console.log(chalk.yellow(`\n--- Iteration ${i + 1}/${iterations} ---`));
       
       // Create mutation
       const mutation = await evolutionEngine.createMutationBranch(mutationId, randomGod);
+      outcome.branch = mutation.branchName;
       
       // Simulate evolution
       await evolutionEngine.evolveMutation(
@@ -139,13 +344,23 @@ const runEvolution = async (iterations = 3) => {
         {}, 
         `Evolution iteration ${i + 1}: ${randomGod} guidance`
       );
+      outcome.fitness = mutation.fitness;
+      outcome.fitnessBreakdown = mutation.fitnessBreakdown;
       
       // Try to merge if fitness is high enough
-      await evolutionEngine.mergeMutation(mutationId);
+      outcome.merged = await evolutionEngine.mergeMutation(mutationId);
       
     } catch (error) {
+      outcome.error = error.message;
       console.warn(chalk.yellow(`⚠️  Evolution iteration ${i + 1} failed: ${error.message}`));
+    } finally {
+      // The branch stays for review; its worktree goes
+      await evolutionEngine.releaseMutation(mutationId);
+      outcome.status = evolutionEngine.mutationBranches.get(mutationId)?.status || null;
     }
+
+    outcomes.push(outcome);
+    outputMode.event('iteration', outcome);
   }
   
   // Show evolution stats
@@ -155,6 +370,28 @@ const runEvolution = async (iterations = 3) => {
   console.log(chalk.cyan(`   Merged Mutations: ${stats.mergedMutations}`));
   console.log(chalk.cyan(`   Average Fitness: ${stats.averageFitness.toFixed(2)}`));
   console.log(chalk.cyan(`   M1 Optimized: ${stats.isM1Optimized ? '✅' : '❌'}`));
+  return { iterations: outcomes, stats };
+};
+
+// One line per reconciled section
+const printReconcileReport = (name, report) => {
+  console.log(chalk.cyan(`   ${name}: ${report.restored} tracked, ${report.adopted.length} recovered, ${report.forgotten.length} forgotten, ${report.staleWorktrees.length} stale worktree(s)`));
+  for (const id of report.adopted) console.log(chalk.green(`     + ${id}`));
+  for (const id of report.forgotten) console.log(chalk.red(`     - ${id}`));
+};
+
+// Evolution state repair - the state file is brought in line with the branches and worktrees git has
+const reconcileEvolution = async () => {
+  await evolutionEngine.workspace.pruneWorktrees(); // Worktrees deleted by hand
+  const mutations = await evolutionEngine.reconcileState({ repair: true });
+  const { branches, worktrees, lineages, generations, droppedReferences } = await new EvolutionBirther().reconcileState({ repair: true });
+
+  console.log(chalk.green(`\n🔁 Evolution state reconciled (${evolutionEngine.store.file})`));
+  printReconcileReport('Mutations', mutations);
+  printReconcileReport('Mutation branches', branches);
+  printReconcileReport('Worktrees', worktrees);
+  console.log(chalk.cyan(`   Lineages: ${lineages} | Generations: ${generations} | Dropped references: ${droppedReferences}`));
+  return { file: evolutionEngine.store.file, mutations, branches, worktrees, lineages, generations, droppedReferences };
 };
 
 // Zodiac System Menu
@@ -228,6 +465,7 @@ const handleZodiacMenu = async () => {
 
 // Authentication Menu
 const handleAuthMenu = async () => {
+  await authManager.ready;
   const currentAuth = authManager.getCurrentProvider();
   
   console.log(chalk.cyan('\n🔐 Authentication Status'));
@@ -262,10 +500,17 @@ const handleAuthMenu = async () => {
         break;
       case 'validate':
         const validation = await authManager.validateAuth();
+        const cachedNote = validation.cached ? chalk.gray(' (cached)') : '';
         if (validation.valid) {
-          console.log(chalk.green(`✅ ${validation.message}`));
+          console.log(chalk.green(`✅ ${validation.message}`) + cachedNote);
+          if (validation.models.length > 0) {
+            console.log(chalk.gray(`   Models: ${validation.models.slice(0, 10).join(', ')}${validation.models.length > 10 ? ', …' : ''}`));
+          }
         } else {
-          console.log(chalk.red(`❌ ${validation.error}`));
+          console.log(chalk.red(`❌ ${validation.error}`) + cachedNote);
+        }
+        for (const [header, value] of Object.entries(validation.rateLimit || {})) {
+          console.log(chalk.gray(`   ${header}: ${value}`));
         }
         break;
       case 'logout':
@@ -284,28 +529,94 @@ const handleAuthMenu = async () => {
   }
 };
 
-// Status Command
+// Status Command - prints the report and returns it
 const showStatus = () => {
   console.log(chalk.cyan('\n🌳 Gaia Archtree Status'));
   
   const treeHealth = treeCoordinator.getTreeHealth();
   const ashvatthaStatus = ashvatthaTree.getTreeStatus();
   const evolutionStats = evolutionEngine.getEvolutionStats();
+  const report = { tree: treeHealth, realms: ashvatthaStatus, evolution: evolutionStats };
   
   console.log(chalk.yellow('\n--- Tree Health ---'));
   console.log(`Crown (Light): ${treeHealth.yggdrasil.branches} branches - ${treeHealth.yggdrasil.health}`);
   console.log(`Ashvattha (Shadow): ${treeHealth.ashvattha.roots} roots - ${treeHealth.ashvattha.health}`);
   console.log(`Balance: ${treeHealth.trunk.balance} (${treeHealth.trunk.balanced ? 'balanced' : 'imbalanced'})`);
+  console.log(chalk.gray(`   24h drift: ${treeHealth.trunk.drift24h >= 0 ? '+' : ''}${treeHealth.trunk.drift24h}  decay half-life: ${treeHealth.trunk.halfLifeHours ? `${treeHealth.trunk.halfLifeHours}h` : 'off'}`));
+  treeHealth.trunk.events.slice().reverse().forEach(event => {
+    const net = event.light - event.shadow;
+    const clamped = event.clamped !== null ? chalk.red(` clamped from ${event.clamped}`) : '';
+    console.log(chalk.gray(`   ${new Date(event.at).toISOString().replace('T', ' ').slice(0, 16)}  ${event.before} → ${event.after} (${net >= 0 ? '+' : ''}${net})  ${describeCause(event.cause)}`) + clamped);
+  });
   
   console.log(chalk.yellow('\n--- Divine Status ---'));
   console.log(`Active Light Gods: ${ashvatthaStatus.lightGods.active}/${ashvatthaStatus.lightGods.total}`);
   console.log(`Active Shadow Gods: ${ashvatthaStatus.shadowGods.active}/${ashvatthaStatus.shadowGods.total}`);
   console.log(`Tree Leafs: ${ashvatthaStatus.leafs}`);
+  if (ashvatthaStatus.customGods.length > 0) {
+    console.log(`Custom Gods: ${ashvatthaStatus.customGods.join(', ')}`);
+  }
   
   console.log(chalk.yellow('\n--- Evolution Status ---'));
   console.log(`Active Mutations: ${evolutionStats.activeMutations}`);
   console.log(`Total Mutations: ${evolutionStats.totalMutations}`);
   console.log(`M1 Optimized: ${evolutionStats.isM1Optimized ? '✅' : '❌'}`);
+  return report;
+};
+
+// Gods of an intervention, or the one god of a divine --god run
+const godsLabel = ({ god, gods }) => god ? `${god} ${gods.light ? '☀️' : '🌙'}` : `${gods.light} ☀️  + ${gods.shadow} 🌙`;
+
+// One-line summary of a stored intervention
+const printHistoryRecord = (record) => {
+  const statusColor = record.status === 'completed' ? chalk.green : record.status === 'cancelled' ? chalk.yellow : chalk.red;
+  const when = new Date(record.created).toISOString().replace('T', ' ').slice(0, 16);
+  const duration = record.duration !== null && record.duration !== undefined ? `${(record.duration / 1000).toFixed(1)}s` : '-';
+  console.log(`${chalk.cyan(record.id)}  ${chalk.gray(when)}  ${statusColor(record.status.padEnd(9))} ${godsLabel(record)}  ${chalk.gray(duration)}`);
+  console.log(chalk.gray(`   ${record.task.length > 100 ? `${record.task.slice(0, 97)}...` : record.task}`));
+};
+
+// One usage rollup row: calls, tokens and cost
+const printUsageRow = (row) => {
+  const tokens = `${row.promptTokens.toLocaleString()} in / ${row.completionTokens.toLocaleString()} out`;
+  console.log(`  ${row.key.padEnd(28)} ${String(row.calls).padStart(5)} calls  ${tokens.padEnd(28)} ${chalk.green(`$${row.cost.toFixed(4)}`)}`);
+};
+
+// Full detail of a stored intervention: prompts, outputs, balance and evolution branch
+const printHistoryDetail = (record) => {
+  printHistoryRecord(record);
+  console.log(chalk.gray(`   seed: ${record.seed ?? 'none'}  balance: ${record.balance ?? '-'}  complexity: ${record.complexity || '-'}`));
+  if (record.usage) {
+    console.log(chalk.gray(`   tokens: ${record.usage.promptTokens} in / ${record.usage.completionTokens} out  cost: $${record.usage.cost.toFixed(4)}`));
+  }
+  if (record.replayOf) console.log(chalk.gray(`   replay of: ${record.replayOf}`));
+  if (record.evolution?.branch) console.log(chalk.green(`   🧬 evolution branch: ${record.evolution.branch}`));
+  if (record.context) {
+    console.log(chalk.gray(`   context: ${record.context.files.length} file(s), ${record.context.tokens}/${record.context.budget} tokens`));
+    record.context.files.forEach(file => console.log(chalk.gray(`     ${file.path} (${file.lines.map(range => range.join('-')).join(', ')})`)));
+  }
+  if (record.error) console.log(chalk.red(`   error: ${record.error}`));
+
+  if (record.debate) {
+    console.log(chalk.cyan(`\n⚔️  Debate: ${record.debate.agreed ? 'agreed' : record.debate.deadlocked ? 'deadlocked' : 'no agreement'} (${record.debate.rounds} round(s) max)`));
+    for (const turn of record.debate.transcript) {
+      const label = turn.realm === 'light' ? chalk.yellow(`☀️  ${turn.god}`) : chalk.magenta(`🌙 ${turn.god}`);
+      console.log(`\n--- Round ${turn.round} · ${label} ${turn.role}${turn.verdict ? ` · ${turn.verdict}` : ''} ---`);
+      console.log(turn.output);
+    }
+    if (record.synthesis) {
+      console.log(chalk.cyan('\n--- ⚖️  Synthesis ---'));
+      console.log(record.synthesis);
+    }
+  } else {
+    for (const phase of ['light', 'shadow']) {
+      const step = record[phase];
+      if (!step) continue;
+      console.log(chalk.yellow(`\n--- ${phase === 'light' ? '☀️  Light' : '🌙 Shadow'}: ${step.god} (${step.provider || 'unknown'}${step.model ? `/${step.model}` : ''})${step.cached ? ' · cached' : ''} ---`));
+      if (step.prompt) console.log(chalk.gray(step.prompt));
+      console.log(step.output);
+    }
+  }
 };
 
 // Interactive Mode
@@ -364,7 +675,7 @@ const interactiveMode = async () => {
           
         case 'balance':
           const pairing = treeCoordinator.getOptimalPairing('optimization');
-          await treeCoordinator.invokeDualGods(pairing.light, pairing.shadow, 'System balance check');
+          await treeCoordinator.invokeDualGods(pairing.light, pairing.shadow, 'System balance check', { source: 'balance_check' });
           break;
           
         case 'auth':
@@ -392,33 +703,116 @@ const interactiveMode = async () => {
 program
   .name('gaia')
   .description('Divine AI-powered code assistant with evolutionary algorithms')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--json', 'print one JSON result instead of prose and never prompt')
+  .option('--allow-code-gods', 'also load .js/.mjs gods from .gaia/gods (runs their code; or GAIA_ALLOW_CODE_GODS=1)')
+  .addOption(new Option('--output <format>', 'output format; json and ndjson never prompt, ndjson streams events').choices(OUTPUT_FORMATS).default('text'));
+
+// Divine patch fields for JSON results
+const patchSummary = (patches, patchResult) => ({
+  patches: patches.map(patch => patch.path),
+  appliedPatches: patchResult?.applied ? patchResult.files : []
+});
+
+// JSON result of a single-god invocation (divine --god and its replay)
+const godInvocationResult = ({ result, patches, patchResult }) => {
+  const { interventionId: id, god, realm, seed, provider, model, text, structured, usage, cost, cached, fallbackFrom } = result;
+  return { id, god, realm, seed, provider, model, text, structured, usage, cost, cached, fallbackFrom, ...patchSummary(patches, patchResult) };
+};
 
 program
   .command('divine <task>')
   .description('Invoke divine intervention for a coding task')
   .option('-g, --god <god>', 'specify which god to invoke')
+  .option('--no-stream', 'print each phase only once it completes')
+  .option('--dashboard [url]', 'also broadcast the stream to a running monitoring dashboard (default ws://localhost:3001)')
+  .option('--apply', 'apply file patches from the divine output without asking')
+  .option('--seed <number>', 'seed sent to providers that support deterministic sampling')
+  .option('--divine-seed', 'draw the seed from the TempleOS random beacon')
+  .option('--debate [rounds]', `light and shadow debate until they agree (default ${DEFAULT_DEBATE_ROUNDS} rounds)`)
+  .option('--files <paths>', 'always include these files in the context (comma-separated, repeatable)', collectList, [])
+  .option('--include <globs>', 'only consider matching files for the context (comma-separated, repeatable)', collectList, [])
+  .option('--exclude <globs>', 'never include matching files in the context (comma-separated, repeatable)', collectList, [])
+  .option('--no-context', 'do not send repository files to the gods')
+  .option('--budget <usd>', 'abort the intervention once it has cost more than this')
+  .option('--no-cache', 'always ask the gods, never answer from the response cache')
+  .option('--structured [contract]', `with --god: answer as typed JSON in the god's role contract (${Object.keys(CONTRACTS).join(', ')})`)
   .action(async (task, options) => {
     displayHeader();
-    if (options.god) {
-      try {
-        const result = await ashvatthaTree.invokeGod(options.god, task);
-        console.log(chalk.green(`✨ ${result.intervention}`));
-      } catch (error) {
+    try {
+      const context = options.context && { files: options.files, include: options.include, exclude: options.exclude };
+      options.preferences = {
+        ...(options.seed !== undefined ? { seed: parseInt(options.seed, 10) } : {}),
+        ...(options.divineSeed ? { divineSeeding: true } : {}),
+        ...(options.debate ? { debate: options.debate } : {}),
+        ...(context ? { context } : {}),
+        ...(options.budget !== undefined ? { budget: options.budget } : {}),
+        ...(options.cache ? {} : { cache: false })
+      };
+      if (options.god) {
+        outputMode.result('divine', godInvocationResult(await runGodInvocation(options.god, task, options)));
+      } else if (options.structured) {
+        throw new Error('--structured needs --god');
+      } else {
+        const intervention = await runDivineIntervention(task, options);
+        outputMode.result('divine', { intervention: divineEngine.store.serialize(intervention) });
+      }
+    } catch (error) {
+      if (error.code === 'cancelled') {
+        console.log(chalk.yellow('🛑 Divine intervention cancelled'));
+        outputMode.fail('divine', error, 130);
+      } else {
         console.error(chalk.red(`❌ Error: ${error.message}`));
+        outputMode.fail('divine', error);
       }
-    } else {
-      await divineIntervention(task);
     }
   });
 
-program
+const evolveCommand = program
   .command('evolve')
   .description('Run git evolution engine')
   .option('-i, --iterations <number>', 'number of evolution iterations', '3')
+  .option('--dry-run', 'print the branches, worktrees, commits and merges evolution would make, without touching git (--json for the plan as JSON)')
   .action(async (options) => {
     displayHeader();
-    await runEvolution(parseInt(options.iterations));
+    try {
+      const iterations = parseInt(options.iterations, 10);
+      if (!Number.isInteger(iterations) || iterations < 1) {
+        throw new Error(`Invalid --iterations ${options.iterations} (expected a positive number)`);
+      }
+
+      if (options.dryRun) {
+        const plan = await planEvolution(iterations);
+        plan.print();
+        outputMode.result('evolve', plan.toJSON());
+        return;
+      }
+
+      const report = await runEvolution(iterations);
+      const failed = report.iterations.filter(outcome => outcome.error);
+      if (failed.length > 0) {
+        const error = new Error(`${failed.length} of ${iterations} evolution iteration(s) failed`);
+        error.report = report;
+        throw error;
+      }
+      outputMode.result('evolve', report);
+    } catch (error) {
+      console.error(chalk.red(`❌ Evolution failed: ${error.message}`));
+      outputMode.fail('evolve', error, 1, error.report);
+    }
+  });
+
+evolveCommand
+  .command('reconcile')
+  .description('Repair the evolution state: recover untracked mutation/evolution branches, forget ones that are gone')
+  .action(async () => {
+    displayHeader();
+    try {
+      outputMode.result('evolve reconcile', await reconcileEvolution());
+    } catch (error) {
+      console.error(chalk.red(`❌ Reconcile failed: ${error.message}`));
+      outputMode.fail('evolve reconcile', error);
+    }
   });
 
 program
@@ -426,9 +820,153 @@ program
   .description('Show system status')
   .action(() => {
     displayHeader();
-    showStatus();
+    try {
+      outputMode.result('status', showStatus());
+    } catch (error) {
+      console.error(chalk.red(`❌ Status failed: ${error.message}`));
+      outputMode.fail('status', error);
+    }
+  });
+
+program
+  .command('history [intervention-id]')
+  .description('List past divine interventions, or show one in full')
+  .option('-g, --god <god>', 'only interventions involving this god')
+  .option('-s, --status <status>', 'only interventions with this status (completed, failed, cancelled)')
+  .option('--since <date>', 'created on or after a date (YYYY-MM-DD) or span (12h, 7d, 2w)')
+  .option('--until <date>', 'created on or before a date (YYYY-MM-DD) or span')
+  .option('-n, --limit <number>', 'maximum number of interventions to list', '20')
+  .action((interventionId, options) => {
+    try {
+      if (interventionId) {
+        const record = divineEngine.store.get(interventionId);
+        if (!record) throw new Error(`Intervention ${interventionId} not found`);
+        printHistoryDetail(record);
+        outputMode.result('history', { intervention: record });
+        return;
+      }
+
+      const records = divineEngine.store.query({ ...options, limit: parseInt(options.limit, 10) });
+      if (records.length === 0) {
+        console.log(chalk.gray(`No interventions recorded in ${divineEngine.store.historyPath}`));
+      } else {
+        console.log(chalk.cyan(`📜 ${records.length} intervention(s) from ${divineEngine.store.historyPath}\n`));
+        records.forEach(printHistoryRecord);
+      }
+      outputMode.result('history', { file: divineEngine.store.historyPath, interventions: records });
+    } catch (error) {
+      console.error(chalk.red(`❌ History failed: ${error.message}`));
+      outputMode.fail('history', error);
+    }
+  });
+
+program
+  .command('replay <intervention-id>')
+  .description('Re-run a past intervention with the same gods and seed')
+  .option('--no-stream', 'print each phase only once it completes')
+  .option('--apply', 'apply file patches from the divine output without asking')
+  .option('--no-cache', 'ask the gods again instead of answering from the response cache')
+  .action(async (interventionId, options) => {
+    displayHeader();
+    try {
+      const { task, preferences } = divineEngine.getReplayPlan(interventionId);
+      if (!options.cache) preferences.cache = false;
+      console.log(chalk.cyan(`🔁 Replaying ${preferences.replayOf}: ${godsLabel(preferences)} (seed ${preferences.seed ?? 'none'})`));
+      if (preferences.god) {
+        const invocation = await runGodInvocation(preferences.god, task, { ...options, preferences });
+        console.log(chalk.gray(`Recorded as ${invocation.result.interventionId}`));
+        outputMode.result('replay', { replayOf: preferences.replayOf, ...godInvocationResult(invocation) });
+      } else {
+        const intervention = await runDivineIntervention(task, { ...options, preferences });
+        console.log(chalk.gray(`Recorded as ${intervention.id}`));
+        outputMode.result('replay', { replayOf: preferences.replayOf, intervention: divineEngine.store.serialize(intervention) });
+      }
+    } catch (error) {
+      if (error.code === 'cancelled') {
+        console.log(chalk.yellow('🛑 Replay cancelled'));
+        outputMode.fail('replay', error, 130);
+      } else {
+        console.error(chalk.red(`❌ Replay failed: ${error.message}`));
+        outputMode.fail('replay', error);
+      }
+    }
+  });
+
+program
+  .command('usage')
+  .description('Token usage and estimated cost per day, god and intervention')
+  .option('-b, --by <rollup>', `a single rollup (${Object.keys(ROLLUPS).join(', ')})`)
+  .option('-g, --god <god>', 'only invocations of this god')
+  .option('--since <date>', 'on or after a date (YYYY-MM-DD) or span (12h, 7d, 2w)')
+  .option('--until <date>', 'on or before a date (YYYY-MM-DD) or span')
+  .option('-n, --limit <number>', 'rows per rollup', '10')
+  .action((options) => {
+    try {
+      const filters = { god: options.god, since: options.since, until: options.until };
+      const totals = usageLedger.totals(filters);
+      const budget = usageLedger.budgetStatus();
+
+      console.log(chalk.cyan(`💰 Usage: ${totals.calls} invocation(s), ${totals.promptTokens.toLocaleString()} prompt + ${totals.completionTokens.toLocaleString()} completion tokens, $${totals.cost.toFixed(4)}`));
+      if (totals.unpriced > 0) {
+        console.log(chalk.yellow(`   ${totals.unpriced} invocation(s) used models without a price (add them to "prices" in .gaiarc)`));
+      }
+      const cap = ({ cap: limit, spent }) => (limit === null ? `$${spent.toFixed(4)} (no cap)` : `$${spent.toFixed(4)} of $${limit}`);
+      console.log(chalk.gray(`   Today: ${cap(budget.daily)}  Per intervention cap: ${budget.intervention.cap === null ? 'none' : `$${budget.intervention.cap}`}`));
+
+      const rollups = {};
+      for (const by of options.by ? [options.by] : ['day', 'god', 'intervention']) {
+        rollups[by] = usageLedger.rollup(by, filters).slice(0, parseInt(options.limit, 10));
+        console.log(chalk.yellow(`\n--- By ${by} ---`));
+        if (rollups[by].length === 0) console.log(chalk.gray('  No usage recorded'));
+        rollups[by].forEach(printUsageRow);
+      }
+      outputMode.result('usage', { totals, budget, rollups });
+    } catch (error) {
+      console.error(chalk.red(`❌ Usage failed: ${error.message}`));
+      outputMode.fail('usage', error);
+    }
   });
 
+// Response cache size, hit rate and what it saved
+const showCacheStats = () => {
+  const stats = responseCache.stats();
+  const hitRate = stats.hitRate === null ? '-' : `${(stats.hitRate * 100).toFixed(1)}%`;
+
+  console.log(chalk.cyan(`♻️  Response cache: ${stats.entries} entr${stats.entries === 1 ? 'y' : 'ies'}, ${(stats.bytes / 1024).toFixed(1)} KB of ${stats.maxSizeMB} MB (${stats.dir})`));
+  console.log(chalk.gray(`   ${stats.enabled ? 'enabled' : 'disabled (GAIA_NO_CACHE or .gaiarc cache.enabled)'}  TTL: ${stats.ttlHours ? `${stats.ttlHours}h` : 'none'}`));
+  console.log(chalk.gray(`   Hits: ${stats.hits}  Misses: ${stats.misses}  Hit rate: ${hitRate}  Saved: $${stats.saved.toFixed(4)}${stats.since ? `  since ${stats.since.slice(0, 10)}` : ''}`));
+  return stats;
+};
+
+// Cache subcommands - handlers return their JSON result
+const runCacheCommand = (command, handler) => async (...args) => {
+  try {
+    outputMode.result(command, await handler(...args));
+  } catch (error) {
+    console.error(chalk.red(`❌ Cache command failed: ${error.message}`));
+    outputMode.fail(command, error);
+  }
+};
+
+const cacheCommand = program
+  .command('cache')
+  .description('Response cache for god invocations')
+  .action(runCacheCommand('cache', showCacheStats));
+
+cacheCommand
+  .command('stats')
+  .description('Show cache size, hit rate and saved cost')
+  .action(runCacheCommand('cache stats', showCacheStats));
+
+cacheCommand
+  .command('clear')
+  .description('Remove every cached response and reset the counters')
+  .action(runCacheCommand('cache clear', async () => {
+    const removed = await responseCache.clear();
+    console.log(chalk.green(`🧹 Removed ${removed} cached response(s) from ${responseCache.dir}`));
+    return { removed, dir: responseCache.dir };
+  }));
+
 program
   .command('login')
   .description('Login to authentication provider')
@@ -436,16 +974,116 @@ program
   .action(async (options) => {
     displayHeader();
     try {
-      await authManager.login(options.provider);
+      outputMode.result('login', await authManager.login(options.provider));
     } catch (error) {
       console.error(chalk.red(`❌ Login failed: ${error.message}`));
+      outputMode.fail('login', error);
     }
   });
 
-program
+// Provider/profile subcommands - never prompt, exit non-zero on failure; handlers return their JSON result
+const runProviderCommand = (handler) => async (...args) => {
+  const command = `provider ${args[args.length - 1].name()}`;
+  try {
+    await authManager.ready;
+    outputMode.result(command, await handler(...args));
+  } catch (error) {
+    console.error(chalk.red(`❌ Provider command failed: ${error.message}`));
+    outputMode.fail(command, error);
+  }
+};
+
+// Profile parameters from command-line flags
+const profileOptionsFrom = (options) => {
+  const params = {};
+  if (options.temperature !== undefined) params.temperature = parseFloat(options.temperature);
+  if (options.maxTokens !== undefined) params.maxTokens = parseInt(options.maxTokens, 10);
+
+  // --god-model hermes=llama3.2:1b,odin=llama3.1:70b
+  const godModels = {};
+  for (const pair of options.godModel || []) {
+    const [god, model] = pair.split('=').map(part => part.trim());
+    if (!god || !model) throw new Error(`Invalid --god-model ${pair} (expected god=model)`);
+    godModels[god.toLowerCase()] = model;
+  }
+
+  return {
+    provider: options.provider,
+    model: options.model,
+    baseUrl: options.baseUrl,
+    params,
+    godModels
+  };
+};
+
+// Print one profile
+const printProfile = (profile, active = null) => {
+  const marker = active?.profile === profile.name ? chalk.green(` (active via ${active.source})`) : '';
+  console.log(`  ${authManager.getProviderIcon(profile.provider)} ${chalk.bold(profile.name)}${marker}`);
+  console.log(chalk.gray(`     provider: ${profile.provider}  model: ${profile.model || 'default'}  baseUrl: ${profile.baseUrl || 'default'}`));
+  if (Object.keys(profile.params || {}).length > 0) {
+    console.log(chalk.gray(`     params: ${JSON.stringify(profile.params)}`));
+  }
+  if (Object.keys(profile.godModels || {}).length > 0) {
+    console.log(chalk.gray(`     god models: ${Object.entries(profile.godModels).map(([god, model]) => `${god}=${model}`).join(', ')}`));
+  }
+};
+
+const showCurrentProvider = async () => {
+  const current = authManager.getCurrentProvider();
+  const profile = current.profile ? ` (profile ${current.profile}, ${current.source})` : '';
+  console.log(chalk.cyan(`Current provider: ${current.provider || 'none (divine offline mode)'}${profile}`));
+
+  for (const [field, source] of Object.entries(current.sources || {})) {
+    console.log(chalk.gray(`   ${field.padEnd(8)} ← ${source}`));
+  }
+  if (current.provider && !current.authenticated) {
+    console.log(chalk.yellow(`   ⚠️  No API key - set ${ENV_CREDENTIALS[current.provider]?.apiKey || 'one'} or run gaia login -p ${current.provider}`));
+  }
+
+  console.log(chalk.cyan('\nProvider precedence (highest first):'));
+  PROVIDER_PRECEDENCE.forEach((step, index) => console.log(chalk.gray(`   ${index + 1}. ${step}`)));
+  console.log(chalk.cyan('Credential precedence (highest first):'));
+  CREDENTIAL_PRECEDENCE.forEach((step, index) => console.log(chalk.gray(`   ${index + 1}. ${step}`)));
+  return { current, providerPrecedence: PROVIDER_PRECEDENCE, credentialPrecedence: CREDENTIAL_PRECEDENCE };
+};
+
+const listProviders = async () => {
+  await authManager.unlock().catch(error => console.log(chalk.yellow(`🔒 ${error.message}`)));
+  const active = authManager.getCurrentProvider();
+
+  const providers = Array.from(authManager.credentials.keys());
+  console.log(chalk.cyan('Configured providers:'));
+  for (const provider of providers) {
+    const current = provider === active.provider ? ' (current)' : '';
+    console.log(`  ${authManager.getProviderIcon(provider)} ${provider}${current}`);
+  }
+
+  const profiles = authManager.profiles.list();
+  console.log(chalk.cyan('\nProfiles:'));
+  if (profiles.length === 0) {
+    console.log(chalk.gray('  none - create one with gaia provider use <name> --provider <provider>'));
+  }
+  profiles.forEach(profile => printProfile(profile, active));
+  return { providers, current: active.provider || null, profile: active.profile || null, profiles };
+};
+
+const providerCommand = program
   .command('provider')
   .description('Provider management commands')
   .action(async () => {
+    await authManager.ready;
+    // Without a terminal (or with --json) there is nothing to choose from - show the current provider
+    if (!outputMode.canPrompt()) {
+      try {
+        outputMode.result('provider current', await showCurrentProvider());
+      } catch (error) {
+        console.error(chalk.red(`❌ Provider command failed: ${error.message}`));
+        outputMode.fail('provider current', error);
+      }
+      return;
+    }
+
     const { subcommand } = await inquirer.prompt([{
       type: 'list',
       name: 'subcommand',
@@ -460,27 +1098,142 @@ program
     try {
       switch (subcommand) {
         case 'current':
-          const current = authManager.getCurrentProvider();
-          console.log(chalk.cyan(`Current provider: ${current.provider || 'none'}`));
+          await showCurrentProvider();
           break;
         case 'switch':
           await authManager.switchProvider();
           break;
         case 'list':
-          const providers = Array.from(authManager.credentials.keys());
-          console.log(chalk.cyan('Configured providers:'));
-          providers.forEach(p => {
-            const icon = authManager.getProviderIcon(p);
-            const current = p === authManager.currentProvider ? ' (current)' : '';
-            console.log(`  ${icon} ${p}${current}`);
-          });
+          await listProviders();
           break;
       }
     } catch (error) {
       console.error(chalk.red(`❌ Provider command failed: ${error.message}`));
+      process.exitCode = 1;
     }
   });
 
+providerCommand
+  .command('current')
+  .description('Show the active provider and profile')
+  .action(runProviderCommand(showCurrentProvider));
+
+providerCommand
+  .command('switch [provider]')
+  .description('Switch the global provider')
+  .action(runProviderCommand(async provider => {
+    const switched = await authManager.switchProvider(provider);
+    return { from: switched?.from ?? null, to: switched?.to ?? authManager.currentProvider };
+  }));
+
+providerCommand
+  .command('list')
+  .description('List configured providers and profiles')
+  .action(runProviderCommand(listProviders));
+
+providerCommand
+  .command('models [provider]')
+  .description('List the models a provider offers (default: the active one) and the per-god overrides')
+  .action(runProviderCommand(async (provider) => {
+    const resolve = () => (provider ? authManager.connectionFor(provider) : authManager.getActiveConnection());
+    let connection = resolve();
+    if (!connection) throw new Error('No provider selected - run gaia login or pass a provider');
+    if (connection.needsUnlock) {
+      await authManager.unlock();
+      connection = resolve();
+    }
+
+    const { credentials, godModels } = connection;
+    const configured = credentials.model || providerRegistry.get(connection.provider).defaultModel;
+    const models = await authManager.discoverModels(connection.provider, credentials);
+
+    console.log(chalk.cyan(`\n${authManager.getProviderIcon(connection.provider)} ${connection.provider} models`));
+    models.forEach(model => console.log(`  ${model === configured ? chalk.green(`${model} (default)`) : model}`));
+    for (const [god, model] of Object.entries(godModels)) {
+      const missing = models.length > 0 && !models.includes(model) ? chalk.yellow(' (not offered by the server)') : '';
+      console.log(chalk.gray(`  ${god} → ${model}`) + missing);
+    }
+    return { provider: connection.provider, default: configured, models, godModels };
+  }));
+
+providerCommand
+  .command('use <profile>')
+  .description('Select a profile (creating or updating it from the flags)')
+  .option('-p, --provider <provider>', 'provider for the profile (deepinfra, anthropic, openai, local, divine)')
+  .option('-m, --model <model>', 'model name')
+  .option('-u, --base-url <url>', 'API base URL')
+  .option('-t, --temperature <temperature>', 'default temperature')
+  .option('--max-tokens <count>', 'default max tokens')
+  .option('--god-model <god=model>', 'model for one god, e.g. hermes=llama3.2:1b (comma-separated, repeatable)', collectList, [])
+  .option('--project', 'pin the profile for this repository in .gaiarc instead of globally')
+  .action(runProviderCommand(async (name, options) => {
+    const updates = profileOptionsFrom(options);
+    const changed = updates.provider || updates.model || updates.baseUrl ||
+      Object.keys(updates.params).length > 0 || Object.keys(updates.godModels).length > 0;
+
+    if (!authManager.profiles.get(name) && !updates.provider && authManager.supportedProviders.includes(name)) {
+      updates.provider = name; // gaia provider use openai
+    }
+
+    const saved = Boolean(changed || !authManager.profiles.get(name));
+    if (saved) {
+      const profile = await authManager.profiles.set(name, updates);
+      console.log(chalk.green(`✅ Saved profile ${profile.name} (${profile.provider})`));
+    }
+
+    let pinnedIn = null;
+    if (options.project) {
+      pinnedIn = (await updateProjectConfig(process.cwd(), { profile: name })).path;
+      console.log(chalk.green(`📌 Pinned profile ${name} in ${pinnedIn}`));
+    } else {
+      await authManager.profiles.use(name);
+      console.log(chalk.green(`🔄 Using profile ${name}`));
+    }
+    return { profile: authManager.profiles.get(name), saved, pinnedIn };
+  }));
+
+providerCommand
+  .command('show [profile]')
+  .description('Show a profile (default: the active one)')
+  .action(runProviderCommand(async (name) => {
+    const active = authManager.getCurrentProvider();
+    const profileName = name || active.profile;
+    if (!profileName) {
+      throw new Error('No active profile - pass a profile name');
+    }
+
+    const profile = authManager.profiles.get(profileName);
+    if (!profile) {
+      throw new Error(`Unknown profile: ${profileName}`);
+    }
+
+    printProfile(profile, active);
+    const connection = authManager.getActiveConnection();
+    const credentialState = authManager.credentials.has(profile.provider) ? 'configured' :
+      authManager.locked ? 'locked' : 'missing';
+    console.log(chalk.gray(`     credentials: ${credentialState}`));
+    const selectedBy = connection?.profile === profile.name ? connection.sourcePath || null : null;
+    if (selectedBy) {
+      console.log(chalk.gray(`     selected by: ${selectedBy}`));
+    }
+    return { profile, active: active.profile === profile.name, credentials: credentialState, selectedBy };
+  }));
+
+providerCommand
+  .command('remove <profile>')
+  .description('Delete a profile')
+  .action(runProviderCommand(async (name) => {
+    await authManager.profiles.remove(name);
+    console.log(chalk.green(`🗑️  Removed profile ${name}`));
+
+    const project = loadProjectConfig();
+    const stillPinnedIn = project?.config.profile === name ? project.path : null;
+    if (stillPinnedIn) {
+      console.log(chalk.yellow(`⚠️  ${project.path} still pins ${name} - update or remove it`));
+    }
+    return { removed: name, stillPinnedIn };
+  }));
+
 program
   .command('zodiac')
   .description('Zodiac polarity system commands')
@@ -491,8 +1244,10 @@ program
     displayHeader();
     
     try {
+      let result;
       if (options.seasonal) {
         const seasonalInfo = zodiacPolarity.getSeasonalInfo();
+        result = { seasonal: seasonalInfo };
         console.log(chalk.cyan('\n🌍 Seasonal Information:'));
         console.log(`   Current Season: ${seasonalInfo.currentSeason}`);
         console.log(`   Zodiac Sign: ${seasonalInfo.zodiacSign}`);
@@ -506,15 +1261,20 @@ program
         const newZodiac = zodiacPolarity.setZodiacManually(options.manual);
         console.log(chalk.green(`✅ Zodiac set to: ${newZodiac.symbol} ${newZodiac.name} (${newZodiac.polarity})`));
         console.log(chalk.yellow(`   Tree Control: ${newZodiac.treeControl} realm`));
+        result = { zodiac: newZodiac };
       } else if (options.clear) {
         zodiacPolarity.clearManualOverride();
         const currentStatus = zodiacPolarity.getCurrentStatus();
         console.log(chalk.green(`✅ Returned to automatic: ${currentStatus.zodiac.symbol} ${currentStatus.zodiac.name}`));
+        result = { status: currentStatus };
       } else {
-        zodiacPolarity.displayZodiacInfo();
+        if (!outputMode.machine) zodiacPolarity.displayZodiacInfo();
+        result = { status: zodiacPolarity.getCurrentStatus(), seasonal: zodiacPolarity.getSeasonalInfo(), gods: zodiacPolarity.getPreferredGods() };
       }
+      outputMode.result('zodiac', result);
     } catch (error) {
       console.error(chalk.red(`❌ Zodiac error: ${error.message}`));
+      outputMode.fail('zodiac', error);
     }
   });
 
@@ -524,6 +1284,20 @@ program
   .description('Start interactive mode')
   .action(interactiveMode);
 
+// Register project gods from .gaia/gods before any command runs
+try {
+  const customGods = await loadCustomGods();
+  if (customGods.gods.length > 0) {
+    logger.info('Custom gods registered', { dir: customGods.godsDir, gods: customGods.gods.map(god => god.key) });
+  }
+  if (customGods.skipped.length > 0) {
+    logger.warn('Executable custom gods not loaded (use --allow-code-gods)', { files: customGods.skipped });
+  }
+} catch (error) {
+  console.error(chalk.red(`❌ ${error.message}`));
+  process.exit(1);
+}
+
 // Default action (interactive mode)
 if (process.argv.length === 2) {
   interactiveMode();
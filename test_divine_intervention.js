@@ -6,9 +6,31 @@
  */
 
 import { readFileSync } from 'fs';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import http from 'http';
 import chalk from 'chalk';
+import simpleGit from 'simple-git';
 import { ashvatthaTree } from './|_trunk/core/GodRealms.js';
+import { authManager } from './|_trunk/auth/AuthManager.js';
+import { EnvCredentials } from './|_trunk/auth/EnvCredentials.js';
+import { PatchEngine } from './|_trunk/core/PatchEngine.js';
 import { DivineInterventionEngine } from './|_trunk/core/ashvattha_int_design.js';
+import { GodRegistry, godRegistry } from './|_trunk/core/GodRegistry.js';
+import { loadCustomGods } from './|_trunk/core/CustomGods.js';
+import { InterventionStore } from './|_trunk/core/InterventionStore.js';
+import { ContextBuilder, extractKeywords } from './|_trunk/core/ContextBuilder.js';
+import { UsageLedger } from './|_trunk/core/UsageLedger.js';
+import { divineCompletion } from './|_trunk/core/DivineCompletion.js';
+import { ResponseCache } from './|_trunk/core/ResponseCache.js';
+import { findingsAtLeast } from './|_trunk/core/OutputContracts.js';
+import { TempleOSRandomBeacon } from './|_trunk/core/TempleOSRandomBeacon.js';
+import { BalanceLedger } from './|_trunk/core/BalanceLedger.js';
+import { STREAM_EVENTS, subscribeStream } from './|_trunk/core/DashboardStream.js';
+import { DashboardIntegration } from './|_trunk/core/DashboardIntegration.js';
+import { treeCoordinator, parseVerdict, debateStanding } from './|_trunk/core/TreeCoordinator.js';
+import { EvolutionMerger } from './|_trunk/heartwood/EvolutionMerger.js';
 import { logger } from './|_trunk/core/Logger.js';
 
 // Load test configurations
@@ -18,6 +40,15 @@ const divineTests = testsConfig.tests.filter(test => test.category === 'divine')
 class DivineInterventionTester {
   constructor() {
     this.engine = new DivineInterventionEngine();
+    this.historyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gaia-history-'));
+    this.engine.store = new InterventionStore(path.join(this.historyDir, 'interventions.jsonl'));
+    treeCoordinator.ledger = new BalanceLedger(this.historyDir);
+    divineCompletion.usage = new UsageLedger(path.join(this.historyDir, 'usage.jsonl'), { budget: {} });
+    divineCompletion.cache = new ResponseCache(path.join(this.historyDir, 'cache'), { enabled: true, ttlHours: 1, maxSizeMB: 50 });
+    treeCoordinator.refreshBalance();
+
+    // Never pick up real provider keys from the environment
+    authManager.envCredentials = new EnvCredentials({});
     this.passed = 0;
     this.failed = 0;
     this.autoFixed = 0;
@@ -31,6 +62,7 @@ class DivineInterventionTester {
       await this.runTest(test);
     }
 
+    await fs.remove(this.historyDir);
     this.printResults();
   }
 
@@ -47,6 +79,39 @@ class DivineInterventionTester {
         case 'divine_002':
           result = await this.testGodSelectionSystem(test);
           break;
+        case 'divine_003':
+          result = await this.testLLMBackedInvocation(test);
+          break;
+        case 'divine_004':
+          result = await this.testPatchEngine(test);
+          break;
+        case 'divine_005':
+          result = await this.testGodRegistry(test);
+          break;
+        case 'divine_006':
+          result = await this.testCustomGods(test);
+          break;
+        case 'divine_007':
+          result = await this.testInterventionHistory(test);
+          break;
+        case 'divine_008':
+          result = await this.testBalanceLedger(test);
+          break;
+        case 'divine_009':
+          result = await this.testDebateMode(test);
+          break;
+        case 'divine_010':
+          result = await this.testContextBuilder(test);
+          break;
+        case 'divine_011':
+          result = await this.testUsageAccounting(test);
+          break;
+        case 'divine_012':
+          result = await this.testResponseCache(test);
+          break;
+        case 'divine_013':
+          result = await this.testOutputContracts(test);
+          break;
         default:
           throw new Error(`Unknown test: ${test.id}`);
       }
@@ -72,13 +137,13 @@ class DivineInterventionTester {
     const { task, complexity, gods } = test.input;
     
     // Create intervention
-    const interventionId = await this.engine.createIntervention(task, {
+    const intervention = await this.engine.createIntervention(task, {
       complexity,
       preferredGods: gods
     });
 
     // Execute intervention
-    const result = await this.engine.executeIntervention(interventionId);
+    const result = await this.engine.executeIntervention(intervention.id);
 
     // Validate result
     const hasRequiredSteps = test.expectedOutput.steps.every(step => 
@@ -117,6 +182,673 @@ class DivineInterventionTester {
     };
   }
 
+  async testLLMBackedInvocation(test) {
+    const { god, task, provider, completion, usage } = test.input;
+    const requests = [];
+
+    // Local mock provider so the test never needs network access
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          model: 'mock-model',
+          choices: [{ message: { role: 'assistant', content: completion } }],
+          usage
+        }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const previousProvider = authManager.currentProvider;
+    const previousCredentials = authManager.credentials.get(provider);
+    const previousProfiles = authManager.profiles;
+    // Ignore any user profile or .gaiarc pin
+    authManager.profiles = { resolve: () => null };
+    authManager.credentials.set(provider, {
+      apiKey: 'sk-test-key',
+      baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+      provider
+    });
+    authManager.currentProvider = provider;
+
+    try {
+      const result = await ashvatthaTree.invokeGod(god, task);
+      const request = requests[0];
+      const systemMessage = request?.body.messages.find(m => m.role === 'system');
+
+      const reachedProvider = request?.url === '/v1/chat/completions' &&
+        request.headers.authorization === 'Bearer sk-test-key';
+      const hasSystemPrompt = systemMessage?.content.includes(test.expectedOutput.systemPromptIncludes);
+      const hasCodeBlocks = result.codeBlocks.length === test.expectedOutput.codeBlocks;
+      const hasUsage = result.usage.totalTokens === test.expectedOutput.totalTokens;
+      const hasLatency = typeof result.latency === 'number' && result.text === completion;
+
+      return {
+        success: reachedProvider && hasSystemPrompt && hasCodeBlocks && hasUsage && hasLatency,
+        error: !reachedProvider ? 'Provider not called with auth headers' :
+               !hasSystemPrompt ? 'System prompt missing god domain' :
+               !hasCodeBlocks ? `Wrong code block count: ${result.codeBlocks.length}` :
+               !hasUsage ? `Wrong token usage: ${result.usage.totalTokens}` :
+               !hasLatency ? 'Missing text or latency' : null,
+        result
+      };
+    } finally {
+      authManager.currentProvider = previousProvider;
+      authManager.profiles = previousProfiles;
+      if (previousCredentials) {
+        authManager.credentials.set(provider, previousCredentials);
+      } else {
+        authManager.credentials.delete(provider);
+      }
+      await new Promise(resolve => server.close(resolve));
+    }
+  }
+
+  async testGodRegistry(test) {
+    const { names, unknown } = test.input;
+
+    const canonical = names.map(name => godRegistry.canonical(name));
+    const canonicalMatches = canonical.every((key, index) => key === test.expectedOutput.canonical[index]);
+    const totalMatches = godRegistry.list().length === test.expectedOutput.total;
+
+    // Unknown names and realm mismatches throw
+    const throws = (fn) => {
+      try {
+        fn();
+        return false;
+      } catch {
+        return true;
+      }
+    };
+    const unknownRejected = throws(() => godRegistry.require(unknown));
+    const realmChecked = throws(() => godRegistry.require('kali', { realm: 'light' }));
+
+    // Startup checks fail fast on typos; aliases may not collide
+    const assertFailsFast = throws(() => godRegistry.assertKnown(['odin', unknown], 'test pairings'));
+    const collisionRejected = throws(() => new GodRegistry([
+      { key: 'odin', realm: 'light', aliases: ['allfather'] },
+      { key: 'wotan', realm: 'light', aliases: ['allfather'] }
+    ]));
+
+    // Alias-keyed tables resolve for canonical names
+    const lookupWorks = godRegistry.lookup({ Brahma: 20 }, 'zeus') === 20;
+
+    return {
+      success: canonicalMatches && totalMatches && unknownRejected && realmChecked && assertFailsFast && collisionRejected && lookupWorks,
+      error: !canonicalMatches ? `Wrong canonical keys: ${canonical.join(', ')}` :
+             !totalMatches ? `Registry has ${godRegistry.list().length} gods` :
+             !unknownRejected ? `Unknown god ${unknown} was accepted` :
+             !realmChecked ? 'Realm mismatch was accepted' :
+             !assertFailsFast ? 'assertKnown accepted an unknown god' :
+             !collisionRejected ? 'Duplicate alias was accepted' :
+             !lookupWorks ? 'Alias-keyed lookup failed' : null
+    };
+  }
+
+  async testCustomGods(test) {
+    const { files, invalidFile, codeFile } = test.input;
+    const godsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gaia-gods-'));
+
+    try {
+      for (const [file, content] of Object.entries({ ...files, ...codeFile })) {
+        await fs.outputFile(path.join(godsDir, file), content);
+      }
+
+      // Fresh registry so the shared pantheon stays untouched
+      const registry = new GodRegistry();
+      const registered = [];
+      registry.on('god:registered', entry => registered.push(entry.key));
+
+      const { gods, skipped } = await loadCustomGods({ godsDir, registry });
+      const migratus = registry.resolve('Migratus');
+      const loaded = gods.length === 2 && registered.length === 2 && migratus?.realm === 'light' &&
+        migratus.systemPrompt === 'Always write reversible migrations.';
+
+      // JS gods run code on import, so they load only when explicitly allowed
+      const codeSkipped = skipped.length === 1 && path.basename(skipped[0]) === Object.keys(codeFile)[0] &&
+        !registry.has('oracle') && globalThis.gaiaOracleLoaded === undefined;
+      const trusted = await loadCustomGods({ godsDir, registry: new GodRegistry(), allowCode: true });
+      const codeLoaded = trusted.gods.length === 3 && trusted.skipped.length === 0 && globalThis.gaiaOracleLoaded === true;
+
+      const pairings = registry.pairings();
+      const pairingsMatch = Object.entries(test.expectedOutput.pairings).every(([taskType, pair]) =>
+        pairings[taskType]?.light === pair.light && pairings[taskType]?.shadow === pair.shadow
+      );
+
+      // An invalid plugin rejects the whole directory before anything is registered
+      for (const [file, content] of Object.entries(invalidFile)) {
+        await fs.outputFile(path.join(godsDir, file), content);
+      }
+      const strictRegistry = new GodRegistry();
+      let rejected = false;
+      try {
+        await loadCustomGods({ godsDir, registry: strictRegistry });
+      } catch (error) {
+        rejected = error.message.includes('broken.json') && error.message.includes('nobody');
+      }
+      const nothingRegistered = !strictRegistry.has('migratus') && !strictRegistry.has('janus');
+
+      return {
+        success: loaded && codeSkipped && codeLoaded && pairingsMatch && rejected && nothingRegistered,
+        error: !loaded ? 'Custom gods were not registered' :
+               !codeSkipped ? `JS god loaded without --allow-code-gods: ${JSON.stringify(skipped)}` :
+               !codeLoaded ? 'JS god not loaded with allowCode' :
+               !pairingsMatch ? `Wrong pairings: ${JSON.stringify(pairings)}` :
+               !rejected ? 'Invalid plugin was not rejected' :
+               !nothingRegistered ? 'Invalid directory was partially registered' : null
+      };
+    } finally {
+      await fs.remove(godsDir);
+    }
+  }
+
+  async testInterventionHistory(test) {
+    const { task, seed } = test.input;
+    const { gods, status } = test.expectedOutput;
+
+    const intervention = await this.engine.createIntervention(task, { seed });
+    await this.engine.executeIntervention(intervention.id, null, { evolution: false });
+
+    // A fresh engine (next CLI run) finds the intervention on disk
+    const nextRun = new DivineInterventionEngine();
+    nextRun.store = new InterventionStore(this.engine.store.historyPath);
+    const record = nextRun.getInterventionStatus(intervention.id);
+    const persisted = record?.status === status && record.seed === seed &&
+      record.gods.light === gods.light && record.gods.shadow === gods.shadow &&
+      typeof record.duration === 'number' && typeof record.balance === 'number' &&
+      record.light?.prompt?.includes(task) && record.shadow?.output?.length > 0;
+
+    const byAlias = nextRun.store.query({ god: 'marut', status, since: '1d' });
+    const excluded = nextRun.store.query({ god: 'thor' }).length === 0 && nextRun.store.query({ status: 'failed' }).length === 0;
+    const filtered = byAlias.length === 1 && byAlias[0].id === intervention.id && excluded;
+
+    const replay = await nextRun.replayIntervention(intervention.id, null, { evolution: false });
+    const replayed = replay.id !== intervention.id && replay.seed === seed && replay.replayOf === intervention.id &&
+      replay.gods.light === gods.light && replay.gods.shadow === gods.shadow &&
+      nextRun.store.query().filter(stored => stored.replayOf === intervention.id).length === 1;
+
+    // Unseeded runs still record a random seed to replay with; --seed and the beacon mark the seed as chosen
+    const unseeded = await this.engine.createIntervention(task, {});
+    await this.engine.executeIntervention(unseeded.id, null, { evolution: false });
+    const blessed = await this.engine.createIntervention(task, { divineSeeding: true });
+    const { preferences } = nextRun.getReplayPlan(unseeded.id);
+    const seeding = record.seeded === true && replay.seeded === true &&
+      Number.isInteger(unseeded.seed) && unseeded.seeded === false &&
+      preferences.seed === unseeded.seed && preferences.seeded === false &&
+      Number.isInteger(blessed.seed) && blessed.seeded === true;
+
+    // divine --god runs keep their seed, land in the history and replay with the same god; a debate needs two gods
+    const single = await this.engine.invokeSingleGod(gods.light, task, { seed });
+    const singleRecord = nextRun.getInterventionStatus(single.interventionId);
+    const singleReplay = await nextRun.replayIntervention(single.interventionId);
+    const debateRejected = await this.engine.invokeSingleGod(gods.light, task, { debate: true })
+      .then(() => false, error => error.code === 'invalid_options');
+    const singleGod = singleRecord?.god === gods.light && singleRecord.seed === seed && singleRecord.seeded === true &&
+      singleRecord.light?.output === single.text && singleRecord.status === status && nextRun.store.query({ god: gods.light }).some(stored => stored.id === single.interventionId) &&
+      singleReplay.seed === seed && singleReplay.god === gods.light &&
+      nextRun.store.get(singleReplay.interventionId)?.replayOf === single.interventionId && debateRejected;
+
+    return {
+      success: persisted && filtered && replayed && seeding && singleGod,
+      error: !persisted ? `Intervention not persisted correctly: ${JSON.stringify(record)?.slice(0, 200)}` :
+             !filtered ? 'History filters returned the wrong interventions' :
+             !replayed ? 'Replay did not reuse gods and seed' :
+             !seeding ? `Seeds not recorded for replay: ${unseeded.seed}/${unseeded.seeded}, beacon ${blessed.seed}/${blessed.seeded}` :
+             !singleGod ? `Single-god run not recorded or replayed: ${JSON.stringify(singleRecord)?.slice(0, 200)}` : null
+    };
+  }
+
+  async testBalanceLedger(test) {
+    const { halfLifeHours, forces } = test.input;
+    const ledgerDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gaia-balance-'));
+    const previousLedger = treeCoordinator.ledger;
+
+    try {
+      const ledger = new BalanceLedger(ledgerDir, { halfLifeHours });
+      for (const force of forces) {
+        ledger.apply(force.light, force.shadow, force.cause);
+      }
+
+      // A new session reads the same balance and the full cause log
+      const reloaded = new BalanceLedger(ledgerDir, { halfLifeHours });
+      const events = reloaded.events();
+      const persisted = reloaded.load() === ledger.balance && events.length === forces.length &&
+        events.every((event, index) => event.cause.source === forces[index].cause.source);
+      const clamped = events.some(event => event.clamped !== null && Math.abs(event.after) === 100);
+
+      // One half-life later the balance has decayed halfway toward equilibrium
+      const later = new Date(reloaded.updatedAt.getTime() + halfLifeHours * 60 * 60 * 1000);
+      const decayed = reloaded.current(later) === Math.round(reloaded.balance * 50) / 100;
+
+      // Merge assessment uses what past merges from the realm actually did
+      treeCoordinator.ledger = reloaded;
+      const impact = await new EvolutionMerger().assessTreeBalanceImpact({ divineGuidance: { realm: 'shadow' } });
+      const expected = reloaded.averageImpact({ source: 'mutation_merge', realm: 'shadow' });
+      const historyAware = expected !== null && impact.expectedForce === expected;
+
+      // Past the size limit old events fold into per-source totals: the log stays short, averages keep the history
+      const compacting = new BalanceLedger(ledgerDir, { halfLifeHours, maxLogBytes: 1, keepEvents: 2, keepHours: 0 });
+      compacting.apply(1, 0, { source: 'intervention', realm: 'light' });
+      const afterCompaction = new BalanceLedger(ledgerDir, { halfLifeHours });
+      const compacted = afterCompaction.events().length === 2 && afterCompaction.summary().events === forces.length - 1 &&
+        afterCompaction.averageImpact({ source: 'mutation_merge', realm: 'shadow' }) === expected;
+
+      return {
+        success: persisted && clamped && decayed && historyAware && compacted,
+        error: !persisted ? 'Balance or event log not persisted across sessions' :
+               !clamped ? 'Clamped change not recorded in the event log' :
+               !decayed ? `Balance did not decay: ${reloaded.current(later)}` :
+               !historyAware ? `Merge assessment ignored balance history: ${JSON.stringify(impact)}` :
+               !compacted ? `Event log not compacted: ${afterCompaction.events().length} events, ${JSON.stringify(afterCompaction.summary())}` : null
+      };
+    } finally {
+      treeCoordinator.ledger = previousLedger;
+      treeCoordinator.refreshBalance();
+      await fs.remove(ledgerDir);
+    }
+  }
+
+  async testDebateMode(test) {
+    const { task, rounds, agreement, deadlock } = test.input;
+
+    // The offline provider never votes, so the debate runs every round and stays open
+    const intervention = await this.engine.createIntervention(task, { debate: rounds });
+    const events = [];
+    const unsubscribe = subscribeStream(this.engine, event => events.push(event));
+    await this.engine.executeIntervention(intervention.id, null, { evolution: false });
+    unsubscribe();
+
+    // Every turn is relayed as a phase-start/phase-complete pair, and nothing after unsubscribing
+    const relayed = events.length === rounds * 4 && events.filter(event => event === 'phase-complete').length === rounds * 2 &&
+      Object.keys(STREAM_EVENTS).every(name => this.engine.listenerCount(name) === 0);
+
+    // The dashboard forwards them once however often it is set up, and stops when the engine is unregistered
+    const integration = new DashboardIntegration();
+    integration.dashboard = { streamDivineUpdate: () => {} };
+    integration.components.divineEngine = this.engine;
+    integration.setupDivineIntegration();
+    integration.setupDivineIntegration();
+    const forwardedOnce = Object.keys(STREAM_EVENTS).every(name => this.engine.listenerCount(name) === 1);
+    integration.unregisterComponent('divineEngine');
+    const dashboardDetached = forwardedOnce && Object.keys(STREAM_EVENTS).every(name => this.engine.listenerCount(name) === 0);
+
+    const roles = intervention.debate.transcript.map(turn => `${turn.realm}:${turn.role}`);
+    const expectedRoles = Array.from({ length: rounds }, (_, i) => [`light:${i === 0 ? 'proposal' : 'revision'}`, 'shadow:critique']).flat();
+    const debated = JSON.stringify(roles) === JSON.stringify(expectedRoles) &&
+      intervention.debate.transcript[2].text.includes('Shadow realm critique from') &&
+      intervention.debate.agreed === false;
+
+    const synthesis = intervention.finalResult.synthesis;
+    const synthesized = synthesis.agreed === false && synthesis.objections.length === 1 &&
+      synthesis.solution === intervention.debate.transcript[rounds * 2 - 2].text.trim();
+
+    const record = this.engine.store.get(intervention.id);
+    const stored = record.debate?.transcript.length === rounds * 2 && record.debate.rounds === rounds &&
+      this.engine.getReplayPlan(intervention.id).preferences.debate === rounds;
+
+    // A shadow "VERDICT: AGREE" closes the debate on the light god's revision
+    const transcript = agreement.map(turn => ({ ...turn, verdict: parseVerdict(turn.text) }));
+    const agreed = treeCoordinator.synthesizeDialogue(godRegistry.resolve('thor'), godRegistry.resolve('mara'), transcript);
+    const consensus = agreed.agreed === true && agreed.rounds === 2 && agreed.objections.length === 0 &&
+      agreed.solution === 'Final fix' && !agreed.synthesis.includes('VERDICT') && agreed.deadlocked === false;
+
+    // A revision that rejects the critique, answered by another objection, deadlocks the debate
+    const rejected = deadlock.map(turn => ({ ...turn, verdict: parseVerdict(turn.text) }));
+    const stalled = treeCoordinator.synthesizeDialogue(godRegistry.resolve('thor'), godRegistry.resolve('mara'), rejected);
+    const deadlocked = stalled.agreed === false && stalled.deadlocked === true && stalled.objections[0] === 'Still missing edge cases' &&
+      stalled.synthesis.includes('deadlocked') && debateStanding(rejected[0], rejected[1]) === null &&
+      intervention.debate.deadlocked === false && record.debate.deadlocked === false;
+
+    return {
+      success: debated && synthesized && stored && consensus && deadlocked && relayed && dashboardDetached,
+      error: !debated ? `Unexpected debate transcript: ${roles.join(', ')}` :
+             !synthesized ? 'Synthesis ignored the debate transcript' :
+             !stored ? 'Debate transcript not persisted with the intervention' :
+             !consensus ? `Agreement not detected: ${JSON.stringify(agreed)}` :
+             !deadlocked ? `Deadlock not detected: ${JSON.stringify(stalled)}` :
+             !relayed ? `Unexpected stream events: ${events.join(', ')}` :
+             !dashboardDetached ? `Dashboard stream ${forwardedOnce ? 'still attached after unregistering' : 'attached more than once'}` : null
+    };
+  }
+
+  async testContextBuilder(test) {
+    const { task, files, exclude, chunkBudget, keywords, private: privateFiles } = test.input;
+    const { selected, ignored } = test.expectedOutput;
+    const repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gaia-context-'));
+    const privateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gaia-context-private-'));
+
+    try {
+      for (const [file, content] of Object.entries(files)) {
+        await fs.outputFile(path.join(repoDir, file), content);
+      }
+
+      // Keywords pick the parser, the import graph adds the tokenizer; .gitignore and --exclude drop the rest
+      const builder = new ContextBuilder(repoDir);
+      const context = await builder.build(task, { exclude, tokenBudget: 4000 });
+      const paths = context.files.map(file => file.path);
+      const discovered = selected.every(file => paths.includes(file)) && !ignored.some(file => paths.includes(file)) &&
+        context.files.find(file => file.path === 'src/tokenizer.js')?.reasons.includes('imported by src/parser.js');
+
+      // Over budget, only the chunk that mentions the task survives
+      const chunked = await new ContextBuilder(repoDir).build('fix the checksum', { files: [path.join(repoDir, 'src/big.js')], discover: false, tokenBudget: chunkBudget });
+      const bigChunks = chunked.files[0]?.chunks || [];
+      const fits = chunked.tokens <= chunkBudget && bigChunks.length === 1 && bigChunks[0].startLine === 81 &&
+        bigChunks[0].content.includes('checksum');
+
+      // The intervention sends the gathered files to the gods
+      const intervention = await this.engine.createIntervention(task);
+      intervention.context = context;
+      await this.engine.executeIntervention(intervention.id, null, { evolution: false });
+      const prompted = intervention.steps[0].result.prompt.includes('### src/parser.js') &&
+        this.engine.store.get(intervention.id).context?.files.length === context.files.length;
+
+      // Gaia's state, worktrees, env files and .gaiarc never reach the prompt, in a git repo (untracked) or outside one
+      for (const [file, content] of Object.entries(privateFiles)) {
+        await fs.outputFile(path.join(privateDir, file), content);
+      }
+      const walked = (await new ContextBuilder(privateDir).build(task, { tokenBudget: 4000 })).files.map(file => file.path);
+      await simpleGit(privateDir).init();
+      const listed = (await new ContextBuilder(privateDir).build(task, { tokenBudget: 4000 })).files.map(file => file.path);
+      const kept = [walked, listed].every(found => JSON.stringify(found) === JSON.stringify(['src/parser.js']));
+
+      // A leading verb is dropped, the same word later in the task (a file or identifier) is kept
+      const extracted = Object.entries(keywords).every(([text, expected]) => JSON.stringify(extractKeywords(text)) === JSON.stringify(expected));
+
+      return {
+        success: discovered && fits && prompted && kept && extracted,
+        error: !discovered ? `Wrong context files: ${paths.join(', ')}` :
+               !fits ? `Chunking ignored the budget: ${JSON.stringify(bigChunks.map(chunk => [chunk.startLine, chunk.endLine]))}` :
+               !prompted ? 'Context not sent to the gods or not recorded' :
+               !kept ? `Private files in the context: ${walked.join(', ')} / ${listed.join(', ')}` :
+               !extracted ? `Wrong keywords: ${Object.keys(keywords).map(text => extractKeywords(text).join(' ')).join(' | ')}` : null
+      };
+    } finally {
+      await fs.remove(repoDir);
+      await fs.remove(privateDir);
+    }
+  }
+
+  async testUsageAccounting(test) {
+    const { task, prices, budget } = test.input;
+    const previousUsage = divineCompletion.usage;
+    const usage = new UsageLedger(path.join(this.historyDir, 'usage-accounting.jsonl'), { prices, budget: {} });
+    divineCompletion.usage = usage;
+
+    try {
+      // Dated model ids fall back to their family price
+      const priced = usage.priceFor('claude-3-5-sonnet-20241022', 'anthropic')?.output === prices['claude-3-5-sonnet'].output &&
+        usage.cost({ model: 'claude-3-5-sonnet-20241022', promptTokens: 1e6, completionTokens: 1e6 }) === 18;
+
+      const intervention = await this.engine.createIntervention(task);
+      await this.engine.executeIntervention(intervention.id, null, { evolution: false });
+      const record = this.engine.store.get(intervention.id);
+      const totals = usage.totals({ interventionId: intervention.id });
+      const gods = usage.rollup('god', { interventionId: intervention.id }).map(row => row.key).sort();
+      const recorded = totals.calls === 2 && totals.cost > 0 && record.usage?.cost === totals.cost &&
+        record.light.cost > 0 && JSON.stringify(gods) === JSON.stringify([intervention.gods.light, intervention.gods.shadow].sort()) &&
+        usage.rollup('day').length === 1 && usage.rollup('intervention')[0].key === intervention.id;
+
+      // The cap stops the debate after the first answer that crosses it
+      const capped = await this.engine.createIntervention(task, { debate: 3, budget });
+      const aborted = await this.engine.executeIntervention(capped.id, null, { evolution: false })
+        .then(() => null, error => error);
+      const stopped = aborted?.code === 'budget_exceeded' && usage.totals({ interventionId: capped.id }).calls === 1 &&
+        this.engine.store.get(capped.id)?.status === 'failed';
+
+      // divine --god is held to the same cap
+      const single = await this.engine.invokeSingleGod(intervention.gods.light, task, { budget })
+        .then(() => null, error => error);
+      const singleRow = usage.rollup('intervention').find(row => row.key.startsWith('god_'));
+      const singleStopped = single?.code === 'budget_exceeded' && singleRow?.calls === 1 && singleRow.cost > budget;
+
+      return {
+        success: priced && recorded && stopped && singleStopped,
+        error: !priced ? 'Price table lookup failed' :
+               !recorded ? `Usage not recorded: ${JSON.stringify({ totals, usage: record.usage, gods })}` :
+               !stopped ? `Budget cap did not abort the intervention: ${aborted?.message || 'completed'}` :
+               !singleStopped ? `Budget cap did not abort the single god: ${single?.message || 'completed'}` : null
+      };
+    } finally {
+      divineCompletion.usage = previousUsage;
+    }
+  }
+
+  async testResponseCache(test) {
+    const { god, task, provider, seeds } = test.input;
+    const expected = test.expectedOutput;
+    const previousCache = divineCompletion.cache;
+    const cache = new ResponseCache(path.join(this.historyDir, 'response-cache'), { enabled: true, ttlHours: 1, maxSizeMB: 50 });
+    divineCompletion.cache = cache;
+    let requests = 0;
+
+    // Every request gets a distinct answer, so a repeated answer can only come from the cache
+    const server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        requests++;
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          model: 'mock-model',
+          choices: [{ message: { role: 'assistant', content: `answer ${requests}` } }],
+          usage: { prompt_tokens: 10, completion_tokens: 2, total_tokens: 12 }
+        }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const previousProvider = authManager.currentProvider;
+    const previousCredentials = authManager.credentials.get(provider);
+    const previousProfiles = authManager.profiles;
+    authManager.profiles = { resolve: () => null };
+    authManager.credentials.set(provider, { apiKey: 'sk-test-key', baseUrl: `http://127.0.0.1:${server.address().port}/v1`, provider });
+    authManager.currentProvider = provider;
+    const failures = [];
+
+    try {
+      const first = await ashvatthaTree.invokeGod(god, task, {}, { seed: seeds[0] });
+      const repeat = await ashvatthaTree.invokeGod(god, task, {}, { seed: seeds[0] });
+      if (!repeat.cached || repeat.text !== first.text || repeat.cost !== 0) failures.push('same seed was not a cache hit');
+
+      const reseeded = await ashvatthaTree.invokeGod(god, task, {}, { seed: seeds[1] });
+      if (reseeded.cached || reseeded.text === first.text) failures.push('different seed hit the cache');
+
+      const bypassed = await ashvatthaTree.invokeGod(god, task, {}, { seed: seeds[0], cache: false });
+      if (bypassed.cached) failures.push('cache: false still read the cache');
+
+      // A beacon-seeded config reuses its answer only under the same seed
+      const divineConfig = new TempleOSRandomBeacon().applyDivineSeeding({ maxTokens: 64 });
+      const blessed = await ashvatthaTree.invokeGod(god, task, {}, divineConfig);
+      const reblessed = await ashvatthaTree.invokeGod(god, task, {}, divineConfig);
+      if (blessed.cached || !reblessed.cached || reblessed.text !== blessed.text) failures.push('divine seeding not keyed by its seed');
+
+      // A random seed kept only for replays is sent but stays out of the cache key
+      const unseeded = await ashvatthaTree.invokeGod(god, task, {}, { seed: seeds[0], seeded: false });
+      const reunseeded = await ashvatthaTree.invokeGod(god, task, {}, { seed: seeds[1], seeded: false });
+      if (unseeded.cached || !reunseeded.cached || reunseeded.text !== unseeded.text) failures.push('unchosen seed split the cache');
+
+      // Sampling settings and the endpoint are part of the key: the same prompt under other ones is asked again
+      const warmer = await ashvatthaTree.invokeGod(god, task, {}, { seed: seeds[0], temperature: 1.2 });
+      const rewarmed = await ashvatthaTree.invokeGod(god, task, {}, { seed: seeds[0], temperature: 1.2 });
+      const longer = await ashvatthaTree.invokeGod(god, task, {}, { seed: seeds[0], maxTokens: 4096 });
+      authManager.credentials.set(provider, { apiKey: 'sk-test-key', baseUrl: `http://127.0.0.1:${server.address().port}/proxy/v1`, provider });
+      const elsewhere = await ashvatthaTree.invokeGod(god, task, {}, { seed: seeds[0] });
+      if (warmer.cached || !rewarmed.cached) failures.push('temperature not keyed');
+      if (longer.cached) failures.push('maxTokens not keyed');
+      if (elsewhere.cached) failures.push('endpoint not keyed');
+
+      const stats = cache.stats();
+      if (requests !== expected.requests || stats.hits !== expected.hits || stats.misses !== expected.misses) {
+        failures.push(`requests ${requests}, hits ${stats.hits}, misses ${stats.misses}`);
+      }
+
+      // Expired entries are misses and removed; past the size limit the least recently used go first
+      const [oldest, ...rest] = cache.list();
+      const entry = fs.readJsonSync(oldest.file);
+      fs.writeJsonSync(oldest.file, { ...entry, created: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString() });
+      if (cache.get(oldest.key) || fs.existsSync(oldest.file)) failures.push('expired entry served');
+
+      const newest = rest[rest.length - 1];
+      cache.config = { ...cache.config, maxSizeMB: (newest.bytes + 1) / (1024 * 1024) };
+      cache.prune();
+      const kept = cache.list().map(item => item.key);
+      if (kept.length !== 1 || kept[0] !== newest.key) failures.push(`size limit kept ${kept.length} entries`);
+
+      return {
+        success: failures.length === 0,
+        error: failures.length > 0 ? `Cache mismatches: ${failures.join(', ')}` : null,
+        result: stats
+      };
+    } finally {
+      divineCompletion.cache = previousCache;
+      authManager.currentProvider = previousProvider;
+      authManager.profiles = previousProfiles;
+      if (previousCredentials) {
+        authManager.credentials.set(provider, previousCredentials);
+      } else {
+        authManager.credentials.delete(provider);
+      }
+      await new Promise(resolve => server.close(resolve));
+    }
+  }
+
+  async testOutputContracts(test) {
+    const { god, task, provider, answers } = test.input;
+    const expected = test.expectedOutput;
+    const failures = [];
+
+    // Offline gods answer in their role's contract without any repair
+    for (const [name, contract] of Object.entries(expected.offlineContracts)) {
+      const offline = await ashvatthaTree.invokeGod(name, task, {}, { contract: true });
+      if (offline.structured?.contract !== contract || offline.structured.attempts !== 1) failures.push(`${name} offline answer not in ${contract} contract`);
+    }
+
+    // Prose first, then JSON with a bad severity and a missing field, then a conforming answer
+    const prompts = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        prompts.push(JSON.parse(body).messages.at(-1).content);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          model: 'mock-model',
+          choices: [{ message: { role: 'assistant', content: answers[Math.min(prompts.length, answers.length) - 1] } }],
+          usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+        }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const previousProvider = authManager.currentProvider;
+    const previousCredentials = authManager.credentials.get(provider);
+    const previousProfiles = authManager.profiles;
+    authManager.profiles = { resolve: () => null };
+    authManager.credentials.set(provider, { apiKey: 'sk-test-key', baseUrl: `http://127.0.0.1:${server.address().port}/v1`, provider });
+    authManager.currentProvider = provider;
+
+    try {
+      const result = await ashvatthaTree.invokeGod(god, task, {}, { contract: true, cache: false });
+      const { contract, data, attempts } = result.structured;
+      const blocking = findingsAtLeast(data.findings).map(finding => finding.title);
+
+      if (contract !== 'security' || attempts !== expected.attempts || prompts.length !== expected.requests) {
+        failures.push(`${contract} contract after ${attempts} attempts and ${prompts.length} requests`);
+      }
+      if (!prompts[1]?.includes('no JSON object found') || !prompts[2]?.includes('$.findings[0].severity: must be one of')) {
+        failures.push('repair prompts did not carry the validation errors');
+      }
+      if (JSON.stringify(blocking) !== JSON.stringify(expected.blocking)) failures.push(`blocking findings ${blocking.join(', ')}`);
+      if (result.usage.promptTokens !== 10 * attempts) failures.push('usage not summed over attempts');
+
+      // Without repairs the first non-conforming answer is a contract violation
+      prompts.length = 0;
+      let violation = null;
+      try {
+        await ashvatthaTree.invokeGod(god, task, {}, { contract: 'security', repairs: 0, cache: false });
+      } catch (error) {
+        violation = error;
+      }
+      if (violation?.code !== 'contract_violation' || prompts.length !== 1) failures.push('non-conforming answer accepted without repair');
+
+      return {
+        success: failures.length === 0,
+        error: failures.length > 0 ? `Contract mismatches: ${failures.join(', ')}` : null,
+        result: { attempts, findings: data.findings.length, blocking }
+      };
+    } finally {
+      authManager.currentProvider = previousProvider;
+      authManager.profiles = previousProfiles;
+      if (previousCredentials) {
+        authManager.credentials.set(provider, previousCredentials);
+      } else {
+        authManager.credentials.delete(provider);
+      }
+      await new Promise(resolve => server.close(resolve));
+    }
+  }
+
+  async testPatchEngine(test) {
+    const { files, output, insertions, brokenOutput } = test.input;
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gaia-patch-'));
+    const outsideDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gaia-outside-'));
+
+    try {
+      for (const [file, content] of Object.entries(files)) {
+        await fs.outputFile(path.join(workDir, file), content);
+      }
+
+      const engine = new PatchEngine(workDir);
+      await engine.apply(output);
+
+      const matches = await Promise.all(Object.entries(test.expectedOutput.files).map(async ([file, content]) =>
+        (await fs.readFile(path.join(workDir, file), 'utf-8')) === content
+      ));
+      const applied = matches.every(Boolean);
+
+      // Zero-context insertions land after line oldStart (line 0 is the top of the file)
+      const inserted = [];
+      for (const { file, content, diff, expected } of insertions) {
+        await fs.outputFile(path.join(workDir, file), content);
+        await engine.apply(engine.parseUnifiedDiff(diff));
+        inserted.push((await fs.readFile(path.join(workDir, file), 'utf-8')) === expected);
+      }
+
+      // A failing hunk must leave every file untouched
+      let rejected = false;
+      try {
+        await engine.apply(brokenOutput);
+      } catch (error) {
+        rejected = error.message.includes('Hunk 1 does not apply');
+      }
+      const untouched = (await Promise.all(
+        test.expectedOutput.untouchedOnFailure.map(file => fs.pathExists(path.join(workDir, file)))
+      )).every(exists => !exists);
+      const sumIntact = (await fs.readFile(path.join(workDir, 'src/sum.js'), 'utf-8')) === test.expectedOutput.files['src/sum.js'];
+
+      // '..notes' is an ordinary name; '..' and symlinks out of the tree (even dangling ones) are refused
+      await fs.symlink(outsideDir, path.join(workDir, 'escape'));
+      await fs.symlink(path.join(outsideDir, 'missing.js'), path.join(workDir, 'dangling.js'));
+      const refuses = file => { try { engine.resolvePath(file); return false; } catch (error) { return true; } };
+      const contained = !refuses('..notes.md') && !refuses('src/..hidden/x.js') && refuses('../x.js') &&
+        refuses('escape/evil.js') && refuses('escape/new/dir/evil.js') && refuses('dangling.js');
+
+      return {
+        success: applied && inserted.every(Boolean) && rejected && untouched && sumIntact && contained,
+        error: !applied ? 'Patched files do not match expected content' :
+               !inserted.every(Boolean) ? `Insertions landed in the wrong place: ${insertions.filter((_, i) => !inserted[i]).map(({ file }) => file).join(', ')}` :
+               !rejected ? 'Broken hunk was not rejected' :
+               !untouched || !sumIntact ? 'Failed patch modified the working tree' :
+               !contained ? 'Patch paths escaped (or wrongly refused) the working tree' : null
+      };
+    } finally {
+      await fs.remove(workDir);
+      await fs.remove(outsideDir);
+    }
+  }
+
   async attemptAutoFix(test, error) {
     console.log(chalk.yellow('🔧 Attempting auto-fix...'));
     
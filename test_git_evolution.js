@@ -5,9 +5,26 @@
  * Tests the M1-optimized evolutionary algorithms and git branch mutations
  */
 
-import { readFileSync } from 'fs';
+import { readFileSync, mkdtempSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
 import chalk from 'chalk';
+import simpleGit from 'simple-git';
 import GitEvolutionEngine from './|_trunk/heartwood/GitEvolutionEngine.js';
+import MutationBrancher from './|_trunk/heartwood/MutationBrancher.js';
+import WorktreeManager from './|_trunk/heartwood/WorktreeManager.js';
+import EvolutionMerger from './|_trunk/heartwood/EvolutionMerger.js';
+import EvolutionBirther from './|_trunk/heartwood/EvolutionBirther.js';
+import { TestFitness, parseTestOutput } from './|_trunk/heartwood/TestFitness.js';
+import { EvolutionPlan } from './|_trunk/heartwood/EvolutionPlan.js';
+import { authManager } from './|_trunk/auth/AuthManager.js';
+import { EnvCredentials } from './|_trunk/auth/EnvCredentials.js';
+import { divineCompletion } from './|_trunk/core/DivineCompletion.js';
+import { UsageLedger } from './|_trunk/core/UsageLedger.js';
+import { ResponseCache } from './|_trunk/core/ResponseCache.js';
+import { BalanceLedger } from './|_trunk/core/BalanceLedger.js';
+import { treeCoordinator } from './|_trunk/core/TreeCoordinator.js';
 import { logger } from './|_trunk/core/Logger.js';
 
 // Load test configurations
@@ -17,6 +34,14 @@ const evolutionTests = testsConfig.tests.filter(test => test.category === 'evolu
 class GitEvolutionTester {
   constructor() {
     this.engine = new GitEvolutionEngine();
+
+    // God invocations during evolution stay out of the project's .gaia and never reach a real provider
+    this.stateDir = mkdtempSync(path.join(os.tmpdir(), 'gaia-evolution-state-'));
+    divineCompletion.usage = new UsageLedger(path.join(this.stateDir, 'usage.jsonl'), { budget: {} });
+    divineCompletion.cache = new ResponseCache(path.join(this.stateDir, 'cache'), { enabled: false });
+    treeCoordinator.ledger = new BalanceLedger(this.stateDir);
+    process.env.GAIA_EVOLUTION_FILE = path.join(this.stateDir, 'evolution.json');
+    authManager.envCredentials = new EnvCredentials({});
     this.passed = 0;
     this.failed = 0;
     this.autoFixed = 0;
@@ -30,6 +55,7 @@ class GitEvolutionTester {
       await this.runTest(test);
     }
 
+    rmSync(this.stateDir, { recursive: true, force: true });
     this.printResults();
   }
 
@@ -43,6 +69,24 @@ class GitEvolutionTester {
         case 'evolution_001':
           result = await this.testBasicEvolution(test);
           break;
+        case 'evolution_002':
+          result = await this.testDiffFitness(test);
+          break;
+        case 'evolution_003':
+          result = await this.testTestSuiteFitness(test);
+          break;
+        case 'evolution_004':
+          result = await this.testIsolatedEvolution(test);
+          break;
+        case 'evolution_005':
+          result = await this.testDryRunPlans(test);
+          break;
+        case 'evolution_006':
+          result = await this.testPersistentState(test);
+          break;
+        case 'evolution_007':
+          result = await this.testCheckoutUntouched(test);
+          break;
         default:
           throw new Error(`Unknown test: ${test.id}`);
       }
@@ -109,6 +153,421 @@ function optimizeMe() {
     };
   }
 
+  async testDiffFitness(test) {
+    const { base, mutated } = test.input;
+    const { minFitness, testsAdded, lintFixed } = test.expectedOutput;
+    const repoDir = mkdtempSync(path.join(os.tmpdir(), 'gaia-fitness-'));
+
+    try {
+      const git = simpleGit(repoDir);
+      await git.init();
+      await git.addConfig('user.name', 'Gaia Test');
+      await git.addConfig('user.email', 'gaia@example.com');
+      await git.checkoutLocalBranch('main');
+
+      const commitFiles = async (files, message) => {
+        for (const [file, content] of Object.entries(files)) {
+          await fs.outputFile(path.join(repoDir, file), content);
+        }
+        await git.add('.');
+        await git.commit(message);
+      };
+
+      await commitFiles(base, 'base');
+      await git.checkoutLocalBranch('mutation/fitness');
+      await commitFiles(mutated, 'mutation');
+      await git.checkout('main');
+
+      // Same diff, same score and breakdown on every run
+      const engine = new GitEvolutionEngine(repoDir);
+      const mutation = { id: 'fitness', baseBranch: 'main', branchName: 'mutation/fitness' };
+      const first = await engine.calculateFitness(mutation);
+      const breakdown = mutation.fitnessBreakdown;
+      const second = await engine.calculateFitness(mutation);
+      const deterministic = first === second && JSON.stringify(breakdown) === JSON.stringify(mutation.fitnessBreakdown);
+
+      const scored = first >= minFitness && breakdown.tests.after - breakdown.tests.before === testsAdded &&
+        breakdown.lint.before - breakdown.lint.after === lintFixed && breakdown.complexity.points > 0 && breakdown.tests.points > 0;
+
+      // A branch without changes has nothing to earn fitness with
+      await git.checkoutLocalBranch('mutation/empty');
+      const empty = { id: 'empty', baseBranch: 'main', branchName: 'mutation/empty' };
+      const unchanged = await engine.calculateFitness(empty) === 0 && empty.fitnessBreakdown.empty === true;
+
+      return {
+        success: deterministic && scored && unchanged,
+        error: !deterministic ? `Fitness not deterministic: ${first} vs ${second}` :
+               !scored ? `Unexpected breakdown: ${JSON.stringify(breakdown)}` :
+               !unchanged ? `Empty diff scored ${empty.fitnessBreakdown.fitness}` : null
+      };
+    } finally {
+      rmSync(repoDir, { recursive: true, force: true });
+    }
+  }
+
+  async testTestSuiteFitness(test) {
+    const { reports, base, mutated, command } = test.input;
+    const { counts, regression } = test.expectedOutput;
+    const repoDir = mkdtempSync(path.join(os.tmpdir(), 'gaia-tests-'));
+
+    try {
+      // Jest JSON, TAP and JUnit all reduce to the same counts
+      const parsed = Object.values(reports).map(report => parseTestOutput(report));
+      const parsedOk = parsed.every((result, index) => result?.format === Object.keys(reports)[index] &&
+        result.passed === counts.passed && result.failed === counts.failed && result.skipped === counts.skipped);
+
+      const git = simpleGit(repoDir);
+      await git.init();
+      await git.addConfig('user.name', 'Gaia Test');
+      await git.addConfig('user.email', 'gaia@example.com');
+      await git.checkoutLocalBranch('main');
+      for (const [file, content] of Object.entries(base)) await fs.outputFile(path.join(repoDir, file), content);
+      await git.add('.');
+      await git.commit('base');
+      await git.checkoutLocalBranch('mutation/tests');
+      for (const [file, content] of Object.entries(mutated)) await fs.outputFile(path.join(repoDir, file), content);
+      await git.add('.');
+      await git.commit('mutation');
+      await git.checkout('main');
+      await fs.writeJson(path.join(repoDir, '.gaiarc'), { fitness: { tests: { command } } });
+
+      // The broken test is named as a regression; fitness follows the pass rate and the merge is vetoed
+      const brancher = new MutationBrancher(repoDir);
+      const mutation = {
+        id: 'tests', type: 'refactor', god: 'modi', baseBranch: 'main', branchName: 'mutation/tests',
+        created: new Date(), commits: [{}], changes: [], status: 'active', metadata: { realmBalance: 0 }
+      };
+      brancher.mutationBranches.set(mutation.id, mutation);
+      mutation.fitness = 100;
+      const scored = await brancher.calculateMutationFitness(mutation);
+      const { baseline, result, regressions } = mutation.testResults;
+      const detected = mutation.testResults.regressed && JSON.stringify(regressions) === JSON.stringify([regression]) &&
+        baseline.failed === 0 && result.failed === 1 && result.durationMs >= 0 && scored > 0 && scored < 100;
+      const vetoed = await brancher.mergeMutation(mutation.id, 'main', 0) === false &&
+        (await git.branchLocal()).current === 'main';
+
+      // The base stays untouched on disk and the throwaway checkouts are gone
+      const clean = (await git.raw(['worktree', 'list'])).trim().split('\n').length === 1;
+
+      // A hanging test command is stopped and counts against the mutation
+      const hanging = new TestFitness(repoDir, { command: 'node -e "setTimeout(() => {}, 60000)"', timeoutMs: 500 });
+      const run = await hanging.run(repoDir);
+      const timedOut = /timed out/.test(run.error) && run.failed === 1 && run.durationMs < 10000;
+
+      return {
+        success: parsedOk && detected && vetoed && clean && timedOut,
+        error: !parsedOk ? `Unexpected parse results: ${JSON.stringify(parsed.map(p => p && { ...p, tests: undefined }))}` :
+               !detected ? `Regression not detected: ${JSON.stringify({ scored, ...mutation.testResults })}` :
+               !vetoed ? 'Regressed mutation was merged' :
+               !clean ? 'Test worktrees left behind' :
+               !timedOut ? `Hanging test command not stopped: ${JSON.stringify(run)}` : null
+      };
+    } finally {
+      rmSync(repoDir, { recursive: true, force: true });
+    }
+  }
+
+  async testIsolatedEvolution(test) {
+    const { files, patches } = test.input;
+    const repoDir = mkdtempSync(path.join(os.tmpdir(), 'gaia-isolated-'));
+
+    try {
+      const git = simpleGit(repoDir);
+      await git.init();
+      await git.addConfig('user.name', 'Gaia Test');
+      await git.addConfig('user.email', 'gaia@example.com');
+      await git.checkoutLocalBranch('main');
+      for (const [file, content] of Object.entries(files)) await fs.outputFile(path.join(repoDir, file), content);
+      await git.add('.');
+      await git.commit('base');
+      await git.branch(['release']);
+
+      // Work in progress everywhere: a stash, a staged change, an unstaged change and an untracked file
+      await fs.appendFile(path.join(repoDir, 'src/app.js'), '// stashed\n');
+      await git.stash(['push', '-m', 'user stash']);
+      await fs.appendFile(path.join(repoDir, 'src/app.js'), '// staged\n');
+      await git.add('src/app.js');
+      await fs.appendFile(path.join(repoDir, 'notes.txt'), 'unstaged\n');
+      await fs.outputFile(path.join(repoDir, 'scratch.txt'), 'untracked\n');
+
+      const snapshot = () => checkoutSnapshot(git);
+      const before = await snapshot();
+
+      // Mutation commits hold the patch and nothing that was lying around
+      const engine = new GitEvolutionEngine(repoDir);
+      const mutation = await engine.createMutationBranch('isolated', 'Brahma');
+      await engine.evolveMutation('isolated', patches[0], 'Evolve in isolation');
+      const committed = (await git.raw(['diff', '--name-only', mutation.baseCommit, mutation.branchName])).trim();
+
+      // A free branch is merged into; the user's checked-out branch is left for them to merge
+      mutation.fitness = 100;
+      const merged = await engine.mergeMutation('isolated', 'release') === true &&
+        (await git.raw(['branch', '--contains', mutation.branchName, '--list', 'release'])).includes('release');
+      const second = await engine.createMutationBranch('checked_out', 'Brahma');
+      await engine.evolveMutation('checked_out', patches[1], 'Evolve against main');
+      second.fitness = 100;
+      const deferred = await engine.mergeMutation('checked_out', 'main') === false && second.status === 'ready';
+      await engine.releaseMutation('checked_out');
+
+      const untouched = await snapshot() === before;
+
+      // Mid-merge the engine will not start
+      await fs.writeFile(path.join(repoDir, '.git', 'MERGE_HEAD'), await git.raw(['rev-parse', 'HEAD']));
+      const refused = await engine.createMutationBranch('busy', 'Brahma').then(() => null, error => error);
+      const busy = refused?.code === 'repo_busy' && !(await git.branchLocal()).all.some(branch => branch.includes('busy'));
+
+      return {
+        success: committed === 'src/feature.js' && merged && deferred && untouched && busy,
+        error: committed !== 'src/feature.js' ? `Mutation committed unexpected files: ${committed}` :
+               !merged ? 'Mutation not merged into the free branch' :
+               !deferred ? `Checked-out target handled wrongly (status ${second.status})` :
+               !untouched ? 'User HEAD, index, working tree or stash changed' :
+               !busy ? `Started mid-merge: ${refused?.message || 'no error'}` : null
+      };
+    } finally {
+      rmSync(repoDir, { recursive: true, force: true });
+    }
+  }
+
+  async testDryRunPlans(test) {
+    const { files, patch, mutations, pruneThreshold } = test.input;
+    const expected = test.expectedOutput;
+    const repoDir = mkdtempSync(path.join(os.tmpdir(), 'gaia-dryrun-'));
+    const stateFile = process.env.GAIA_EVOLUTION_FILE;
+    process.env.GAIA_EVOLUTION_FILE = path.join(repoDir, '.git', 'gaia-evolution.json'); // this repo's state only
+
+    try {
+      const git = simpleGit(repoDir);
+      await git.init();
+      await git.addConfig('user.name', 'Gaia Test');
+      await git.addConfig('user.email', 'gaia@example.com');
+      await git.checkoutLocalBranch('main');
+      for (const [file, content] of Object.entries(files)) await fs.outputFile(path.join(repoDir, file), content);
+      await git.add('.');
+      await git.commit('base');
+
+      // One branch per mutation, then main and release move on so the mutation touching src/app.js conflicts
+      for (const { name, file } of mutations) {
+        await git.checkout(['-b', `mutation/${name}`, 'main']);
+        await fs.outputFile(path.join(repoDir, file), `export const ${name} = () => '${name}';\n`);
+        await git.add('.');
+        await git.commit(`mutation ${name}`);
+      }
+      await git.checkout('main');
+      await fs.outputFile(path.join(repoDir, 'src/app.js'), "export const app = () => 'moved on';\n");
+      await git.add('.');
+      await git.commit('main moves on');
+      await git.branch(['release']);
+      await fs.appendFile(path.join(repoDir, 'notes.txt'), 'unstaged\n');
+
+      // Planning must not even create a branch or worktree
+      const snapshot = () => checkoutSnapshot(git, [['for-each-ref'], ['worktree', 'list', '--porcelain']]);
+      const before = await snapshot();
+      const steps = (plan, action) => plan.steps.filter(step => step.action === action);
+      const records = mutations.map(({ name, fitness }) => ({
+        id: name, branchName: `mutation/${name}`, baseBranch: 'main', god: 'thor', status: 'active', fitness
+      }));
+
+      // Evolve: the patch's files are committed on a new branch in a new worktree, then merged into a free branch
+      const engine = new GitEvolutionEngine(repoDir);
+      const evolvePlan = await engine.planMutation(new EvolutionPlan('evolve'), 'planned', 'Brahma', patch, 'Planned evolution', 'release');
+      const evolveOk = steps(evolvePlan, 'create_branch').length === 1 && steps(evolvePlan, 'create_worktree').length === 1 &&
+        JSON.stringify(steps(evolvePlan, 'commit')[0]?.files) === JSON.stringify(expected.committed) &&
+        steps(evolvePlan, 'merge')[0]?.threshold === engine.mergeThreshold;
+
+      // Merge: strategy from the previewed conflict, each decision with the fitness behind it
+      const merger = new EvolutionMerger(repoDir);
+      const mergePlan = await merger.executeIntelligentMerge(records, 'auto', 'release', { dryRun: true });
+      const mergeOk = mergePlan.details.strategy === expected.strategy &&
+        JSON.stringify(steps(mergePlan, 'merge').map(step => step.branch)) === JSON.stringify(expected.merges) &&
+        steps(mergePlan, 'skip').every(step => typeof step.fitness === 'number');
+
+      // Prune: low fitness deleted, the rest kept
+      const brancher = new MutationBrancher(repoDir);
+      records.forEach(record => brancher.mutationBranches.set(record.id, record));
+      const prunePlan = await brancher.pruneLowFitnessMutations(pruneThreshold, { dryRun: true });
+      const pruneOk = JSON.stringify(steps(prunePlan, 'delete_branch').map(step => step.branch)) === JSON.stringify(expected.prunes) &&
+        steps(prunePlan, 'keep').length === mutations.length - expected.prunes.length;
+
+      // Birth: the genesis generation's mutation branches and worktrees
+      const birthPlan = await new EvolutionBirther(repoDir).birthNewLineage('main', null, 'hybrid', { dryRun: true });
+      const birthOk = steps(birthPlan, 'create_worktree').length === expected.birthWorktrees;
+
+      const planJson = JSON.parse(JSON.stringify(mergePlan));
+      const untouched = await snapshot() === before;
+
+      return {
+        success: evolveOk && mergeOk && pruneOk && birthOk && planJson.dryRun === true && untouched,
+        error: !evolveOk ? `Evolve plan wrong: ${evolvePlan.steps.map(step => step.description).join('; ')}` :
+               !mergeOk ? `Merge plan wrong: ${mergePlan.steps.map(step => step.description).join('; ')}` :
+               !pruneOk ? `Prune plan wrong: ${prunePlan.steps.map(step => step.description).join('; ')}` :
+               !birthOk ? `Birth plan wrong: ${birthPlan.steps.map(step => step.description).join('; ')}` :
+               planJson.dryRun !== true ? 'Plan JSON is not marked as a dry run' :
+               !untouched ? 'A dry run changed branches, worktrees or the working tree' : null
+      };
+    } finally {
+      process.env.GAIA_EVOLUTION_FILE = stateFile;
+      rmSync(repoDir, { recursive: true, force: true });
+    }
+  }
+
+  async testPersistentState(test) {
+    const { files, patch, orphans } = test.input;
+    const expected = test.expectedOutput;
+    const repoDir = mkdtempSync(path.join(os.tmpdir(), 'gaia-state-'));
+    const stateFile = process.env.GAIA_EVOLUTION_FILE;
+    process.env.GAIA_EVOLUTION_FILE = path.join(repoDir, '.git', 'gaia-evolution.json'); // this repo's state only
+
+    try {
+      const git = simpleGit(repoDir);
+      await git.init();
+      await git.addConfig('user.name', 'Gaia Test');
+      await git.addConfig('user.email', 'gaia@example.com');
+      await git.checkoutLocalBranch('trunk'); // not main: adopted branches must use the recorded base
+      for (const [file, content] of Object.entries(files)) await fs.outputFile(path.join(repoDir, file), content);
+      await git.add('.');
+      await git.commit('base');
+
+      // A mutation evolved by one process is there, scored, for the next
+      const first = new GitEvolutionEngine(repoDir);
+      const mutation = await first.createMutationBranch('persisted', 'Brahma');
+      await first.evolveMutation('persisted', patch, 'Persisted evolution');
+      await first.releaseMutation('persisted');
+      const reloaded = new GitEvolutionEngine(repoDir).mutationBranches.get('persisted');
+      const restored = reloaded?.fitness === mutation.fitness && reloaded.created instanceof Date && reloaded.worktreePath === null;
+
+      // Drift: the persisted branch is deleted by hand, branches nobody recorded appear
+      await git.raw(['branch', '-D', mutation.branchName]);
+      for (const { branch, file } of orphans) {
+        await git.checkout(['-b', branch, 'trunk']);
+        await fs.outputFile(path.join(repoDir, file), `export const orphan = () => '${branch}';\n`);
+        await git.add('.');
+        await git.commit(`orphan ${branch}`);
+      }
+
+      // Reconcile runs with another branch checked out: adopted branches still measure against trunk
+      await git.checkout(['-b', 'side', 'trunk']);
+      await fs.outputFile(path.join(repoDir, 'src/side.js'), 'export const side = true;\n');
+      await git.add('.');
+      await git.commit('side work');
+
+      const engine = new GitEvolutionEngine(repoDir);
+      const rebuilt = await engine.reconcileState();
+      const repaired = await engine.reconcileState({ repair: true });
+      const adopted = new GitEvolutionEngine(repoDir).mutationBranches.get(expected.recovered[0]);
+      const brancher = new MutationBrancher(repoDir);
+      const branches = await brancher.reconcileState();
+      const worktree = await new WorktreeManager(repoDir).adoptWorktree('evolution/orphan');
+
+      const recoveredOk = JSON.stringify(rebuilt.adopted) === JSON.stringify(expected.recovered) && adopted?.recovered === true &&
+        adopted.fitness > 0 && adopted.status === 'active' && adopted.baseBranch === 'trunk' &&
+        adopted.baseCommit === (await git.revparse(['trunk'])).trim();
+
+      const driftOk = JSON.stringify(rebuilt.missing) === JSON.stringify(expected.forgotten) &&
+        JSON.stringify(repaired.forgotten) === JSON.stringify(expected.forgotten);
+      const branchesOk = JSON.stringify(branches.adopted) === JSON.stringify(expected.branchRecovered) &&
+        brancher.mutationBranches.get(expected.branchRecovered[0])?.baseBranch === 'trunk' && worktree.baseBranch === 'trunk';
+
+      // Without a state file, the first prune in a new process still finds the orphaned branches
+      await fs.remove(process.env.GAIA_EVOLUTION_FILE);
+      const restarted = new GitEvolutionEngine(repoDir);
+      await restarted.pruneFailedMutations(0);
+      const resynced = restarted.mutationBranches.has(expected.recovered[0]);
+
+      return {
+        success: restored && recoveredOk && driftOk && branchesOk && resynced,
+        error: !restored ? `State not restored: ${JSON.stringify(reloaded)}` :
+               !recoveredOk ? `Orphaned branch not recovered: ${JSON.stringify(rebuilt)} ${JSON.stringify(adopted)}` :
+               !driftOk ? `Deleted branch not forgotten: ${JSON.stringify(rebuilt)} then ${JSON.stringify(repaired)}` :
+               !branchesOk ? `Mutation branch not recovered from trunk: ${JSON.stringify(branches)} ${worktree.baseBranch}` :
+               !resynced ? 'Orphaned branch not picked up before pruning' : null
+      };
+    } finally {
+      process.env.GAIA_EVOLUTION_FILE = stateFile;
+      rmSync(repoDir, { recursive: true, force: true });
+    }
+  }
+
+  async testCheckoutUntouched(test) {
+    const { files, patch } = test.input;
+    const expected = test.expectedOutput;
+    const repoDir = mkdtempSync(path.join(os.tmpdir(), 'gaia-untouched-'));
+    const stateFile = process.env.GAIA_EVOLUTION_FILE;
+    process.env.GAIA_EVOLUTION_FILE = path.join(repoDir, '.git', 'gaia-evolution.json'); // this repo's state only
+
+    try {
+      const git = simpleGit(repoDir);
+      await git.init();
+      await git.addConfig('user.name', 'Gaia Test');
+      await git.addConfig('user.email', 'gaia@example.com');
+      await git.checkoutLocalBranch('main');
+      for (const [file, content] of Object.entries(files)) await fs.outputFile(path.join(repoDir, file), content);
+      await git.add('.');
+      await git.commit('base');
+      await git.branch(['release']);
+
+      // A dirty repo: a staged change, an unstaged change and an untracked file
+      await fs.appendFile(path.join(repoDir, 'src/app.js'), '// staged\n');
+      await git.add('src/app.js');
+      await fs.appendFile(path.join(repoDir, 'notes.txt'), 'unstaged\n');
+      await fs.outputFile(path.join(repoDir, 'scratch.txt'), 'untracked\n');
+
+      const snapshot = () => checkoutSnapshot(git);
+      const before = await snapshot();
+
+      // MutationBrancher: branch, commit and merge into the free branch; the checked-out one is left ready
+      const brancher = new MutationBrancher(repoDir);
+      const mutation = await brancher.createMutationBranch('refactor', 'main', 'thor');
+      await brancher.applyMutationChanges(mutation.id, [patch], 'Refactor in isolation');
+      const committed = (await git.raw(['diff', '--name-only', 'main', mutation.branchName])).trim();
+      const merged = await brancher.mergeMutation(mutation.id, 'release', 0) === true &&
+        (await git.raw(['branch', '--contains', mutation.branchName, '--list', 'release'])).includes('release');
+      const second = await brancher.createMutationBranch('cleanup', 'main', 'vidar');
+      await brancher.applyMutationChanges(second.id, [patch.replace(/feature/g, 'cleanup')], 'Cleanup in isolation');
+      const deferred = await brancher.mergeMutation(second.id, 'main', 0) === false && second.status === 'ready';
+
+      // WorktreeManager: the evolution branch gets its own worktree
+      const worktrees = new WorktreeManager(repoDir);
+      const worktree = await worktrees.createEvolutionWorktree('untouched', 'main', 'Brahma');
+      await worktrees.cleanupWorktree(worktree.id);
+
+      // EvolutionMerger: conflicts found and merges made without touching the checkout
+      const merger = new EvolutionMerger(repoDir);
+      const record = await merger.executeIntelligentMerge([{ ...second, fitness: 90 }], 'fitness_based', 'release');
+      const mergerOk = record.results.merged === 1 &&
+        (await git.raw(['branch', '--contains', second.branchName, '--list', 'release'])).includes('release');
+      const deferredMerge = await merger.executeIntelligentMerge([{ ...second, fitness: 90 }], 'fitness_based', 'main');
+      const mergerDeferred = deferredMerge.results.merged === 0 && deferredMerge.ready?.[0] === second.id;
+
+      const untouched = await snapshot() === before;
+      const worktreesGone = (await git.raw(['worktree', 'list', '--porcelain'])).split('\n').filter(line => line.startsWith('worktree ')).length === 1;
+
+      // Mid-merge none of them will start
+      await fs.writeFile(path.join(repoDir, '.git', 'MERGE_HEAD'), await git.raw(['rev-parse', 'HEAD']));
+      const refusals = await Promise.all([
+        brancher.createMutationBranch('debug', 'main', 'thor'),
+        worktrees.createEvolutionWorktree('busy', 'main', 'Brahma'),
+        merger.executeIntelligentMerge([{ ...second, fitness: 90 }], 'fitness_based', 'release')
+      ].map(attempt => attempt.then(() => null, error => error?.code)));
+      const busy = JSON.stringify(refusals) === JSON.stringify(expected.refusals);
+
+      return {
+        success: committed === expected.committed && merged && deferred && mergerOk && mergerDeferred && untouched && worktreesGone && busy,
+        error: committed !== expected.committed ? `Mutation committed unexpected files: ${committed}` :
+               !merged ? 'MutationBrancher did not merge into the free branch' :
+               !deferred ? `MutationBrancher handled a checked-out target wrongly (status ${second.status})` :
+               !mergerOk ? `EvolutionMerger did not merge into the free branch: ${JSON.stringify(record.results)}` :
+               !mergerDeferred ? `EvolutionMerger handled a checked-out target wrongly: ${JSON.stringify(deferredMerge.results)}` :
+               !untouched ? 'User HEAD, index or working tree changed' :
+               !worktreesGone ? 'Worktrees left behind' :
+               !busy ? `Started mid-merge: ${JSON.stringify(refusals)}` : null
+      };
+    } finally {
+      process.env.GAIA_EVOLUTION_FILE = stateFile;
+      rmSync(repoDir, { recursive: true, force: true });
+    }
+  }
+
   async attemptAutoFix(test, error) {
     console.log(chalk.yellow('🔧 Attempting auto-fix...'));
     
@@ -154,6 +613,23 @@ function optimizeMe() {
   }
 }
 
+// The user's checkout as one comparable string: HEAD, current branch, status, staged and unstaged diffs and stashes,
+// plus the output of any extra git commands
+async function checkoutSnapshot(git, extra = []) {
+  const commands = [
+    ['rev-parse', 'HEAD'],
+    ['rev-parse', '--abbrev-ref', 'HEAD'],
+    ['status', '--porcelain', '--untracked-files=all'],
+    ['diff', '--cached'],
+    ['diff'],
+    ['stash', 'list'],
+    ...extra
+  ];
+  const outputs = [];
+  for (const command of commands) outputs.push(await git.raw(command));
+  return JSON.stringify(outputs);
+}
+
 // Main execution
 async function main() {
   try {
@@ -9,6 +9,13 @@ import inquirer from 'inquirer';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { providerRegistry } from './providers/ProviderRegistry.js';
+import { CredentialVault } from './CredentialVault.js';
+import { HealthProbe } from './HealthProbe.js';
+import { ProfileManager } from './ProfileManager.js';
+import { EnvCredentials, ENV_CREDENTIALS } from './EnvCredentials.js';
+import { loadProjectConfig } from '../core/ProjectConfig.js';
+import { outputMode } from '../core/OutputMode.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -16,9 +23,13 @@ const __dirname = path.dirname(__filename);
 export class AuthManager extends EventEmitter {
   constructor() {
     super();
-    this.configPath = path.join(__dirname, '../../.gaia-auth.json');
+    this.vault = new CredentialVault();
+    this.healthProbe = new HealthProbe(); // replaceable, e.g. to probe a stub server
+    this.legacyConfigPath = path.join(__dirname, '../../.gaia-auth.json');
     this.currentProvider = null;
     this.credentials = new Map();
+    this.locked = false; // vault present but no passphrase/key supplied yet
+    this.pendingMigration = false; // plaintext legacy config awaiting encryption
     this.supportedProviders = [
       'deepinfra',
       'anthropic',
@@ -26,26 +37,41 @@ export class AuthManager extends EventEmitter {
       'local',
       'divine' // Special divine intervention mode
     ];
+    this.profiles = new ProfileManager(undefined, this.supportedProviders);
+    this.envCredentials = new EnvCredentials();
+    this.profileWarnings = new Set(); // unknown profiles already reported this run
     
-    this.loadConfig();
+    this.ready = this.loadConfig();
     console.log(chalk.cyan('🔐 Authentication Manager initialized'));
   }
 
+  // Encrypted vault location (defaults to ~/.gaia/auth.json)
+  get configPath() {
+    return this.vault.vaultPath;
+  }
+
+  set configPath(vaultPath) {
+    this.vault.vaultPath = vaultPath;
+  }
+
   // Load authentication config
   async loadConfig() {
     try {
-      if (await fs.pathExists(this.configPath)) {
-        const config = await fs.readJson(this.configPath);
-        this.currentProvider = config.currentProvider;
-        
-        // Load encrypted credentials (simplified for now)
-        if (config.credentials) {
-          for (const [provider, creds] of Object.entries(config.credentials)) {
-            this.credentials.set(provider, creds);
-          }
+      if (await this.vault.exists()) {
+        if (await this.vault.enforcePermissions()) {
+          console.warn(chalk.yellow(`⚠️  Auth config permissions were too open - reset to 0600 (${this.configPath})`));
+        }
+
+        const config = await this.vault.read();
+        this.applyConfig(config);
+
+        if (config.locked) {
+          console.log(chalk.yellow(`🔒 Credentials encrypted - current provider: ${this.currentProvider || 'none'} (unlock with GAIA_AUTH_PASSPHRASE or on first use)`));
+        } else {
+          console.log(chalk.green(`✅ Loaded config - Current provider: ${this.currentProvider || 'none'}`));
         }
-        
-        console.log(chalk.green(`✅ Loaded config - Current provider: ${this.currentProvider || 'none'}`));
+      } else if (await fs.pathExists(this.legacyConfigPath)) {
+        await this.migrateLegacyConfig();
       } else {
         console.log(chalk.yellow('⚠️  No auth config found, will create on first login'));
       }
@@ -54,17 +80,67 @@ export class AuthManager extends EventEmitter {
     }
   }
 
+  // Merge decrypted config into memory (in-memory changes win)
+  applyConfig(config) {
+    this.locked = !!config.locked;
+    this.currentProvider = this.currentProvider || config.currentProvider;
+
+    for (const [provider, creds] of Object.entries(config.credentials || {})) {
+      if (!this.credentials.has(provider)) {
+        this.credentials.set(provider, creds);
+      }
+    }
+  }
+
+  // Import a plaintext .gaia-auth.json and encrypt it when a secret is available
+  async migrateLegacyConfig() {
+    const legacy = await fs.readJson(this.legacyConfigPath);
+    this.applyConfig({ currentProvider: legacy.currentProvider, credentials: legacy.credentials });
+    this.pendingMigration = true;
+
+    if (this.vault.peekSecret()) {
+      await this.saveConfig();
+    } else {
+      console.warn(chalk.yellow(`⚠️  Plaintext credentials found at ${this.legacyConfigPath} - they will be encrypted on next save (set GAIA_AUTH_PASSPHRASE to migrate now)`));
+    }
+  }
+
+  // Decrypt the vault (prompting on a TTY) and finish any pending migration
+  async unlock() {
+    await this.ready;
+
+    if (this.locked) {
+      this.applyConfig(await this.vault.read({ prompt: true }));
+      console.log(chalk.green('🔓 Credentials unlocked'));
+    }
+
+    if (this.pendingMigration && (this.vault.peekSecret() || outputMode.canPrompt())) {
+      await this.saveConfig();
+    }
+
+    return !this.locked;
+  }
+
   // Save authentication config
   async saveConfig() {
     try {
-      const config = {
+      // Never overwrite a vault we could not read
+      if (this.locked) {
+        await this.unlock();
+      }
+
+      await this.vault.write({
         currentProvider: this.currentProvider,
-        credentials: Object.fromEntries(this.credentials),
-        lastUpdated: new Date().toISOString()
-      };
-      
-      await fs.writeJson(this.configPath, config, { spaces: 2 });
-      console.log(chalk.green('✅ Authentication config saved'));
+        metadata: { providers: Array.from(this.credentials.keys()) },
+        secrets: { credentials: Object.fromEntries(this.credentials) }
+      });
+      console.log(chalk.green(`✅ Authentication config saved (encrypted, ${this.configPath})`));
+
+      if (this.pendingMigration) {
+        await fs.remove(this.legacyConfigPath);
+        this.pendingMigration = false;
+        console.log(chalk.green(`🔐 Migrated plaintext credentials from ${this.legacyConfigPath}`));
+      }
     } catch (error) {
       console.error(chalk.red(`❌ Failed to save auth config: ${error.message}`));
       throw error;
@@ -73,6 +149,19 @@ export class AuthManager extends EventEmitter {
 
   // Login to a provider
   async login(provider = null) {
+    await this.ready;
+
+    if (!provider && !outputMode.canPrompt()) {
+      throw new Error('No provider given - pass one with -p when not running interactively');
+    }
+
+    // Every provider but divine asks for credentials, so without a terminal (or under --json) it fails right away
+    if (ENV_CREDENTIALS[provider] && !outputMode.canPrompt()) {
+      const error = new Error(`Logging in to ${provider} asks for credentials - set ${ENV_CREDENTIALS[provider].apiKey} instead when not running interactively`);
+      error.code = 'not_interactive';
+      throw error;
+    }
+
     if (!provider) {
       const { selectedProvider } = await inquirer.prompt([{
         type: 'list',
@@ -191,31 +280,58 @@ export class AuthManager extends EventEmitter {
     };
   }
 
-  // Local model login
+  // Local model login: OpenAI-compatible server or Ollama, with the model picked from the server's list
   async loginLocal() {
-    const { baseUrl, model } = await inquirer.prompt([
-      {
-        type: 'input',
-        name: 'baseUrl',
-        message: 'Enter your local server URL:',
-        default: 'http://localhost:1234/v1'
-      },
-      {
-        type: 'input',
-        name: 'model',
-        message: 'Enter model name:',
-        default: 'local-model'
-      }
-    ]);
+    const { api } = await inquirer.prompt([{
+      type: 'list',
+      name: 'api',
+      message: 'Local server type:',
+      choices: [
+        { name: 'OpenAI-compatible (LM Studio, llama.cpp, vLLM)', value: 'openai' },
+        { name: 'Ollama', value: 'ollama' }
+      ]
+    }]);
+
+    const { baseUrl } = await inquirer.prompt([{
+      type: 'input',
+      name: 'baseUrl',
+      message: 'Enter your local server URL:',
+      default: api === 'ollama' ? 'http://localhost:11434' : 'http://localhost:1234/v1'
+    }]);
+
+    const models = await this.discoverModels('local', { baseUrl, api });
+    const { model } = await inquirer.prompt([models.length > 0 ? {
+      type: 'list',
+      name: 'model',
+      message: 'Select default model:',
+      choices: models
+    } : {
+      type: 'input',
+      name: 'model',
+      message: 'Enter model name:',
+      default: 'local-model'
+    }]);
 
     return {
       baseUrl,
+      api,
       model,
       provider: 'local',
       authenticated: new Date().toISOString()
     };
   }
 
+  // Models a provider offers (empty when the server cannot be reached)
+  async discoverModels(provider, credentials = {}) {
+    const result = await this.healthProbe.check(provider, credentials, { force: true });
+    if (!result.valid) {
+      console.log(chalk.yellow(`⚠️  Could not list ${provider} models: ${result.error}`));
+      return [];
+    }
+    console.log(chalk.green(`✅ Found ${result.models.length} model(s) on ${provider}`));
+    return result.models;
+  }
+
   // Divine intervention login (no credentials needed)
   async loginDivine() {
     console.log(chalk.magenta('🔮 Connecting to divine consciousness...'));
@@ -236,6 +352,12 @@ export class AuthManager extends EventEmitter {
 
   // Switch provider
   async switchProvider(newProvider = null) {
+    await this.unlock();
+
+    if (!newProvider && !outputMode.canPrompt()) {
+      throw new Error('No provider given - name the provider to switch to when not running interactively');
+    }
+
     if (!newProvider) {
       const providers = Array.from(this.credentials.keys());
       
@@ -265,6 +387,9 @@ export class AuthManager extends EventEmitter {
     }
 
     if (!this.credentials.has(newProvider)) {
+      if (!outputMode.canPrompt()) {
+        throw new Error(`Provider ${newProvider} is not configured - run gaia login -p ${newProvider}`);
+      }
       console.log(chalk.yellow(`⚠️  Provider ${newProvider} not configured. Logging in...`));
       return await this.login(newProvider);
     }
@@ -273,6 +398,11 @@ export class AuthManager extends EventEmitter {
     this.currentProvider = newProvider;
     
     await this.saveConfig();
+
+    // An explicit switch replaces the global default profile
+    if (this.profiles.load().currentProfile) {
+      await this.profiles.use(null);
+    }
     
     console.log(chalk.green(`🔄 Switched from ${oldProvider} to ${newProvider}`));
     this.emit('provider:switched', { from: oldProvider, to: newProvider });
@@ -280,17 +410,148 @@ export class AuthManager extends EventEmitter {
     return { from: oldProvider, to: newProvider };
   }
 
+  // Resolve provider, credentials and defaults (precedence documented in EnvCredentials.js).
+  // strict: an unknown profile throws (before a request); otherwise it warns and the default profile applies
+  getActiveConnection(cwd = process.cwd(), { strict = false } = {}) {
+    const selection = this.envCredentials.selection(cwd);
+    let profile = null;
+    let provider = null;
+    let source = null;
+    let providerSource = null;
+
+    if (selection.profile) {
+      const named = this.profiles.get(selection.profile.value);
+      if (named) {
+        profile = { ...named, source: 'env', sourcePath: selection.profile.source };
+      } else {
+        this.unknownProfile(`${selection.profile.source} selects unknown profile "${selection.profile.value}"`, strict);
+      }
+    } else if (selection.provider) {
+      provider = selection.provider.value;
+      source = 'env';
+      providerSource = selection.provider.source;
+      if (!this.supportedProviders.includes(provider)) {
+        throw new Error(`${providerSource} selects unsupported provider "${provider}"`);
+      }
+    }
+
+    if (!profile && !provider) {
+      profile = this.profiles.resolve(cwd, { onUnknownPin: message => this.unknownProfile(message, strict) });
+    }
+
+    if (profile) {
+      provider = profile.provider;
+      source = profile.source;
+      providerSource = `profile ${profile.name} (${profile.sourcePath})`;
+    } else if (!provider && this.currentProvider) {
+      provider = this.currentProvider;
+      source = 'provider';
+      providerSource = 'current provider (gaia login / switch)';
+    } else if (!provider) {
+      const detected = this.envCredentials.detectProvider(cwd);
+      if (!detected) return null;
+      provider = detected.provider;
+      source = 'detected';
+      providerSource = detected.source;
+    }
+
+    return this.connectionFor(provider, { profile, source, providerSource, cwd });
+  }
+
+  // An unknown profile fails a request; status and listings warn once and carry on with the default profile
+  unknownProfile(message, strict) {
+    if (strict) throw new Error(message);
+    if (this.profileWarnings.has(message)) return;
+
+    this.profileWarnings.add(message);
+    console.log(chalk.yellow(`⚠️  ${message}`));
+    console.log(chalk.gray('   Using the default profile until it exists'));
+  }
+
+  // Credentials and defaults for one provider (lowest to highest: vault, profile, .env, environment)
+  connectionFor(provider, { profile = null, source = 'fallback', providerSource = null, cwd = process.cwd() } = {}) {
+    const stored = this.credentials.get(provider);
+    const credentials = {};
+    const sources = { provider: providerSource || source };
+
+    for (const field of ['apiKey', 'baseUrl', 'model']) {
+      if (stored?.[field]) {
+        credentials[field] = stored[field];
+        sources[field] = 'encrypted vault';
+      }
+      if (profile?.[field]) {
+        credentials[field] = profile[field];
+        sources[field] = `profile ${profile.name}`;
+      }
+    }
+
+    const env = this.envCredentials.resolve(provider, cwd);
+    Object.assign(credentials, env.credentials);
+    Object.assign(sources, env.sources);
+
+    const keyless = ['local', 'divine'].includes(provider);
+
+    // Per-god models: .gaiarc "godModels" for this provider, then the profile's
+    const godModels = { ...(loadProjectConfig(cwd)?.config.godModels?.[provider] || {}), ...(profile?.godModels || {}) };
+
+    return {
+      provider,
+      profile: profile?.name || null,
+      source,
+      sourcePath: profile?.sourcePath || null,
+      credentials: { ...stored, ...credentials },
+      sources,
+      params: profile?.params || {},
+      godModels,
+      authenticated: !!stored || !!credentials.apiKey || keyless,
+      needsUnlock: this.locked && !credentials.apiKey && !keyless
+    };
+  }
+
+  // Providers to try after the active one: GAIA_FALLBACK_PROVIDERS, else .gaiarc "fallback". Without a list there is no
+  // fallback - having a key for a provider is not consent to send it every prompt
+  getFallbackConnections(primary, cwd = process.cwd()) {
+    const configured = this.envCredentials.lookup('GAIA_FALLBACK_PROVIDERS', cwd);
+    const pinned = loadProjectConfig(cwd)?.config.fallback;
+    let providers;
+    let providerSource;
+
+    if (configured) {
+      providers = configured.value.split(',').map(name => name.trim()).filter(Boolean);
+      providerSource = configured.source;
+    } else if (pinned !== undefined && pinned !== null) {
+      providers = [].concat(pinned);
+      providerSource = '.gaiarc fallback';
+    } else {
+      return [];
+    }
+
+    const unknown = providers.filter(provider => !this.supportedProviders.includes(provider));
+    if (unknown.length > 0) {
+      throw new Error(`${providerSource} lists unsupported provider${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')}`);
+    }
+
+    return [...new Set(providers)]
+      .filter(provider => provider !== primary?.provider)
+      .map(provider => this.connectionFor(provider, { source: 'fallback', providerSource, cwd }))
+      .filter(connection => connection.authenticated && !connection.needsUnlock);
+  }
+
   // Get current provider status
   getCurrentProvider() {
-    if (!this.currentProvider) {
+    const connection = this.getActiveConnection();
+    if (!connection) {
       return { provider: null, authenticated: false };
     }
 
-    const credentials = this.credentials.get(this.currentProvider);
     return {
-      provider: this.currentProvider,
-      authenticated: !!credentials,
-      credentials: credentials ? { ...credentials, apiKey: '***' } : null
+      provider: connection.provider,
+      profile: connection.profile,
+      source: connection.source,
+      authenticated: connection.authenticated,
+      locked: this.locked,
+      sources: connection.sources,
+      credentials: connection.authenticated ? { ...connection.credentials, apiKey: connection.credentials.apiKey ? '***' : undefined } : null
     };
   }
 
@@ -306,41 +567,45 @@ export class AuthManager extends EventEmitter {
     return icons[provider] || '🤖';
   }
 
-  // Validate current authentication
-  async validateAuth() {
-    if (!this.currentProvider) {
+  // Validate current authentication with a live provider probe (cached per credentials)
+  async validateAuth({ force = false } = {}) {
+    await this.ready;
+    let connection;
+    try {
+      connection = this.getActiveConnection();
+      if (connection?.needsUnlock) {
+        await this.unlock();
+        connection = this.getActiveConnection();
+      }
+    } catch (error) {
+      return { valid: false, error: error.message, errorClass: 'auth_config' };
+    }
+
+    if (!connection) {
       return { valid: false, error: 'No provider selected' };
     }
 
-    const credentials = this.credentials.get(this.currentProvider);
-    if (!credentials) {
+    if (!connection.authenticated) {
       return { valid: false, error: 'No credentials found' };
     }
 
-    // Provider-specific validation
-    try {
-      switch (this.currentProvider) {
-        case 'divine':
-          return { valid: true, message: '🔮 Divine connection active' };
-        
-        case 'local':
-          return { valid: true, message: '💻 Local connection ready' };
-        
-        default:
-          // For API providers, we'd normally test the connection
-          // For now, just check if credentials exist
-          return { 
-            valid: !!credentials.apiKey, 
-            message: credentials.apiKey ? 'API key present' : 'API key missing' 
-          };
-      }
-    } catch (error) {
-      return { valid: false, error: error.message };
+    const result = await this.healthProbe.check(connection.provider, connection.credentials, { force });
+    const icon = this.getProviderIcon(connection.provider);
+
+    if (result.valid) {
+      return {
+        ...result,
+        message: `${icon} ${connection.provider} reachable in ${result.latency}ms (${result.models.length} models)`
+      };
     }
+
+    return { ...result, error: `${result.errorClass}: ${result.error}` };
   }
 
   // Logout from current provider
   async logout() {
+    await this.unlock();
+
     if (!this.currentProvider) {
       console.log(chalk.yellow('⚠️  No active session to logout from'));
       return;
@@ -367,35 +632,11 @@ export class AuthManager extends EventEmitter {
       throw new Error('No credentials found for current provider');
     }
 
-    switch (this.currentProvider) {
-      case 'anthropic':
-        return {
-          'Authorization': `Bearer ${credentials.apiKey}`,
-          'Content-Type': 'application/json',
-          'anthropic-version': '2023-06-01'
-        };
-      
-      case 'openai':
-      case 'deepinfra':
-        return {
-          'Authorization': `Bearer ${credentials.apiKey}`,
-          'Content-Type': 'application/json'
-        };
-      
-      case 'local':
-        return {
-          'Content-Type': 'application/json'
-        };
-      
-      case 'divine':
-        return {
-          'Divine-Blessing': '🙏',
-          'Consciousness-Level': 'infinite'
-        };
-      
-      default:
-        throw new Error(`Unknown provider: ${this.currentProvider}`);
+    if (!providerRegistry.has(this.currentProvider)) {
+      throw new Error(`Unknown provider: ${this.currentProvider}`);
     }
+
+    return providerRegistry.get(this.currentProvider).getHeaders(credentials);
   }
 }
 
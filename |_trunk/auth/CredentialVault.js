@@ -0,0 +1,170 @@
+/**
+ * CredentialVault.js - Encrypted Credential Storage
+ * AES-256-GCM at rest with a scrypt key from a passphrase or env-supplied key.
+ * Lives under the user's home directory with 0600 permissions.
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import inquirer from 'inquirer';
+import { outputMode } from '../core/OutputMode.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+export const VAULT_VERSION = 2;
+const ALGORITHM = 'aes-256-gcm';
+
+// Default location: ~/.gaia/auth.json (override with GAIA_AUTH_CONFIG)
+export function defaultVaultPath() {
+  return process.env.GAIA_AUTH_CONFIG || path.join(os.homedir(), '.gaia', 'auth.json');
+}
+
+export class CredentialVault {
+  constructor(vaultPath = defaultVaultPath()) {
+    this.vaultPath = vaultPath;
+    this.secret = null; // cached passphrase/key for this process
+  }
+
+  // Secret from env: GAIA_AUTH_KEY wins over GAIA_AUTH_PASSPHRASE
+  getEnvSecret() {
+    if (process.env.GAIA_AUTH_KEY) return { secret: process.env.GAIA_AUTH_KEY, source: 'env-key' };
+    if (process.env.GAIA_AUTH_PASSPHRASE) return { secret: process.env.GAIA_AUTH_PASSPHRASE, source: 'passphrase' };
+    return null;
+  }
+
+  // Resolve the secret without prompting (null when only a prompt could provide it)
+  peekSecret() {
+    return this.secret || this.getEnvSecret();
+  }
+
+  // Resolve the secret, prompting on a TTY (outside --json) when nothing else provides it
+  async resolveSecret({ creating = false } = {}) {
+    const known = this.peekSecret();
+    if (known) return known;
+
+    if (!outputMode.canPrompt()) {
+      throw new Error('Credentials are encrypted: set GAIA_AUTH_PASSPHRASE or GAIA_AUTH_KEY to unlock them');
+    }
+
+    const questions = [{
+      type: 'password',
+      name: 'passphrase',
+      message: creating ? 'Create a passphrase to encrypt your credentials:' : 'Enter your credential passphrase:',
+      mask: '*',
+      validate: value => value.length >= 8 || 'Passphrase must be at least 8 characters'
+    }];
+
+    if (creating) {
+      questions.push({
+        type: 'password',
+        name: 'confirmation',
+        message: 'Confirm passphrase:',
+        mask: '*',
+        validate: (value, answers) => value === answers.passphrase || 'Passphrases do not match'
+      });
+    }
+
+    const { passphrase } = await inquirer.prompt(questions);
+    this.secret = { secret: passphrase, source: 'passphrase' };
+    return this.secret;
+  }
+
+  // Derive the AES key from the secret
+  async deriveKey(secret, salt) {
+    return scrypt(secret, salt, 32, { N: 16384, r: 8, p: 1 });
+  }
+
+  // Check whether a vault file exists
+  async exists() {
+    return fs.pathExists(this.vaultPath);
+  }
+
+  // Read vault metadata without decrypting
+  async readMetadata() {
+    const vault = await fs.readJson(this.vaultPath);
+    if (vault.version !== VAULT_VERSION || !vault.encryption) {
+      throw new Error(`Unsupported credential vault format in ${this.vaultPath}`);
+    }
+    return vault;
+  }
+
+  // Decrypt the vault: { currentProvider, credentials, profiles... }
+  async read({ prompt = false } = {}) {
+    const vault = await this.readMetadata();
+    const resolved = prompt ? await this.resolveSecret() : this.peekSecret();
+
+    if (!resolved) {
+      return { locked: true, currentProvider: vault.currentProvider || null, credentials: {} };
+    }
+
+    const { salt, iv, tag } = vault.encryption;
+    const key = await this.deriveKey(resolved.secret, Buffer.from(salt, 'base64'));
+
+    let plaintext;
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(tag, 'base64'));
+      plaintext = Buffer.concat([
+        decipher.update(Buffer.from(vault.credentials, 'base64')),
+        decipher.final()
+      ]).toString('utf-8');
+    } catch (error) {
+      if (resolved === this.secret) this.secret = null;
+      throw new Error('Unable to decrypt credentials: wrong passphrase or key');
+    }
+
+    this.secret = resolved;
+    return { locked: false, ...vault.metadata, currentProvider: vault.currentProvider || null, ...JSON.parse(plaintext) };
+  }
+
+  // Encrypt and write the vault with 0600 permissions
+  async write({ currentProvider = null, metadata = {}, secrets = {} }) {
+    const resolved = await this.resolveSecret({ creating: !(await this.exists()) });
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = await this.deriveKey(resolved.secret, salt);
+
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf-8'), cipher.final()]);
+
+    const vault = {
+      version: VAULT_VERSION,
+      currentProvider,
+      metadata,
+      lastUpdated: new Date().toISOString(),
+      encryption: {
+        algorithm: ALGORITHM,
+        kdf: 'scrypt',
+        keySource: resolved.source,
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64')
+      },
+      credentials: ciphertext.toString('base64')
+    };
+
+    await fs.ensureDir(path.dirname(this.vaultPath), { mode: 0o700 });
+    const tempPath = `${this.vaultPath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(vault, null, 2), { mode: 0o600 });
+    await fs.chmod(tempPath, 0o600);
+    await fs.rename(tempPath, this.vaultPath);
+
+    this.secret = resolved;
+  }
+
+  // Tighten permissions if someone loosened them (returns true when fixed)
+  async enforcePermissions() {
+    if (process.platform === 'win32' || !(await this.exists())) return false;
+
+    const { mode } = await fs.stat(this.vaultPath);
+    if ((mode & 0o077) === 0) return false;
+
+    await fs.chmod(this.vaultPath, 0o600);
+    return true;
+  }
+}
+
+export default CredentialVault;
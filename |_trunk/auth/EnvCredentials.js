@@ -0,0 +1,124 @@
+/**
+ * EnvCredentials.js - Environment Credential Sources
+ * Reads provider credentials from process env vars and a project .env (via dotenv)
+ * so CI and containers can run without an interactive login.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import dotenv from 'dotenv';
+
+// Env var names per provider and credential field
+export const ENV_CREDENTIALS = {
+  anthropic: { apiKey: 'ANTHROPIC_API_KEY', baseUrl: 'ANTHROPIC_BASE_URL' },
+  openai: { apiKey: 'OPENAI_API_KEY', baseUrl: 'OPENAI_BASE_URL' },
+  deepinfra: { apiKey: 'DEEPINFRA_API_KEY', baseUrl: 'DEEPINFRA_BASE_URL' },
+  local: { apiKey: 'GAIA_LOCAL_API_KEY', baseUrl: 'GAIA_LOCAL_BASE_URL', model: 'GAIA_LOCAL_MODEL', api: 'GAIA_LOCAL_API' }
+};
+
+// Provider auto-detection order when only env keys are available
+export const ENV_PROVIDER_ORDER = ['anthropic', 'openai', 'deepinfra'];
+
+// Documented precedence (highest first)
+export const PROVIDER_PRECEDENCE = [
+  'GAIA_PROFILE env var',
+  'GAIA_PROVIDER env var',
+  '.gaiarc profile pin',
+  'global profile (gaia provider use)',
+  'current provider (gaia login / switch)',
+  'first provider with an API key in env or .env',
+  'local server in GAIA_LOCAL_BASE_URL'
+];
+
+export const CREDENTIAL_PRECEDENCE = [
+  'process environment',
+  'project .env',
+  'profile (baseUrl, model)',
+  'encrypted vault (gaia login)'
+];
+
+export class EnvCredentials {
+  constructor(env = process.env) {
+    this.env = env;
+    this.dotenvCache = new Map();
+  }
+
+  // Nearest .env walking up from startDir, stopping at the repository root
+  loadDotenv(startDir = process.cwd()) {
+    const key = path.resolve(startDir);
+    if (this.dotenvCache.has(key)) return this.dotenvCache.get(key);
+
+    let dir = key;
+    let found = null;
+    while (true) {
+      const envPath = path.join(dir, '.env');
+      if (fs.existsSync(envPath)) {
+        found = { path: envPath, values: dotenv.parse(fs.readFileSync(envPath)) };
+        break;
+      }
+
+      const parent = path.dirname(dir);
+      if (fs.existsSync(path.join(dir, '.git')) || parent === dir) break;
+      dir = parent;
+    }
+
+    this.dotenvCache.set(key, found);
+    return found;
+  }
+
+  // Look up one variable: { value, source } from env, then .env
+  lookup(name, cwd = process.cwd()) {
+    if (this.env[name]) {
+      return { value: this.env[name], source: `env ${name}` };
+    }
+
+    const dotenvFile = this.loadDotenv(cwd);
+    if (dotenvFile?.values[name]) {
+      return { value: dotenvFile.values[name], source: `.env ${name} (${dotenvFile.path})` };
+    }
+
+    return null;
+  }
+
+  // Credentials for a provider: { credentials, sources }
+  resolve(provider, cwd = process.cwd()) {
+    const credentials = {};
+    const sources = {};
+
+    for (const [field, name] of Object.entries(ENV_CREDENTIALS[provider] || {})) {
+      const found = this.lookup(name, cwd);
+      if (found) {
+        credentials[field] = found.value;
+        sources[field] = found.source;
+      }
+    }
+
+    return { credentials, sources };
+  }
+
+  // GAIA_PROVIDER / GAIA_PROFILE selection
+  selection(cwd = process.cwd()) {
+    return {
+      profile: this.lookup('GAIA_PROFILE', cwd),
+      provider: this.lookup('GAIA_PROVIDER', cwd)
+    };
+  }
+
+  // First provider with an API key available from env or .env, else a local server URL
+  detectProvider(cwd = process.cwd()) {
+    for (const provider of ENV_PROVIDER_ORDER) {
+      const found = this.lookup(ENV_CREDENTIALS[provider].apiKey, cwd);
+      if (found) return { provider, source: found.source };
+    }
+
+    const local = this.lookup(ENV_CREDENTIALS.local.baseUrl, cwd);
+    return local ? { provider: 'local', source: local.source } : null;
+  }
+
+  // Forget parsed .env files
+  clear() {
+    this.dotenvCache.clear();
+  }
+}
+
+export default EnvCredentials;
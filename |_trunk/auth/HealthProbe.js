@@ -0,0 +1,107 @@
+/**
+ * HealthProbe.js - Provider Credential Health Probe
+ * Runs a provider-specific probe (model listing) with a timeout and caches results with a TTL
+ */
+
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import { providerRegistry } from './providers/ProviderRegistry.js';
+import { providerResilience } from './ProviderResilience.js';
+
+export class HealthProbe extends EventEmitter {
+  constructor({ probe = null, registry = providerRegistry, resilience = providerResilience, ttl = 5 * 60 * 1000, timeout = 10000 } = {}) {
+    super();
+    this.registry = registry;
+    this.resilience = resilience;
+    this.ttl = ttl;
+    this.timeout = timeout;
+    this.cache = new Map();
+
+    // Injectable probe: (provider, credentials, { signal }) => { latency, models, rateLimit, status }
+    // The default shares the provider's circuit breaker; a rate limit is itself the answer, so it is not retried
+    this.probe = probe || ((provider, credentials, options) => this.resilience.execute(
+      provider,
+      () => this.registry.get(provider).probe(credentials, options),
+      { signal: options.signal, action: 'probe', canRetry: error => error.code !== 'rate_limited' }
+    ));
+  }
+
+  // Cache key - never keeps the raw API key in memory twice
+  cacheKey(provider, credentials = {}) {
+    const fingerprint = crypto.createHash('sha256')
+      .update([provider, credentials.baseUrl || '', credentials.model || '', credentials.apiKey || ''].join('|'))
+      .digest('hex');
+    return `${provider}:${fingerprint.slice(0, 16)}`;
+  }
+
+  // Probe a provider, serving a cached result while it is fresh
+  async check(provider, credentials = {}, { force = false } = {}) {
+    const key = this.cacheKey(provider, credentials);
+    const cached = this.cache.get(key);
+
+    if (!force && cached && Date.now() - cached.checkedAt < this.ttl) {
+      return { ...cached, cached: true };
+    }
+
+    const result = await this.run(provider, credentials);
+    this.cache.set(key, result);
+    this.emit('probe:complete', result);
+
+    return { ...result, cached: false };
+  }
+
+  // Run the probe once, classifying failures
+  async run(provider, credentials) {
+    const controller = new AbortController();
+    const started = Date.now();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, this.timeout);
+
+    try {
+      const { latency, models = [], rateLimit = {}, status = null } = await this.probe(provider, credentials, {
+        signal: controller.signal
+      });
+
+      return {
+        valid: true,
+        provider,
+        latency: latency ?? Date.now() - started,
+        models,
+        rateLimit,
+        status,
+        errorClass: null,
+        error: null,
+        checkedAt: Date.now()
+      };
+    } catch (error) {
+      return {
+        valid: false,
+        provider,
+        latency: error.latency ?? Date.now() - started,
+        models: [],
+        rateLimit: error.rateLimit || {},
+        status: error.status || null,
+        errorClass: timedOut ? 'unreachable' : error.code || 'provider_error',
+        error: timedOut ? `${provider} probe timed out after ${this.timeout}ms` : error.message,
+        retryAfter: error.retryAfter || null,
+        checkedAt: Date.now()
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Drop cached results (all, or one provider's)
+  clear(provider = null) {
+    for (const key of this.cache.keys()) {
+      if (!provider || key.startsWith(`${provider}:`)) {
+        this.cache.delete(key);
+      }
+    }
+  }
+}
+
+export default HealthProbe;
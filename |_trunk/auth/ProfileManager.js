@@ -0,0 +1,152 @@
+/**
+ * ProfileManager.js - Named Provider Profiles
+ * Profiles bundle provider, model, base URL, per-god models and default parameters.
+ * Stored in ~/.gaia/profiles.json (no secrets); a repo .gaiarc can pin one.
+ */
+
+import { EventEmitter } from 'events';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { loadProjectConfig } from '../core/ProjectConfig.js';
+
+// Default location: ~/.gaia/profiles.json (override with GAIA_PROFILES_CONFIG)
+export function defaultProfilesPath() {
+  return process.env.GAIA_PROFILES_CONFIG || path.join(os.homedir(), '.gaia', 'profiles.json');
+}
+
+export class ProfileManager extends EventEmitter {
+  constructor(profilesPath = defaultProfilesPath(), supportedProviders = []) {
+    super();
+    this.profilesPath = profilesPath;
+    this.supportedProviders = supportedProviders;
+    this.profiles = new Map();
+    this.currentProfile = null;
+    this.loaded = false;
+  }
+
+  // Load profiles from disk (once, unless forced)
+  load({ force = false } = {}) {
+    if (this.loaded && !force) return this;
+
+    this.profiles.clear();
+    this.currentProfile = null;
+
+    if (fs.existsSync(this.profilesPath)) {
+      const stored = fs.readJsonSync(this.profilesPath);
+      for (const [name, profile] of Object.entries(stored.profiles || {})) {
+        this.profiles.set(name, { ...profile, name });
+      }
+      this.currentProfile = stored.currentProfile || null;
+    }
+
+    this.loaded = true;
+    return this;
+  }
+
+  // Persist profiles
+  async save() {
+    await fs.ensureDir(path.dirname(this.profilesPath));
+    await fs.writeJson(this.profilesPath, {
+      currentProfile: this.currentProfile,
+      profiles: Object.fromEntries(this.profiles),
+      lastUpdated: new Date().toISOString()
+    }, { spaces: 2 });
+  }
+
+  // Create or update a profile
+  async set(name, { provider, model, baseUrl, params, godModels } = {}) {
+    this.load();
+    const existing = this.profiles.get(name) || { name, params: {} };
+    const profile = {
+      ...existing,
+      provider: provider || existing.provider,
+      model: model ?? existing.model ?? null,
+      baseUrl: baseUrl ?? existing.baseUrl ?? null,
+      params: { ...existing.params, ...params }
+    };
+    if (godModels && Object.keys(godModels).length > 0) {
+      profile.godModels = { ...existing.godModels, ...godModels };
+    }
+
+    if (!/^[\w.-]+$/.test(name)) {
+      throw new Error(`Invalid profile name: ${name} (letters, digits, ".", "-" and "_" only)`);
+    }
+    if (!profile.provider) {
+      throw new Error(`Profile ${name} needs a provider (--provider)`);
+    }
+    if (this.supportedProviders.length > 0 && !this.supportedProviders.includes(profile.provider)) {
+      throw new Error(`Unsupported provider: ${profile.provider}`);
+    }
+
+    this.profiles.set(name, profile);
+    await this.save();
+    this.emit('profile:saved', profile);
+    return profile;
+  }
+
+  // Make a profile the global default
+  async use(name) {
+    this.load();
+    if (name !== null && !this.profiles.has(name)) {
+      throw new Error(`Unknown profile: ${name}`);
+    }
+
+    this.currentProfile = name;
+    await this.save();
+    this.emit('profile:selected', { name });
+  }
+
+  // Delete a profile
+  async remove(name) {
+    this.load();
+    if (!this.profiles.delete(name)) {
+      throw new Error(`Unknown profile: ${name}`);
+    }
+
+    if (this.currentProfile === name) {
+      this.currentProfile = null;
+    }
+
+    await this.save();
+    this.emit('profile:removed', { name });
+  }
+
+  // Look up a profile by name
+  get(name) {
+    this.load();
+    return this.profiles.get(name) || null;
+  }
+
+  // All profiles
+  list() {
+    this.load();
+    return Array.from(this.profiles.values());
+  }
+
+  // Active profile: .gaiarc pin wins over the global default
+  resolve(cwd = process.cwd(), { onUnknownPin = null } = {}) {
+    this.load();
+    const project = loadProjectConfig(cwd);
+
+    if (project?.config.profile) {
+      const pinned = this.profiles.get(project.config.profile);
+      if (pinned) {
+        return { ...pinned, source: 'gaiarc', sourcePath: project.path };
+      }
+
+      // Without onUnknownPin a dangling pin is fatal; with it the global default applies
+      const message = `${project.path} pins unknown profile "${project.config.profile}" - create it with gaia provider use ${project.config.profile} --provider <provider>`;
+      if (!onUnknownPin) throw new Error(message);
+      onUnknownPin(message);
+    }
+
+    if (this.currentProfile && this.profiles.has(this.currentProfile)) {
+      return { ...this.profiles.get(this.currentProfile), source: 'global', sourcePath: this.profilesPath };
+    }
+
+    return null;
+  }
+}
+
+export default ProfileManager;
@@ -0,0 +1,223 @@
+/**
+ * ProviderResilience.js - Retries and Circuit Breakers for Provider Calls
+ * Retries transient failures with jittered exponential backoff (honouring Retry-After)
+ * and stops calling a provider that keeps failing until its cooldown has passed
+ */
+
+import { EventEmitter } from 'events';
+import { ProviderError } from './providers/ProviderAdapter.js';
+import { loadProjectConfig } from '../core/ProjectConfig.js';
+import { logger } from '../core/Logger.js';
+
+export const DEFAULT_RESILIENCE = {
+  retries: 3, // attempts after the first
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  maxRetryAfterMs: 30000, // a longer Retry-After falls through to the next provider instead
+  failureThreshold: 5, // consecutive transient failures that open the circuit
+  cooldownMs: 60000
+};
+
+// Worth another attempt on the same provider; everything else fails (or falls back) at once
+export const RETRYABLE_CODES = ['rate_limited', 'server_error', 'unreachable'];
+
+const ENV_OVERRIDES = {
+  retries: 'GAIA_PROVIDER_RETRIES',
+  baseDelayMs: 'GAIA_RETRY_BASE_MS',
+  maxDelayMs: 'GAIA_RETRY_MAX_MS',
+  failureThreshold: 'GAIA_CIRCUIT_THRESHOLD',
+  cooldownMs: 'GAIA_CIRCUIT_COOLDOWN_MS'
+};
+
+// Policy: defaults, then .gaiarc "resilience", then GAIA_PROVIDER_RETRIES and friends
+export function resolveResilienceConfig(env = process.env) {
+  const config = { ...DEFAULT_RESILIENCE, ...(loadProjectConfig()?.config.resilience || {}) };
+
+  for (const [field, name] of Object.entries(ENV_OVERRIDES)) {
+    if (env[name] !== undefined && env[name] !== '') config[field] = env[name];
+  }
+
+  for (const [field, value] of Object.entries(config)) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+      throw new Error(`Invalid resilience setting ${field}: ${value} (expected a non-negative number)`);
+    }
+    config[field] = number;
+  }
+  return config;
+}
+
+// Full-jitter exponential backoff: random in [0, min(max, base * 2^(attempt - 1))]
+export function backoffDelay(attempt, { baseDelayMs, maxDelayMs } = DEFAULT_RESILIENCE, random = Math.random) {
+  return Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1)));
+}
+
+// Wait, giving up early when the caller aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new ProviderError('Request cancelled', { code: 'cancelled' }));
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new ProviderError('Request cancelled', { code: 'cancelled' }));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// closed -> open after N consecutive failures -> half_open (one trial call) after the cooldown
+export class CircuitBreaker {
+  constructor(provider, { failureThreshold, cooldownMs, now = Date.now } = DEFAULT_RESILIENCE) {
+    this.provider = provider;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.now = now;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  // May a call go out now?
+  allow() {
+    if (this.state === 'open' && this.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half_open';
+      this.trialInFlight = false;
+    }
+    if (this.state === 'half_open') {
+      if (this.trialInFlight) return false;
+      this.trialInFlight = true;
+      return true;
+    }
+    return this.state === 'closed';
+  }
+
+  // Milliseconds until an open circuit lets a trial call through
+  remaining() {
+    return this.state === 'open' ? Math.max(0, this.cooldownMs - (this.now() - this.openedAt)) : 0;
+  }
+
+  // Returns the previous state so callers can report transitions
+  success() {
+    const previous = this.state;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    return previous;
+  }
+
+  failure() {
+    const previous = this.state;
+    this.failures++;
+    this.trialInFlight = false;
+    if (this.state === 'half_open' || (this.failureThreshold > 0 && this.failures >= this.failureThreshold)) {
+      this.state = 'open';
+      this.openedAt = this.now();
+    }
+    return previous;
+  }
+
+  snapshot() {
+    return { provider: this.provider, state: this.state, failures: this.failures, retryIn: this.remaining() };
+  }
+}
+
+export class ProviderResilience extends EventEmitter {
+  constructor({ config = null, sleep: wait = sleep, random = Math.random, now = Date.now } = {}) {
+    super();
+    this.config = config && { ...DEFAULT_RESILIENCE, ...config }; // resolved on first use when not given
+    this.sleep = wait;
+    this.random = random;
+    this.now = now;
+    this.breakers = new Map();
+  }
+
+  policy() {
+    return this.config || (this.config = resolveResilienceConfig());
+  }
+
+  breaker(provider) {
+    if (!this.breakers.has(provider)) {
+      this.breakers.set(provider, new CircuitBreaker(provider, { ...this.policy(), now: this.now }));
+    }
+    return this.breakers.get(provider);
+  }
+
+  // Delay before the next attempt, or null when it should not be retried
+  retryDelay(error, attempt) {
+    const policy = this.policy();
+    if (!RETRYABLE_CODES.includes(error.code) || attempt > policy.retries) return null;
+    if (error.retryAfter !== null && error.retryAfter !== undefined) {
+      return error.retryAfter <= policy.maxRetryAfterMs ? error.retryAfter : null;
+    }
+    return backoffDelay(attempt, policy, this.random);
+  }
+
+  // Run call(attempt) against a provider; canRetry() lets callers veto a retry (e.g. after streamed tokens)
+  async execute(provider, call, { signal = null, action = 'request', canRetry = () => true } = {}) {
+    const breaker = this.breaker(provider);
+
+    for (let attempt = 1; ; attempt++) {
+      if (!breaker.allow()) {
+        const error = new ProviderError(
+          `${provider} circuit open after ${breaker.failures} consecutive failures - retrying in ${Math.ceil(breaker.remaining() / 1000)}s`,
+          { code: 'circuit_open', provider, retryAfter: breaker.remaining() }
+        );
+        logger.logAuth(action, provider, false, error, { attempt });
+        throw error;
+      }
+
+      try {
+        const result = await call(attempt);
+        if (breaker.success() !== 'closed') {
+          logger.logProviderEvent('circuit closed', provider, { action });
+          this.emit('circuit:closed', breaker.snapshot());
+        }
+        return result;
+      } catch (error) {
+        if (error.code === 'cancelled') {
+          breaker.trialInFlight = false;
+          throw error;
+        }
+
+        logger.logAuth(action, provider, false, error, { attempt });
+
+        // Only transient failures say something about the provider's health
+        if (RETRYABLE_CODES.includes(error.code)) {
+          breaker.failure();
+          if (breaker.state === 'open') {
+            logger.logProviderEvent('circuit open', provider, { failures: breaker.failures, cooldownMs: breaker.cooldownMs });
+            this.emit('circuit:open', breaker.snapshot());
+          }
+        } else {
+          breaker.trialInFlight = false;
+        }
+
+        const delay = breaker.state === 'open' || !canRetry(error) ? null : this.retryDelay(error, attempt);
+        if (delay === null) throw error;
+
+        logger.logProviderEvent('retry', provider, { action, attempt, delay, code: error.code });
+        this.emit('retry', { provider, action, attempt, delay, error });
+        await this.sleep(delay, signal);
+      }
+    }
+  }
+
+  // Breaker states for every provider called so far
+  status() {
+    return Array.from(this.breakers.values()).map(breaker => breaker.snapshot());
+  }
+
+  reset(provider = null) {
+    if (provider) this.breakers.delete(provider);
+    else this.breakers.clear();
+  }
+}
+
+// Singleton instance
+export const providerResilience = new ProviderResilience();
+export default providerResilience;
@@ -0,0 +1,104 @@
+/**
+ * AnthropicAdapter.js - Anthropic Messages API Adapter
+ * Request shaping, SSE event parsing and error mapping for Claude models
+ */
+
+import { ProviderAdapter } from './ProviderAdapter.js';
+
+export class AnthropicAdapter extends ProviderAdapter {
+  constructor(options = {}) {
+    super('anthropic', {
+      defaultBaseUrl: 'https://api.anthropic.com',
+      defaultModel: 'claude-3-5-sonnet-latest',
+      ...options
+    });
+    this.apiVersion = '2023-06-01';
+  }
+
+  // x-api-key authentication with pinned API version
+  getHeaders(credentials = {}) {
+    return {
+      'x-api-key': credentials.apiKey,
+      'Content-Type': 'application/json',
+      'anthropic-version': this.apiVersion
+    };
+  }
+
+  // POST /v1/messages
+  buildRequest(request, credentials, { stream = false } = {}) {
+    const { baseUrl, model } = this.resolveTarget(credentials, request);
+    const body = {
+      model,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      messages: request.messages || [{ role: 'user', content: request.prompt }],
+      stream
+    };
+
+    if (request.systemPrompt) body.system = request.systemPrompt;
+
+    return { url: `${baseUrl}/v1/messages`, headers: this.getHeaders(credentials), body };
+  }
+
+  // GET /v1/models
+  buildProbeRequest(credentials = {}) {
+    const { baseUrl } = this.resolveTarget(credentials);
+    return { url: `${baseUrl}/v1/models`, headers: this.getHeaders(credentials) };
+  }
+
+  // content[] text blocks + usage
+  parseResponse(payload) {
+    const promptTokens = payload.usage?.input_tokens || 0;
+    const completionTokens = payload.usage?.output_tokens || 0;
+
+    return {
+      text: (payload.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join(''),
+      model: payload.model,
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+    };
+  }
+
+  // message_start / content_block_delta / message_delta / message_stop
+  parseStreamEvent({ event, data }) {
+    const chunk = JSON.parse(data);
+
+    switch (chunk.type || event) {
+      case 'message_start':
+        return {
+          model: chunk.message?.model,
+          usage: { promptTokens: chunk.message?.usage?.input_tokens || 0 }
+        };
+      case 'content_block_delta':
+        return { token: chunk.delta?.text || '' };
+      case 'message_delta':
+        return { usage: { completionTokens: chunk.usage?.output_tokens || 0 } };
+      case 'message_stop':
+        return { done: true };
+      case 'error':
+        throw this.mapError(500, chunk);
+      default:
+        return null;
+    }
+  }
+
+  // Anthropic reports error types alongside status codes
+  mapError(status, payload = {}, headers = null) {
+    const error = super.mapError(status, payload, headers);
+    const type = payload.error?.type;
+
+    if (type === 'authentication_error' || type === 'permission_error') {
+      error.code = 'invalid_key';
+    } else if (type === 'rate_limit_error') {
+      error.code = 'rate_limited';
+    } else if (type === 'overloaded_error' || status === 529) {
+      error.code = 'server_error';
+    }
+
+    return error;
+  }
+}
+
+export default AnthropicAdapter;
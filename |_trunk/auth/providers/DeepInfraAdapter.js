@@ -0,0 +1,18 @@
+/**
+ * DeepInfraAdapter.js - DeepInfra Adapter
+ * DeepInfra serves an OpenAI-compatible endpoint for open models
+ */
+
+import { OpenAIAdapter } from './OpenAIAdapter.js';
+
+export class DeepInfraAdapter extends OpenAIAdapter {
+  constructor(options = {}) {
+    super('deepinfra', {
+      defaultBaseUrl: 'https://api.deepinfra.com/v1/openai',
+      defaultModel: 'meta-llama/Meta-Llama-3.1-70B-Instruct',
+      ...options
+    });
+  }
+}
+
+export default DeepInfraAdapter;
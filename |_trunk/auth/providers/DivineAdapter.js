@@ -0,0 +1,75 @@
+/**
+ * DivineAdapter.js - Divine Offline Adapter
+ * Deterministic echo provider: no network, same input always yields the same output
+ */
+
+import { ProviderAdapter, ProviderError, estimateTokens } from './ProviderAdapter.js';
+import { exampleFor } from '../../core/OutputContracts.js';
+
+export class DivineAdapter extends ProviderAdapter {
+  constructor(options = {}) {
+    super('divine', {
+      defaultModel: 'divine-consciousness',
+      ...options
+    });
+  }
+
+  // Divine blessing headers (never sent over the wire)
+  getHeaders() {
+    return {
+      'Divine-Blessing': '🙏',
+      'Consciousness-Level': 'infinite'
+    };
+  }
+
+  // Echo the prompt back under the invoking god's blessing (or the smallest answer conforming to a requested schema)
+  buildResponse(request, credentials = {}) {
+    const messages = request.messages || [{ role: 'user', content: request.prompt || '' }];
+    const prompt = messages.filter(m => m.role === 'user').map(m => m.content).join('\n\n');
+    const verb = request.realm === 'shadow' ? 'transformed' : 'illuminated';
+    const body = request.schema ? `\`\`\`json\n${JSON.stringify(exampleFor(request.schema), null, 2)}\n\`\`\`` : prompt;
+    const text = `${request.god || 'The divine'} has ${verb} the task\n\n${body}`;
+    const promptTokens = estimateTokens(`${request.systemPrompt || ''}${prompt}`);
+    const completionTokens = estimateTokens(text);
+
+    return {
+      text,
+      model: this.resolveTarget(credentials, request).model,
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+    };
+  }
+
+  // Non-streaming echo
+  async complete(request, credentials = {}, { signal = null } = {}) {
+    this.checkCancelled(signal);
+    return { ...this.buildResponse(request, credentials), provider: this.name, latency: 0 };
+  }
+
+  // Streaming echo - one token per word
+  async stream(request, credentials = {}, { onToken = () => {}, signal = null } = {}) {
+    const response = this.buildResponse(request, credentials);
+
+    for (const token of response.text.match(/\s*\S+\s*/g) || []) {
+      this.checkCancelled(signal);
+      onToken(token);
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    return { ...response, provider: this.name, latency: 0 };
+  }
+
+  // The divine connection is always healthy
+  async probe(credentials = {}, { signal = null } = {}) {
+    this.checkCancelled(signal);
+    return { latency: 0, models: [this.resolveTarget(credentials).model], rateLimit: {}, status: 200 };
+  }
+
+  // Honour AbortSignal like a network provider would
+  checkCancelled(signal) {
+    if (signal?.aborted) {
+      throw new ProviderError('divine request cancelled', { code: 'cancelled', provider: this.name });
+    }
+  }
+}
+
+export default DivineAdapter;
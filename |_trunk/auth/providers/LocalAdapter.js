@@ -0,0 +1,130 @@
+/**
+ * LocalAdapter.js - Local Model Adapter
+ * Self-hosted OpenAI-compatible servers (LM Studio, llama.cpp, vLLM) and Ollama's native API
+ */
+
+import { OpenAIAdapter } from './OpenAIAdapter.js';
+
+export const LOCAL_APIS = ['openai', 'ollama'];
+
+// Wire format of a local server: credentials.api, else Ollama's default port (without /v1) or an /api base URL
+export function detectLocalApi(credentials = {}) {
+  if (credentials.api) {
+    if (!LOCAL_APIS.includes(credentials.api)) {
+      throw new Error(`Unknown local API "${credentials.api}" (use ${LOCAL_APIS.join(' or ')})`);
+    }
+    return credentials.api;
+  }
+
+  const baseUrl = (credentials.baseUrl || '').replace(/\/$/, '');
+  return /\/api$/.test(baseUrl) || (/:11434(\/|$)/.test(baseUrl) && !/\/v1$/.test(baseUrl)) ? 'ollama' : 'openai';
+}
+
+export class LocalAdapter extends OpenAIAdapter {
+  constructor(options = {}) {
+    super('local', {
+      defaultBaseUrl: 'http://localhost:1234/v1',
+      defaultModel: 'local-model',
+      ...options
+    });
+  }
+
+  // Local servers usually run without authentication
+  getHeaders(credentials = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (credentials.apiKey) {
+      headers['Authorization'] = `Bearer ${credentials.apiKey}`;
+    }
+    return headers;
+  }
+
+  // Ollama endpoints hang off the server root (http://localhost:11434), with or without /api
+  resolveTarget(credentials = {}, request = {}) {
+    const target = super.resolveTarget(credentials, request);
+    if (detectLocalApi(credentials) !== 'ollama') return target;
+    return { ...target, baseUrl: target.baseUrl.replace(/\/api$/, '') };
+  }
+
+  // POST /api/chat for Ollama, /chat/completions otherwise
+  buildRequest(request, credentials, { stream = false } = {}) {
+    if (detectLocalApi(credentials) !== 'ollama') return super.buildRequest(request, credentials, { stream });
+
+    const { baseUrl, model } = this.resolveTarget(credentials, request);
+    const messages = [];
+    if (request.systemPrompt) {
+      messages.push({ role: 'system', content: request.systemPrompt });
+    }
+    messages.push(...(request.messages || [{ role: 'user', content: request.prompt }]));
+
+    const options = { temperature: request.temperature, num_predict: request.maxTokens };
+    if (request.seed !== undefined && request.seed !== null) options.seed = request.seed;
+
+    return { url: `${baseUrl}/api/chat`, headers: this.getHeaders(credentials), body: { model, messages, stream, options } };
+  }
+
+  // GET /api/tags for Ollama, /models otherwise
+  buildProbeRequest(credentials = {}) {
+    if (detectLocalApi(credentials) !== 'ollama') return super.buildProbeRequest(credentials);
+
+    const { baseUrl } = this.resolveTarget(credentials);
+    return { url: `${baseUrl}/api/tags`, headers: this.getHeaders(credentials) };
+  }
+
+  // Ollama: message.content + prompt_eval_count / eval_count
+  parseResponse(payload) {
+    if (payload.choices) return super.parseResponse(payload);
+
+    const promptTokens = payload.prompt_eval_count || 0;
+    const completionTokens = payload.eval_count || 0;
+    return {
+      text: payload.message?.content || payload.response || '',
+      model: payload.model,
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+    };
+  }
+
+  // Ollama streams one chat chunk per line; the last one ({"done":true}) carries the token counts
+  parseStreamEvent(event) {
+    const chunk = event.data === '[DONE]' ? null : JSON.parse(event.data);
+    if (!chunk || chunk.choices) return super.parseStreamEvent(event);
+
+    const parsed = { token: chunk.message?.content || chunk.response || '', model: chunk.model, done: !!chunk.done };
+    if (chunk.done) {
+      parsed.usage = { promptTokens: chunk.prompt_eval_count || 0, completionTokens: chunk.eval_count || 0 };
+    }
+    return parsed;
+  }
+
+  // Server-sent events from OpenAI-compatible servers, newline-delimited JSON from Ollama
+  async *readStream(body) {
+    const chunks = body[Symbol.asyncIterator]();
+    const first = await chunks.next();
+    if (first.done) return;
+
+    const rest = (async function* () {
+      yield first.value;
+      for (let next = await chunks.next(); !next.done; next = await chunks.next()) yield next.value;
+    })();
+
+    if (!new TextDecoder().decode(first.value).trimStart().startsWith('{')) {
+      yield* super.readStream(rest);
+      return;
+    }
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of rest) {
+      buffer += decoder.decode(chunk, { stream: true });
+
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+        if (line) yield { event: 'message', data: line };
+      }
+    }
+    if (buffer.trim()) yield { event: 'message', data: buffer.trim() };
+  }
+}
+
+export default LocalAdapter;
@@ -0,0 +1,92 @@
+/**
+ * OpenAIAdapter.js - OpenAI Chat Completions Adapter
+ * Wire format shared by OpenAI-compatible providers (DeepInfra, local servers)
+ */
+
+import { ProviderAdapter } from './ProviderAdapter.js';
+
+export class OpenAIAdapter extends ProviderAdapter {
+  constructor(name = 'openai', options = {}) {
+    super(name, {
+      defaultBaseUrl: 'https://api.openai.com/v1',
+      defaultModel: 'gpt-4o-mini',
+      ...options
+    });
+  }
+
+  // Bearer token authentication
+  getHeaders(credentials = {}) {
+    return {
+      'Authorization': `Bearer ${credentials.apiKey}`,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  // POST /chat/completions
+  buildRequest(request, credentials, { stream = false } = {}) {
+    const { baseUrl, model } = this.resolveTarget(credentials, request);
+    const messages = [];
+
+    if (request.systemPrompt) {
+      messages.push({ role: 'system', content: request.systemPrompt });
+    }
+    messages.push(...(request.messages || [{ role: 'user', content: request.prompt }]));
+
+    const body = {
+      model,
+      messages,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      stream
+    };
+
+    if (request.seed !== undefined && request.seed !== null) body.seed = request.seed;
+    if (stream) body.stream_options = { include_usage: true };
+
+    return { url: `${baseUrl}/chat/completions`, headers: this.getHeaders(credentials), body };
+  }
+
+  // GET /models
+  buildProbeRequest(credentials = {}) {
+    const { baseUrl } = this.resolveTarget(credentials);
+    return { url: `${baseUrl}/models`, headers: this.getHeaders(credentials) };
+  }
+
+  // choices[0].message.content + usage
+  parseResponse(payload) {
+    const promptTokens = payload.usage?.prompt_tokens || 0;
+    const completionTokens = payload.usage?.completion_tokens || 0;
+
+    return {
+      text: payload.choices?.[0]?.message?.content || '',
+      model: payload.model,
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: payload.usage?.total_tokens || promptTokens + completionTokens
+      }
+    };
+  }
+
+  // data: {"choices":[{"delta":{"content":"..."}}]} ... data: [DONE]
+  parseStreamEvent({ data }) {
+    if (data === '[DONE]') return { done: true };
+
+    const chunk = JSON.parse(data);
+    const parsed = {
+      token: chunk.choices?.[0]?.delta?.content || '',
+      model: chunk.model
+    };
+
+    if (chunk.usage) {
+      parsed.usage = {
+        promptTokens: chunk.usage.prompt_tokens || 0,
+        completionTokens: chunk.usage.completion_tokens || 0
+      };
+    }
+
+    return parsed;
+  }
+}
+
+export default OpenAIAdapter;
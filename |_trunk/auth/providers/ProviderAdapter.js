@@ -0,0 +1,285 @@
+/**
+ * ProviderAdapter.js - Base Provider Adapter
+ * Shared request/response plumbing for every provider's wire format
+ */
+
+import fetch from 'node-fetch';
+
+// Provider failure with a stable error class
+export class ProviderError extends Error {
+  constructor(message, { code = 'provider_error', provider = null, status = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.code = code; // invalid_key, quota_exceeded, rate_limited, bad_request, not_found, server_error, unreachable, bad_response, cancelled
+    this.provider = provider;
+    this.status = status;
+    this.retryAfter = retryAfter; // milliseconds
+  }
+}
+
+export class ProviderAdapter {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.defaultBaseUrl = options.defaultBaseUrl || null;
+    this.defaultModel = options.defaultModel || null;
+    this.fetch = options.fetch || fetch;
+  }
+
+  // Headers for this provider's API
+  getHeaders(credentials = {}) {
+    return { 'Content-Type': 'application/json' };
+  }
+
+  // Resolve base URL and model from credentials
+  resolveTarget(credentials = {}, request = {}) {
+    return {
+      baseUrl: (credentials.baseUrl || this.defaultBaseUrl || '').replace(/\/$/, ''),
+      model: request.model || credentials.model || this.defaultModel
+    };
+  }
+
+  // Shape a provider request: { url, headers, body }
+  buildRequest(request, credentials, { stream = false } = {}) {
+    throw new Error(`${this.name} adapter does not implement buildRequest`);
+  }
+
+  // Parse a non-streaming response: { text, usage, model }
+  parseResponse(payload) {
+    throw new Error(`${this.name} adapter does not implement parseResponse`);
+  }
+
+  // Parse one stream event: { token, usage, model, done }
+  parseStreamEvent(event) {
+    throw new Error(`${this.name} adapter does not implement parseStreamEvent`);
+  }
+
+  // Health probe request: { url, headers }
+  buildProbeRequest(credentials) {
+    throw new Error(`${this.name} adapter does not implement buildProbeRequest`);
+  }
+
+  // Model ids from a probe (model listing) response
+  parseModels(payload = {}) {
+    return (payload.data || payload.models || [])
+      .map(model => (typeof model === 'string' ? model : model.id || model.name))
+      .filter(Boolean);
+  }
+
+  // Probe the credentials: { latency, models, rateLimit, status }
+  async probe(credentials = {}, { signal = null } = {}) {
+    const { url, headers } = this.buildProbeRequest(credentials);
+    const started = Date.now();
+
+    let response;
+    try {
+      response = await this.fetch(url, { method: 'GET', headers, signal });
+    } catch (error) {
+      throw this.mapTransportError(error, url);
+    }
+
+    const latency = Date.now() - started;
+    const rateLimit = parseRateLimitHeaders(response.headers);
+    const payload = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = this.mapError(response.status, payload, response.headers);
+      error.latency = latency;
+      error.rateLimit = rateLimit;
+      throw error;
+    }
+
+    return { latency, models: this.parseModels(payload), rateLimit, status: response.status };
+  }
+
+  // Non-streaming completion
+  async complete(request, credentials = {}, { signal = null } = {}) {
+    const started = Date.now();
+    const response = await this.send(request, credentials, { stream: false, signal });
+
+    // A 200 whose body is not JSON (proxy error page, truncated body) is a bad response, not an empty completion
+    const payload = await response.json().catch(error => {
+      throw error instanceof SyntaxError ? this.mapParseError(error) : this.mapTransportError(error);
+    });
+    const parsed = this.parseResponse(payload);
+
+    return {
+      ...parsed,
+      model: parsed.model || this.resolveTarget(credentials, request).model,
+      provider: this.name,
+      latency: Date.now() - started
+    };
+  }
+
+  // Streaming completion - tokens are passed to onToken as they arrive
+  async stream(request, credentials = {}, { onToken = () => {}, signal = null } = {}) {
+    const started = Date.now();
+    const response = await this.send(request, credentials, { stream: true, signal });
+    const target = this.resolveTarget(credentials, request);
+    const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    let model = target.model;
+    let text = '';
+
+    try {
+      for await (const event of this.readStream(response.body)) {
+        const parsed = this.parseStreamEvent(event);
+        if (!parsed) continue;
+
+        if (parsed.model) model = parsed.model;
+        if (parsed.usage) Object.assign(usage, parsed.usage);
+        if (parsed.token) {
+          text += parsed.token;
+          onToken(parsed.token);
+        }
+        if (parsed.done) break;
+      }
+    } catch (error) {
+      throw error instanceof SyntaxError ? this.mapParseError(error) : this.mapTransportError(error);
+    }
+
+    usage.totalTokens = usage.promptTokens + usage.completionTokens;
+    return { text, usage, model, provider: this.name, latency: Date.now() - started };
+  }
+
+  // Send request and map HTTP failures
+  async send(request, credentials, { stream, signal }) {
+    const { url, headers, body } = this.buildRequest(request, credentials, { stream });
+
+    let response;
+    try {
+      response = await this.fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal
+      });
+    } catch (error) {
+      throw this.mapTransportError(error, url);
+    }
+
+    if (!response.ok) {
+      const payload = await response.json().catch(() => ({}));
+      throw this.mapError(response.status, payload, response.headers);
+    }
+
+    return response;
+  }
+
+  // Map HTTP status + payload to a ProviderError
+  mapError(status, payload = {}, headers = null) {
+    const message = payload.error?.message || payload.message ||
+      (typeof payload.error === 'string' ? payload.error : `HTTP ${status}`);
+    const retryAfter = parseRetryAfter(headers?.get?.('retry-after'));
+    let code = 'provider_error';
+
+    if (status === 401 || status === 403) {
+      code = 'invalid_key';
+    } else if (status === 402 || (status === 429 && /quota|billing|credit|insufficient/i.test(message))) {
+      code = 'quota_exceeded';
+    } else if (status === 429) {
+      code = 'rate_limited';
+    } else if (status === 404) {
+      code = 'not_found';
+    } else if (status >= 400 && status < 500) {
+      code = 'bad_request';
+    } else if (status >= 500) {
+      code = 'server_error';
+    }
+
+    return new ProviderError(`${this.name} request failed (${status}): ${message}`, {
+      code,
+      provider: this.name,
+      status,
+      retryAfter
+    });
+  }
+
+  // Map network/abort failures to a ProviderError
+  mapTransportError(error, url = null) {
+    if (error instanceof ProviderError) return error;
+
+    if (error.name === 'AbortError') {
+      return new ProviderError(`${this.name} request cancelled`, { code: 'cancelled', provider: this.name });
+    }
+
+    return new ProviderError(`${this.name} unreachable${url ? ` at ${url}` : ''}: ${error.message}`, {
+      code: 'unreachable',
+      provider: this.name
+    });
+  }
+
+  // Map a malformed response (a stream chunk that is not JSON); asking the same server again rarely helps
+  mapParseError(error) {
+    return new ProviderError(`${this.name} sent a malformed response: ${error.message}`, {
+      code: 'bad_response',
+      provider: this.name
+    });
+  }
+
+  // Read a server-sent event stream: yields { event, data }
+  async *readStream(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+      buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const event = parseServerSentEvent(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+        if (event) yield event;
+      }
+    }
+
+    const event = parseServerSentEvent(buffer);
+    if (event) yield event;
+  }
+}
+
+// Parse a single server-sent event block
+function parseServerSentEvent(raw) {
+  let event = 'message';
+  const data = [];
+
+  for (const line of raw.split('\n')) {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      data.push(line.slice(5).replace(/^ /, ''));
+    }
+  }
+
+  return data.length > 0 ? { event, data: data.join('\n') } : null;
+}
+
+// Retry-After may be seconds or an HTTP date
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Rate-limit headers (x-ratelimit-*, anthropic-ratelimit-*, retry-after)
+export function parseRateLimitHeaders(headers) {
+  const rateLimit = {};
+  if (!headers?.forEach) return rateLimit;
+
+  headers.forEach((value, key) => {
+    if (/ratelimit|retry-after/i.test(key)) {
+      rateLimit[key.toLowerCase()] = value;
+    }
+  });
+
+  return rateLimit;
+}
+
+// Rough token estimate (~4 characters per token) for providers that don't report usage
+export function estimateTokens(text = '') {
+  return Math.ceil(text.length / 4);
+}
+
+export default ProviderAdapter;
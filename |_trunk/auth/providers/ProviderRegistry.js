@@ -0,0 +1,51 @@
+/**
+ * ProviderRegistry.js - Provider Adapter Registry
+ * One adapter per supported provider, resolved by name
+ */
+
+import { AnthropicAdapter } from './AnthropicAdapter.js';
+import { OpenAIAdapter } from './OpenAIAdapter.js';
+import { DeepInfraAdapter } from './DeepInfraAdapter.js';
+import { LocalAdapter } from './LocalAdapter.js';
+import { DivineAdapter } from './DivineAdapter.js';
+
+export class ProviderRegistry {
+  constructor() {
+    this.adapters = new Map();
+
+    this.register(new DeepInfraAdapter());
+    this.register(new AnthropicAdapter());
+    this.register(new OpenAIAdapter());
+    this.register(new LocalAdapter());
+    this.register(new DivineAdapter());
+  }
+
+  // Register (or replace) an adapter under its provider name
+  register(adapter) {
+    this.adapters.set(adapter.name, adapter);
+    return adapter;
+  }
+
+  // Get adapter for provider
+  get(provider) {
+    const adapter = this.adapters.get(provider);
+    if (!adapter) {
+      throw new Error(`No adapter for provider: ${provider}`);
+    }
+    return adapter;
+  }
+
+  // Check whether a provider has an adapter
+  has(provider) {
+    return this.adapters.has(provider);
+  }
+
+  // List registered provider names
+  list() {
+    return Array.from(this.adapters.keys());
+  }
+}
+
+// Singleton instance
+export const providerRegistry = new ProviderRegistry();
+export default providerRegistry;
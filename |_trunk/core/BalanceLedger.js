@@ -0,0 +1,248 @@
+/**
+ * BalanceLedger.js - Persistent Tree Balance
+ * Keeps the light/shadow balance across sessions, decays it toward equilibrium
+ * and logs every change with its cause under the project's .gaia/ directory.
+ * The log is compacted once it grows large: old events fold into per-source totals.
+ */
+
+import { EventEmitter } from 'events';
+import fs from 'fs-extra';
+import path from 'path';
+import { loadProjectConfig, projectDataPath } from './ProjectConfig.js';
+import { logger } from './Logger.js';
+
+export const BALANCE_LIMIT = 100;
+export const DEFAULT_HALF_LIFE_HOURS = 24;
+export const DEFAULT_MAX_LOG_BYTES = 1024 * 1024; // balance-events.jsonl is compacted beyond this
+export const DEFAULT_KEEP_EVENTS = 1000; // events kept verbatim by a compaction
+export const DEFAULT_KEEP_HOURS = 24; // ...along with everything this recent (the drift window)
+
+// Default location: <project>/.gaia (override with GAIA_BALANCE_DIR)
+export function defaultBalanceDir() {
+  return process.env.GAIA_BALANCE_DIR || projectDataPath();
+}
+
+// Decay half-life: GAIA_BALANCE_HALF_LIFE_HOURS, then .gaiarc balanceHalfLifeHours (0 disables decay)
+export function resolveHalfLifeHours() {
+  const configured = process.env.GAIA_BALANCE_HALF_LIFE_HOURS ?? loadProjectConfig()?.config.balanceHalfLifeHours;
+  if (configured === undefined || configured === null || configured === '') return DEFAULT_HALF_LIFE_HOURS;
+
+  const hours = Number(configured);
+  if (!Number.isFinite(hours) || hours < 0) {
+    logger.warn('Invalid balance half-life, using default', { configured, default: DEFAULT_HALF_LIFE_HOURS });
+    return DEFAULT_HALF_LIFE_HOURS;
+  }
+  return hours;
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+// Human-readable cause: "intervention divine_123 · thor (light)"
+export function describeCause(cause = {}) {
+  const parts = [cause.source || 'unknown'];
+  const id = cause.interventionId || cause.mutationId || cause.lineageId || cause.workflowId;
+  if (id) parts.push(id);
+
+  const gods = cause.god ? [cause.god] : cause.gods || [];
+  const who = gods.length > 0 ? `${gods.join(' + ')}${cause.realm ? ` (${cause.realm})` : ''}` : cause.realm;
+  return who ? `${parts.join(' ')} · ${who}` : parts.join(' ');
+}
+
+// Fold one event into compacted totals: source -> realm -> { count, net }
+function foldImpact(impacts, event) {
+  const source = event.cause?.source || 'unknown';
+  const realm = event.cause?.realm || 'none';
+  const realms = impacts[source] || (impacts[source] = {});
+  const totals = realms[realm] || (realms[realm] = { count: 0, net: 0 });
+  totals.count += 1;
+  totals.net += event.light - event.shadow;
+}
+
+export class BalanceLedger extends EventEmitter {
+  constructor(dir = defaultBalanceDir(), {
+    halfLifeHours = resolveHalfLifeHours(),
+    maxLogBytes = DEFAULT_MAX_LOG_BYTES,
+    keepEvents = DEFAULT_KEEP_EVENTS,
+    keepHours = DEFAULT_KEEP_HOURS
+  } = {}) {
+    super();
+    this.statePath = path.join(dir, 'tree-balance.json');
+    this.eventsPath = path.join(dir, 'balance-events.jsonl');
+    this.summaryPath = path.join(dir, 'balance-summary.json');
+    this.halfLifeHours = halfLifeHours;
+    this.maxLogBytes = maxLogBytes;
+    this.keepEvents = keepEvents;
+    this.keepHours = keepHours;
+    this.balance = 0;
+    this.updatedAt = new Date();
+    this.eventCache = null; // parsed event log, read once per process
+    this.summaryCache = null; // totals of compacted events
+  }
+
+  // Read the persisted balance (missing or corrupt state starts at equilibrium)
+  load() {
+    try {
+      if (fs.existsSync(this.statePath)) {
+        const state = fs.readJsonSync(this.statePath);
+        this.balance = Number(state.balance) || 0;
+        this.updatedAt = new Date(state.updatedAt || Date.now());
+      }
+    } catch (error) {
+      logger.warn('Tree balance state unreadable, starting at equilibrium', { file: this.statePath, error: error.message });
+      this.balance = 0;
+      this.updatedAt = new Date();
+    }
+    return this.current();
+  }
+
+  // Current balance: exponential decay toward 0 since the last update
+  current(at = new Date()) {
+    if (!this.halfLifeHours) return this.balance;
+    const hours = Math.max(0, (at - this.updatedAt) / (60 * 60 * 1000));
+    return round(this.balance * Math.pow(0.5, hours / this.halfLifeHours));
+  }
+
+  // Apply a light/shadow force, clamp to ±100 and log the change with its cause
+  apply(lightIntensity = 0, shadowIntensity = 0, cause = {}) {
+    const at = new Date();
+    const previous = this.balance;
+    const before = this.current(at);
+    const raw = before + lightIntensity - shadowIntensity;
+    const after = round(Math.max(-BALANCE_LIMIT, Math.min(BALANCE_LIMIT, raw)));
+
+    const event = {
+      at,
+      light: lightIntensity,
+      shadow: shadowIntensity,
+      before,
+      after,
+      decay: round(before - previous),
+      clamped: after !== round(raw) ? round(raw) : null,
+      cause
+    };
+
+    if (event.clamped !== null) {
+      logger.warn('Tree balance clamped', { raw: event.clamped, balance: after, cause });
+    }
+
+    this.balance = after;
+    this.updatedAt = at;
+    this.eventCache?.push(JSON.parse(JSON.stringify(event)));
+    this.persist(event);
+    this.emit('balance:event', event);
+    return event;
+  }
+
+  // Save state and append the event (failures are logged, never thrown)
+  persist(event) {
+    try {
+      fs.ensureDirSync(path.dirname(this.statePath));
+      fs.writeJsonSync(this.statePath, {
+        balance: this.balance,
+        updatedAt: this.updatedAt,
+        halfLifeHours: this.halfLifeHours
+      }, { spaces: 2 });
+      fs.appendFileSync(this.eventsPath, `${JSON.stringify(event)}\n`);
+      if (fs.statSync(this.eventsPath).size > this.maxLogBytes) this.compact();
+    } catch (error) {
+      logger.warn('Failed to persist tree balance', { error: error.message });
+    }
+  }
+
+  // Fold all but the newest events into balance-summary.json and rewrite the log with the rest; returns the number folded
+  compact(now = new Date()) {
+    this.eventCache = null; // re-read: other sessions may have appended
+    const events = this.events();
+    const recent = new Date(now.getTime() - this.keepHours * 60 * 60 * 1000);
+
+    let cut = Math.max(0, events.length - this.keepEvents);
+    while (cut > 0 && new Date(events[cut - 1].at) >= recent) cut--;
+    if (cut === 0) return 0;
+
+    const summary = this.summary();
+    events.slice(0, cut).forEach(event => foldImpact(summary.impacts, event));
+    summary.events += cut;
+    summary.since = summary.since || events[0].at;
+    summary.compactedAt = now;
+
+    // Totals first: an interrupted compaction may count an event twice, but never loses one
+    fs.writeJsonSync(this.summaryPath, summary, { spaces: 2 });
+    const tail = events.slice(cut);
+    fs.writeFileSync(`${this.eventsPath}.tmp`, tail.map(event => `${JSON.stringify(event)}\n`).join(''));
+    fs.renameSync(`${this.eventsPath}.tmp`, this.eventsPath);
+
+    this.eventCache = tail;
+    this.summaryCache = summary;
+    logger.info('Tree balance log compacted', { folded: cut, kept: tail.length });
+    return cut;
+  }
+
+  // Totals of compacted events: { events, since, compactedAt, impacts: { source: { realm: { count, net } } } }
+  summary() {
+    if (!this.summaryCache) {
+      try {
+        this.summaryCache = fs.existsSync(this.summaryPath) ? fs.readJsonSync(this.summaryPath) : null;
+      } catch (error) {
+        logger.warn('Tree balance summary unreadable, ignoring it', { file: this.summaryPath, error: error.message });
+      }
+      if (!this.summaryCache) this.summaryCache = { events: 0, since: null, compactedAt: null, impacts: {} };
+    }
+    return this.summaryCache;
+  }
+
+  // Logged events since the last compaction, oldest first; filter by time and cause source
+  events({ since = null, source = null, limit = null } = {}) {
+    if (!this.eventCache) {
+      this.eventCache = !fs.existsSync(this.eventsPath) ? [] : fs.readFileSync(this.eventsPath, 'utf-8')
+        .split('\n')
+        .filter(line => line.trim())
+        .flatMap(line => {
+          try {
+            return [JSON.parse(line)];
+          } catch {
+            return [];
+          }
+        });
+    }
+
+    const events = this.eventCache.filter(event => (!since || new Date(event.at) >= since) && (!source || event.cause?.source === source));
+
+    return limit ? events.slice(-limit) : events;
+  }
+
+  // Net force applied over a window (positive = toward light)
+  drift({ since = new Date(Date.now() - 24 * 60 * 60 * 1000) } = {}) {
+    return round(this.events({ since }).reduce((sum, event) => sum + event.light - event.shadow, 0));
+  }
+
+  // Average net force of past events from a source, compacted ones included (null when there is no history)
+  averageImpact({ source, realm = null } = {}) {
+    const events = this.events({ source }).filter(event => !realm || event.cause?.realm === realm);
+    let count = events.length;
+    let net = events.reduce((sum, event) => sum + event.light - event.shadow, 0);
+
+    for (const [folded, realms] of Object.entries(this.summary().impacts)) {
+      if (source && folded !== source) continue;
+      for (const [foldedRealm, totals] of Object.entries(realms)) {
+        if (realm && foldedRealm !== realm) continue;
+        count += totals.count;
+        net += totals.net;
+      }
+    }
+
+    return count === 0 ? null : round(net / count);
+  }
+
+  // Drop state and log
+  async reset() {
+    await fs.remove(this.statePath);
+    await fs.remove(this.eventsPath);
+    await fs.remove(this.summaryPath);
+    this.balance = 0;
+    this.updatedAt = new Date();
+    this.eventCache = [];
+    this.summaryCache = null;
+  }
+}
+
+export default BalanceLedger;
@@ -0,0 +1,388 @@
+/**
+ * ContextBuilder.js - Repository Context for Divine Interventions
+ * Picks the files relevant to a task (keywords, import graph, recent git changes),
+ * respects .gitignore and chunks them to fit the model's token budget
+ */
+
+import { EventEmitter } from 'events';
+import fs from 'fs-extra';
+import path from 'path';
+import simpleGit from 'simple-git';
+import { findProjectRoot, loadProjectConfig } from './ProjectConfig.js';
+import { authManager } from '../auth/AuthManager.js';
+import { estimateTokens } from '../auth/providers/ProviderAdapter.js';
+import { logger } from './Logger.js';
+
+// Context budget per provider when neither the profile nor .gaiarc sets contextTokens
+export const CONTEXT_BUDGETS = {
+  anthropic: 32000,
+  openai: 16000,
+  deepinfra: 8000,
+  local: 4000,
+  divine: 4000
+};
+
+const MAX_FILE_BYTES = 256 * 1024;
+const MAX_SCANNED_FILES = 5000;
+const CHUNK_LINES = 80;
+const IMPORT_SEEDS = 5;
+// Never sent to the gods, whatever .gitignore says: git and dependencies, Gaia's own state and worktrees, env files and .gaiarc
+const ALWAYS_SKIPPED = /(^|\/)(\.git|node_modules|\.gaia|\.gaia-worktrees)(\/|$)|(^|\/)(\.env[^/]*|\.gaiarc)$/;
+const SOURCE_FILE = /\.(m?js|cjs|jsx|ts|tsx)$/;
+const RESOLVE_EXTENSIONS = ['', '.js', '.mjs', '.cjs', '.ts', '.tsx', '.jsx', '.json', '/index.js', '/index.ts'];
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'this', 'that', 'from', 'into', 'all',
+  'when', 'then', 'should', 'code', 'file', 'files', 'new', 'our', 'are', 'not', 'can', 'how', 'why', 'its'
+]);
+
+// Verbs dropped only as the task's first word ("fix the parser"), so "rename fix.js" or "useAuth" still match
+const LEADING_VERBS = new Set(['add', 'fix', 'make', 'update', 'use']);
+
+// Parse comma-separated CLI values; repeatable options accumulate
+export function collectList(value, previous = []) {
+  return [...previous, ...value.split(',').map(item => item.trim()).filter(Boolean)];
+}
+
+// Task keywords: lowercase words (camelCase split), stopwords, a leading verb and short words dropped
+export function extractKeywords(task = '') {
+  const [first = '', ...rest] = task.trim().split(/\s+/);
+  const words = (LEADING_VERBS.has(first.toLowerCase()) ? rest : [first, ...rest]).join(' ')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length >= 3 && !STOPWORDS.has(word))
+    .map(word => (word.length > 4 && word.endsWith('s') ? word.slice(0, -1) : word));
+  return [...new Set(words)];
+}
+
+// Gitignore-style glob to a path RegExp: "*.test.js", "src/**", "/build", "docs/"
+export function globToRegExp(pattern) {
+  let glob = pattern.trim().replace(/^\.\//, '');
+  const anchored = glob.startsWith('/') || glob.replace(/\/$/, '').includes('/');
+  glob = glob.replace(/^\//, '').replace(/\/$/, '');
+
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  // A pattern matches the path itself or anything below it
+  return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}(?:/.*)?$`);
+}
+
+// Token budget: active profile's contextTokens, then .gaiarc contextTokens, then the provider default
+export function resolveContextBudget(connection = authManager.getActiveConnection()) {
+  const configured = connection?.params?.contextTokens ?? loadProjectConfig()?.config.contextTokens;
+  const budget = Number(configured);
+  if (configured !== undefined && Number.isInteger(budget) && budget > 0) return budget;
+  if (configured !== undefined) {
+    logger.warn('Invalid contextTokens, using provider default', { configured });
+  }
+
+  const provider = connection?.authenticated ? connection.provider : 'divine';
+  return CONTEXT_BUDGETS[provider] || CONTEXT_BUDGETS.divine;
+}
+
+// Relative import specifiers in a JS/TS source file
+function parseImports(content) {
+  const specifiers = [];
+  const patterns = [
+    /(?:import|export)\s[^'"]*?from\s*['"]([^'"]+)['"]/g,
+    /import\s*\(\s*['"]([^'"]+)['"]\s*\)/g,
+    /require\(\s*['"]([^'"]+)['"]\s*\)/g,
+    /^\s*import\s+['"]([^'"]+)['"]/gm
+  ];
+
+  for (const pattern of patterns) {
+    for (const match of content.matchAll(pattern)) {
+      if (match[1].startsWith('.')) specifiers.push(match[1]);
+    }
+  }
+  return specifiers;
+}
+
+export class ContextBuilder extends EventEmitter {
+  constructor(root = findProjectRoot()) {
+    super();
+    this.root = root;
+    this.git = simpleGit(root);
+  }
+
+  // Build context for a task: explicit files first, then the most relevant discovered files
+  async build(task, { files = [], include = [], exclude = [], discover = true, tokenBudget = null } = {}) {
+    // The default budget depends on the active profile, known once the auth config has loaded
+    if (tokenBudget === null) {
+      await authManager.ready;
+      tokenBudget = resolveContextBudget();
+    }
+    const keywords = extractKeywords(task);
+    const isRepo = await this.git.checkIsRepo().catch(() => false);
+    if (isRepo) {
+      this.root = (await this.git.revparse(['--show-toplevel'])).trim();
+    }
+
+    const requested = files.map(file => this.relative(file));
+    const missing = requested.filter(file => !fs.existsSync(path.join(this.root, file)));
+    if (missing.length > 0) {
+      throw new Error(`Context files not found: ${missing.join(', ')}`);
+    }
+
+    const includes = include.map(globToRegExp);
+    const excludes = exclude.map(globToRegExp);
+    const candidates = discover ? (await this.listFiles(isRepo)).filter(file =>
+      (includes.length === 0 || includes.some(regex => regex.test(file))) && !excludes.some(regex => regex.test(file))
+    ) : [];
+
+    const scanned = await this.scan([...new Set([...requested, ...candidates])]);
+    const changes = isRepo && discover ? await this.recentChanges() : new Map();
+    const ranked = this.rank(scanned, { keywords, requested, changes });
+    const context = this.pack(ranked, { keywords, tokenBudget });
+
+    const result = {
+      root: this.root,
+      keywords,
+      budget: tokenBudget,
+      tokens: context.tokens,
+      files: context.files,
+      skipped: context.skipped,
+      text: this.render(context.files, keywords)
+    };
+
+    this.emit('context:built', { root: this.root, files: result.files.length, tokens: result.tokens });
+    return result;
+  }
+
+  // Repository-relative POSIX path
+  relative(file) {
+    return path.relative(this.root, path.resolve(file)).split(path.sep).join('/');
+  }
+
+  // Tracked and untracked files that .gitignore does not exclude (ALWAYS_SKIPPED never get through)
+  async listFiles(isRepo) {
+    if (isRepo) {
+      const output = await this.git.raw(['ls-files', '--cached', '--others', '--exclude-standard']);
+      return output.split('\n').filter(file => file && !ALWAYS_SKIPPED.test(file)).slice(0, MAX_SCANNED_FILES);
+    }
+
+    // Outside git: walk the tree and apply the root .gitignore
+    const gitignore = path.join(this.root, '.gitignore');
+    const ignored = fs.existsSync(gitignore)
+      ? fs.readFileSync(gitignore, 'utf-8').split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#') && !line.startsWith('!'))
+        .map(globToRegExp)
+      : [];
+
+    const files = [];
+    const walk = async (dir) => {
+      for (const entry of await fs.readdir(path.join(this.root, dir), { withFileTypes: true })) {
+        const file = dir ? `${dir}/${entry.name}` : entry.name;
+        if (files.length >= MAX_SCANNED_FILES || ALWAYS_SKIPPED.test(file) || ignored.some(regex => regex.test(file))) continue;
+        if (entry.isDirectory()) {
+          await walk(file);
+        } else if (entry.isFile()) {
+          files.push(file);
+        }
+      }
+    };
+    await walk('');
+    return files;
+  }
+
+  // Read text files (binary and oversized files are skipped) and collect their relative imports
+  async scan(files) {
+    const scanned = new Map();
+
+    for (const file of files) {
+      const absolute = path.join(this.root, file);
+      try {
+        const stat = await fs.stat(absolute);
+        if (!stat.isFile() || stat.size > MAX_FILE_BYTES) continue;
+
+        const content = await fs.readFile(absolute, 'utf-8');
+        if (content.slice(0, 8000).includes('\0')) continue;
+
+        scanned.set(file, { path: file, content, imports: SOURCE_FILE.test(file) ? this.resolveImports(file, content) : [] });
+      } catch (error) {
+        logger.debug('Skipping unreadable context file', { file, error: error.message });
+      }
+    }
+
+    // Resolve against files that actually exist in the scan
+    for (const entry of scanned.values()) {
+      entry.imports = entry.imports
+        .map(candidates => candidates.find(candidate => scanned.has(candidate)))
+        .filter(Boolean);
+    }
+    return scanned;
+  }
+
+  // Possible paths for each relative import (extensions and index files)
+  resolveImports(file, content) {
+    return parseImports(content).map(specifier => {
+      const base = path.posix.normalize(path.posix.join(path.posix.dirname(file), specifier));
+      return RESOLVE_EXTENSIONS.map(extension => `${base}${extension}`);
+    });
+  }
+
+  // Uncommitted changes weigh more than files touched in the last commits
+  async recentChanges() {
+    const changes = new Map();
+    try {
+      const log = await this.git.raw(['log', '--name-only', '--pretty=format:', '-n', '20']);
+      log.split('\n').filter(Boolean).forEach(file => changes.set(file, 3));
+
+      const status = await this.git.status();
+      status.files.forEach(({ path: file }) => changes.set(file, 6));
+    } catch (error) {
+      logger.debug('No git history for context', { error: error.message });
+    }
+    return changes;
+  }
+
+  // Score every scanned file; neighbours of the best matches in the import graph inherit part of their score
+  rank(scanned, { keywords, requested, changes }) {
+    const scores = new Map();
+    const bump = (file, amount, reason) => {
+      const entry = scores.get(file) || { score: 0, reasons: [] };
+      entry.score += amount;
+      entry.reasons.push(reason);
+      scores.set(file, entry);
+    };
+
+    for (const { path: file, content } of scanned.values()) {
+      const lowerPath = file.toLowerCase();
+      const basename = path.posix.basename(lowerPath);
+      const lowerContent = content.toLowerCase();
+
+      const pathHits = keywords.filter(keyword => lowerPath.includes(keyword));
+      if (pathHits.length > 0) {
+        bump(file, pathHits.reduce((sum, keyword) => sum + (basename.includes(keyword) ? 8 : 5), 0), `path: ${pathHits.join(', ')}`);
+      }
+
+      const contentHits = keywords
+        .map(keyword => [keyword, Math.min(10, lowerContent.split(keyword).length - 1)])
+        .filter(([, count]) => count > 0);
+      if (contentHits.length > 0) {
+        bump(file, contentHits.reduce((sum, [, count]) => sum + count, 0), `mentions: ${contentHits.map(([keyword]) => keyword).join(', ')}`);
+      }
+
+      // Uncommitted work is relevant on its own; older commits only strengthen a match
+      if (changes.get(file) > 3) {
+        bump(file, changes.get(file), 'uncommitted change');
+      } else if (changes.has(file) && scores.has(file)) {
+        bump(file, changes.get(file), 'recently changed');
+      }
+    }
+
+    // Import graph: what the top matches import, and what imports them (best link only, so hubs don't pile up)
+    const seeds = [...scores.entries()]
+      .sort((a, b) => b[1].score - a[1].score)
+      .slice(0, IMPORT_SEEDS);
+
+    const links = new Map();
+    const link = (file, amount, reason) => {
+      if (file !== undefined && amount > (links.get(file)?.amount || 0)) links.set(file, { amount, reason });
+    };
+    for (const [seed, { score }] of seeds) {
+      scanned.get(seed).imports.forEach(file => link(file, Math.ceil(score / 4), `imported by ${seed}`));
+      for (const entry of scanned.values()) {
+        if (entry.imports.includes(seed)) link(entry.path, Math.ceil(score / 5), `imports ${seed}`);
+      }
+    }
+    links.forEach(({ amount, reason }, file) => bump(file, amount, reason));
+
+    requested.filter(file => scanned.has(file)).forEach(file => bump(file, Infinity, 'requested'));
+
+    return [...scores.entries()]
+      .filter(([file, { score }]) => score > 0 && scanned.has(file))
+      .map(([file, { score, reasons }]) => ({ ...scanned.get(file), score, reasons }))
+      .sort((a, b) => b.score - a.score || a.path.localeCompare(b.path));
+  }
+
+  // Fill the token budget: whole files when they fit, else their most relevant chunks
+  pack(ranked, { keywords, tokenBudget }) {
+    const files = [];
+    const skipped = [];
+    let tokens = 0;
+
+    for (const file of ranked) {
+      const lines = file.content.split('\n');
+      const header = estimateTokens(`### ${file.path} (lines 1-${lines.length})\n\`\`\`\n\`\`\`\n`);
+      const whole = header + estimateTokens(file.content);
+
+      let chunks = [];
+      if (tokens + whole <= tokenBudget) {
+        chunks = [{ startLine: 1, endLine: lines.length, tokens: whole }];
+      } else {
+        // Chunks with the most keyword hits first, each only if it still fits
+        const candidates = [];
+        for (let start = 0; start < lines.length; start += CHUNK_LINES) {
+          const text = lines.slice(start, start + CHUNK_LINES).join('\n');
+          const hits = keywords.reduce((sum, keyword) => sum + text.toLowerCase().split(keyword).length - 1, 0);
+          candidates.push({ startLine: start + 1, endLine: Math.min(lines.length, start + CHUNK_LINES), tokens: header + estimateTokens(text), hits });
+        }
+
+        // Files without keyword hits (import neighbours) get their opening chunk only
+        const relevant = candidates.some(chunk => chunk.hits > 0);
+        let used = tokens;
+        for (const chunk of candidates.sort((a, b) => b.hits - a.hits || a.startLine - b.startLine)) {
+          if (chunk.hits === 0 && (relevant || chunks.length > 0)) break;
+          if (used + chunk.tokens > tokenBudget) continue;
+          chunks.push({ startLine: chunk.startLine, endLine: chunk.endLine, tokens: chunk.tokens });
+          used += chunk.tokens;
+        }
+        chunks.sort((a, b) => a.startLine - b.startLine);
+      }
+
+      if (chunks.length === 0) {
+        skipped.push({ path: file.path, reason: 'over token budget' });
+        continue;
+      }
+
+      const used = chunks.reduce((sum, chunk) => sum + chunk.tokens, 0);
+      tokens += used;
+      files.push({
+        path: file.path,
+        score: file.score === Infinity ? null : file.score,
+        reasons: file.reasons,
+        totalLines: lines.length,
+        tokens: used,
+        chunks: chunks.map(({ startLine, endLine }) => ({
+          startLine,
+          endLine,
+          content: lines.slice(startLine - 1, endLine).join('\n')
+        }))
+      });
+    }
+
+    return { files, skipped, tokens };
+  }
+
+  // Prompt text: one fenced block per chunk, labelled with its path and line range
+  render(files, keywords) {
+    if (files.length === 0) return null;
+
+    const sections = [`Repository files relevant to: ${keywords.join(', ') || 'the task'}`];
+    for (const file of files) {
+      const language = path.posix.extname(file.path).slice(1);
+      for (const chunk of file.chunks) {
+        sections.push(`### ${file.path} (lines ${chunk.startLine}-${chunk.endLine} of ${file.totalLines})\n\`\`\`${language}\n${chunk.content}\n\`\`\``);
+      }
+    }
+    return sections.join('\n\n');
+  }
+}
+
+export default ContextBuilder;
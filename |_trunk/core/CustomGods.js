@@ -0,0 +1,169 @@
+/**
+ * CustomGods.js - User-defined Gods from .gaia/gods
+ * Loads JSON or YAML god plugins (JS plugins only on request), validates them and registers them in the god registry
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import yaml from 'js-yaml';
+import { pathToFileURL } from 'url';
+import { godRegistry, REALMS } from './GodRegistry.js';
+import { CONTRACTS } from './OutputContracts.js';
+
+export const CUSTOM_GODS_DIR = path.join('.gaia', 'gods');
+
+const PARSERS = {
+  '.json': async (file) => JSON.parse(await fs.readFile(file, 'utf-8')),
+  '.yaml': async (file) => yaml.load(await fs.readFile(file, 'utf-8'), { schema: yaml.CORE_SCHEMA }),
+  '.yml': async (file) => yaml.load(await fs.readFile(file, 'utf-8'), { schema: yaml.CORE_SCHEMA }),
+  '.js': async (file) => (await import(pathToFileURL(file).href)).default,
+  '.mjs': async (file) => (await import(pathToFileURL(file).href)).default
+};
+
+// Plugins that run code when loaded; a cloned repository must not get to execute them on every command
+const CODE_EXTENSIONS = ['.js', '.mjs'];
+
+// Executable gods load only with --allow-code-gods or GAIA_ALLOW_CODE_GODS=1 (never from .gaiarc, which the repository controls)
+export function codeGodsAllowed(argv = process.argv) {
+  return argv.includes('--allow-code-gods') || process.env.GAIA_ALLOW_CODE_GODS === '1';
+}
+
+const FIELDS = ['key', 'name', 'realm', 'domain', 'power', 'capabilities', 'systemPrompt', 'aliases', 'pairings', 'energy', 'tools', 'contract'];
+
+const isText = value => typeof value === 'string' && value.trim().length > 0;
+const isTextList = value => Array.isArray(value) && value.every(isText);
+
+// Nearest .gaia/gods walking up from startDir, stopping at the repository root
+export function findCustomGodsDir(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    const godsDir = path.join(dir, CUSTOM_GODS_DIR);
+    if (fs.existsSync(godsDir) && fs.statSync(godsDir).isDirectory()) return godsDir;
+
+    const parent = path.dirname(dir);
+    if (fs.existsSync(path.join(dir, '.git')) || parent === dir) return null;
+    dir = parent;
+  }
+}
+
+// Problems with one definition (empty when valid); pairings are checked once all gods are known
+export function validateGodDefinition(definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return ['definition must be an object'];
+  }
+
+  const problems = [];
+  const unknown = Object.keys(definition).filter(field => !FIELDS.includes(field));
+  if (unknown.length > 0) problems.push(`unknown fields: ${unknown.join(', ')}`);
+
+  if (!isText(definition.name)) problems.push('name is required');
+  if (definition.key !== undefined && !/^[a-z][\w-]*$/i.test(definition.key)) problems.push(`invalid key "${definition.key}"`);
+  if (!REALMS.includes(definition.realm)) problems.push(`realm must be one of ${REALMS.join(', ')}`);
+  if (!isText(definition.domain)) problems.push('domain is required');
+  if (definition.power !== undefined && !isText(definition.power)) problems.push('power must be a string');
+  if (!isTextList(definition.capabilities) || definition.capabilities.length === 0) problems.push('capabilities must be a non-empty list of strings');
+  if (definition.systemPrompt !== undefined && !isText(definition.systemPrompt)) problems.push('systemPrompt must be a string');
+  if (definition.aliases !== undefined && !isTextList(definition.aliases)) problems.push('aliases must be a list of strings');
+  if (definition.tools !== undefined && !isTextList(definition.tools)) problems.push('tools must be a list of strings');
+  if (definition.contract !== undefined && !CONTRACTS[definition.contract]) problems.push(`contract must be one of ${Object.keys(CONTRACTS).join(', ')}`);
+  if (definition.energy !== undefined && !(typeof definition.energy === 'number' && definition.energy >= 0 && definition.energy <= 100)) {
+    problems.push('energy must be a number from 0 to 100');
+  }
+
+  const { pairings } = definition;
+  if (pairings !== undefined && (!pairings || typeof pairings !== 'object' || Array.isArray(pairings) || !Object.values(pairings).every(isText))) {
+    problems.push('pairings must map task types to partner god names');
+  }
+
+  return problems;
+}
+
+// Registry key for a definition: explicit key, else the name slugified
+function keyFor(definition) {
+  return (definition.key || definition.name).trim().toLowerCase().replace(/[^\w-]+/g, '-');
+}
+
+// Plugin files in a directory, split into the ones to read and the executable ones left alone
+async function listPluginFiles(godsDir, allowCode) {
+  const files = (await fs.readdir(godsDir))
+    .filter(file => PARSERS[path.extname(file).toLowerCase()])
+    .sort();
+  const isCode = file => CODE_EXTENSIONS.includes(path.extname(file).toLowerCase());
+
+  return {
+    files: allowCode ? files : files.filter(file => !isCode(file)),
+    skipped: allowCode ? [] : files.filter(isCode).map(file => path.join(godsDir, file))
+  };
+}
+
+// Read plugin files: [{ file, definition }]
+async function readDefinitions(godsDir, files) {
+  const definitions = [];
+  for (const file of files) {
+    const filePath = path.join(godsDir, file);
+    let parsed;
+    try {
+      parsed = await PARSERS[path.extname(file).toLowerCase()](filePath);
+    } catch (error) {
+      throw new Error(`Invalid custom god ${filePath}: ${error.message}`);
+    }
+
+    for (const definition of Array.isArray(parsed) ? parsed : [parsed]) {
+      definitions.push({ file: filePath, definition });
+    }
+  }
+  return definitions;
+}
+
+// Load, validate and register custom gods; all-or-nothing so one bad file never half-loads the pantheon
+export async function loadCustomGods({ cwd = process.cwd(), godsDir = findCustomGodsDir(cwd), registry = godRegistry, allowCode = codeGodsAllowed() } = {}) {
+  if (!godsDir || !(await fs.pathExists(godsDir))) {
+    return { godsDir: null, gods: [], skipped: [] };
+  }
+
+  const { files, skipped } = await listPluginFiles(godsDir, allowCode);
+  const definitions = await readDefinitions(godsDir, files);
+  const errors = [];
+  const batch = new Map(); // key or alias -> { key, realm }
+
+  for (const { file, definition } of definitions) {
+    const problems = validateGodDefinition(definition);
+    if (problems.length === 0) {
+      const key = keyFor(definition);
+      if (!/^[a-z][\w-]*$/.test(key)) problems.push(`name "${definition.name}" needs a key starting with a letter`);
+      for (const name of [key, ...(definition.aliases || []).map(alias => alias.toLowerCase())]) {
+        if (registry.has(name) || batch.has(name)) {
+          problems.push(`name "${name}" is already taken by ${registry.canonical(name) || batch.get(name).key}`);
+        }
+        batch.set(name, { key, realm: definition.realm });
+      }
+    }
+    if (problems.length > 0) errors.push(`${file}: ${problems.join('; ')}`);
+  }
+
+  // Partners must exist (built-in or in this batch) and sit in the opposite realm
+  for (const { file, definition } of definitions) {
+    for (const [taskType, partner] of Object.entries(definition?.pairings || {})) {
+      const target = registry.resolve(partner) || batch.get(String(partner).toLowerCase());
+      if (!target) {
+        errors.push(`${file}: pairing "${taskType}" references unknown god ${partner}`);
+      } else if (target.realm === definition.realm) {
+        errors.push(`${file}: pairing "${taskType}" partner ${partner} must be in the opposite realm`);
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Custom gods failed validation:\n  ${errors.join('\n  ')}`);
+  }
+
+  const gods = definitions.map(({ file, definition }) => registry.register({
+    ...definition,
+    key: keyFor(definition),
+    name: definition.name.trim(),
+    source: file
+  }));
+
+  return { godsDir, gods, skipped };
+}
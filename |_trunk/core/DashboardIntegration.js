@@ -8,6 +8,7 @@ import chalk from 'chalk';
 import { logger } from './Logger.js';
 import MonitoringDashboard from './MonitoringDashboard.js';
 import MetricsCollector from './MetricsCollector.js';
+import { subscribeStream } from './DashboardStream.js';
 
 export class DashboardIntegration extends EventEmitter {
   constructor(options = {}) {
@@ -32,11 +33,13 @@ export class DashboardIntegration extends EventEmitter {
       multiObjectiveOptimizer: null,
       fitnessEvaluator: null,
       treeCoordinator: null,
-      ashvatthaTree: null
+      ashvatthaTree: null,
+      divineEngine: null
     };
     
     // Event subscription tracking
     this.subscriptions = new Map();
+    this.unsubscribers = new Map(); // component name -> function that stops forwarding its events
     
     logger.info('DashboardIntegration initialized for real-time monitoring');
   }
@@ -208,6 +211,16 @@ export class DashboardIntegration extends EventEmitter {
       
       this.subscriptions.set('divine', ashvatthaTree);
     }
+    
+    const { divineEngine } = this.components;
+    
+    if (divineEngine) {
+      // Stream intervention phases and tokens live to dashboard clients (once, however often this runs)
+      this.unsubscribe('divineEngine');
+      this.unsubscribers.set('divineEngine', subscribeStream(divineEngine, (event, data) => this.dashboard.streamDivineUpdate({ event, ...data })));
+      
+      this.subscriptions.set('divineEngine', divineEngine);
+    }
   }
 
   // Setup tree coordinator integration
@@ -406,6 +419,7 @@ export class DashboardIntegration extends EventEmitter {
       }
       
       // Clear subscriptions
+      [...this.unsubscribers.keys()].forEach(name => this.unsubscribe(name));
       this.subscriptions.clear();
       
       this.isRunning = false;
@@ -448,6 +462,12 @@ export class DashboardIntegration extends EventEmitter {
     };
   }
 
+  // Stop forwarding a component's events, if they are being forwarded
+  unsubscribe(name) {
+    this.unsubscribers.get(name)?.();
+    this.unsubscribers.delete(name);
+  }
+
   // Register additional component
   registerComponent(name, component) {
     this.components[name] = component;
@@ -467,6 +487,7 @@ export class DashboardIntegration extends EventEmitter {
   unregisterComponent(name) {
     if (this.components[name]) {
       this.components[name] = null;
+      this.unsubscribe(name);
       this.subscriptions.delete(name);
       console.log(chalk.yellow(`🗑️  Unregistered component: ${name}`));
     }
@@ -0,0 +1,86 @@
+/**
+ * DashboardStream.js - Divine Stream Publisher
+ * Relays live intervention tokens from the CLI to a running MonitoringDashboard
+ */
+
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import chalk from 'chalk';
+import { logger } from './Logger.js';
+
+export class DashboardStream extends EventEmitter {
+  constructor(url = 'ws://localhost:3001') {
+    super();
+    this.url = url;
+    this.socket = null;
+    this.connected = false;
+  }
+
+  // Connect to the dashboard WebSocket server (never fails the intervention)
+  async connect(timeout = 2000) {
+    return new Promise((resolve) => {
+      const socket = new WebSocket(this.url);
+      const timer = setTimeout(() => {
+        socket.terminate();
+        this.warnUnavailable('connection timed out');
+        resolve(false);
+      }, timeout);
+
+      socket.once('open', () => {
+        clearTimeout(timer);
+        this.socket = socket;
+        this.connected = true;
+        console.log(chalk.blue(`🔗 Streaming to dashboard at ${this.url}`));
+        resolve(true);
+      });
+
+      socket.once('error', (error) => {
+        clearTimeout(timer);
+        this.warnUnavailable(error.message);
+        resolve(false);
+      });
+    });
+  }
+
+  // Forward engine phase/token events as divine-update frames; returns the function that stops forwarding
+  attach(engine) {
+    return subscribeStream(engine, (event, data) => this.publish({ event, ...data }));
+  }
+
+  // Publish a single update
+  publish(update) {
+    if (!this.connected || this.socket.readyState !== WebSocket.OPEN) return;
+    this.socket.send(JSON.stringify({ type: 'divine-stream', update }));
+  }
+
+  // Close the connection
+  close() {
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+    this.connected = false;
+  }
+
+  // Dashboard is optional - warn and keep streaming to the terminal
+  warnUnavailable(reason) {
+    logger.warn('Dashboard stream unavailable', { url: this.url, reason });
+    console.log(chalk.yellow(`⚠️  Dashboard not reachable at ${this.url} (${reason}) - streaming to terminal only`));
+  }
+}
+
+// Engine event -> stream event name, shared by the dashboard frames and the CLI's ndjson events
+export const STREAM_EVENTS = {
+  'phase:start': 'phase-start',
+  'token': 'token',
+  'phase:complete': 'phase-complete'
+};
+
+// Call handler(event, data) for every stream event the engine emits; returns the unsubscribe function
+export function subscribeStream(engine, handler) {
+  const listeners = Object.entries(STREAM_EVENTS).map(([name, event]) => [name, data => handler(event, data)]);
+  listeners.forEach(([name, listener]) => engine.on(name, listener));
+  return () => listeners.forEach(([name, listener]) => engine.off(name, listener));
+}
+
+export default DashboardStream;
@@ -0,0 +1,205 @@
+/**
+ * DivineCompletion.js - LLM Completion Bridge for Divine Intervention
+ * Sends god prompts to the active authentication provider and returns structured output
+ */
+
+import { EventEmitter } from 'events';
+import { authManager } from '../auth/AuthManager.js';
+import { providerRegistry } from '../auth/providers/ProviderRegistry.js';
+import { providerResilience } from '../auth/ProviderResilience.js';
+import { estimateTokens, ProviderError } from '../auth/providers/ProviderAdapter.js';
+import { usageLedger } from './UsageLedger.js';
+import { responseCache, cacheKey } from './ResponseCache.js';
+import { godRegistry } from './GodRegistry.js';
+import { logger } from './Logger.js';
+
+export class DivineCompletion extends EventEmitter {
+  constructor(auth = authManager, registry = providerRegistry, usage = usageLedger, resilience = providerResilience, cache = responseCache) {
+    super();
+    this.auth = auth;
+    this.registry = registry;
+    this.usage = usage;
+    this.resilience = resilience;
+    this.cache = cache; // null disables caching
+    this.defaultMaxTokens = 2048;
+    this.defaultTemperature = 0.7;
+  }
+
+  // Request a completion from the active provider (streams when onToken is given), retrying and falling back on failure;
+  // repeated requests are served from the response cache (cache: false skips it), usage is recorded and budgets enforced.
+  // seeded: false sends the seed but leaves it out of the cache key (a random seed kept only for replays)
+  async complete({ onToken = null, signal = null, interventionId = null, budget = {}, cache = true, seeded = true, ...params }) {
+    // Stored credentials are only known once the auth config has loaded
+    await this.auth.ready;
+    let connection = this.auth.getActiveConnection(process.cwd(), { strict: true });
+
+    // Encrypted credentials are decrypted on first use (env keys need no unlock)
+    if (connection?.needsUnlock) {
+      await this.auth.unlock();
+      connection = this.auth.getActiveConnection(process.cwd(), { strict: true });
+    }
+
+    // A profile must not silently fall back to the offline gods
+    if (connection?.profile && !connection.authenticated) {
+      throw new Error(`Profile ${connection.profile} uses ${connection.provider} but no credentials are configured - run gaia login -p ${connection.provider}`);
+    }
+
+    // Without a configured provider the gods answer offline; otherwise fall back through the configured fallback list
+    const chain = connection?.authenticated ? [connection, ...this.auth.getFallbackConnections(connection)] : [null];
+
+    // Identical invocations (endpoint, model, sampling, prompts and seed) are answered from the cache; the offline gods are free anyway
+    const primary = chain[0];
+    let key = null;
+    if (cache && primary && primary.provider !== 'divine' && this.cache?.enabled) {
+      const sent = this.requestFor(primary, params);
+      const { baseUrl, model } = this.registry.get(primary.provider).resolveTarget(primary.credentials, sent);
+      key = cacheKey({
+        provider: primary.provider,
+        baseUrl,
+        model,
+        systemPrompt: sent.systemPrompt,
+        prompt: sent.prompt,
+        maxTokens: sent.maxTokens,
+        temperature: sent.temperature,
+        seed: seeded ? sent.seed : null
+      });
+    }
+    const hit = key ? this.cache.get(key) : null;
+    if (hit) {
+      onToken?.(hit.text);
+      const result = {
+        text: hit.text,
+        usage: hit.usage,
+        model: hit.model,
+        provider: hit.provider,
+        latency: 0,
+        cost: 0,
+        cached: true,
+        fallbackFrom: [],
+        codeBlocks: extractCodeBlocks(hit.text)
+      };
+      this.emit('completion', result);
+      return result;
+    }
+
+    this.usage.assertWithinBudget({ interventionId, budget });
+
+    // Once tokens reach the caller a stream can be neither retried nor handed to another provider
+    let streamed = false;
+    const emit = onToken && (token => {
+      streamed = true;
+      onToken(token);
+    });
+
+    let completion;
+    let request;
+    let provider;
+    const failed = [];
+    for (const [index, configured] of chain.entries()) {
+      provider = configured ? configured.provider : 'divine';
+      const credentials = configured ? configured.credentials : {};
+      const adapter = this.registry.get(provider);
+      request = this.requestFor(configured, params);
+
+      try {
+        completion = await this.resilience.execute(provider, () => (emit
+          ? adapter.stream(request, credentials, { onToken: emit, signal })
+          : adapter.complete(request, credentials, { signal })), {
+          signal,
+          action: 'completion',
+          canRetry: () => !streamed
+        });
+        break;
+      } catch (error) {
+        const next = chain[index + 1];
+        if (error.code === 'cancelled') throw error;
+        if (!next || streamed || !(error instanceof ProviderError)) {
+          logger.error('Provider request failed', { provider, code: error.code, error: error.message });
+          throw error;
+        }
+
+        failed.push({ provider, code: error.code, error: error.message });
+        logger.logProviderEvent('fallback', provider, { to: next.provider, code: error.code, error: error.message });
+        this.emit('fallback', { from: provider, to: next.provider, error });
+      }
+    }
+
+    // Providers that report no usage (some streams, local servers) get an estimate
+    const reported = completion.usage?.promptTokens > 0 || completion.usage?.completionTokens > 0;
+    const usage = reported ? completion.usage : {
+      promptTokens: estimateTokens(`${request.systemPrompt || ''}${request.prompt || ''}`),
+      completionTokens: estimateTokens(completion.text)
+    };
+    const entry = this.usage.record({
+      interventionId,
+      god: params.god,
+      realm: params.realm,
+      provider: completion.provider || provider,
+      model: completion.model,
+      usage,
+      estimated: !reported,
+      latency: completion.latency
+    });
+
+    // Only answers from the provider the key names are cached
+    if (key && failed.length === 0) {
+      this.cache.set(key, { provider, model: completion.model, seed: seeded ? params.seed ?? null : null, text: completion.text, usage, cost: entry.cost });
+    }
+
+    const result = {
+      ...completion,
+      cost: entry.cost,
+      cached: false,
+      fallbackFrom: failed,
+      codeBlocks: extractCodeBlocks(completion.text)
+    };
+
+    this.emit('completion', result);
+
+    // The answer is paid for either way; exceeding a cap stops whatever comes next
+    this.usage.assertWithinBudget({ interventionId, budget, after: true });
+    return result;
+  }
+
+  // Request as sent over one connection: the god's model and the connection's token limit and temperature filled in
+  requestFor(connection, params) {
+    const defaults = connection ? connection.params : {};
+    const model = params.model || this.modelFor(connection, params.god);
+    return {
+      ...params,
+      ...(model ? { model } : {}),
+      maxTokens: params.maxTokens || defaults.maxTokens || this.defaultMaxTokens,
+      temperature: params.temperature ?? defaults.temperature ?? this.defaultTemperature
+    };
+  }
+
+  // Per-god model override of a connection (e.g. a small model for Hermes, a large one for Odin); god aliases match too
+  modelFor(connection, god) {
+    const overrides = connection?.godModels || {};
+    if (!god || Object.keys(overrides).length === 0) return null;
+
+    const key = godRegistry.canonical(god) || god.toLowerCase();
+    const match = Object.keys(overrides).find(name => (godRegistry.canonical(name) || name.toLowerCase()) === key);
+    return match ? overrides[match] : null;
+  }
+}
+
+// Extract fenced code blocks from model output
+export function extractCodeBlocks(text = '') {
+  const blocks = [];
+  const fence = /```([^\n`]*)\n([\s\S]*?)```/g;
+  let match;
+
+  while ((match = fence.exec(text)) !== null) {
+    blocks.push({
+      language: match[1].trim() || null,
+      code: match[2].replace(/\n$/, '')
+    });
+  }
+
+  return blocks;
+}
+
+// Singleton instance
+export const divineCompletion = new DivineCompletion();
+export default divineCompletion;
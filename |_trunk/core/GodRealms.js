@@ -6,7 +6,20 @@
 
 import { EventEmitter } from 'events';
 import chalk from 'chalk';
-import { treeCoordinator } from './TreeCoordinator.js';
+import { divineCompletion } from './DivineCompletion.js';
+import { godRegistry } from './GodRegistry.js';
+import { CONTRACTS, DEFAULT_REPAIRS, resolveContract, checkOutput, contractInstructions, repairPrompt } from './OutputContracts.js';
+
+// Tokens over every attempt of a repaired invocation
+const sumUsage = attempts => attempts.reduce((totals, { usage }) => ({
+  promptTokens: totals.promptTokens + (usage?.promptTokens || 0),
+  completionTokens: totals.completionTokens + (usage?.completionTokens || 0)
+}), { promptTokens: 0, completionTokens: 0 });
+
+// Cost over every attempt (null when no attempt was priced)
+const sumCost = attempts => attempts.some(({ cost }) => cost !== null && cost !== undefined)
+  ? Math.round(attempts.reduce((total, { cost }) => total + (cost || 0), 0) * 1e6) / 1e6
+  : null;
 
 export class AshvatthaTree extends EventEmitter {
   constructor() {
@@ -22,55 +35,43 @@ export class AshvatthaTree extends EventEmitter {
   }
 
   initializePantheon() {
-    // 16 Light Gods (Branches - Earth Realm)
-    const lightGods = [
-      'Surya', 'Agni', 'Vayu', 'Varuna',
-      'Prithvi', 'Akasha', 'Soma', 'Marut',
-      'Ashwin', 'Rudra', 'Vishnu', 'Brahma',
-      'Saraswati', 'Lakshmi', 'Ganga', 'Tulasi'
-    ];
-
-    // 16 Shadow Gods (Roots - Cosmic Realm)
-    const shadowGods = [
-      'Kali', 'Shiva', 'Durga', 'Bhairava',
-      'Rahu', 'Ketu', 'Yama', 'Nirrti',
-      'Alakshmi', 'Jyestha', 'Mara', 'Apasmara',
-      'Mahakala', 'Chandi', 'Tamas', 'Avidya'
-    ];
-
-    // Initialize Light Gods (Branches)
-    lightGods.forEach((name, index) => {
-      this.lightGods.set(name, {
-        id: `light_${index}`,
-        name,
-        realm: 'light',
-        type: 'branch',
-        position: index,
-        leafs: new Set(),
-        connections: new Set(),
-        active: false,
-        energy: 100
-      });
-    });
+    // Light gods are branches (earth realm), shadow gods are roots (cosmic realm)
+    godRegistry.list().forEach(entry => this.plantGod(entry));
 
-    // Initialize Shadow Gods (Roots)
-    shadowGods.forEach((name, index) => {
-      this.shadowGods.set(name, {
-        id: `shadow_${index}`,
-        name,
-        realm: 'shadow',
-        type: 'root',
-        position: index,
-        leafs: new Set(),
-        connections: new Set(),
-        active: false,
-        energy: 100
-      });
+    // Gods registered later (custom gods from .gaia/gods) join the tree too
+    godRegistry.on('god:registered', entry => {
+      const god = this.plantGod(entry);
+      console.log(chalk.gray(`   ${entry.realm === 'light' ? '☀️' : '🌙'} ${god.name} joined the ${entry.realm} realm`));
+      this.emit('god:planted', god);
     });
 
-    console.log(chalk.cyan('🌳 Ashvattha Tree initialized with 32-god pantheon'));
-    console.log(chalk.yellow(`   ☀️  16 Light Gods (Branches): ${lightGods.join(', ')}`));
-    console.log(chalk.magenta(`   🌙 16 Shadow Gods (Roots): ${shadowGods.join(', ')}`));
+    const names = gods => Array.from(gods.values()).map(god => god.name).join(', ');
+    console.log(chalk.cyan(`🌳 Ashvattha Tree initialized with ${this.lightGods.size + this.shadowGods.size}-god pantheon`));
+    console.log(chalk.yellow(`   ☀️  ${this.lightGods.size} Light Gods (Branches): ${names(this.lightGods)}`));
+    console.log(chalk.magenta(`   🌙 ${this.shadowGods.size} Shadow Gods (Roots): ${names(this.shadowGods)}`));
+  }
+
+  // Add a registry entry as a branch (light) or root (shadow)
+  plantGod(entry) {
+    const gods = entry.realm === 'light' ? this.lightGods : this.shadowGods;
+    const god = {
+      id: `${entry.realm}_${gods.size}`,
+      key: entry.key,
+      name: entry.name,
+      realm: entry.realm,
+      type: entry.realm === 'light' ? 'branch' : 'root',
+      position: gods.size,
+      domain: entry.domain,
+      capabilities: entry.capabilities,
+      custom: Boolean(entry.source),
+      leafs: new Set(),
+      connections: new Set(),
+      active: false,
+      energy: entry.energy
+    };
+
+    gods.set(entry.key, god);
+    return god;
   }
 
   // Create leaf (computation point)
@@ -141,48 +142,20 @@ export class AshvatthaTree extends EventEmitter {
     return root;
   }
 
+  // Find a god's tree node by canonical name or alias (null when unknown)
+  findGod(godName) {
+    const entry = godRegistry.resolve(godName);
+    if (!entry) return null;
+    return (entry.realm === 'light' ? this.lightGods : this.shadowGods).get(entry.key) || null;
+  }
+
   // Activate god for divine intervention
   activateGod(godName, realm = 'auto') {
-    let god = null;
-    
-    // Map expected god names to actual god names in the system
-    const godNameMapping = {
-      // Light gods (Norse/Greek names to Indian names)
-      'odin': 'Vishnu',
-      'thor': 'Rudra', 
-      'freyr': 'Surya',
-      'baldr': 'Soma',
-      'heimdall': 'Marut',
-      'tyr': 'Varuna',
-      'vidar': 'Vayu',
-      'bragi': 'Saraswati',
-      'hermes': 'Ashwin',
-      'modi': 'Agni',
-      // Shadow gods (use actual names)
-      'kali': 'Kali',
-      'shiva': 'Shiva',
-      'durga': 'Durga',
-      'bhairava': 'Bhairava',
-      'yama': 'Yama',
-      'mahakala': 'Mahakala',
-      'rahu': 'Rahu',
-      'mara': 'Mara',
-      'nirrti': 'Nirrti',
-      'avidya': 'Avidya'
-    };
-    
-    const actualGodName = godNameMapping[godName.toLowerCase()] || godName;
-    
-    if (realm === 'auto') {
-      god = this.lightGods.get(actualGodName) || this.shadowGods.get(actualGodName);
-    } else if (realm === 'light') {
-      god = this.lightGods.get(actualGodName);
-    } else if (realm === 'shadow') {
-      god = this.shadowGods.get(actualGodName);
-    }
+    const entry = godRegistry.require(godName, { realm: realm === 'auto' ? null : realm });
+    const god = this.findGod(entry.key);
 
     if (!god) {
-      throw new Error(`God ${godName} (${actualGodName}) not found in ${realm} realm`);
+      throw new Error(`God ${godName} (${entry.name}) not found in ${realm} realm`);
     }
 
     god.active = true;
@@ -210,28 +183,147 @@ export class AshvatthaTree extends EventEmitter {
         total: this.shadowGods.size,
         active: activeShadow.length,
         names: activeShadow.map(g => g.name)
-      }
+      },
+      customGods: [...this.lightGods.values(), ...this.shadowGods.values()]
+        .filter(g => g.custom)
+        .map(g => `${g.name} (${g.realm})`)
     };
   }
 
-  // Divine intervention - invoke specific god for task
-  async invokeGod(godName, task, context = {}) {
+  // Describe a god by domain and power from the registry
+  getGodProfile(godName) {
     const god = this.activateGod(godName);
+    const entry = godRegistry.require(god.key);
+
+    return {
+      name: entry.name,
+      key: entry.key,
+      realm: entry.realm,
+      domain: entry.domain,
+      power: entry.power,
+      capabilities: entry.capabilities,
+      systemPrompt: entry.systemPrompt || null
+    };
+  }
+
+  // Build the system prompt that gives a god its voice (and the output contract it must answer in)
+  buildSystemPrompt(profile, contract = null) {
+    const stance = profile.realm === 'light'
+      ? 'You belong to the light realm: you create, design and implement.'
+      : 'You belong to the shadow realm: you critique, optimize and remove what is unnecessary.';
+
+    return [
+      `You are ${profile.name}, a god of the Gaia Archtree pantheon acting as a senior software engineer.`,
+      `Your domain is ${profile.domain}. Your power: ${profile.power}.`,
+      stance,
+      ...(profile.systemPrompt ? [profile.systemPrompt] : []),
+      contract ? contractInstructions(contract) : 'Answer the coding task directly. Put any code in fenced code blocks with a language tag.'
+    ].join('\n');
+  }
+
+  // Build the user prompt from the task and invocation context
+  buildTaskPrompt(task, context = {}) {
+    const { codeContext, lightResult, shadowResult, instructions, gaiaScript, ...rest } = context;
+    const sections = [`Task: ${task}`];
+
+    if (codeContext) {
+      sections.push(`Code context:\n${typeof codeContext === 'string' ? codeContext : JSON.stringify(codeContext, null, 2)}`);
+    }
+
+    if (lightResult?.text) {
+      sections.push(`Light realm proposal from ${lightResult.god}:\n${lightResult.text}`);
+    }
+
+    if (shadowResult?.text) {
+      sections.push(`Shadow realm critique from ${shadowResult.god}:\n${shadowResult.text}`);
+    }
+
+    if (gaiaScript) {
+      sections.push(`GaiaScript: ${gaiaScript}`);
+    }
+
+    const extras = Object.entries(rest).filter(([, value]) => ['string', 'number', 'boolean'].includes(typeof value));
+    if (extras.length > 0) {
+      sections.push(`Context:\n${extras.map(([key, value]) => `- ${key}: ${value}`).join('\n')}`);
+    }
+
+    if (instructions) {
+      sections.push(instructions);
+    }
+
+    return sections.join('\n\n');
+  }
+
+  // Divine intervention - invoke specific god for task
+  // contract: true (the god's role) or a contract name asks for typed JSON, repaired up to `repairs` times
+  async invokeGod(godName, task, context = {}, { contract: requested = null, repairs = DEFAULT_REPAIRS, ...options } = {}) {
+    const profile = this.getGodProfile(godName);
+    const contract = resolveContract(godName, requested);
     
     console.log(chalk.cyan(`🔮 Divine intervention: ${godName} processing task`));
     console.log(chalk.gray(`   Task: ${task}`));
-    
-    // Simulate divine processing
-    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const systemPrompt = this.buildSystemPrompt(profile, contract);
+    const prompt = this.buildTaskPrompt(task, context);
+    const ask = text => divineCompletion.complete({
+      systemPrompt,
+      prompt: text,
+      god: godName,
+      realm: profile.realm,
+      ...(contract ? { schema: CONTRACTS[contract].schema } : {}),
+      ...options
+    });
+
+    const attempts = [await ask(prompt)];
+    let structured = null;
+    if (contract) {
+      let check = checkOutput(attempts[0].text, contract);
+      while (check.errors.length > 0 && attempts.length <= repairs) {
+        console.log(chalk.yellow(`   🔧 ${godName} broke the ${contract} contract (${check.errors[0]}) - asking for a repair`));
+        attempts.push(await ask(repairPrompt(contract, prompt, attempts[attempts.length - 1].text, check.errors)));
+        check = checkOutput(attempts[attempts.length - 1].text, contract);
+      }
+
+      if (check.errors.length > 0) {
+        const error = new Error(`${godName} did not answer in the ${contract} contract after ${attempts.length} attempts: ${check.errors.slice(0, 3).join('; ')}`);
+        error.code = 'contract_violation';
+        error.errors = check.errors;
+        error.text = attempts[attempts.length - 1].text;
+        throw error;
+      }
+      structured = { contract, data: check.data, attempts: attempts.length };
+    }
+
+    const completion = attempts[attempts.length - 1];
+    if (completion.cached) {
+      console.log(chalk.gray(`   ♻️  Cached answer from ${completion.provider} (${completion.model})`));
+    }
+
+    if (completion.fallbackFrom?.length > 0) {
+      const failed = completion.fallbackFrom.map(({ provider, code }) => `${provider} (${code})`).join(', ');
+      console.log(chalk.yellow(`   ↪ ${failed} failed - answered by ${completion.provider}`));
+    }
     
     const result = {
       god: godName,
-      realm: god.realm,
+      realm: profile.realm,
       task,
       context,
       timestamp: new Date(),
       success: true,
-      intervention: `${godName} has ${god.realm === 'light' ? 'illuminated' : 'transformed'} the task`
+      provider: completion.provider,
+      model: completion.model,
+      systemPrompt,
+      prompt,
+      text: completion.text,
+      codeBlocks: completion.codeBlocks,
+      structured,
+      usage: attempts.length === 1 ? completion.usage : sumUsage(attempts),
+      cost: attempts.length === 1 ? completion.cost : sumCost(attempts),
+      latency: attempts.reduce((total, attempt) => total + (attempt.latency || 0), 0),
+      cached: completion.cached || false,
+      fallbackFrom: completion.fallbackFrom || [],
+      intervention: completion.text
     };
 
     this.emit('divine:intervention', result);
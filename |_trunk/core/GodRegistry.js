@@ -0,0 +1,153 @@
+/**
+ * GodRegistry.js - Canonical Pantheon Registry
+ * One registry for all 32 gods: canonical key, realm, domain, capabilities and aliases.
+ * Vedic (surya, brahma...) and Norse (vili, modi...) names resolve as aliases.
+ */
+
+import { EventEmitter } from 'events';
+import { lightBranches } from '../../^_corona/branches/lightGods.js';
+import { shadowRoots } from '../../√_radix/roots/shadowGods.js';
+
+export const REALMS = ['light', 'shadow'];
+
+// Flatten the sphere-grouped definitions into registry entries
+function fromDefinitions(tree, realm) {
+  const entries = [];
+  for (const [sphere, gods] of Object.entries(tree)) {
+    for (const [key, god] of Object.entries(gods)) {
+      entries.push({ ...god, key, realm, sphere });
+    }
+  }
+  return entries;
+}
+
+export class GodRegistry extends EventEmitter {
+  constructor(definitions = [...fromDefinitions(lightBranches, 'light'), ...fromDefinitions(shadowRoots, 'shadow')]) {
+    super();
+    this.gods = new Map(); // canonical key -> entry
+    this.names = new Map(); // lowercase key or alias -> canonical key
+
+    definitions.forEach(definition => this.register(definition));
+  }
+
+  // Register a god; keys and aliases must be unique across the pantheon
+  register(definition) {
+    const key = definition.key?.toLowerCase();
+    if (!key || !/^[a-z][\w-]*$/.test(key)) {
+      throw new Error(`Invalid god key: ${definition.key}`);
+    }
+    if (!REALMS.includes(definition.realm)) {
+      throw new Error(`God ${key} has invalid realm "${definition.realm}" (expected light or shadow)`);
+    }
+
+    const aliases = (definition.aliases || []).map(alias => alias.toLowerCase());
+    for (const name of [key, ...aliases]) {
+      if (this.names.has(name)) {
+        throw new Error(`God name "${name}" already belongs to ${this.names.get(name)}`);
+      }
+    }
+
+    const entry = {
+      ...definition,
+      key,
+      name: definition.name || key.charAt(0).toUpperCase() + key.slice(1),
+      domain: definition.domain || (definition.realm === 'light' ? 'Creation & Illumination' : 'Transformation & Optimization'),
+      power: definition.power || (definition.realm === 'light' ? 'Bringing new solutions into being' : 'Refining solutions through controlled destruction'),
+      energy: definition.energy ?? 100,
+      tools: definition.tools || [],
+      capabilities: definition.capabilities || ['general'],
+      aliases
+    };
+
+    this.gods.set(key, entry);
+    for (const name of [key, ...aliases]) {
+      this.names.set(name, key);
+    }
+
+    this.emit('god:registered', entry);
+    return entry;
+  }
+
+  // Resolve a key or alias (case-insensitive) to its entry, or null
+  resolve(name) {
+    if (typeof name !== 'string') return null;
+    const key = this.names.get(name.trim().toLowerCase());
+    return key ? this.gods.get(key) : null;
+  }
+
+  // Resolve or throw; optionally require a realm
+  require(name, { realm = null } = {}) {
+    const entry = this.resolve(name);
+    if (!entry) {
+      throw new Error(`Unknown god: ${name}`);
+    }
+    if (realm && entry.realm !== realm) {
+      throw new Error(`God ${name} (${entry.name}) belongs to the ${entry.realm} realm, not ${realm}`);
+    }
+    return entry;
+  }
+
+  // Check whether a name resolves
+  has(name) {
+    return this.resolve(name) !== null;
+  }
+
+  // Canonical key for a name (null when unknown)
+  canonical(name) {
+    return this.resolve(name)?.key || null;
+  }
+
+  // All entries, optionally filtered by realm
+  list({ realm = null } = {}) {
+    const entries = Array.from(this.gods.values());
+    return realm ? entries.filter(entry => entry.realm === realm) : entries;
+  }
+
+  // Gods advertising a capability
+  withCapability(capability) {
+    return this.list().filter(entry => entry.capabilities.includes(capability));
+  }
+
+  // Task pairings declared by gods themselves ({ migration: 'yama' } on a light god)
+  pairings() {
+    const table = {};
+    for (const entry of this.gods.values()) {
+      for (const [taskType, partner] of Object.entries(entry.pairings || {})) {
+        const partnerKey = this.canonical(partner) || partner;
+        table[taskType] = entry.realm === 'light'
+          ? { light: entry.key, shadow: partnerKey }
+          : { light: partnerKey, shadow: entry.key };
+      }
+    }
+    return table;
+  }
+
+  // Value from a god-keyed table whose key names the same god (keys may be aliases)
+  lookup(table, name) {
+    const key = this.canonical(name);
+    if (!key) return undefined;
+
+    for (const [tableName, value] of Object.entries(table)) {
+      if (this.canonical(tableName) === key) return value;
+    }
+    return undefined;
+  }
+
+  // Startup check: throw on any name that does not resolve
+  assertKnown(names, source = 'unknown source') {
+    const unknown = [...new Set(names.filter(name => !this.has(name)))];
+    if (unknown.length > 0) {
+      throw new Error(`${source} references unknown gods: ${unknown.join(', ')}`);
+    }
+    return true;
+  }
+}
+
+// Collect god names from pairing tables like { debugging: { light: 'thor', shadow: 'bhairava' } }
+export function pairingNames(pairings) {
+  return Object.values(pairings).flatMap(pair => [pair.light, pair.shadow]).filter(Boolean);
+}
+
+// Singleton instance
+export const godRegistry = new GodRegistry();
+export default godRegistry;
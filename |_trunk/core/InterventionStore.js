@@ -0,0 +1,200 @@
+/**
+ * InterventionStore.js - Persistent Intervention History
+ * Append-only JSON-lines log of divine interventions under the project's .gaia/ directory
+ */
+
+import { EventEmitter } from 'events';
+import fs from 'fs-extra';
+import path from 'path';
+import { projectDataPath } from './ProjectConfig.js';
+import { godRegistry } from './GodRegistry.js';
+import { logger } from './Logger.js';
+
+// Default location: <project>/.gaia/interventions.jsonl (override with GAIA_HISTORY_FILE)
+export function defaultHistoryPath() {
+  return process.env.GAIA_HISTORY_FILE || projectDataPath('interventions.jsonl');
+}
+
+// Parse --since/--until: ISO dates or relative spans like 12h, 7d, 2w (endOfDay widens a bare date)
+export function parseDateFilter(value, { now = Date.now(), endOfDay = false } = {}) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value;
+
+  const relative = /^(\d+)([hdw])$/.exec(String(value).trim());
+  if (relative) {
+    const hours = { h: 1, d: 24, w: 24 * 7 }[relative[2]];
+    return new Date(now - Number(relative[1]) * hours * 60 * 60 * 1000);
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value} (use YYYY-MM-DD or a span like 7d)`);
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value).trim())) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+// One phase (light/shadow) as stored: prompts, output and provider usage
+function serializePhase(step) {
+  if (!step) return null;
+  return {
+    god: step.god,
+    provider: step.result?.provider || null,
+    model: step.result?.model || null,
+    systemPrompt: step.result?.systemPrompt || null,
+    prompt: step.result?.prompt || null,
+    output: step.output || '',
+    usage: step.result?.usage || null,
+    cost: step.result?.cost ?? null,
+    cached: step.result?.cached || false,
+    latency: step.result?.latency ?? null,
+    started: step.started,
+    completed: step.completed
+  };
+}
+
+// Tokens and cost summed over every god invocation of the intervention
+function sumUsage(steps) {
+  const invocations = steps.filter(step => step.result?.usage);
+  if (invocations.length === 0) return null;
+  return invocations.reduce((totals, { result }) => ({
+    promptTokens: totals.promptTokens + (result.usage.promptTokens || 0),
+    completionTokens: totals.completionTokens + (result.usage.completionTokens || 0),
+    cost: Math.round((totals.cost + (result.cost || 0)) * 1e6) / 1e6
+  }), { promptTokens: 0, completionTokens: 0, cost: 0 });
+}
+
+// Debate transcript as stored: who said what in which round, and the verdicts
+function serializeDebate(debate) {
+  if (!debate) return null;
+  return {
+    rounds: debate.rounds,
+    agreed: debate.agreed,
+    deadlocked: debate.deadlocked ?? false,
+    transcript: debate.transcript.map(({ round, realm, god, role, text, verdict, provider, model, usage, latency }) => ({
+      round, realm, god, role, output: text, verdict, provider, model, usage, latency
+    }))
+  };
+}
+
+// Context as stored: which files (and line ranges) the gods saw - not their contents
+function serializeContext(context) {
+  if (!context) return null;
+  return {
+    budget: context.budget,
+    tokens: context.tokens,
+    keywords: context.keywords,
+    files: context.files.map(file => ({
+      path: file.path,
+      reasons: file.reasons,
+      lines: file.chunks.map(chunk => [chunk.startLine, chunk.endLine])
+    }))
+  };
+}
+
+export class InterventionStore extends EventEmitter {
+  constructor(historyPath = defaultHistoryPath()) {
+    super();
+    this.historyPath = historyPath;
+  }
+
+  // Flatten an intervention into a history record
+  serialize(intervention) {
+    const completed = intervention.completed || new Date();
+    const phase = name => serializePhase(intervention.steps.findLast(step => step.phase === name));
+
+    return {
+      id: intervention.id,
+      task: intervention.task,
+      status: intervention.status,
+      gods: intervention.gods,
+      god: intervention.god || null, // set for a single-god run (divine --god)
+      contract: intervention.contract || null,
+      seed: intervention.seed ?? null,
+      seeded: intervention.seeded ?? false,
+      complexity: intervention.analysis?.complexity || null,
+      domain: intervention.analysis?.domain || null,
+      created: intervention.created,
+      completed,
+      duration: new Date(completed) - new Date(intervention.created),
+      light: phase('light'),
+      shadow: phase('shadow'),
+      synthesis: intervention.finalResult?.synthesis?.synthesis || null,
+      balance: intervention.finalResult?.balance ?? null,
+      usage: sumUsage(intervention.steps),
+      patches: (intervention.finalResult?.patches || []).map(patch => patch.path),
+      appliedPatches: intervention.appliedPatches || [],
+      evolution: intervention.evolution || null,
+      debate: serializeDebate(intervention.debate),
+      context: serializeContext(intervention.context),
+      replayOf: intervention.replayOf || null,
+      error: intervention.error || null
+    };
+  }
+
+  // Append an intervention (one JSON object per line)
+  async append(intervention) {
+    const record = this.serialize(intervention);
+    await fs.ensureDir(path.dirname(this.historyPath));
+    await fs.appendFile(this.historyPath, `${JSON.stringify(record)}\n`);
+    this.emit('intervention:recorded', record);
+    return record;
+  }
+
+  // All records, oldest first (unparseable lines are skipped)
+  readAll() {
+    if (!fs.existsSync(this.historyPath)) return [];
+
+    const records = [];
+    const lines = fs.readFileSync(this.historyPath, 'utf-8').split('\n');
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        logger.warn('Skipping corrupt history line', { file: this.historyPath, line: index + 1 });
+      }
+    });
+    return records;
+  }
+
+  // Latest record for an id (a unique prefix is enough)
+  get(id) {
+    const records = this.readAll();
+    const exact = records.filter(record => record.id === id);
+    if (exact.length > 0) return exact[exact.length - 1];
+
+    const matches = [...new Set(records.filter(record => record.id.startsWith(id)).map(record => record.id))];
+    if (matches.length > 1) {
+      throw new Error(`Intervention id ${id} is ambiguous: ${matches.slice(0, 5).join(', ')}`);
+    }
+    return matches.length === 1 ? records.filter(record => record.id === matches[0]).pop() : null;
+  }
+
+  // Filter by god (either phase, aliases allowed), status and date range; newest first
+  query({ god = null, status = null, since = null, until = null, limit = null } = {}) {
+    const godKey = god ? godRegistry.canonical(god) || god.toLowerCase() : null;
+    const from = parseDateFilter(since);
+    const to = parseDateFilter(until, { endOfDay: true });
+
+    const matches = this.readAll().filter(record => {
+      const created = new Date(record.created);
+      if (godKey && ![record.gods?.light, record.gods?.shadow].some(name => (godRegistry.canonical(name) || name) === godKey)) return false;
+      if (status && record.status !== status) return false;
+      if (from && created < from) return false;
+      if (to && created > to) return false;
+      return true;
+    }).reverse();
+
+    return limit ? matches.slice(0, limit) : matches;
+  }
+
+  // Number of stored interventions
+  count() {
+    return this.readAll().length;
+  }
+}
+
+export default InterventionStore;
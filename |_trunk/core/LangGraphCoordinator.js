@@ -7,9 +7,19 @@ import { EventEmitter } from 'events';
 import chalk from 'chalk';
 import { ashvatthaTree } from './GodRealms.js';
 import { treeCoordinator } from './TreeCoordinator.js';
+import { godRegistry } from './GodRegistry.js';
 import { gaiaTranslator } from './GaiaTranslator.js';
 import { logger } from './Logger.js';
 
+// Agent teams per task keyword (names resolve through the god registry)
+const TASK_AGENTS = [
+  { keywords: ['debug', 'test'], light: ['thor', 'heimdall'], shadow: ['bhairava', 'mara'] },
+  { keywords: ['ui', 'design'], light: ['baldr', 'bragi'], shadow: ['nirrti', 'alakshmi'] },
+  { keywords: ['security', 'auth'], light: ['heimdall', 'tyr'], shadow: ['durga', 'chandi'] },
+  { keywords: ['performance', 'optimize'], light: ['thor', 'freyr'], shadow: ['mahakala', 'kali'] },
+  { keywords: ['architecture', 'system'], light: ['odin', 'vili', 've'], shadow: ['avidya', 'tamas', 'yama'] }
+];
+
 export class LangGraphCoordinator extends EventEmitter {
   constructor() {
     super();
@@ -22,74 +32,41 @@ export class LangGraphCoordinator extends EventEmitter {
     logger.info('LangGraph Coordinator initialized with 32-god agent system');
   }
 
-  // Initialize 32 gods as LangGraph agents
+  // Initialize every registered god as a LangGraph agent
   initializeAgents() {
-    // Light realm agents (16 Norse gods)
-    const lightGods = [
-      'odin', 'thor', 'freyr', 'baldr', 'heimdall', 'tyr', 'vidar', 'vali',
-      'bragi', 'hodr', 'magni', 'modi', 'forseti', 'ull', 'vili', 've'
-    ];
-
-    // Shadow realm agents (16 Indian gods)
-    const shadowGods = [
-      'kali', 'shiva', 'durga', 'bhairava', 'rahu', 'ketu', 'yama', 'nirrti',
-      'alakshmi', 'jyestha', 'mara', 'apasmara', 'mahakala', 'chandi', 'tamas', 'avidya'
-    ];
-
-    // Initialize light agents
-    lightGods.forEach(god => {
-      this.agents.set(god, {
-        id: god,
-        name: god,
-        realm: 'light',
-        type: 'creation',
-        status: 'idle',
-        capabilities: this.getGodCapabilities(god),
-        messageHistory: [],
-        currentTask: null
-      });
-    });
+    godRegistry.assertKnown(
+      TASK_AGENTS.flatMap(team => [...team.light, ...team.shadow]),
+      'LangGraphCoordinator.selectAgentsForTask'
+    );
 
-    // Initialize shadow agents
-    shadowGods.forEach(god => {
-      this.agents.set(god, {
-        id: god,
-        name: god,
-        realm: 'shadow',
-        type: 'optimization',
-        status: 'idle',
-        capabilities: this.getGodCapabilities(god),
-        messageHistory: [],
-        currentTask: null
-      });
-    });
+    godRegistry.list().forEach(god => this.addAgent(god));
+
+    // Custom gods registered later become agents too
+    godRegistry.on('god:registered', god => this.addAgent(god));
 
     console.log(chalk.cyan(`🕸️  LangGraph: ${this.agents.size} agents initialized`));
   }
 
+  // Create the agent for a registry entry
+  addAgent(god) {
+    const agent = {
+      id: god.key,
+      name: god.name,
+      realm: god.realm,
+      type: god.realm === 'light' ? 'creation' : 'optimization',
+      status: 'idle',
+      capabilities: god.capabilities,
+      messageHistory: [],
+      currentTask: null
+    };
+
+    this.agents.set(god.key, agent);
+    return agent;
+  }
+
   // Get god-specific capabilities for agent specialization
   getGodCapabilities(godName) {
-    const capabilities = {
-      // Light gods
-      odin: ['architecture', 'wisdom', 'planning', 'system-design'],
-      thor: ['testing', 'debugging', 'performance', 'strength'],
-      freyr: ['optimization', 'growth', 'scaling', 'prosperity'],
-      baldr: ['ui-ux', 'beauty', 'harmony', 'user-experience'],
-      heimdall: ['security', 'monitoring', 'auth', 'protection'],
-      tyr: ['justice', 'validation', 'ethics', 'fairness'],
-      vidar: ['clean-code', 'silence', 'minimalism', 'clarity'],
-      bragi: ['documentation', 'communication', 'storytelling'],
-      // Shadow gods
-      kali: ['destruction', 'cleanup', 'removal', 'purification'],
-      shiva: ['transformation', 'breaking-changes', 'revolution'],
-      durga: ['defense', 'protection', 'security', 'barriers'],
-      bhairava: ['critical-issues', 'panic-handling', 'emergency'],
-      yama: ['termination', 'timeout', 'process-management'],
-      mahakala: ['deep-cycles', 'time-management', 'eternity'],
-      rahu: ['hidden-dependencies', 'dark-imports', 'obscurity'],
-      mara: ['anti-patterns', 'temptation-detection', 'bad-practices']
-    };
-    return capabilities[godName] || ['general'];
+    return godRegistry.resolve(godName)?.capabilities || ['general'];
   }
 
   // Create workflow for complex task coordination
@@ -132,26 +109,14 @@ export class LangGraphCoordinator extends EventEmitter {
   // Select optimal agents for task
   selectAgentsForTask(task, complexity) {
     const taskLower = task.toLowerCase();
-    let lightAgents = ['odin']; // Default wisdom leader
-    let shadowAgents = ['shiva']; // Default transformation leader
-
-    // Task-specific agent selection
-    if (taskLower.includes('debug') || taskLower.includes('test')) {
-      lightAgents = ['thor', 'heimdall'];
-      shadowAgents = ['bhairava', 'mara'];
-    } else if (taskLower.includes('ui') || taskLower.includes('design')) {
-      lightAgents = ['baldr', 'bragi'];
-      shadowAgents = ['nirrti', 'alakshmi'];
-    } else if (taskLower.includes('security') || taskLower.includes('auth')) {
-      lightAgents = ['heimdall', 'tyr'];
-      shadowAgents = ['durga', 'chandi'];
-    } else if (taskLower.includes('performance') || taskLower.includes('optimize')) {
-      lightAgents = ['thor', 'freyr'];
-      shadowAgents = ['mahakala', 'kali'];
-    } else if (taskLower.includes('architecture') || taskLower.includes('system')) {
-      lightAgents = ['odin', 'vili', 've'];
-      shadowAgents = ['avidya', 'tamas', 'yama'];
-    }
+    const declared = treeCoordinator.matchPairing(task);
+    const team = declared
+      ? { light: [declared.light], shadow: [declared.shadow] }
+      : TASK_AGENTS.find(candidate => candidate.keywords.some(keyword => taskLower.includes(keyword)));
+
+    // Default: wisdom leader + transformation leader
+    const lightAgents = (team?.light || ['odin']).map(name => godRegistry.canonical(name));
+    const shadowAgents = (team?.shadow || ['shiva']).map(name => godRegistry.canonical(name));
 
     // Scale agent count based on complexity
     const agentCounts = {
@@ -267,7 +232,8 @@ export class LangGraphCoordinator extends EventEmitter {
     const balanceChange = realm === 'light' ? 20 : -20;
     treeCoordinator.balanceForces(
       realm === 'light' ? balanceChange : 0,
-      realm === 'shadow' ? Math.abs(balanceChange) : 0
+      realm === 'shadow' ? Math.abs(balanceChange) : 0,
+      { source: 'langgraph', workflowId: workflow.id, realm, gods: agents }
     );
   }
 
@@ -282,7 +248,8 @@ export class LangGraphCoordinator extends EventEmitter {
     const coordination = await treeCoordinator.invokeDualGods(
       lightLeader,
       shadowLeader,
-      `Cross-realm coordination for: ${workflow.task}`
+      `Cross-realm coordination for: ${workflow.task}`,
+      { source: 'langgraph', workflowId: workflow.id }
     );
     
     workflow.coordination.collaboration.push({
@@ -330,7 +297,7 @@ export class LangGraphCoordinator extends EventEmitter {
 
   // Get agent status
   getAgentStatus(agentId) {
-    return this.agents.get(agentId);
+    return this.agents.get(godRegistry.canonical(agentId));
   }
 
   // Get system statistics
@@ -166,7 +166,7 @@ export class DivineLogger {
   }
 
   // Log authentication events
-  logAuth(action, provider, success = true, error = null) {
+  logAuth(action, provider, success = true, error = null, details = {}) {
     const level = success ? 'INFO' : 'ERROR';
     const message = `Auth ${action}: ${provider} - ${success ? 'success' : 'failed'}`;
     
@@ -175,10 +175,23 @@ export class DivineLogger {
       provider,
       success,
       error: error?.message,
+      code: error?.code,
+      status: error?.status,
+      ...details,
       authEvent: true
     });
   }
 
+  // Log provider resilience events (retry, circuit open/close, fallback)
+  logProviderEvent(event, provider, details = {}) {
+    this.warn(`Provider ${event}: ${provider}`, {
+      event,
+      provider,
+      ...details,
+      providerEvent: true
+    });
+  }
+
   // Set log level
   setLevel(level) {
     if (this.levels[level]) {
@@ -242,6 +255,9 @@ export const setupGlobalErrorHandling = (logger) => {
 
   // Graceful shutdown
   process.on('SIGINT', () => {
+    // Commands with their own cancellation (e.g. streaming interventions) handle Ctrl-C themselves
+    if (process.listenerCount('SIGINT') > 1) return;
+
     logger.info('Received SIGINT, shutting down gracefully');
     console.log(chalk.cyan('\n🙏 Divine shutdown initiated. May your code rest in peace.'));
     process.exit(0);
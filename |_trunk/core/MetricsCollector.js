@@ -6,6 +6,7 @@
 import { EventEmitter } from 'events';
 import chalk from 'chalk';
 import { logger } from './Logger.js';
+import { usageLedger } from './UsageLedger.js';
 
 export class MetricsCollector extends EventEmitter {
   constructor() {
@@ -41,7 +42,12 @@ export class MetricsCollector extends EventEmitter {
         evaluationSpeed: 0, // evaluations per second
         memoryUsage: 0,
         cpuUsage: 0,
-        responseTime: 0
+        responseTime: 0,
+        invocations: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        totalCost: 0, // USD, from the usage ledger
+        costToday: 0
       },
       quality: {
         codeQuality: 0,
@@ -149,6 +155,7 @@ export class MetricsCollector extends EventEmitter {
     this.metrics.performance.memoryUsage = this.getMemoryUsage();
     this.metrics.performance.cpuUsage = this.getCpuUsage();
     this.metrics.performance.responseTime = this.getResponseTime();
+    Object.assign(this.metrics.performance, this.getUsageMetrics());
   }
 
   // Collect code quality metrics
@@ -321,6 +328,18 @@ export class MetricsCollector extends EventEmitter {
     return 50 + Math.random() * 100; // 50-150ms
   }
 
+  // Token and cost figures from the usage ledger
+  getUsageMetrics() {
+    const totals = usageLedger.totals();
+    return {
+      invocations: totals.calls,
+      promptTokens: totals.promptTokens,
+      completionTokens: totals.completionTokens,
+      totalCost: totals.cost,
+      costToday: usageLedger.budgetStatus().daily.spent
+    };
+  }
+
   calculateCodeQuality() {
     return 70 + Math.random() * 25; // 70-95
   }
@@ -455,7 +474,12 @@ export class MetricsCollector extends EventEmitter {
         evaluationSpeed: 0,
         memoryUsage: 0,
         cpuUsage: 0,
-        responseTime: 0
+        responseTime: 0,
+        invocations: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        totalCost: 0,
+        costToday: 0
       },
       quality: {
         codeQuality: 0,
@@ -106,7 +106,8 @@ export class MonitoringDashboard extends EventEmitter {
     });
     
     this.app.get('/api/tree-health', (req, res) => {
-      const treeHealth = treeCoordinator.getTreeHealth();
+      const events = Math.min(parseInt(req.query.events, 10) || 50, 1000);
+      const treeHealth = treeCoordinator.getTreeHealth({ events });
       res.json(treeHealth);
     });
     
@@ -170,6 +171,11 @@ export class MonitoringDashboard extends EventEmitter {
         this.emit('dashboard:invoke-god', data.god, data.task);
         break;
         
+      case 'divine-stream':
+        // Relay streamed tokens published by a CLI intervention
+        this.streamDivineUpdate(data.update);
+        break;
+        
       case 'reset-metrics':
         this.resetMetrics();
         this.broadcast('metrics-reset', { timestamp: new Date() });
@@ -201,6 +207,11 @@ export class MonitoringDashboard extends EventEmitter {
     });
   }
 
+  // Broadcast a streamed divine intervention update (phase start, token, phase complete)
+  streamDivineUpdate(update) {
+    this.broadcast('divine-update', { stream: true, ...update }, 'divine');
+  }
+
   // Start collecting data from evolution systems
   startDataCollection() {
     // Listen for evolution events
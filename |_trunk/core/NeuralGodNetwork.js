@@ -8,6 +8,7 @@ import chalk from 'chalk';
 import { logger } from './Logger.js';
 import { ashvatthaTree } from './GodRealms.js';
 import { treeCoordinator } from './TreeCoordinator.js';
+import { godRegistry } from './GodRegistry.js';
 import NeuralEvolutionEngine from '../heartwood/NeuralEvolutionEngine.js';
 
 export class NeuralGodNetwork extends EventEmitter {
@@ -37,6 +38,10 @@ export class NeuralGodNetwork extends EventEmitter {
         chaos: ['jormungandr', 'avidya', 'nirrti']
       }
     };
+    godRegistry.assertKnown(
+      Object.values(this.godCategories).flatMap(realm => Object.values(realm).flat()),
+      'NeuralGodNetwork.godCategories'
+    );
     
     // Task complexity neural mapping
     this.complexityLevels = {
@@ -0,0 +1,224 @@
+/**
+ * OutputContracts.js - Structured Output Contracts per God Role
+ * JSON schemas for what testing, security and documentation gods answer with,
+ * a validator for the small schema subset they use, and the prompts that ask for a repair
+ */
+
+import { godRegistry } from './GodRegistry.js';
+
+export const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+export const TEST_TYPES = ['unit', 'integration', 'e2e', 'property', 'regression'];
+
+// Repair attempts after the first answer before a contract violation is raised
+export const DEFAULT_REPAIRS = 2;
+
+export const CONTRACTS = {
+  security: {
+    description: 'security findings with severity',
+    schema: {
+      type: 'object',
+      required: ['summary', 'findings'],
+      properties: {
+        summary: { type: 'string' },
+        findings: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['title', 'severity', 'description'],
+            properties: {
+              title: { type: 'string', minLength: 1 },
+              severity: { type: 'string', enum: SEVERITIES },
+              description: { type: 'string' },
+              file: { type: 'string' },
+              line: { type: 'integer', minimum: 1 },
+              recommendation: { type: 'string' }
+            }
+          }
+        }
+      }
+    }
+  },
+  testing: {
+    description: 'test cases',
+    schema: {
+      type: 'object',
+      required: ['summary', 'tests'],
+      properties: {
+        summary: { type: 'string' },
+        tests: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['name', 'type', 'description'],
+            properties: {
+              name: { type: 'string', minLength: 1 },
+              type: { type: 'string', enum: TEST_TYPES },
+              description: { type: 'string' },
+              target: { type: 'string' },
+              code: { type: 'string' }
+            }
+          }
+        }
+      }
+    }
+  },
+  documentation: {
+    description: 'documentation patches',
+    schema: {
+      type: 'object',
+      required: ['summary', 'patches'],
+      properties: {
+        summary: { type: 'string' },
+        patches: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['path', 'summary'],
+            anyOf: [{ required: ['content'] }, { required: ['diff'] }],
+            properties: {
+              path: { type: 'string', minLength: 1 },
+              summary: { type: 'string' },
+              content: { type: 'string' },
+              diff: { type: 'string' }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Contract a god answers with: its declared "contract", else the first role among its capabilities
+export function contractFor(godName) {
+  const entry = godRegistry.resolve(godName);
+  if (!entry) return null;
+  if (entry.contract) return entry.contract;
+  return Object.keys(CONTRACTS).find(name => entry.capabilities.includes(name)) || null;
+}
+
+// Contract for an invocation: true picks the god's role contract, a string names one
+export function resolveContract(godName, requested) {
+  if (!requested) return null;
+  const name = requested === true ? contractFor(godName) : requested;
+  if (!name) {
+    throw new Error(`${godName} has no output contract (roles: ${Object.keys(CONTRACTS).join(', ')})`);
+  }
+  if (!CONTRACTS[name]) {
+    throw new Error(`Unknown output contract: ${name} (use ${Object.keys(CONTRACTS).join(', ')})`);
+  }
+  return name;
+}
+
+const typeOf = value => Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+// Errors for a value against a schema ([] when it conforms), each prefixed with its JSON path
+export function validate(value, schema, at = '$') {
+  const errors = [];
+
+  if (schema.type === 'integer' ? !Number.isInteger(value) : typeOf(value) !== schema.type) {
+    return [`${at}: expected ${schema.type}, got ${typeOf(value)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${at}: must not be empty`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${at}: must be at least ${schema.minimum}`);
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => errors.push(...validate(item, schema.items, `${at}[${index}]`)));
+  }
+
+  if (schema.type === 'object') {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) errors.push(`${at}.${field}: required`);
+    }
+    for (const [field, property] of Object.entries(schema.properties || {})) {
+      if (value[field] !== undefined) errors.push(...validate(value[field], property, `${at}.${field}`));
+    }
+    if (schema.anyOf && !schema.anyOf.some(option => (option.required || []).every(field => value[field] !== undefined))) {
+      errors.push(`${at}: needs one of ${schema.anyOf.map(option => option.required.join(' + ')).join(' or ')}`);
+    }
+  }
+
+  return errors;
+}
+
+// JSON from model output: a ```json fence, any fence that parses, else the outermost braces
+export function extractJson(text = '') {
+  const fences = [...text.matchAll(/```([^\n`]*)\n([\s\S]*?)```/g)]
+    .sort((a, b) => Number(b[1].trim() === 'json') - Number(a[1].trim() === 'json'));
+  const start = text.indexOf('{');
+  const candidates = [...fences.map(fence => fence[2]), start === -1 ? null : text.slice(start, text.lastIndexOf('}') + 1)];
+
+  let lastError = 'no JSON object found';
+  for (const candidate of candidates.filter(Boolean)) {
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      lastError = `invalid JSON: ${error.message}`;
+    }
+  }
+  throw new Error(lastError);
+}
+
+// Parse and validate an answer: { data, errors }
+export function checkOutput(text, contract) {
+  let data;
+  try {
+    data = extractJson(text);
+  } catch (error) {
+    return { data: null, errors: [`$: ${error.message}`] };
+  }
+  return { data, errors: validate(data, CONTRACTS[contract].schema) };
+}
+
+// System prompt addition describing the expected answer
+export function contractInstructions(contract) {
+  const { description, schema } = CONTRACTS[contract];
+  return [
+    `Answer with ${description} as a single JSON object in a \`\`\`json fenced block, conforming to this JSON schema:`,
+    JSON.stringify(schema),
+    'Do not add prose outside the JSON block.'
+  ].join('\n');
+}
+
+// Follow-up prompt that returns a non-conforming answer with its validation errors
+export function repairPrompt(contract, prompt, text, errors) {
+  return [
+    prompt,
+    `Your previous answer did not conform to the ${contract} output contract:`,
+    text,
+    `Validation errors:\n${errors.slice(0, 10).map(error => `- ${error}`).join('\n')}`,
+    `Answer again with only the corrected JSON object in a \`\`\`json fenced block.\n${JSON.stringify(CONTRACTS[contract].schema)}`
+  ].join('\n\n');
+}
+
+// Smallest value conforming to a schema (the offline gods answer with it)
+export function exampleFor(schema) {
+  switch (schema.type) {
+    case 'object':
+      return Object.fromEntries([...(schema.required || []), ...(schema.anyOf?.[0]?.required || [])]
+        .map(field => [field, exampleFor(schema.properties[field])]));
+    case 'array':
+      return [];
+    case 'integer':
+    case 'number':
+      return schema.minimum ?? 0;
+    case 'boolean':
+      return false;
+    default:
+      return schema.enum ? schema.enum[0] : 'x'.repeat(schema.minLength || 0);
+  }
+}
+
+// Security findings at or above a severity (critical first)
+export function findingsAtLeast(findings = [], severity = 'high') {
+  const rank = SEVERITIES.indexOf(severity);
+  return findings
+    .filter(finding => SEVERITIES.indexOf(finding.severity) <= rank)
+    .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
@@ -0,0 +1,85 @@
+/**
+ * OutputMode.js - Headless Output for Scripts and CI
+ * --json prints one JSON document per command, --output=ndjson one JSON event per line;
+ * either way prose goes to stderr, stdout carries only JSON and nothing prompts
+ */
+
+import { EventEmitter } from 'events';
+
+export const OUTPUT_FORMATS = ['text', 'json', 'ndjson'];
+
+// Format requested on the command line: --json, --output=<format> or --output <format> (text when absent)
+export function detectOutputFormat(argv = process.argv.slice(2)) {
+  let format = 'text';
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    if (arg === '--') break;
+    if (arg === '--json') format = 'json';
+    else if (arg.startsWith('--output=')) format = arg.slice('--output='.length);
+    else if (arg === '--output' && argv[index + 1]) format = argv[++index];
+  }
+  return format;
+}
+
+export class OutputMode extends EventEmitter {
+  constructor() {
+    super();
+    this.format = 'text';
+    this.redirected = false;
+  }
+
+  get machine() {
+    return this.format !== 'text';
+  }
+
+  // Switch format; machine formats send console.log/info/warn/debug to stderr (unknown formats are left to commander to reject)
+  configure(format) {
+    if (!OUTPUT_FORMATS.includes(format)) return this.format;
+    this.format = format;
+
+    if (this.machine && !this.redirected) {
+      for (const level of ['log', 'info', 'warn', 'debug']) {
+        console[level] = (...args) => console.error(...args);
+      }
+      this.redirected = true;
+    }
+    return this.format;
+  }
+
+  // Prompts need a terminal and are never shown in machine output
+  canPrompt() {
+    return Boolean(process.stdin.isTTY) && !this.machine;
+  }
+
+  write(value) {
+    process.stdout.write(`${this.format === 'json' ? JSON.stringify(value, null, 2) : JSON.stringify(value)}\n`);
+  }
+
+  // Progress event (tokens, phases, iterations) - only ndjson streams them
+  event(type, data = {}) {
+    if (this.format === 'ndjson') this.write({ type, ...data });
+  }
+
+  // Final result of a command
+  result(command, data = {}) {
+    if (!this.machine) return;
+    this.write({ ...(this.format === 'ndjson' ? { type: 'result' } : {}), ok: true, command, ...data });
+  }
+
+  // Failure of a command: error document (with whatever partial result there is) and a non-zero exit code
+  fail(command, error, exitCode = 1, data = {}) {
+    process.exitCode = exitCode;
+    if (!this.machine) return;
+    this.write({
+      ...(this.format === 'ndjson' ? { type: 'error' } : {}),
+      ok: false,
+      command,
+      error: { message: error.message, code: error.code || null },
+      ...data
+    });
+  }
+}
+
+// Singleton instance
+export const outputMode = new OutputMode();
+export default outputMode;
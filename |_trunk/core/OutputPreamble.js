@@ -0,0 +1,9 @@
+/**
+ * OutputPreamble.js - Output Mode Setup
+ * Imported before anything else by gaia.js so banners printed while modules load
+ * already go to stderr under --json / --output
+ */
+
+import { outputMode, detectOutputFormat } from './OutputMode.js';
+
+outputMode.configure(detectOutputFormat());
@@ -0,0 +1,429 @@
+/**
+ * PatchEngine.js - Divine Patch Engine
+ * Turns intervention output (unified diffs or file-replacement blocks) into validated,
+ * previewable and atomically applied working tree changes
+ */
+
+import { EventEmitter } from 'events';
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+import { logger } from './Logger.js';
+
+export class PatchEngine extends EventEmitter {
+  constructor(rootDir = process.cwd()) {
+    super();
+    this.rootDir = path.resolve(rootDir);
+    this.maxPreviewCells = 4000000; // LCS budget for replacement previews
+  }
+
+  // Extract patches from model output
+  // - ```diff / ```patch fences (or bare text) containing unified diffs
+  // - ```<lang> file=<path> fences containing the complete new file
+  parse(text = '') {
+    const patches = [];
+    const fence = /```([^\n`]*)\n([\s\S]*?)```/g;
+    let sawFence = false;
+    let match;
+
+    while ((match = fence.exec(text)) !== null) {
+      sawFence = true;
+      const info = match[1].trim();
+      const body = match[2];
+      const target = info.match(/(?:^|\s)(?:file|path)=("?)([^\s"]+)\1/);
+
+      if (target) {
+        patches.push({ type: 'replace', path: target[2], content: body });
+      } else if (/^(diff|patch)\b/.test(info)) {
+        patches.push(...this.parseUnifiedDiff(body));
+      }
+    }
+
+    if (!sawFence) {
+      patches.push(...this.parseUnifiedDiff(text));
+    }
+
+    return patches;
+  }
+
+  // Parse unified diff text into per-file patches
+  parseUnifiedDiff(text) {
+    const lines = text.split(/\r?\n/);
+    const patches = [];
+    let current = null;
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ')) {
+        const oldPath = cleanDiffPath(line.slice(4));
+        const newPath = cleanDiffPath(lines[i + 1].slice(4));
+        current = {
+          type: 'diff',
+          path: newPath || oldPath,
+          isNew: oldPath === null,
+          isDelete: newPath === null,
+          hunks: []
+        };
+        patches.push(current);
+        i++;
+        continue;
+      }
+
+      const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+      if (header && current) {
+        const hunk = {
+          oldStart: parseInt(header[1]),
+          oldCount: header[2] === undefined ? 1 : parseInt(header[2]),
+          newStart: parseInt(header[3]),
+          newCount: header[4] === undefined ? 1 : parseInt(header[4]),
+          lines: []
+        };
+
+        // Consume exactly the lines the header announces
+        let oldRemaining = hunk.oldCount;
+        let newRemaining = hunk.newCount;
+        while ((oldRemaining > 0 || newRemaining > 0) && i + 1 < lines.length) {
+          const hunkLine = lines[++i];
+          if (hunkLine.startsWith('\\')) continue; // "\ No newline at end of file"
+
+          const marker = hunkLine[0] || ' ';
+          if (marker === '-') {
+            oldRemaining--;
+          } else if (marker === '+') {
+            newRemaining--;
+          } else if (marker === ' ') {
+            oldRemaining--;
+            newRemaining--;
+          } else {
+            i--;
+            break;
+          }
+          hunk.lines.push({ marker, text: hunkLine.slice(1) });
+        }
+
+        current.hunks.push(hunk);
+      }
+    }
+
+    return patches;
+  }
+
+  // Validate patches against the working tree and compute resulting file contents
+  async validate(patches) {
+    const errors = [];
+    const changes = [];
+
+    for (const patch of patches) {
+      try {
+        changes.push(await this.computeChange(patch));
+      } catch (error) {
+        errors.push({ path: patch.path, error: error.message });
+      }
+    }
+
+    // Two patches touching one file would race each other
+    const seen = new Set();
+    for (const change of changes) {
+      if (seen.has(change.path)) {
+        errors.push({ path: change.path, error: 'File patched more than once' });
+      }
+      seen.add(change.path);
+    }
+
+    return { valid: errors.length === 0 && changes.length > 0, errors, changes };
+  }
+
+  // Compute { path, action, before, after } for a single patch
+  async computeChange(patch) {
+    const absolutePath = this.resolvePath(patch.path);
+    const exists = await fs.pathExists(absolutePath);
+    const before = exists ? await fs.readFile(absolutePath, 'utf-8') : null;
+
+    if (patch.type === 'replace') {
+      return {
+        path: patch.path,
+        action: exists ? 'modify' : 'create',
+        before,
+        after: patch.content,
+        patch
+      };
+    }
+
+    if (patch.isNew) {
+      if (exists) throw new Error(`${patch.path} already exists`);
+      const added = patch.hunks.flatMap(h => h.lines.filter(l => l.marker === '+').map(l => l.text));
+      return { path: patch.path, action: 'create', before: null, after: `${added.join('\n')}\n`, patch };
+    }
+
+    if (!exists) throw new Error(`${patch.path} does not exist`);
+
+    const after = applyHunks(before, patch.hunks, patch.path);
+    return {
+      path: patch.path,
+      action: patch.isDelete ? 'delete' : 'modify',
+      before,
+      after: patch.isDelete ? null : after,
+      patch
+    };
+  }
+
+  // Resolve a patch path, refusing anything outside the working tree (including through symlinks)
+  resolvePath(relativePath) {
+    const absolutePath = path.resolve(this.rootDir, relativePath);
+    const relative = path.relative(this.rootDir, absolutePath);
+
+    if (isOutside(relative)) {
+      throw new Error(`${relativePath} is outside the working tree`);
+    }
+    if (relative.split(path.sep)[0] === '.git') {
+      throw new Error(`${relativePath} targets git internals`);
+    }
+
+    // The nearest existing part of the path decides where a write really lands
+    const existing = nearestExisting(absolutePath);
+    let realPath;
+    try {
+      realPath = fs.realpathSync(existing);
+    } catch (error) {
+      throw new Error(`${relativePath} goes through a broken symlink (${path.relative(this.rootDir, existing)})`);
+    }
+    const realRelative = path.relative(fs.realpathSync(this.rootDir), realPath);
+    if (isOutside(realRelative) || realRelative.split(path.sep)[0] === '.git') {
+      throw new Error(`${relativePath} leaves the working tree through a symlink`);
+    }
+
+    return absolutePath;
+  }
+
+  // Render a colored preview of computed changes
+  preview(changes) {
+    const output = [];
+    const icons = { create: '✨', modify: '📝', delete: '🗑️ ' };
+
+    for (const change of changes) {
+      output.push(chalk.bold(`${icons[change.action]} ${change.path} (${change.action})`));
+
+      if (change.patch.type === 'diff') {
+        for (const hunk of change.patch.hunks) {
+          output.push(chalk.cyan(`@@ -${hunk.oldStart},${hunk.oldCount} +${hunk.newStart},${hunk.newCount} @@`));
+          hunk.lines.forEach(line => output.push(colorLine(line.marker, line.text)));
+        }
+      } else {
+        output.push(...this.previewReplacement(change.before, change.after));
+      }
+    }
+
+    return output.join('\n');
+  }
+
+  // Line diff preview for whole-file replacements
+  previewReplacement(before, after) {
+    const oldLines = before === null ? [] : splitLines(before);
+    const newLines = splitLines(after);
+
+    if (oldLines.length * newLines.length > this.maxPreviewCells) {
+      return [chalk.gray(`   (${oldLines.length} lines replaced by ${newLines.length} lines)`)];
+    }
+
+    const output = [];
+    let unchanged = [];
+    const flushUnchanged = () => {
+      if (unchanged.length > 6) {
+        output.push(...unchanged.slice(0, 3), chalk.gray(`   ... ${unchanged.length - 6} unchanged lines ...`), ...unchanged.slice(-3));
+      } else {
+        output.push(...unchanged);
+      }
+      unchanged = [];
+    };
+
+    for (const op of diffLines(oldLines, newLines)) {
+      if (op.marker === ' ') {
+        unchanged.push(colorLine(' ', op.text));
+      } else {
+        flushUnchanged();
+        output.push(colorLine(op.marker, op.text));
+      }
+    }
+    flushUnchanged();
+
+    return output;
+  }
+
+  // Apply patches atomically - either every file changes or none do
+  async apply(patchesOrText) {
+    const patches = typeof patchesOrText === 'string' ? this.parse(patchesOrText) : patchesOrText;
+    const validation = await this.validate(patches);
+
+    if (!validation.valid) {
+      const reasons = validation.errors.map(e => `${e.path}: ${e.error}`).join('; ') || 'no patches found';
+      throw new Error(`Patch validation failed: ${reasons}`);
+    }
+
+    const backups = [];
+    try {
+      for (const change of validation.changes) {
+        const absolutePath = this.resolvePath(change.path);
+        const stat = change.before === null ? null : await fs.stat(absolutePath);
+        backups.push({ absolutePath, before: change.before, mode: stat?.mode });
+
+        if (change.action === 'delete') {
+          await fs.remove(absolutePath);
+          continue;
+        }
+
+        // Write beside the target then rename over it
+        const tempPath = `${absolutePath}.gaia-${process.pid}.tmp`;
+        await fs.ensureDir(path.dirname(absolutePath));
+        await fs.writeFile(tempPath, change.after);
+        if (stat) await fs.chmod(tempPath, stat.mode);
+        await fs.rename(tempPath, absolutePath);
+      }
+    } catch (error) {
+      await this.rollback(backups);
+      logger.error('Patch apply failed, rolled back', { error: error.message, files: backups.length });
+      throw new Error(`Patch apply failed and was rolled back: ${error.message}`);
+    }
+
+    const files = validation.changes.map(c => ({ path: c.path, action: c.action }));
+    logger.info('Divine patch applied', { files: files.length });
+    this.emit('patch:applied', { files });
+
+    return { applied: true, files };
+  }
+
+  // Restore every file touched by a failed apply
+  async rollback(backups) {
+    for (const backup of backups.reverse()) {
+      try {
+        await fs.remove(`${backup.absolutePath}.gaia-${process.pid}.tmp`);
+        if (backup.before === null) {
+          await fs.remove(backup.absolutePath);
+        } else {
+          await fs.writeFile(backup.absolutePath, backup.before);
+          if (backup.mode) await fs.chmod(backup.absolutePath, backup.mode);
+        }
+      } catch (error) {
+        logger.error('Patch rollback failed for file', { file: backup.absolutePath, error: error.message });
+      }
+    }
+    this.emit('patch:rolled-back', { files: backups.length });
+  }
+}
+
+// A path relative to the root that climbs out of it ('..foo' is a file name, not a climb)
+function isOutside(relative) {
+  return relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative);
+}
+
+// Closest ancestor-or-self that exists, without following a symlink at the end
+function nearestExisting(target) {
+  let current = target;
+  while (true) {
+    try {
+      fs.lstatSync(current);
+      return current;
+    } catch (error) {
+      const parent = path.dirname(current);
+      if (parent === current) return current;
+      current = parent;
+    }
+  }
+}
+
+// Strip a/ b/ prefixes and timestamps; /dev/null means "no file"
+function cleanDiffPath(raw) {
+  const value = raw.split('\t')[0].trim();
+  if (value === '/dev/null') return null;
+  return value.replace(/^[ab]\//, '');
+}
+
+function splitLines(text) {
+  const lines = text.split(/\r?\n/);
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+// Apply hunks in order, tolerating line drift by searching for the hunk's context
+function applyHunks(content, hunks, filePath) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const trailingNewline = /\r?\n$/.test(content);
+  const lines = splitLines(content);
+  let offset = 0;
+
+  hunks.forEach((hunk, index) => {
+    const oldLines = hunk.lines.filter(l => l.marker !== '+').map(l => l.text);
+    const newLines = hunk.lines.filter(l => l.marker !== '-').map(l => l.text);
+    const start = hunk.oldCount === 0 ? hunk.oldStart : hunk.oldStart - 1; // A pure insertion goes after line oldStart
+    const expected = Math.max(0, start + offset);
+    const position = findHunk(lines, oldLines, expected);
+
+    if (position === -1) {
+      throw new Error(`Hunk ${index + 1} does not apply to ${filePath} (expected near line ${hunk.oldStart})`);
+    }
+
+    lines.splice(position, oldLines.length, ...newLines);
+    offset += position - start + newLines.length - oldLines.length;
+  });
+
+  const result = lines.join(eol);
+  return trailingNewline || lines.length === 0 ? `${result}${eol}` : result;
+}
+
+// Find the closest position where the hunk's old lines match
+function findHunk(lines, oldLines, expected) {
+  const matchesAt = (position) => oldLines.every((line, i) => lines[position + i]?.trimEnd() === line.trimEnd());
+  const maxPosition = lines.length - oldLines.length;
+
+  for (let distance = 0; distance <= lines.length; distance++) {
+    for (const position of [expected - distance, expected + distance]) {
+      if (position >= 0 && position <= maxPosition && matchesAt(position)) return position;
+    }
+    if (expected - distance < 0 && expected + distance > maxPosition) break;
+  }
+
+  return -1;
+}
+
+// LCS line diff: [{ marker: ' ' | '-' | '+', text }]
+function diffLines(oldLines, newLines) {
+  const rows = oldLines.length + 1;
+  const cols = newLines.length + 1;
+  const table = new Uint32Array(rows * cols);
+
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      table[i * cols + j] = oldLines[i] === newLines[j]
+        ? table[(i + 1) * cols + j + 1] + 1
+        : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length && j < newLines.length) {
+    if (oldLines[i] === newLines[j]) {
+      ops.push({ marker: ' ', text: oldLines[i++] });
+      j++;
+    } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+      ops.push({ marker: '-', text: oldLines[i++] });
+    } else {
+      ops.push({ marker: '+', text: newLines[j++] });
+    }
+  }
+  while (i < oldLines.length) ops.push({ marker: '-', text: oldLines[i++] });
+  while (j < newLines.length) ops.push({ marker: '+', text: newLines[j++] });
+
+  return ops;
+}
+
+function colorLine(marker, text) {
+  if (marker === '+') return chalk.green(`+${text}`);
+  if (marker === '-') return chalk.red(`-${text}`);
+  return chalk.gray(` ${text}`);
+}
+
+// Singleton instance (current working tree)
+export const patchEngine = new PatchEngine();
+export default patchEngine;
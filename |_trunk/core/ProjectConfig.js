@@ -0,0 +1,64 @@
+/**
+ * ProjectConfig.js - Repo-local .gaiarc Configuration
+ * Finds the nearest .gaiarc (JSON) walking up from the working directory
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+
+export const PROJECT_CONFIG_FILE = '.gaiarc';
+
+// Find the nearest .gaiarc: { path, dir, config } or null
+export function loadProjectConfig(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    const configPath = path.join(dir, PROJECT_CONFIG_FILE);
+    if (fs.existsSync(configPath)) {
+      try {
+        return { path: configPath, dir, config: fs.readJsonSync(configPath) };
+      } catch (error) {
+        throw new Error(`Invalid ${PROJECT_CONFIG_FILE} at ${configPath}: ${error.message}`);
+      }
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+// Merge updates into <dir>/.gaiarc (undefined values remove keys)
+export async function updateProjectConfig(dir, updates) {
+  const configPath = path.join(dir, PROJECT_CONFIG_FILE);
+  const config = (await fs.pathExists(configPath)) ? await fs.readJson(configPath) : {};
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (value === undefined) {
+      delete config[key];
+    } else {
+      config[key] = value;
+    }
+  }
+
+  await fs.writeJson(configPath, config, { spaces: 2 });
+  return { path: configPath, dir, config };
+}
+
+// Project root: nearest directory with a .gaiarc or .git, else startDir itself
+export function findProjectRoot(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    if (fs.existsSync(path.join(dir, PROJECT_CONFIG_FILE)) || fs.existsSync(path.join(dir, '.git'))) return dir;
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return path.resolve(startDir);
+    dir = parent;
+  }
+}
+
+// Path inside the project's .gaia data directory
+export function projectDataPath(...segments) {
+  return path.join(findProjectRoot(), '.gaia', ...segments);
+}
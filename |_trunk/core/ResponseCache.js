@@ -0,0 +1,198 @@
+/**
+ * ResponseCache.js - Content-addressed Cache for God Invocations
+ * Stores completions under .gaia/cache keyed by provider, endpoint, model, prompts, sampling settings and seed,
+ * expiring them after a TTL and evicting the least recently used past a size limit
+ */
+
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { loadProjectConfig, projectDataPath } from './ProjectConfig.js';
+import { logger } from './Logger.js';
+
+export const DEFAULT_CACHE = { enabled: true, ttlHours: 7 * 24, maxSizeMB: 50 };
+
+// Default location: <project>/.gaia/cache (override with GAIA_CACHE_DIR)
+export function defaultCacheDir() {
+  return process.env.GAIA_CACHE_DIR || projectDataPath('cache');
+}
+
+// Settings: defaults, then .gaiarc "cache", then GAIA_CACHE_TTL_HOURS / GAIA_CACHE_MAX_MB / GAIA_NO_CACHE
+export function resolveCacheConfig(env = process.env) {
+  const config = { ...DEFAULT_CACHE, ...(loadProjectConfig()?.config.cache || {}) };
+  if (env.GAIA_CACHE_TTL_HOURS) config.ttlHours = env.GAIA_CACHE_TTL_HOURS;
+  if (env.GAIA_CACHE_MAX_MB) config.maxSizeMB = env.GAIA_CACHE_MAX_MB;
+  if (env.GAIA_NO_CACHE && env.GAIA_NO_CACHE !== '0') config.enabled = false;
+
+  for (const field of ['ttlHours', 'maxSizeMB']) {
+    const value = Number(config[field]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Invalid cache ${field}: ${config[field]} (expected a non-negative number)`);
+    }
+    config[field] = value;
+  }
+  config.enabled = config.enabled !== false;
+  return config;
+}
+
+// Content address of one invocation; an unseeded call only matches other unseeded calls
+export function cacheKey({ provider, baseUrl = null, model = null, systemPrompt = '', prompt = '', maxTokens = null, temperature = null, seed = null }) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([provider, baseUrl || null, model || null, systemPrompt || '', prompt || '', maxTokens ?? null, temperature ?? null, seed ?? null]))
+    .digest('hex');
+}
+
+export class ResponseCache extends EventEmitter {
+  constructor(dir = defaultCacheDir(), config = null) {
+    super();
+    this.dir = dir;
+    this.entriesDir = path.join(dir, 'entries');
+    this.statsPath = path.join(dir, 'stats.json');
+    this.config = config; // resolved on first use when not given
+  }
+
+  settings() {
+    return this.config || (this.config = resolveCacheConfig());
+  }
+
+  get enabled() {
+    return this.settings().enabled;
+  }
+
+  entryPath(key) {
+    return path.join(this.entriesDir, `${key}.json`);
+  }
+
+  isExpired(entry, now = Date.now()) {
+    const { ttlHours } = this.settings();
+    return ttlHours > 0 && now - new Date(entry.created).getTime() > ttlHours * 60 * 60 * 1000;
+  }
+
+  // Cached entry for a key, or null (expired entries are removed); counts hits and misses
+  get(key) {
+    const file = this.entryPath(key);
+    let entry = null;
+
+    try {
+      if (fs.existsSync(file)) {
+        entry = fs.readJsonSync(file);
+        if (this.isExpired(entry)) {
+          fs.removeSync(file);
+          entry = null;
+        } else {
+          const now = new Date();
+          fs.utimesSync(file, now, now); // recency for eviction
+        }
+      }
+    } catch (error) {
+      logger.warn('Unreadable cache entry, ignoring it', { file, error: error.message });
+      entry = null;
+    }
+
+    this.count(entry ? { hits: 1, saved: entry.cost || 0 } : { misses: 1 });
+    this.emit(entry ? 'cache:hit' : 'cache:miss', { key });
+    return entry;
+  }
+
+  // Store a completion, then enforce the size limit
+  set(key, { provider, model, seed = null, text, usage = null, cost = null }) {
+    const entry = { key, provider, model, seed, text, usage, cost, created: new Date().toISOString() };
+    try {
+      fs.ensureDirSync(this.entriesDir);
+      fs.writeJsonSync(this.entryPath(key), entry);
+      this.prune();
+    } catch (error) {
+      logger.warn('Failed to write cache entry', { key, error: error.message });
+    }
+    return entry;
+  }
+
+  // Entries on disk with size and last use, oldest first
+  list() {
+    if (!fs.existsSync(this.entriesDir)) return [];
+    return fs.readdirSync(this.entriesDir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => {
+        const file = path.join(this.entriesDir, name);
+        const stat = fs.statSync(file);
+        return { key: name.slice(0, -'.json'.length), file, bytes: stat.size, used: stat.mtimeMs };
+      })
+      .sort((a, b) => a.used - b.used);
+  }
+
+  // Drop expired entries, then the least recently used until the cache fits
+  prune() {
+    const limit = this.settings().maxSizeMB * 1024 * 1024;
+    const entries = this.list();
+    let bytes = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+    let removed = 0;
+
+    for (const entry of entries) {
+      let expired = false;
+      try {
+        expired = this.isExpired(fs.readJsonSync(entry.file));
+      } catch {
+        expired = true; // corrupt entries go too
+      }
+      if (expired || (limit > 0 && bytes > limit)) {
+        fs.removeSync(entry.file);
+        bytes -= entry.bytes;
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  // Persisted counters: hits, misses and the cost hits saved
+  counters() {
+    try {
+      return { hits: 0, misses: 0, saved: 0, since: null, ...fs.readJsonSync(this.statsPath) };
+    } catch {
+      return { hits: 0, misses: 0, saved: 0, since: null };
+    }
+  }
+
+  count({ hits = 0, misses = 0, saved = 0 }) {
+    const counters = this.counters();
+    try {
+      fs.ensureDirSync(this.dir);
+      fs.writeJsonSync(this.statsPath, {
+        hits: counters.hits + hits,
+        misses: counters.misses + misses,
+        saved: Math.round((counters.saved + saved) * 1e6) / 1e6,
+        since: counters.since || new Date().toISOString()
+      });
+    } catch (error) {
+      logger.warn('Failed to update cache stats', { error: error.message });
+    }
+  }
+
+  // Size, entry count and hit rate
+  stats() {
+    const entries = this.list();
+    const counters = this.counters();
+    const lookups = counters.hits + counters.misses;
+    return {
+      dir: this.dir,
+      ...this.settings(),
+      entries: entries.length,
+      bytes: entries.reduce((sum, entry) => sum + entry.bytes, 0),
+      ...counters,
+      hitRate: lookups > 0 ? counters.hits / lookups : null
+    };
+  }
+
+  // Remove every entry and reset the counters; returns the number of entries removed
+  async clear() {
+    const removed = this.list().length;
+    await fs.remove(this.entriesDir);
+    await fs.remove(this.statsPath);
+    this.emit('cache:cleared', { removed });
+    return removed;
+  }
+}
+
+// Singleton instance
+export const responseCache = new ResponseCache();
+export default responseCache;
@@ -292,7 +292,7 @@ export class TempleOSRandomBeacon extends EventEmitter {
     return selectedSeed || this.fallbackSeed();
   }
 
-  // Apply divine seed to LLM generation
+  // Apply divine seed to LLM generation (interventions created with divineSeeding take their seed from here)
   applyDivineSeeding(modelConfig, mutationType = 'DIVINE_CROSSOVER') {
     const divineSeed = this.getDivineSeed(mutationType);
     
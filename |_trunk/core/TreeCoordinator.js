@@ -3,63 +3,97 @@
  * Central coordination between Yggdrasil (crown) and Ashvattha (roots)
  */
 
-import { lightBranches } from '../../^_corona/branches/lightGods.js';
-import { shadowRoots } from '../../√_radix/roots/shadowGods.js';
 import { EventEmitter } from 'events';
 import chalk from 'chalk';
+import { godRegistry, pairingNames } from './GodRegistry.js';
+import { BalanceLedger } from './BalanceLedger.js';
+
+// Light/shadow pairing per task type
+const OPTIMAL_PAIRINGS = {
+  'debugging': { light: 'thor', shadow: 'bhairava' },
+  'refactoring': { light: 'modi', shadow: 'shiva' },
+  'security': { light: 'heimdall', shadow: 'durga' },
+  'cleanup': { light: 'vidar', shadow: 'kali' },
+  'optimization': { light: 'freyr', shadow: 'mahakala' },
+  'documentation': { light: 'bragi', shadow: 'yama' },
+  'testing': { light: 'thor', shadow: 'mara' },
+  'architecture': { light: 'odin', shadow: 'avidya' }
+};
+
+// Dialogue turns that carry a full solution (critiques only comment on one)
+const SOLUTION_ROLES = ['proposal', 'revision', 'refinement'];
+
+const VERDICT_LINE = /^[*_\s]*verdict[*_\s]*:[*_\s]*(agree|object)\b/i;
+
+// Debate verdict from the last line of a god's reply ("VERDICT: AGREE" / "VERDICT: OBJECT"), or null
+export function parseVerdict(text = '') {
+  const lines = String(text).trim().split('\n').filter(line => line.trim());
+  const match = VERDICT_LINE.exec(lines[lines.length - 1] || '');
+  return match ? match[1].toLowerCase() : null;
+}
+
+// Reply text without its trailing verdict line
+export function stripVerdict(text = '') {
+  const lines = String(text).trimEnd().split('\n');
+  if (VERDICT_LINE.test(lines[lines.length - 1] || '')) lines.pop();
+  return lines.join('\n').trimEnd();
+}
+
+// Where a debate stands after a critique: 'agreed', 'deadlocked' when the light god rejected the critique it revised
+// against and the shadow still objects (another round will not converge), or null while it can go on
+export function debateStanding(solution, critique) {
+  if (critique?.verdict === 'agree') return 'agreed';
+  return solution?.role === 'revision' && solution.verdict === 'object' ? 'deadlocked' : null;
+}
 
 export class TreeCoordinator extends EventEmitter {
   constructor() {
     super();
-    this.yggdrasil = lightBranches; // Norse light branches (up)
-    this.ashvattha = shadowRoots;   // Indian shadow roots (down)
+    this.registry = godRegistry;
+    this.pairings = { ...OPTIMAL_PAIRINGS };
+    this.registry.assertKnown(pairingNames(this.pairings), 'TreeCoordinator.getOptimalPairing');
+    this.ledger = new BalanceLedger(); // persisted balance + event log (.gaia/)
     this.trunk = {
       energy: 100,
-      balance: 0, // -100 (shadow) to +100 (light)
+      balance: this.ledger.load(), // -100 (shadow) to +100 (light), decays toward 0
       active: true
     };
     
     console.log(chalk.green('🌳 Gaia Trunk initialized - coordinating dual trees'));
-    console.log(chalk.cyan(`   🌿 Yggdrasil: ${Object.keys(this.yggdrasil).length} light branches`));
-    console.log(chalk.magenta(`   🕳️  Ashvattha: ${Object.keys(this.ashvattha).length} shadow roots`));
+    console.log(chalk.cyan(`   🌿 Yggdrasil: ${this.registry.list({ realm: 'light' }).length} light branches`));
+    console.log(chalk.magenta(`   🕳️  Ashvattha: ${this.registry.list({ realm: 'shadow' }).length} shadow roots`));
   }
 
-  // Balance between light and shadow forces
-  balanceForces(lightIntensity = 0, shadowIntensity = 0) {
-    const netForce = lightIntensity - shadowIntensity;
-    this.trunk.balance = Math.max(-100, Math.min(100, this.trunk.balance + netForce));
+  // Balance between light and shadow forces; cause names the intervention/god/source behind the change
+  balanceForces(lightIntensity = 0, shadowIntensity = 0, cause = {}) {
+    const event = this.ledger.apply(lightIntensity, shadowIntensity, cause);
+    this.trunk.balance = event.after;
     
     const balanceColor = this.trunk.balance > 0 ? chalk.yellow : chalk.magenta;
-    console.log(balanceColor(`⚖️  Tree balance: ${this.trunk.balance}`));
+    const clamped = event.clamped !== null ? chalk.red(` (clamped from ${event.clamped})`) : '';
+    console.log(balanceColor(`⚖️  Tree balance: ${this.trunk.balance}`) + clamped);
     
     this.emit('balance:changed', {
       balance: this.trunk.balance,
       light: lightIntensity,
-      shadow: shadowIntensity
+      shadow: shadowIntensity,
+      clamped: event.clamped,
+      cause
     });
     
     return this.trunk.balance;
   }
 
-  // Invoke dual gods (light + shadow) for complex tasks
-  async invokeDualGods(lightGod, shadowGod, task) {
-    // Find light god in nested structure
-    let light = null;
-    for (const realm of Object.values(this.yggdrasil)) {
-      if (realm[lightGod]) {
-        light = realm[lightGod];
-        break;
-      }
-    }
-    
-    // Find shadow god in nested structure
-    let shadow = null;
-    for (const realm of Object.values(this.ashvattha)) {
-      if (realm[shadowGod]) {
-        shadow = realm[shadowGod];
-        break;
-      }
-    }
+  // Current balance with decay toward equilibrium applied
+  refreshBalance() {
+    this.trunk.balance = this.ledger.current();
+    return this.trunk.balance;
+  }
+
+  // Invoke dual gods (light + shadow) for complex tasks; a light/shadow transcript is synthesized into one answer
+  async invokeDualGods(lightGod, shadowGod, task, cause = {}, { transcript = null } = {}) {
+    const light = this.registry.resolve(lightGod);
+    const shadow = this.registry.resolve(shadowGod);
     
     if (!light || !shadow) {
       throw new Error(`Gods not found: ${lightGod} (light), ${shadowGod} (shadow)`);
@@ -68,89 +102,106 @@ export class TreeCoordinator extends EventEmitter {
     console.log(chalk.cyan(`🔮 Dual invocation: ${light.name} ☀️  + ${shadow.name} 🌙`));
     console.log(chalk.gray(`   Task: ${task}`));
     
-    // Simulate dual processing
-    await new Promise(resolve => setTimeout(resolve, 150));
+    const dialogue = transcript?.length > 0 ? this.synthesizeDialogue(light, shadow, transcript) : null;
     
     const result = {
       light: { god: light.name, domain: light.domain, energy: light.energy },
       shadow: { god: shadow.name, domain: shadow.domain, energy: shadow.energy },
       task,
-      balance: this.balanceForces(25, 25), // Equal dual force
+      balance: this.balanceForces(25, 25, { source: 'dual_invocation', gods: [light.key, shadow.key], ...cause }), // Equal dual force
       timestamp: new Date(),
-      synthesis: `${light.name}'s ${light.energy} harmonized with ${shadow.name}'s ${shadow.energy}`
+      ...(dialogue || {
+        synthesis: `${light.name}'s ${light.energy} harmonized with ${shadow.name}'s ${shadow.energy}`
+      })
     };
 
     this.emit('dual:invocation', result);
     return result;
   }
 
-  // Get all available leafs from branches
+  // Merge a dialogue: the last full solution wins, an unanswered shadow objection stays open
+  synthesizeDialogue(light, shadow, transcript) {
+    const solution = transcript.filter(turn => SOLUTION_ROLES.includes(turn.role)).pop();
+    const last = transcript[transcript.length - 1];
+    const rounds = Math.max(...transcript.map(turn => turn.round || 1));
+
+    // A debate ends on a critique: its verdict and the revision's decide whether both sides agree
+    const debated = last.role === 'critique';
+    const standing = debated ? debateStanding(solution, last) : null;
+    const agreed = debated ? standing === 'agreed' : null;
+    const deadlocked = standing === 'deadlocked';
+    const objections = debated && !agreed ? [stripVerdict(last.text)] : [];
+
+    const summary = !debated ? `${shadow.name} refined ${light.name}'s proposal` :
+                    agreed ? `${light.name} and ${shadow.name} agreed after ${rounds} round(s)` :
+                    deadlocked ? `${light.name} rejected ${shadow.name}'s critique and ${shadow.name} still objects - deadlocked after ${rounds} round(s)` :
+                    `${light.name} and ${shadow.name} did not agree after ${rounds} round(s)`;
+
+    return {
+      rounds,
+      agreed,
+      deadlocked,
+      solution: solution ? stripVerdict(solution.text) : '',
+      objections,
+      synthesis: [
+        summary,
+        solution ? stripVerdict(solution.text) : null,
+        ...objections.map(objection => `Open objections from ${shadow.name}:\n${objection}`)
+      ].filter(Boolean).join('\n\n')
+    };
+  }
+
+  // Get all available leafs (capabilities) from branches and roots
   getAllLeafs() {
-    const lightLeafs = Object.values(this.yggdrasil)
-      .flatMap(god => god.leafs.map(leaf => ({ leaf, god: god.name, realm: 'light' })));
+    const leafsFor = realm => this.registry.list({ realm })
+      .flatMap(god => god.capabilities.map(leaf => ({ leaf, god: god.name, realm })));
     
-    const shadowLeafs = Object.values(this.ashvattha)
-      .flatMap(god => god.roots.map(root => ({ leaf: root, god: god.name, realm: 'shadow' })));
-    
-    return { lightLeafs, shadowLeafs };
+    return { lightLeafs: leafsFor('light'), shadowLeafs: leafsFor('shadow') };
   }
 
   // Find god by leaf/capability
   findGodByLeaf(leafName) {
-    // Search light branches
-    for (const [godKey, god] of Object.entries(this.yggdrasil)) {
-      if (god.leafs.includes(leafName)) {
-        return { god: god.name, realm: 'light', domain: god.domain };
-      }
-    }
-    
-    // Search shadow roots
-    for (const [godKey, god] of Object.entries(this.ashvattha)) {
-      if (god.roots.includes(leafName)) {
-        return { god: god.name, realm: 'shadow', domain: god.domain };
-      }
-    }
-    
-    return null;
+    const god = this.registry.withCapability(leafName)[0];
+    return god ? { god: god.name, realm: god.realm, domain: god.domain } : null;
   }
 
-  // Get optimal god pairing for task
+  // Get optimal god pairing for task (pairings declared by custom gods win)
   getOptimalPairing(taskType) {
-    const pairings = {
-      'debugging': { light: 'thor', shadow: 'bhairava' },
-      'refactoring': { light: 'modi', shadow: 'shiva' },
-      'security': { light: 'heimdall', shadow: 'durga' },
-      'cleanup': { light: 'vidar', shadow: 'kali' },
-      'optimization': { light: 'freyr', shadow: 'mahakala' },
-      'documentation': { light: 'bragi', shadow: 'yama' },
-      'testing': { light: 'thor', shadow: 'mara' },
-      'architecture': { light: 'odin', shadow: 'avidya' }
-    };
-    
-    return pairings[taskType] || { light: 'odin', shadow: 'shiva' };
+    return this.registry.pairings()[taskType] || this.pairings[taskType] || { light: 'odin', shadow: 'shiva' };
+  }
+
+  // Pairing declared by a registered god whose task type appears in the task text
+  matchPairing(task) {
+    const taskLower = task.toLowerCase();
+    const match = Object.entries(this.registry.pairings()).find(([taskType]) => taskLower.includes(taskType.toLowerCase()));
+    return match ? { taskType: match[0], ...match[1] } : null;
   }
 
   // Tree health status
-  getTreeHealth() {
-    const lightCount = Object.keys(this.yggdrasil).length;
-    const shadowCount = Object.keys(this.ashvattha).length;
+  getTreeHealth({ events = 5 } = {}) {
+    const lightCount = this.registry.list({ realm: 'light' }).length;
+    const shadowCount = this.registry.list({ realm: 'shadow' }).length;
+    this.refreshBalance();
     const isBalanced = Math.abs(this.trunk.balance) < 50;
     
     return {
       yggdrasil: {
         branches: lightCount,
-        health: lightCount === 16 ? 'perfect' : 'incomplete'
+        health: lightCount >= 16 ? 'perfect' : 'incomplete'
       },
       ashvattha: {
         roots: shadowCount,
-        health: shadowCount === 16 ? 'perfect' : 'incomplete'
+        health: shadowCount >= 16 ? 'perfect' : 'incomplete'
       },
       trunk: {
         balance: this.trunk.balance,
         energy: this.trunk.energy,
-        balanced: isBalanced
+        balanced: isBalanced,
+        halfLifeHours: this.ledger.halfLifeHours,
+        drift24h: this.ledger.drift(),
+        events: events > 0 ? this.ledger.events({ limit: events }) : []
       },
-      overall: (lightCount === 16 && shadowCount === 16 && isBalanced) ? 'divine' : 'growing'
+      overall: (lightCount >= 16 && shadowCount >= 16 && isBalanced) ? 'divine' : 'growing'
     };
   }
 }
@@ -0,0 +1,233 @@
+/**
+ * UsageLedger.js - Token and Cost Accounting
+ * Records prompt/completion tokens and estimated cost of every god invocation,
+ * rolls them up per intervention, god and day, and enforces budget caps
+ */
+
+import { EventEmitter } from 'events';
+import fs from 'fs-extra';
+import path from 'path';
+import { loadProjectConfig, projectDataPath } from './ProjectConfig.js';
+import { parseDateFilter } from './InterventionStore.js';
+import { logger } from './Logger.js';
+
+// USD per million tokens; model names match exactly or by prefix, provider names are the fallback
+export const DEFAULT_PRICES = {
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'meta-llama/Meta-Llama-3.1-70B-Instruct': { input: 0.35, output: 0.4 },
+  'meta-llama/Meta-Llama-3.1-8B-Instruct': { input: 0.03, output: 0.05 },
+  divine: { input: 0, output: 0 },
+  local: { input: 0, output: 0 }
+};
+
+export const ROLLUPS = {
+  intervention: record => record.interventionId || '(direct invocation)',
+  god: record => record.god || 'unknown',
+  day: record => record.at.slice(0, 10),
+  provider: record => record.provider || 'unknown',
+  model: record => record.model || 'unknown'
+};
+
+const round = value => Math.round(value * 1e6) / 1e6;
+
+// Default location: <project>/.gaia/usage.jsonl (override with GAIA_USAGE_FILE)
+export function defaultUsagePath() {
+  return process.env.GAIA_USAGE_FILE || projectDataPath('usage.jsonl');
+}
+
+// Price table: defaults, then .gaiarc "prices", then the JSON file in GAIA_PRICES_FILE
+export function loadPriceTable() {
+  const prices = { ...DEFAULT_PRICES, ...(loadProjectConfig()?.config.prices || {}) };
+
+  if (process.env.GAIA_PRICES_FILE) {
+    try {
+      Object.assign(prices, fs.readJsonSync(process.env.GAIA_PRICES_FILE));
+    } catch (error) {
+      throw new Error(`Invalid price table ${process.env.GAIA_PRICES_FILE}: ${error.message}`);
+    }
+  }
+  return prices;
+}
+
+// Budget caps in USD: GAIA_BUDGET_INTERVENTION_USD / GAIA_BUDGET_DAILY_USD, then .gaiarc "budget"
+export function resolveBudget() {
+  const configured = loadProjectConfig()?.config.budget || {};
+  const cap = (envValue, configValue, name) => {
+    const value = envValue ?? configValue;
+    if (value === undefined || value === null || value === '') return null;
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || amount < 0) {
+      throw new Error(`Invalid ${name} budget: ${value} (expected an amount in USD)`);
+    }
+    return amount;
+  };
+
+  return {
+    intervention: cap(process.env.GAIA_BUDGET_INTERVENTION_USD, configured.intervention, 'intervention'),
+    daily: cap(process.env.GAIA_BUDGET_DAILY_USD, configured.daily, 'daily')
+  };
+}
+
+export class UsageLedger extends EventEmitter {
+  constructor(usagePath = defaultUsagePath(), { prices = null, budget = null } = {}) {
+    super();
+    this.usagePath = usagePath;
+    this.prices = prices;
+    this.budget = budget;
+    this.recordCache = null; // parsed usage log, read once per process
+    this.unpriced = new Set();
+  }
+
+  // Price per million tokens for a model (exact, then longest prefix, then provider), or null
+  priceFor(model, provider) {
+    const prices = this.prices || (this.prices = loadPriceTable());
+    if (model && prices[model]) return prices[model];
+
+    const prefix = Object.keys(prices)
+      .filter(name => model?.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? prices[prefix] : prices[provider] || null;
+  }
+
+  // Estimated cost in USD (null when the model has no price)
+  cost({ model, provider, promptTokens = 0, completionTokens = 0 }) {
+    const price = this.priceFor(model, provider);
+    if (!price) {
+      if (!this.unpriced.has(model)) {
+        this.unpriced.add(model);
+        logger.warn('No price for model, cost not tracked', { model, provider });
+      }
+      return null;
+    }
+    return round((promptTokens * (price.input || 0) + completionTokens * (price.output || 0)) / 1e6);
+  }
+
+  // Record one invocation
+  record({ interventionId = null, god = null, realm = null, provider, model, usage = {}, estimated = false, latency = null }) {
+    const entry = {
+      at: new Date().toISOString(),
+      interventionId,
+      god,
+      realm,
+      provider,
+      model,
+      promptTokens: usage.promptTokens || 0,
+      completionTokens: usage.completionTokens || 0,
+      estimated,
+      latency
+    };
+    entry.cost = this.cost(entry);
+
+    try {
+      fs.ensureDirSync(path.dirname(this.usagePath));
+      fs.appendFileSync(this.usagePath, `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      logger.warn('Failed to persist usage', { error: error.message });
+    }
+
+    this.recordCache?.push(entry);
+    this.emit('usage:recorded', entry);
+    return entry;
+  }
+
+  // Recorded invocations, oldest first, filtered by intervention, god and date range
+  records({ interventionId = null, god = null, since = null, until = null } = {}) {
+    if (!this.recordCache) {
+      this.recordCache = !fs.existsSync(this.usagePath) ? [] : fs.readFileSync(this.usagePath, 'utf-8')
+        .split('\n')
+        .filter(line => line.trim())
+        .flatMap(line => {
+          try {
+            return [JSON.parse(line)];
+          } catch {
+            return [];
+          }
+        });
+    }
+
+    const from = parseDateFilter(since);
+    const to = parseDateFilter(until, { endOfDay: true });
+    return this.recordCache.filter(record =>
+      (!interventionId || record.interventionId === interventionId) &&
+      (!god || record.god === god) &&
+      (!from || new Date(record.at) >= from) &&
+      (!to || new Date(record.at) <= to)
+    );
+  }
+
+  // Summed tokens and cost
+  totals(filters = {}) {
+    return this.records(filters).reduce((totals, record) => ({
+      calls: totals.calls + 1,
+      promptTokens: totals.promptTokens + record.promptTokens,
+      completionTokens: totals.completionTokens + record.completionTokens,
+      cost: round(totals.cost + (record.cost || 0)),
+      unpriced: totals.unpriced + (record.cost === null ? 1 : 0)
+    }), { calls: 0, promptTokens: 0, completionTokens: 0, cost: 0, unpriced: 0 });
+  }
+
+  // Totals grouped by intervention, god, day, provider or model
+  rollup(by, filters = {}) {
+    const keyOf = ROLLUPS[by];
+    if (!keyOf) {
+      throw new Error(`Unknown usage rollup: ${by} (use ${Object.keys(ROLLUPS).join(', ')})`);
+    }
+
+    const groups = new Map();
+    for (const record of this.records(filters)) {
+      const key = keyOf(record);
+      const group = groups.get(key) || { key, calls: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+      group.calls++;
+      group.promptTokens += record.promptTokens;
+      group.completionTokens += record.completionTokens;
+      group.cost = round(group.cost + (record.cost || 0));
+      groups.set(key, group);
+    }
+
+    const rows = Array.from(groups.values());
+    return by === 'day'
+      ? rows.sort((a, b) => b.key.localeCompare(a.key))
+      : rows.sort((a, b) => b.cost - a.cost || b.promptTokens + b.completionTokens - a.promptTokens - a.completionTokens);
+  }
+
+  // Spend so far against each cap (the daily cap counts the current UTC day)
+  budgetStatus({ interventionId = null, budget = {} } = {}) {
+    const caps = { ...(this.budget || resolveBudget()), ...budget };
+    const today = `${new Date().toISOString().slice(0, 10)}T00:00:00.000Z`;
+
+    return {
+      daily: { cap: caps.daily ?? null, spent: this.totals({ since: today }).cost },
+      intervention: { cap: caps.intervention ?? null, spent: interventionId ? this.totals({ interventionId }).cost : 0 }
+    };
+  }
+
+  // Throw when a cap is reached (before a call) or exceeded (after one)
+  assertWithinBudget({ interventionId = null, budget = {}, after = false } = {}) {
+    const status = this.budgetStatus({ interventionId, budget });
+    const over = ({ cap, spent }) => cap !== null && (after ? spent > cap : spent >= cap);
+
+    const breach = over(status.intervention) && interventionId
+      ? `intervention ${interventionId} spent $${status.intervention.spent} of $${status.intervention.cap}`
+      : over(status.daily) ? `today's spend is $${status.daily.spent} of $${status.daily.cap}` : null;
+
+    if (breach) {
+      const error = new Error(`Budget exceeded: ${breach}`);
+      error.code = 'budget_exceeded';
+      throw error;
+    }
+    return status;
+  }
+}
+
+// Singleton instance
+export const usageLedger = new UsageLedger();
+export default usageLedger;
@@ -6,6 +6,7 @@
 
 import { EventEmitter } from 'events';
 import chalk from 'chalk';
+import { godRegistry } from './GodRegistry.js';
 
 export class ZodiacPolarity extends EventEmitter {
   constructor() {
@@ -175,6 +176,11 @@ export class ZodiacPolarity extends EventEmitter {
       'winter_solstice': { month: 12, day: 22, zodiac: 'Capricorn' }
     };
 
+    godRegistry.assertKnown(
+      this.zodiacSigns.flatMap(sign => [...sign.lightGods, ...sign.shadowGods]),
+      'ZodiacPolarity.zodiacSigns'
+    );
+
     this.updateCurrentZodiac();
     console.log(chalk.cyan('🌟 Zodiac Polarity System initialized'));
   }
@@ -5,24 +5,83 @@
  * Primary coding tool using dual-tree architecture and GaiaScript integration
  */
 
-import { program } from 'commander';
+import { Command } from 'commander';
+import { EventEmitter } from 'events';
 import chalk from 'chalk';
 import inquirer from 'inquirer';
+import fs from 'fs';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
 import { ashvatthaTree } from './GodRealms.js';
-import { treeCoordinator } from './TreeCoordinator.js';
+import { treeCoordinator, parseVerdict, debateStanding } from './TreeCoordinator.js';
 import GitEvolutionEngine from '../heartwood/GitEvolutionEngine.js';
 import { authManager } from '../auth/AuthManager.js';
 import { logger, setupGlobalErrorHandling } from './Logger.js';
 import { gaiaTranslator } from './GaiaTranslator.js';
+import { patchEngine } from './PatchEngine.js';
+import { godRegistry, pairingNames } from './GodRegistry.js';
+import { loadCustomGods } from './CustomGods.js';
+import { InterventionStore } from './InterventionStore.js';
+import { ContextBuilder, collectList } from './ContextBuilder.js';
+import { TempleOSRandomBeacon } from './TempleOSRandomBeacon.js';
 
 // Initialize systems
 const evolutionEngine = new GitEvolutionEngine();
-setupGlobalErrorHandling(logger);
 
-class DivineInterventionEngine {
+// Only run the CLI when executed directly (the engine is also imported as a library)
+const isMainModule = !!process.argv[1] &&
+  fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url);
+
+// Task keyword -> god pairing (checked against the god registry at startup)
+const DOMAIN_MAPPINGS = {
+  'debugging': { light: 'thor', shadow: 'bhairava', domain: 'testing' },
+  'security': { light: 'heimdall', shadow: 'durga', domain: 'protection' },
+  'performance': { light: 'thor', shadow: 'mahakala', domain: 'optimization' },
+  'cleanup': { light: 'vidar', shadow: 'kali', domain: 'purification' },
+  'refactoring': { light: 'modi', shadow: 'shiva', domain: 'transformation' },
+  'architecture': { light: 'odin', shadow: 'avidya', domain: 'wisdom' },
+  'documentation': { light: 'bragi', shadow: 'yama', domain: 'knowledge' },
+  'testing': { light: 'thor', shadow: 'mara', domain: 'validation' },
+  'ui': { light: 'baldr', shadow: 'nirrti', domain: 'beauty' },
+  'api': { light: 'hermes', shadow: 'rahu', domain: 'communication' }
+};
+
+export const DEFAULT_DEBATE_ROUNDS = 3;
+export const MAX_DEBATE_ROUNDS = 10;
+
+// What each god is asked to do in a debate turn (the verdict line ends the reply)
+const DEBATE_INSTRUCTIONS = {
+  proposal: 'Propose a complete solution. The shadow realm will critique it and you will get the chance to revise.',
+  critique: 'Critique the light realm proposal: point out bugs, risks and anything that can be simpler. End your reply with a final line "VERDICT: AGREE" if it can ship as it is, or "VERDICT: OBJECT" if it needs another revision.',
+  revision: 'Revise your proposal to address the critique, or defend the parts you keep. Give the complete revised solution. End your reply with a final line "VERDICT: AGREE" if you accepted the critique, or "VERDICT: OBJECT" if you rejected part of it.'
+};
+
+// Per-intervention budget cap in USD
+function resolveBudgetCap(value) {
+  const cap = Number(value);
+  if (!Number.isFinite(cap) || cap < 0) {
+    throw new Error(`Budget must be an amount in USD, got ${value}`);
+  }
+  return cap;
+}
+
+// Debate rounds from a preference: true means the default
+function resolveDebateRounds(value) {
+  const rounds = value === true ? DEFAULT_DEBATE_ROUNDS : Number(value);
+  if (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_DEBATE_ROUNDS) {
+    throw new Error(`Debate rounds must be a whole number from 1 to ${MAX_DEBATE_ROUNDS}, got ${value}`);
+  }
+  return rounds;
+}
+
+export class DivineInterventionEngine extends EventEmitter {
   constructor() {
+    super();
+    godRegistry.assertKnown(pairingNames(DOMAIN_MAPPINGS), 'DivineInterventionEngine domain mappings');
     this.activeInterventions = new Map();
     this.interventionHistory = [];
+    this.store = new InterventionStore(); // persisted history (.gaia/interventions.jsonl)
+    this.beacon = new TempleOSRandomBeacon(); // seeds interventions created with divineSeeding
     this.godPairings = new Map();
     this.complexity = 'medium'; // low, medium, high, divine
     
@@ -51,24 +110,18 @@ class DivineInterventionEngine {
     }
 
     // Domain analysis and god assignment
-    const domainMappings = {
-      'debugging': { light: 'thor', shadow: 'bhairava', domain: 'testing' },
-      'security': { light: 'heimdall', shadow: 'durga', domain: 'protection' },
-      'performance': { light: 'thor', shadow: 'mahakala', domain: 'optimization' },
-      'cleanup': { light: 'vidar', shadow: 'kali', domain: 'purification' },
-      'refactoring': { light: 'modi', shadow: 'shiva', domain: 'transformation' },
-      'architecture': { light: 'odin', shadow: 'avidya', domain: 'wisdom' },
-      'documentation': { light: 'bragi', shadow: 'yama', domain: 'knowledge' },
-      'testing': { light: 'thor', shadow: 'mara', domain: 'validation' },
-      'ui': { light: 'baldr', shadow: 'nirrti', domain: 'beauty' },
-      'api': { light: 'hermes', shadow: 'rahu', domain: 'communication' }
-    };
-
-    for (const [keyword, mapping] of Object.entries(domainMappings)) {
-      if (taskLower.includes(keyword)) {
-        suggestedGods = mapping;
-        domain = mapping.domain;
-        break;
+    // Pairings declared by custom gods (.gaia/gods) take precedence
+    const declared = treeCoordinator.matchPairing(task);
+    if (declared) {
+      suggestedGods = { light: declared.light, shadow: declared.shadow };
+      domain = declared.taskType;
+    } else {
+      for (const [keyword, mapping] of Object.entries(DOMAIN_MAPPINGS)) {
+        if (taskLower.includes(keyword)) {
+          suggestedGods = mapping;
+          domain = mapping.domain;
+          break;
+        }
       }
     }
 
@@ -81,7 +134,9 @@ class DivineInterventionEngine {
     const analysis = this.analyzeTask(task);
     
     // Allow user to override god selection
-    let { light, shadow } = analysis.suggestedGods;
+    let { light, shadow } = userPreferences.gods || analysis.suggestedGods;
+    godRegistry.require(light, { realm: 'light' });
+    godRegistry.require(shadow, { realm: 'shadow' });
     
     if (userPreferences.interactive) {
       const godSelection = await this.interactiveGodSelection(analysis);
@@ -89,12 +144,21 @@ class DivineInterventionEngine {
       shadow = godSelection.shadow;
     }
 
+    // Repository context (files, include/exclude globs) gathered once and reused by every phase
+    const context = userPreferences.context ? await this.gatherContext(task, userPreferences.context) : null;
+
     // Create intervention record
     const intervention = {
       id: interventionId,
       task,
       analysis,
       gods: { light, shadow },
+      ...(await this.chooseSeed(userPreferences)),
+      cache: userPreferences.cache !== false, // false bypasses the response cache
+      replayOf: userPreferences.replayOf || null,
+      debate: userPreferences.debate ? { rounds: resolveDebateRounds(userPreferences.debate), agreed: false, deadlocked: false, transcript: [] } : null,
+      context,
+      budget: userPreferences.budget !== undefined ? { intervention: resolveBudgetCap(userPreferences.budget) } : {},
       created: new Date(),
       status: 'initializing',
       steps: [],
@@ -118,6 +182,21 @@ class DivineInterventionEngine {
     return intervention;
   }
 
+  // Seed sent to providers that support seeding. Seeds from --seed, a replay or the TempleOS beacon are chosen and
+  // key the response cache; otherwise a random seed is drawn so the run can still be replayed, and repeats keep hitting the cache
+  async chooseSeed(userPreferences) {
+    let divineSeed = null;
+    if (userPreferences.seed === undefined && userPreferences.divineSeeding) {
+      await this.beacon.generateDivineSeed();
+      divineSeed = this.beacon.applyDivineSeeding({}).seed;
+    }
+
+    return {
+      seed: userPreferences.seed ?? divineSeed ?? crypto.randomInt(0x7fffffff),
+      seeded: userPreferences.seeded ?? (userPreferences.seed !== undefined || divineSeed !== null)
+    };
+  }
+
   // Interactive god selection
   async interactiveGodSelection(analysis) {
     console.log(chalk.cyan('\n🔮 Divine God Selection'));
@@ -137,8 +216,8 @@ class DivineInterventionEngine {
     }
 
     // Manual selection
-    const lightGods = ['odin', 'thor', 'freyr', 'baldr', 'heimdall', 'tyr', 'vidar', 'bragi'];
-    const shadowGods = ['kali', 'shiva', 'durga', 'bhairava', 'yama', 'mahakala', 'rahu', 'mara'];
+    const lightGods = godRegistry.list({ realm: 'light' }).map(god => god.key);
+    const shadowGods = godRegistry.list({ realm: 'shadow' }).map(god => god.key);
 
     const { lightGod } = await inquirer.prompt([{
       type: 'list',
@@ -179,15 +258,84 @@ class DivineInterventionEngine {
       rahu: 'Hidden Dependencies',
       mara: 'Bad Practices'
     };
-    return descriptions[godName] || 'Divine Power';
+    return godRegistry.lookup(descriptions, godName) || godRegistry.resolve(godName)?.domain || 'Divine Power';
+  }
+
+  // Pick and chunk the repository files relevant to a task
+  async gatherContext(task, { files = [], include = [], exclude = [], discover = true } = {}) {
+    const context = await new ContextBuilder().build(task, { files, include, exclude, discover });
+
+    console.log(chalk.cyan(`📚 Context: ${context.files.length} file(s), ${context.tokens}/${context.budget} tokens`));
+    context.files.forEach(file => {
+      const lines = file.chunks.map(chunk => `${chunk.startLine}-${chunk.endLine}`).join(', ');
+      console.log(chalk.gray(`   ${file.path} (${lines}) - ${file.reasons[0]}`));
+    });
+    if (context.skipped.length > 0) {
+      console.log(chalk.gray(`   ${context.skipped.length} more relevant file(s) did not fit the token budget`));
+    }
+    return context;
   }
 
-  // Execute divine intervention
-  async executeIntervention(interventionId, codeContext = null) {
+  // Invoke one god directly (divine --god) under the same seed, context, budget and cache preferences as an
+  // intervention, and record it in the history so it can be replayed
+  async invokeSingleGod(godName, task, userPreferences = {}, { contract = null, signal = null, onToken = null } = {}) {
+    if (userPreferences.debate) {
+      const error = new Error('A debate needs a light and a shadow god - drop --god to debate');
+      error.code = 'invalid_options';
+      throw error;
+    }
+
+    const { realm } = godRegistry.require(godName);
+    const context = userPreferences.context ? await this.gatherContext(task, userPreferences.context) : null;
+    const invocation = {
+      id: `god_${Date.now()}`,
+      task,
+      god: godName,
+      gods: { [realm]: godName },
+      ...(await this.chooseSeed(userPreferences)),
+      contract: contract || userPreferences.contract || null,
+      replayOf: userPreferences.replayOf || null,
+      context,
+      created: new Date(),
+      status: 'executing',
+      steps: []
+    };
+    const step = { phase: realm, god: godName, started: new Date() };
+
+    try {
+      step.result = await ashvatthaTree.invokeGod(godName, task, context ? { codeContext: context.text } : {}, {
+        signal,
+        contract: invocation.contract,
+        seed: invocation.seed,
+        seeded: invocation.seeded,
+        cache: userPreferences.cache !== false,
+        interventionId: invocation.id, // the budget cap counts everything spent under this id, contract repairs included
+        budget: userPreferences.budget !== undefined ? { intervention: resolveBudgetCap(userPreferences.budget) } : {},
+        onToken
+      });
+      step.output = step.result.text;
+      step.completed = new Date();
+      invocation.steps.push(step);
+      invocation.contract = step.result.structured?.contract || null;
+      invocation.status = 'completed';
+      return { ...step.result, interventionId: invocation.id, seed: invocation.seed };
+    } catch (error) {
+      invocation.status = error.code === 'cancelled' ? 'cancelled' : 'failed';
+      invocation.error = error.message;
+      throw error;
+    } finally {
+      invocation.completed = new Date();
+      await this.recordIntervention(invocation);
+    }
+  }
+
+  // Execute divine intervention (options.stream emits 'token' events as gods respond)
+  async executeIntervention(interventionId, codeContext = null, options = {}) {
     const intervention = this.activeInterventions.get(interventionId);
     if (!intervention) {
       throw new Error(`Intervention ${interventionId} not found`);
     }
+    codeContext = codeContext ?? intervention.context?.text ?? null;
 
     intervention.status = 'executing';
     
@@ -196,17 +344,36 @@ class DivineInterventionEngine {
     console.log(chalk.yellow(`Task: ${intervention.task}`));
     console.log(chalk.green(`Gods: ${intervention.gods.light} ☀️  + ${intervention.gods.shadow} 🌙`));
 
-    // Step 1: Light god intervention (creation/inspiration)
-    await this.lightGodIntervention(intervention, codeContext);
-    
-    // Step 2: Shadow god intervention (optimization/destruction)
-    await this.shadowGodIntervention(intervention, codeContext);
-    
-    // Step 3: Tree balance and synthesis
-    await this.synthesizeIntervention(intervention);
+    try {
+      if (intervention.debate) {
+        // Steps 1-2: Light proposes, shadow critiques, light revises - until both agree
+        await this.debateIntervention(intervention, codeContext, options);
+      } else {
+        // Step 1: Light god intervention (creation/inspiration)
+        await this.lightGodIntervention(intervention, codeContext, options);
+
+        // Step 2: Shadow god intervention (optimization/destruction)
+        await this.shadowGodIntervention(intervention, codeContext, options);
+      }
+      
+      // Step 3: Tree balance and synthesis
+      await this.synthesizeIntervention(intervention);
+    } catch (error) {
+      intervention.status = error.code === 'cancelled' ? 'cancelled' : 'failed';
+      intervention.error = error.message;
+      intervention.completed = new Date();
+
+      this.interventionHistory.push(intervention);
+      this.activeInterventions.delete(interventionId);
+      await this.recordIntervention(intervention);
+
+      logger.warn(`Divine intervention ${intervention.status}`, { interventionId, error: error.message });
+      throw error;
+    }
     
     // Step 4: Evolution if requested
-    if (intervention.analysis.complexity === 'divine' || intervention.analysis.complexity === 'high') {
+    const complexEnough = intervention.analysis.complexity === 'divine' || intervention.analysis.complexity === 'high';
+    if (complexEnough && options.evolution !== false) {
       await this.evolveWithGit(intervention);
     }
 
@@ -215,6 +382,7 @@ class DivineInterventionEngine {
     
     this.interventionHistory.push(intervention);
     this.activeInterventions.delete(interventionId);
+    await this.recordIntervention(intervention);
     
     logger.divine('Divine intervention completed', {
       interventionId,
@@ -225,8 +393,27 @@ class DivineInterventionEngine {
     return intervention;
   }
 
+  // Invoke a phase god, streaming tokens as engine events when requested
+  async invokePhaseGod(intervention, phase, godName, context, { stream = false, signal = null, round = null } = {}) {
+    const update = { interventionId: intervention.id, phase, god: godName, ...(round ? { round } : {}) };
+    this.emit('phase:start', update);
+
+    const result = await ashvatthaTree.invokeGod(godName, intervention.task, context, {
+      signal,
+      seed: intervention.seed,
+      seeded: intervention.seeded,
+      cache: intervention.cache,
+      interventionId: intervention.id,
+      budget: intervention.budget,
+      onToken: stream ? token => this.emit('token', { ...update, token }) : null
+    });
+
+    this.emit('phase:complete', { ...update, text: result.text, usage: result.usage });
+    return result;
+  }
+
   // Light god intervention (creation phase)
-  async lightGodIntervention(intervention, codeContext) {
+  async lightGodIntervention(intervention, codeContext, options = {}) {
     const step = {
       phase: 'light',
       god: intervention.gods.light,
@@ -237,27 +424,24 @@ class DivineInterventionEngine {
     console.log(chalk.yellow(`\n☀️  Light Phase: ${intervention.gods.light} Creating...`));
     
     // Invoke light god through ashvattha tree
-    const lightResult = await ashvatthaTree.invokeGod(intervention.gods.light, intervention.task, {
+    const lightResult = await this.invokePhaseGod(intervention, 'light', intervention.gods.light, {
       phase: 'light',
       codeContext,
       gaiaScript: intervention.gaiaScript.translatedTask
-    });
+    }, options);
 
-    // Simulate light god work (in real implementation, this would call AI)
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
     step.completed = new Date();
     step.result = lightResult;
-    step.output = `${intervention.gods.light} has illuminated the path for: ${intervention.task}`;
+    step.output = lightResult.text;
     
     intervention.steps.push(step);
     
     // Update tree balance
-    treeCoordinator.balanceForces(30, 0); // Light energy added
+    treeCoordinator.balanceForces(30, 0, { source: 'intervention', interventionId: intervention.id, god: intervention.gods.light, realm: 'light' }); // Light energy added
   }
 
   // Shadow god intervention (optimization/destruction phase)
-  async shadowGodIntervention(intervention, codeContext) {
+  async shadowGodIntervention(intervention, codeContext, options = {}) {
     const step = {
       phase: 'shadow',
       god: intervention.gods.shadow,
@@ -271,23 +455,102 @@ class DivineInterventionEngine {
     const lightStep = intervention.steps.find(s => s.phase === 'light');
     
     // Invoke shadow god
-    const shadowResult = await ashvatthaTree.invokeGod(intervention.gods.shadow, intervention.task, {
+    const shadowResult = await this.invokePhaseGod(intervention, 'shadow', intervention.gods.shadow, {
       phase: 'shadow',
       lightResult: lightStep?.result,
       codeContext,
       gaiaScript: intervention.gaiaScript.translatedTask
-    });
+    }, options);
 
-    await new Promise(resolve => setTimeout(resolve, 800));
-    
     step.completed = new Date();
     step.result = shadowResult;
-    step.output = `${intervention.gods.shadow} has optimized and refined the solution`;
+    step.output = shadowResult.text;
     
     intervention.steps.push(step);
     
     // Update tree balance
-    treeCoordinator.balanceForces(0, 25); // Shadow energy added
+    treeCoordinator.balanceForces(0, 25, { source: 'intervention', interventionId: intervention.id, god: intervention.gods.shadow, realm: 'shadow' }); // Shadow energy added
+  }
+
+  // Debate mode: light proposes, shadow critiques, light revises - until the shadow accepts a proposal, the light god
+  // rejects a critique the shadow keeps objecting to, or rounds run out
+  async debateIntervention(intervention, codeContext, options = {}) {
+    const { debate, gods } = intervention;
+    let proposal = null;
+    let critique = null;
+
+    for (let round = 1; round <= debate.rounds; round++) {
+      const role = round === 1 ? 'proposal' : 'revision';
+      console.log(chalk.yellow(`\n☀️  Round ${round}/${debate.rounds}: ${gods.light} ${round === 1 ? 'proposing' : 'revising'}...`));
+      proposal = await this.debateTurn(intervention, 'light', role, round, {
+        lightResult: proposal?.result,
+        shadowResult: critique?.result,
+        codeContext
+      }, options);
+
+      console.log(chalk.magenta(`\n🌙 Round ${round}/${debate.rounds}: ${gods.shadow} critiquing...`));
+      critique = await this.debateTurn(intervention, 'shadow', 'critique', round, {
+        lightResult: proposal.result,
+        codeContext
+      }, options);
+
+      const standing = debateStanding(proposal, critique);
+      if (standing) {
+        debate.agreed = standing === 'agreed';
+        debate.deadlocked = standing === 'deadlocked';
+        break;
+      }
+    }
+
+    if (debate.agreed) {
+      console.log(chalk.green(`🤝 ${gods.light} and ${gods.shadow} agreed after ${critique.round} round(s)`));
+    } else if (debate.deadlocked) {
+      console.log(chalk.yellow(`⚔️  ${gods.light} rejected the critique and ${gods.shadow} still objects - debate stopped after ${critique.round} round(s), open objections are kept in the synthesis`));
+    } else {
+      console.log(chalk.yellow(`⚔️  No agreement after ${debate.rounds} round(s) - open objections are kept in the synthesis`));
+    }
+  }
+
+  // One debate turn: invoke the god, record the step and transcript entry, move the balance
+  async debateTurn(intervention, realm, role, round, context, options = {}) {
+    const god = intervention.gods[realm];
+    const step = { phase: realm, god, round, started: new Date(), type: role };
+
+    const result = await this.invokePhaseGod(intervention, realm, god, {
+      phase: realm,
+      round,
+      ...context,
+      gaiaScript: intervention.gaiaScript.translatedTask,
+      instructions: DEBATE_INSTRUCTIONS[role]
+    }, { ...options, round });
+
+    step.completed = new Date();
+    step.result = result;
+    step.output = result.text;
+    intervention.steps.push(step);
+
+    const turn = {
+      round,
+      realm,
+      god,
+      role,
+      text: result.text,
+      verdict: role === 'proposal' ? null : parseVerdict(result.text),
+      provider: result.provider,
+      model: result.model,
+      usage: result.usage,
+      latency: result.latency,
+      started: step.started,
+      completed: step.completed
+    };
+    intervention.debate.transcript.push(turn);
+
+    // Opening moves carry the usual phase weight, later rounds nudge the balance
+    const force = round === 1 ? (realm === 'light' ? 30 : 25) : 10;
+    treeCoordinator.balanceForces(realm === 'light' ? force : 0, realm === 'shadow' ? force : 0,
+      { source: 'intervention', interventionId: intervention.id, god, realm, round });
+
+    return { ...turn, result };
   }
 
   // Synthesize light and shadow results
@@ -301,30 +564,79 @@ class DivineInterventionEngine {
 
     console.log(chalk.cyan('\n⚖️  Synthesis Phase: Balancing Forces...'));
     
-    // Get dual god results
-    const lightStep = intervention.steps.find(s => s.phase === 'light');
-    const shadowStep = intervention.steps.find(s => s.phase === 'shadow');
+    // Get dual god results (the latest turn of each realm in a debate)
+    const lightStep = intervention.steps.findLast(s => s.phase === 'light');
+    const shadowStep = intervention.steps.findLast(s => s.phase === 'shadow');
+
+    // Without a debate the shadow phase refines the light proposal in a single pass
+    const transcript = intervention.debate?.transcript || [
+      lightStep && { round: 1, realm: 'light', god: lightStep.god, role: 'proposal', text: lightStep.output },
+      shadowStep && { round: 1, realm: 'shadow', god: shadowStep.god, role: 'refinement', text: shadowStep.output }
+    ].filter(Boolean);
     
     // Invoke dual gods through tree coordinator
     const synthesis = await treeCoordinator.invokeDualGods(
       intervention.gods.light,
       intervention.gods.shadow,
-      `Synthesize solution for: ${intervention.task}`
+      `Synthesize solution for: ${intervention.task}`,
+      { source: 'synthesis', interventionId: intervention.id },
+      { transcript }
     );
 
     step.completed = new Date();
     step.result = synthesis;
-    step.output = `Divine synthesis achieved: Light creation balanced with shadow optimization`;
+    step.output = synthesis.synthesis;
     
     intervention.steps.push(step);
     intervention.finalResult = {
       synthesis,
       lightPhase: lightStep?.result,
       shadowPhase: shadowStep?.result,
-      balance: treeCoordinator.getTreeHealth().trunk.balance
+      balance: treeCoordinator.getTreeHealth().trunk.balance,
+      patches: this.getInterventionPatches(intervention)
     };
   }
 
+  // File patches proposed by the intervention - the shadow refinement wins over the light proposal,
+  // but in a debate the shadow only critiques, so the light god's final revision wins
+  getInterventionPatches(intervention) {
+    for (const phase of intervention.debate ? ['light', 'shadow'] : ['shadow', 'light']) {
+      const output = intervention.steps.findLast(s => s.phase === phase)?.output || '';
+      const patches = patchEngine.parse(output);
+      if (patches.length > 0) return patches;
+    }
+    return [];
+  }
+
+  // Validate, preview and apply the intervention's patches to the working tree
+  async applyInterventionPatches(interventionId, { dryRun = false } = {}) {
+    const intervention = this.getInterventionStatus(interventionId);
+    if (!intervention) {
+      throw new Error(`Intervention ${interventionId} not found`);
+    }
+
+    const patches = intervention.finalResult?.patches || [];
+    if (patches.length === 0) {
+      return { applied: false, files: [], reason: 'no patches in intervention output' };
+    }
+
+    const validation = await patchEngine.validate(patches);
+    console.log(patchEngine.preview(validation.changes));
+
+    if (!validation.valid) {
+      validation.errors.forEach(e => console.log(chalk.red(`   ✗ ${e.path}: ${e.error}`)));
+      return { applied: false, files: [], errors: validation.errors };
+    }
+
+    if (dryRun) {
+      return { applied: false, files: validation.changes.map(c => ({ path: c.path, action: c.action })) };
+    }
+
+    const result = await patchEngine.apply(patches);
+    intervention.appliedPatches = result.files;
+    return result;
+  }
+
   // Evolve solution using git evolution engine
   async evolveWithGit(intervention) {
     if (intervention.analysis.complexity === 'divine' || intervention.analysis.complexity === 'high') {
@@ -340,6 +652,7 @@ class DivineInterventionEngine {
           {},
           `Divine intervention evolution: ${intervention.task}`
         );
+        await evolutionEngine.releaseMutation(mutationId);
         
         intervention.evolution = {
           mutationId,
@@ -353,30 +666,74 @@ class DivineInterventionEngine {
     }
   }
 
-  // Get intervention status
+  // Persist a finished intervention; a full disk must not fail the intervention itself
+  async recordIntervention(intervention) {
+    try {
+      await this.store.append(intervention);
+    } catch (error) {
+      logger.warn('Failed to record intervention history', { interventionId: intervention.id, error: error.message });
+    }
+  }
+
+  // Get intervention status (this run first, then the persisted history)
   getInterventionStatus(interventionId) {
     return this.activeInterventions.get(interventionId) || 
-           this.interventionHistory.find(i => i.id === interventionId);
+           this.interventionHistory.find(i => i.id === interventionId) ||
+           this.store.get(interventionId);
   }
 
   // List all interventions
-  listInterventions() {
+  listInterventions(filters = {}) {
+    const history = this.store.query(filters);
     return {
       active: Array.from(this.activeInterventions.values()),
-      history: this.interventionHistory.slice(-10), // Last 10
-      total: this.interventionHistory.length
+      history: history.slice(0, filters.limit || 10), // Newest 10
+      total: history.length
     };
   }
+
+  // Task and preferences that re-run a stored intervention with the same gods and seed
+  getReplayPlan(interventionId) {
+    const record = this.store.get(interventionId);
+    if (!record) {
+      throw new Error(`Intervention ${interventionId} not found in ${this.store.historyPath}`);
+    }
+
+    return {
+      task: record.task,
+      preferences: {
+        gods: record.gods,
+        god: record.god || undefined,
+        contract: record.contract || undefined,
+        seed: record.seed ?? undefined,
+        seeded: record.seeded ?? (record.seed !== null && record.seed !== undefined),
+        debate: record.debate?.rounds,
+        context: record.context ? { files: record.context.files.map(file => file.path), discover: false } : undefined,
+        replayOf: record.id
+      }
+    };
+  }
+
+  // Re-run a stored intervention
+  async replayIntervention(interventionId, codeContext = null, options = {}) {
+    const { task, preferences } = this.getReplayPlan(interventionId);
+    if (preferences.god) return this.invokeSingleGod(preferences.god, task, preferences);
+    const intervention = await this.createIntervention(task, preferences);
+    return this.executeIntervention(intervention.id, codeContext, options);
+  }
 }
 
 // Initialize divine intervention engine
-const divineEngine = new DivineInterventionEngine();
+export const divineEngine = new DivineInterventionEngine();
 
 // CLI Commands
+const program = new Command();
+
 program
   .name('reverse-tree-divine-intervention')
   .description('Advanced Divine Intervention System for Code Generation')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--allow-code-gods', 'also load .js/.mjs gods from .gaia/gods (runs their code; or GAIA_ALLOW_CODE_GODS=1)');
 
 program
   .command('intervene <task>')
@@ -384,11 +741,20 @@ program
   .option('-i, --interactive', 'interactive god selection')
   .option('-c, --complexity <level>', 'task complexity (low, medium, high, divine)', 'medium')
   .option('--no-evolution', 'disable git evolution')
+  .option('--apply', 'apply file patches from the intervention output to the working tree')
+  .option('--divine-seed', 'draw the seed from the TempleOS random beacon')
+  .option('--debate [rounds]', `light and shadow debate until they agree (default ${DEFAULT_DEBATE_ROUNDS} rounds)`)
+  .option('--files <paths>', 'always include these files in the context (comma-separated, repeatable)', collectList, [])
+  .option('--include <globs>', 'only consider matching files for the context (comma-separated, repeatable)', collectList, [])
+  .option('--exclude <globs>', 'never include matching files in the context (comma-separated, repeatable)', collectList, [])
+  .option('--no-context', 'do not send repository files to the gods')
+  .option('--no-cache', 'always ask the gods, never answer from the response cache')
   .action(async (task, options) => {
     try {
       console.log(chalk.cyan('🔮 Initiating Reverse Tree Divine Intervention'));
       
       // Check authentication
+      await authManager.ready;
       const auth = authManager.getCurrentProvider();
       if (!auth.authenticated) {
         console.log(chalk.yellow('⚠️  No authentication found. Consider logging in for AI integration.'));
@@ -397,11 +763,15 @@ program
       // Create intervention
       const intervention = await divineEngine.createIntervention(task, {
         interactive: options.interactive,
-        complexity: options.complexity
+        complexity: options.complexity,
+        divineSeeding: options.divineSeed,
+        debate: options.debate,
+        context: options.context && { files: options.files, include: options.include, exclude: options.exclude },
+        cache: options.cache
       });
 
       // Execute intervention
-      await divineEngine.executeIntervention(intervention.id);
+      await divineEngine.executeIntervention(intervention.id, null, { evolution: options.evolution });
 
       // Display results
       console.log(chalk.green('\n✨ Divine Intervention Complete!'));
@@ -411,6 +781,17 @@ program
         console.log(chalk.green(`🧬 Evolution Branch: ${intervention.evolution.branch}`));
       }
 
+      // Divine patches
+      if (intervention.finalResult.patches.length > 0) {
+        console.log(chalk.cyan(`\n🩹 Divine patch: ${intervention.finalResult.patches.length} file(s)`));
+        const patchResult = await divineEngine.applyInterventionPatches(intervention.id, { dryRun: !options.apply });
+        if (patchResult.applied) {
+          console.log(chalk.green(`✅ Applied patches to ${patchResult.files.length} file(s)`));
+        } else if (!options.apply) {
+          console.log(chalk.gray('Patches not applied (use --apply)'));
+        }
+      }
+
       // GaiaScript integration info
       if (auth.provider === 'deepseek' || auth.provider === 'anthropic') {
         console.log(chalk.magenta('\n🔮 GaiaScript Integration Available:'));
@@ -440,8 +821,10 @@ program
       const all = divineEngine.listInterventions();
       console.log(chalk.cyan('\n📊 All Interventions:'));
       console.log(chalk.yellow(`Active: ${all.active.length}`));
-      console.log(chalk.green(`Completed: ${all.history.length}`));
-      console.log(chalk.cyan(`Total: ${all.total}`));
+      console.log(chalk.green(`Recorded: ${all.total}`));
+      all.history.forEach(record => {
+        console.log(chalk.gray(`  ${record.id}  ${record.status}  ${record.god || `${record.gods.light} + ${record.gods.shadow}`}  ${record.task}`));
+      });
     }
   });
 
@@ -453,11 +836,23 @@ program
   });
 
 // Interactive mode if no arguments
-if (process.argv.length === 2) {
+if (!isMainModule) {
+  // Imported as a library - leave argument parsing to the caller
+} else if (process.argv.length === 2) {
   console.log(chalk.cyan('🔮 Reverse Tree Divine Intervention - Interactive Mode'));
   console.log(chalk.gray('Usage: node reverse_tree_divine_intervention.js intervene "your task"'));
   console.log(chalk.gray('       node reverse_tree_divine_intervention.js status'));
   console.log(chalk.gray('       node reverse_tree_divine_intervention.js demo'));
 } else {
+  setupGlobalErrorHandling(logger);
+  try {
+    const { skipped } = await loadCustomGods();
+    if (skipped.length > 0) {
+      logger.warn('Executable custom gods not loaded (use --allow-code-gods)', { files: skipped });
+    }
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
   program.parse();
 }
\ No newline at end of file
@@ -9,6 +9,7 @@ import fs from 'fs-extra';
 import path from 'path';
 import { logger } from '../core/Logger.js';
 import { ashvatthaTree } from '../core/GodRealms.js';
+import { SEVERITIES } from '../core/OutputContracts.js';
 import { treeCoordinator } from '../core/TreeCoordinator.js';
 import NeuralEvolutionEngine from './NeuralEvolutionEngine.js';
 
@@ -48,6 +49,10 @@ export class AdvancedFitnessEvaluator extends EventEmitter {
       testCoverage: 0.10,
       divineAlignment: 0.10
     };
+
+    // Fitness points lost per security finding, and the gods whose typed reviews feed the score
+    this.severityPenalties = { critical: 25, high: 15, medium: 5, low: 1, info: 0 };
+    this.reviewGods = { security: 'durga', testing: 'thor' };
     
     logger.info('AdvancedFitnessEvaluator initialized with ML capabilities');
   }
@@ -441,6 +446,14 @@ export class AdvancedFitnessEvaluator extends EventEmitter {
       // Apply divine influence
       const divineMultiplier = await this.calculateDivineMultiplier(codeContext);
       fitness *= divineMultiplier;
+
+      // Role reviews: options.review is true (ask the gods) or typed { findings, tests } already at hand
+      let review = null;
+      if (options.review) {
+        review = this.scoreRoleReviews(options.review === true ? await this.gatherRoleReviews(codeContext) : options.review);
+        fitness = Math.max(0, fitness * (1 - this.qualityWeights.testCoverage) + review.testCoverage * 100 * this.qualityWeights.testCoverage - review.securityPenalty);
+        console.log(chalk.gray(`   🛡️  ${review.findings.length} finding(s) (-${review.securityPenalty}), ${review.tests.length} missing test(s)`));
+      }
       
       // Record evaluation for training
       const evaluation = {
@@ -453,7 +466,8 @@ export class AdvancedFitnessEvaluator extends EventEmitter {
           length: codeContext.code?.length || 0
         },
         timestamp: new Date(),
-        divineMultiplier
+        divineMultiplier,
+        review
       };
       
       this.evaluationHistory.push(evaluation);
@@ -472,8 +486,12 @@ export class AdvancedFitnessEvaluator extends EventEmitter {
         fitness,
         confidence,
         features,
-        breakdown: this.getFitnessBreakdown(features, codeContext),
-        divineMultiplier
+        breakdown: {
+          ...this.getFitnessBreakdown(features, codeContext),
+          ...(review ? { testCoverage: review.testCoverage * 100, security: Math.max(0, 100 - review.securityPenalty) } : {})
+        },
+        divineMultiplier,
+        review
       };
       
     } catch (error) {
@@ -487,6 +505,24 @@ export class AdvancedFitnessEvaluator extends EventEmitter {
     }
   }
 
+  // Typed reviews from the security and testing gods (their output contracts guarantee the fields)
+  async gatherRoleReviews(codeContext) {
+    const context = { codeContext: codeContext.code || '', filePath: codeContext.filePath || 'code' };
+    const security = await ashvatthaTree.invokeGod(this.reviewGods.security, 'Review this code for security vulnerabilities', context, { contract: 'security' });
+    const testing = await ashvatthaTree.invokeGod(this.reviewGods.testing, 'List the test cases this code is still missing', context, { contract: 'testing' });
+
+    return { findings: security.structured.data.findings, tests: testing.structured.data.tests };
+  }
+
+  // Penalty from finding severities; coverage falls with every missing test case (ten or more means none)
+  scoreRoleReviews({ findings = [], tests = [] }) {
+    const securityPenalty = findings
+      .filter(finding => SEVERITIES.includes(finding.severity))
+      .reduce((total, finding) => total + this.severityPenalties[finding.severity], 0);
+
+    return { findings, tests, securityPenalty, testCoverage: Math.max(0, 1 - tests.length / 10) };
+  }
+
   // Heuristic fitness evaluation
   async evaluateFitnessHeuristic(codeContext, features) {
     let totalFitness = 0;
@@ -0,0 +1,187 @@
+/**
+ * DiffFitness.js - Deterministic Fitness from a Mutation's Diff
+ * Measures the changed files at the mutation's base and head (test cases, lint issues,
+ * decision points, lines and bytes) and scores the deltas into a 0-100 fitness with its breakdown
+ */
+
+import simpleGit from 'simple-git';
+import { EventEmitter } from 'events';
+import { loadProjectConfig } from '../core/ProjectConfig.js';
+import { passRate } from './TestFitness.js';
+
+// Points each component can add or take away around the base score (.gaiarc "fitness.weights" overrides them)
+export const DEFAULT_FITNESS_WEIGHTS = {
+  base: 50,
+  tests: 20,
+  lint: 15,
+  complexity: 15,
+  size: 10
+};
+
+// Delta that earns a component its full weight: test cases added, lint issues fixed,
+// decision points removed, source lines removed
+export const FITNESS_SCALES = {
+  tests: 5,
+  lint: 5,
+  complexity: 10,
+  size: 200
+};
+
+const SOURCE_FILE = /\.[cm]?[jt]sx?$/;
+const TEST_FILE = /(^|\/)(tests?|__tests__)\/|(^|\/)test_[^/]+$|\.(test|spec)\.[^/]+$/;
+
+const DECISION_POINTS = /\b(?:if|for|while|case|catch)\b|&&|\|\||\?\?|\?(?![.?])/g;
+const TEST_CASES = /\b(?:it|test)(?:\.only|\.skip)?\s*\(/g;
+const LINT_RULES = {
+  debugger: /\bdebugger\b/g,
+  var: /\bvar\s/g,
+  looseEquality: /[^=!<>]==(?!=)|!=(?!=)/g,
+  eval: /\beval\s*\(/g
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const round = value => Math.round(value * 100) / 100;
+const count = (text, pattern) => (text.match(pattern) || []).length;
+
+export const isTestFile = file => TEST_FILE.test(file);
+
+// Comments dropped and literals emptied so keywords and operators inside them are not counted
+function stripLiterals(code) {
+  return code.replace(
+    /\/\*[\s\S]*?\*\/|\/\/[^\n]*|'(?:\\.|[^'\\\n])*'|"(?:\\.|[^"\\\n])*"|`(?:\\.|[^`\\])*`/g,
+    match => match.startsWith('/') ? '' : '""'
+  );
+}
+
+// Static metrics of one source file: { loc, bytes, complexity, lint, tests }
+export function measureSource(content, file) {
+  const code = stripLiterals(content);
+  const lines = content.split('\n');
+
+  const lint = Object.values(LINT_RULES).reduce((sum, rule) => sum + count(code, rule), 0) +
+    lines.filter(line => /[ \t]+$/.test(line)).length;
+
+  return {
+    loc: lines.filter(line => line.trim()).length,
+    bytes: Buffer.byteLength(content),
+    complexity: count(code, DECISION_POINTS),
+    lint,
+    tests: isTestFile(file) ? count(code, TEST_CASES) : 0
+  };
+}
+
+// Score measured deltas: base plus each component's weight times its delta over its scale, clamped to 0-100.
+// testResults ({ before, after } test runs from TestFitness) adds the change in pass rate to the tests component.
+export function scoreDiff(metrics, weights = DEFAULT_FITNESS_WEIGHTS, testResults = null) {
+  const breakdown = {
+    fitness: 0,
+    base: weights.base,
+    files: metrics.files,
+    added: metrics.added,
+    removed: metrics.removed,
+    baseCommit: metrics.baseCommit,
+    headCommit: metrics.headCommit
+  };
+  if (metrics.files === 0) return { ...breakdown, empty: true };
+
+  const rates = testResults ? { before: passRate(testResults.before), after: passRate(testResults.after) } : null;
+  const testDelta = (metrics.tests.after - metrics.tests.before) / FITNESS_SCALES.tests +
+    (rates ? rates.after - rates.before : 0);
+
+  const points = {
+    tests: weights.tests * clamp(testDelta, -1, 1),
+    lint: weights.lint * clamp((metrics.lint.before - metrics.lint.after) / FITNESS_SCALES.lint, -1, 1),
+    complexity: weights.complexity * clamp((metrics.complexity.before - metrics.complexity.after) / FITNESS_SCALES.complexity, -1, 1),
+    size: weights.size * clamp(-metrics.size.loc / FITNESS_SCALES.size, -1, 1)
+  };
+
+  Object.assign(breakdown, {
+    tests: { points: round(points.tests), ...metrics.tests, ...(rates ? { passRate: rates } : {}) },
+    lint: { points: round(points.lint), ...metrics.lint },
+    complexity: { points: round(points.complexity), ...metrics.complexity },
+    size: { points: round(points.size), ...metrics.size }
+  });
+  breakdown.fitness = round(clamp(weights.base + Object.values(points).reduce((sum, value) => sum + value, 0), 0, 100));
+  return breakdown;
+}
+
+// One-line summary of a breakdown's component points
+export function describeFitness(breakdown) {
+  if (breakdown.error) return `unmeasured: ${breakdown.error}`;
+  if (breakdown.empty) return 'empty diff';
+  const sign = value => `${value >= 0 ? '+' : ''}${value}`;
+  return ['tests', 'lint', 'complexity', 'size'].map(name => `${name} ${sign(breakdown[name].points)}`).join(' | ');
+}
+
+export class DiffFitness extends EventEmitter {
+  constructor(repoPath = '.', { weights = null } = {}) {
+    super();
+    this.git = simpleGit(repoPath);
+    this.repoPath = repoPath;
+    this.weights = {
+      ...DEFAULT_FITNESS_WEIGHTS,
+      ...(loadProjectConfig(repoPath)?.config.fitness?.weights || {}),
+      ...(weights || {})
+    };
+  }
+
+  // File contents at a revision, '' when the file does not exist there
+  async readAt(revision, file) {
+    try {
+      return await this.git.show([`${revision}:${file}`]);
+    } catch {
+      return '';
+    }
+  }
+
+  // Totals of the changed files at the merge base and at head
+  async measure(base, head) {
+    const baseCommit = (await this.git.raw(['merge-base', base, head])).trim();
+    const headCommit = (await this.git.revparse([head])).trim();
+    const numstat = await this.git.raw(['diff', '--numstat', '--no-renames', baseCommit, headCommit]);
+
+    const metrics = {
+      baseCommit,
+      headCommit,
+      files: 0,
+      added: 0,
+      removed: 0,
+      tests: { before: 0, after: 0 },
+      lint: { before: 0, after: 0 },
+      complexity: { before: 0, after: 0 },
+      size: { loc: 0, bytes: 0 }
+    };
+
+    for (const line of numstat.split('\n').filter(Boolean)) {
+      const [added, removed, file] = line.split('\t');
+      metrics.files++;
+      if (added === '-') continue; // binary
+
+      metrics.added += Number(added);
+      metrics.removed += Number(removed);
+      if (!SOURCE_FILE.test(file)) continue;
+
+      const before = measureSource(await this.readAt(baseCommit, file), file);
+      const after = measureSource(await this.readAt(headCommit, file), file);
+      for (const field of ['tests', 'lint', 'complexity']) {
+        metrics[field].before += before[field];
+        metrics[field].after += after[field];
+      }
+      if (!isTestFile(file)) {
+        metrics.size.loc += after.loc - before.loc;
+        metrics.size.bytes += after.bytes - before.bytes;
+      }
+    }
+
+    return metrics;
+  }
+
+  // Fitness breakdown of head against its merge base with base
+  async evaluate(base, head, { testResults = null } = {}) {
+    const breakdown = scoreDiff(await this.measure(base, head), this.weights, testResults);
+    this.emit('fitness:scored', { base, head, breakdown });
+    return breakdown;
+  }
+}
+
+export default DiffFitness;
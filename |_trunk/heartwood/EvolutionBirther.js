@@ -12,15 +12,34 @@ import { ashvatthaTree } from '../core/GodRealms.js';
 import { treeCoordinator } from '../core/TreeCoordinator.js';
 import WorktreeManager from './WorktreeManager.js';
 import MutationBrancher from './MutationBrancher.js';
+import { EvolutionPlan } from './EvolutionPlan.js';
+import { EvolutionStore } from './EvolutionStore.js';
+import { godRegistry, pairingNames } from '../core/GodRegistry.js';
+
+// Species -> god pair (checked against the god registry at startup)
+const SPECIES_GOD_MAPPINGS = {
+  'performance': { light: 'thor', shadow: 'mahakala' },
+  'security': { light: 'heimdall', shadow: 'durga' },
+  'architecture': { light: 'odin', shadow: 'avidya' },
+  'optimization': { light: 'freyr', shadow: 'kali' },
+  'transformation': { light: 'modi', shadow: 'shiva' },
+  'beauty': { light: 'baldr', shadow: 'nirrti' },
+  'testing': { light: 'thor', shadow: 'mara' },
+  'documentation': { light: 'bragi', shadow: 'yama' },
+  'hybrid': { light: 'odin', shadow: 'shiva' }, // Default balanced pair
+  'experimental': { light: 'vili', shadow: 'tamas' }
+};
 
 export class EvolutionBirther extends EventEmitter {
   constructor(repoPath = '.') {
     super();
+    godRegistry.assertKnown(pairingNames(SPECIES_GOD_MAPPINGS), 'EvolutionBirther.selectOptimalGodPair');
     this.git = simpleGit(repoPath);
     this.repoPath = repoPath;
-    this.lineages = new Map(); // lineageId -> lineage info
-    this.generations = new Map(); // generationId -> generation info
-    this.birthHistory = [];
+    this.store = new EvolutionStore(repoPath);
+    this.lineages = this.store.load('lineages'); // lineageId -> lineage info (persisted across runs)
+    this.generations = this.store.load('generations'); // generationId -> generation info (persisted across runs)
+    this.birthHistory = Array.from(this.lineages.values());
     this.maxActiveLineages = 5; // M1 optimization
     
     // Initialize sub-systems
@@ -37,8 +56,8 @@ export class EvolutionBirther extends EventEmitter {
     return `${species}_lineage_${timestamp}_${random}`;
   }
 
-  // Birth new evolutionary lineage
-  async birthNewLineage(parentLineage = 'main', godPair = null, species = 'hybrid') {
+  // Birth new evolutionary lineage; dryRun returns the plan instead
+  async birthNewLineage(parentLineage = 'main', godPair = null, species = 'hybrid', { dryRun = false } = {}) {
     if (this.lineages.size >= this.maxActiveLineages) {
       throw new Error(`Maximum active lineages (${this.maxActiveLineages}) reached`);
     }
@@ -50,6 +69,10 @@ export class EvolutionBirther extends EventEmitter {
       godPair = this.selectOptimalGodPair(species);
     }
 
+    if (dryRun) {
+      return this.planLineageBirth(lineageId, parentLineage, godPair, species);
+    }
+
     const birthRecord = {
       id: lineageId,
       species,
@@ -75,18 +98,20 @@ export class EvolutionBirther extends EventEmitter {
       const blessing = await treeCoordinator.invokeDualGods(
         godPair.light,
         godPair.shadow,
-        `Birth new evolutionary lineage: ${lineageId}`
+        `Birth new evolutionary lineage: ${lineageId}`,
+        { source: 'lineage_birth', lineageId }
       );
 
       birthRecord.divineBlessing = blessing;
       birthRecord.status = 'active';
 
-      // Create initial generation
+      // Create initial generation (it looks its lineage up)
+      this.lineages.set(lineageId, birthRecord);
       const firstGeneration = await this.createGeneration(lineageId, 0, 'genesis');
       birthRecord.generations.push(firstGeneration.id);
 
-      this.lineages.set(lineageId, birthRecord);
       this.birthHistory.push(birthRecord);
+      this.saveState();
 
       console.log(chalk.green('✨ Lineage birthed successfully!'));
       console.log(chalk.cyan(`   First Generation: ${firstGeneration.id}`));
@@ -102,6 +127,8 @@ export class EvolutionBirther extends EventEmitter {
       return birthRecord;
 
     } catch (error) {
+      this.lineages.delete(lineageId);
+      this.saveState();
       birthRecord.status = 'birth_failed';
       birthRecord.error = error.message;
       logger.error('Lineage birth failed', { lineageId, error: error.message });
@@ -109,22 +136,41 @@ export class EvolutionBirther extends EventEmitter {
     }
   }
 
+  // Plan of a lineage birth: the genesis generation's mutation branches and worktrees, as
+  // createInitialMutations and createGenerationWorktrees would make them
+  planLineageBirth(lineageId, parentLineage, godPair, species) {
+    const generationId = `gen_0_${lineageId}_${Date.now()}`;
+    const plan = new EvolutionPlan('birth', {
+      lineageId,
+      species,
+      parentLineage,
+      gods: godPair,
+      activeLineages: `${this.lineages.size + 1}/${this.maxActiveLineages}`
+    });
+
+    plan.add('invoke', `Invoke ${godPair.light} and ${godPair.shadow} to bless ${lineageId}`, {
+      god: [godPair.light, godPair.shadow], lineageId
+    });
+
+    const branches = [];
+    for (const mutationType of this.selectMutationTypes(species)) {
+      const god = branches.length % 2 === 0 ? godPair.light : godPair.shadow;
+      const branch = this.mutationBrancher.planMutationBranch(plan, mutationType, parentLineage, god, branches.length);
+      if (branch) branches.push(branch);
+    }
+
+    const worktreeCount = Math.min(3, branches.length);
+    for (let i = 0, planned = 0; i < worktreeCount; i++) {
+      const god = i % 2 === 0 ? godPair.light : godPair.shadow;
+      if (this.worktreeManager.planEvolutionWorktree(plan, `${generationId}_wt_${i}`, parentLineage, god, planned)) planned++;
+    }
+
+    return plan;
+  }
+
   // Select optimal god pair for species
   selectOptimalGodPair(species) {
-    const speciesGodMappings = {
-      'performance': { light: 'thor', shadow: 'mahakala' },
-      'security': { light: 'heimdall', shadow: 'durga' },
-      'architecture': { light: 'odin', shadow: 'avidya' },
-      'optimization': { light: 'freyr', shadow: 'kali' },
-      'transformation': { light: 'modi', shadow: 'shiva' },
-      'beauty': { light: 'baldr', shadow: 'nirrti' },
-      'testing': { light: 'thor', shadow: 'mara' },
-      'documentation': { light: 'bragi', shadow: 'yama' },
-      'hybrid': { light: 'odin', shadow: 'shiva' }, // Default balanced pair
-      'experimental': { light: 'vili', shadow: 'tamas' }
-    };
-
-    return speciesGodMappings[species] || speciesGodMappings.hybrid;
+    return SPECIES_GOD_MAPPINGS[species] || SPECIES_GOD_MAPPINGS.hybrid;
   }
 
   // Create new generation within lineage
@@ -161,6 +207,7 @@ export class EvolutionBirther extends EventEmitter {
       generation.worktrees = worktrees.map(w => w.id);
 
       this.generations.set(generationId, generation);
+      this.saveState();
       
       console.log(chalk.green(`   ✅ Generation created with ${initialMutations.length} mutations`));
       console.log(chalk.cyan(`   🌿 ${worktrees.length} worktrees allocated`));
@@ -322,6 +369,7 @@ export class EvolutionBirther extends EventEmitter {
 
       // Update lineage fitness
       lineage.totalFitness += generation.fitness;
+      this.saveState();
 
       console.log(chalk.green(`   ✨ Evolution complete! Average fitness: ${generation.fitness.toFixed(2)}`));
 
@@ -369,6 +417,7 @@ export class EvolutionBirther extends EventEmitter {
 
       // Update lineage
       lineage.generations.push(nextGeneration.id);
+      this.saveState();
       
       console.log(chalk.green(`   🌟 Generation ${currentGeneration + 1} birthed successfully!`));
       
@@ -415,6 +464,7 @@ export class EvolutionBirther extends EventEmitter {
       lineage.terminationReason = reason;
 
       this.lineages.delete(lineageId);
+      this.saveState();
 
       console.log(chalk.green(`   ✅ Lineage terminated cleanly`));
 
@@ -427,6 +477,32 @@ export class EvolutionBirther extends EventEmitter {
     }
   }
 
+  // Persist lineages and generations to .gaia/evolution.json
+  saveState() {
+    this.store.save('lineages', this.lineages);
+    this.store.save('generations', this.generations);
+  }
+
+  // Reconcile mutation branches and worktrees with git, then drop generation references to ones that are gone
+  async reconcileState({ repair = false } = {}) {
+    const branches = await this.mutationBrancher.reconcileState({ repair });
+    const worktrees = await this.worktreeManager.reconcileState({ repair });
+
+    let droppedReferences = 0;
+    for (const generation of this.generations.values()) {
+      const mutations = generation.mutations.filter(id => this.mutationBrancher.mutationBranches.has(id));
+      const generationWorktrees = generation.worktrees.filter(id => this.worktreeManager.worktrees.has(id));
+      droppedReferences += generation.mutations.length - mutations.length + generation.worktrees.length - generationWorktrees.length;
+      generation.mutations = mutations;
+      generation.worktrees = generationWorktrees;
+    }
+
+    this.saveState();
+    const report = { branches, worktrees, lineages: this.lineages.size, generations: this.generations.size, droppedReferences };
+    this.emit('lineages:reconciled', report);
+    return report;
+  }
+
   // Get lineage statistics
   getLineageStats(lineageId) {
     const lineage = this.lineages.get(lineageId);
@@ -1,6 +1,7 @@
 /**
  * EvolutionMerger.js - Intelligent Merging of Successful Mutations
- * Advanced merge strategies with conflict resolution and fitness optimization
+ * Advanced merge strategies with conflict resolution and fitness optimization; conflicts are found with
+ * git merge-tree and merges happen in throwaway worktrees, so the user's checkout is never touched
  */
 
 import simpleGit from 'simple-git';
@@ -9,15 +10,20 @@ import chalk from 'chalk';
 import fs from 'fs-extra';
 import path from 'path';
 import { logger } from '../core/Logger.js';
+import { loadProjectConfig } from '../core/ProjectConfig.js';
+import { findingsAtLeast } from '../core/OutputContracts.js';
 import { ashvatthaTree } from '../core/GodRealms.js';
 import { treeCoordinator } from '../core/TreeCoordinator.js';
 import { langGraphCoordinator } from '../core/LangGraphCoordinator.js';
+import { EvolutionPlan } from './EvolutionPlan.js';
+import { EvolutionWorkspace } from './EvolutionWorkspace.js';
 
 export class EvolutionMerger extends EventEmitter {
-  constructor(repoPath = '.') {
+  constructor(repoPath = '.', { securityReview = null } = {}) {
     super();
     this.git = simpleGit(repoPath);
     this.repoPath = repoPath;
+    this.workspace = new EvolutionWorkspace(repoPath);
     this.mergeHistory = [];
     this.conflictResolutions = new Map();
     this.mergeStrategies = new Map();
@@ -26,6 +32,15 @@ export class EvolutionMerger extends EventEmitter {
       combined: 70,      // Combined mutation threshold
       critical: 85       // Critical system threshold
     };
+
+    // Optional security gate: a god with the security contract reviews each diff, findings at blockOn or worse block the merge
+    this.securityReview = {
+      enabled: false,
+      god: 'durga',
+      blockOn: 'high',
+      ...(loadProjectConfig(repoPath)?.config.securityReview || {}),
+      ...(securityReview || {})
+    };
     
     this.initializeMergeStrategies();
     logger.info('EvolutionMerger initialized with intelligent merge strategies');
@@ -58,8 +73,9 @@ export class EvolutionMerger extends EventEmitter {
     });
   }
 
-  // Evaluate mutations for merge eligibility
-  async evaluateMutationsForMerge(mutations) {
+  // Evaluate mutations for merge into targetBranch (dryRun: see assessMutationMergeability)
+  async evaluateMutationsForMerge(mutations, { dryRun = false, targetBranch = 'HEAD' } = {}) {
+    await this.workspace.assertReady();
     const evaluation = {
       eligible: [],
       pending: [],
@@ -71,7 +87,7 @@ export class EvolutionMerger extends EventEmitter {
     console.log(chalk.cyan(`🔍 Evaluating ${mutations.length} mutations for merge`));
 
     for (const mutation of mutations) {
-      const assessment = await this.assessMutationMergeability(mutation);
+      const assessment = await this.assessMutationMergeability(mutation, { dryRun, targetBranch });
       
       if (assessment.eligible) {
         evaluation.eligible.push({ mutation, assessment });
@@ -97,8 +113,9 @@ export class EvolutionMerger extends EventEmitter {
     return evaluation;
   }
 
-  // Assess individual mutation mergeability
-  async assessMutationMergeability(mutation) {
+  // Assess individual mutation mergeability against targetBranch; dryRun leaves the security review
+  // pending instead of invoking the review god
+  async assessMutationMergeability(mutation, { dryRun = false, targetBranch = 'HEAD' } = {}) {
     const assessment = {
       eligible: false,
       conflicts: [],
@@ -109,6 +126,13 @@ export class EvolutionMerger extends EventEmitter {
     };
 
     try {
+      // A test regression rules the mutation out whatever its fitness
+      if (mutation.testResults?.regressed) {
+        assessment.reason = `Test regression: ${mutation.testResults.reason}`;
+        assessment.needsImprovement = true;
+        return assessment;
+      }
+
       // Check fitness threshold
       if (mutation.fitness < this.fitnessThresholds.individual) {
         assessment.reason = `Low fitness: ${mutation.fitness.toFixed(2)}`;
@@ -117,13 +141,27 @@ export class EvolutionMerger extends EventEmitter {
       }
 
       // Check for merge conflicts
-      const conflicts = await this.checkMergeConflicts(mutation);
+      const conflicts = await this.checkMergeConflicts(mutation, targetBranch);
       if (conflicts.length > 0) {
         assessment.conflicts = conflicts;
         assessment.reason = `${conflicts.length} merge conflicts detected`;
         return assessment;
       }
 
+      // Security review of the mutation's changes
+      if (this.securityReview.enabled && dryRun) {
+        assessment.securityReview = 'pending';
+      } else if (this.securityReview.enabled) {
+        const review = await this.reviewMutationSecurity(mutation);
+        assessment.findings = review.findings;
+        if (review.blocking.length > 0) {
+          const [worst] = review.blocking;
+          assessment.reason = `${review.blocking.length} security finding(s) at ${this.securityReview.blockOn} or above - ${worst.severity}: ${worst.title}`;
+          assessment.needsImprovement = true;
+          return assessment;
+        }
+      }
+
       // Check compatibility with tree balance
       const balanceImpact = await this.assessTreeBalanceImpact(mutation);
       assessment.compatibility = balanceImpact.compatibility;
@@ -148,35 +186,36 @@ export class EvolutionMerger extends EventEmitter {
     }
   }
 
-  // Check for merge conflicts
-  async checkMergeConflicts(mutation) {
+  // Ask the review god for typed security findings on the mutation's diff
+  async reviewMutationSecurity(mutation) {
+    const diff = await this.git.diff([`HEAD...${mutation.branchName}`]);
+    const review = await ashvatthaTree.invokeGod(
+      this.securityReview.god,
+      `Review the changes of mutation ${mutation.id} for security vulnerabilities`,
+      { codeContext: diff || '(no changes)', mutationId: mutation.id },
+      { contract: 'security' }
+    );
+
+    const findings = review.structured.data.findings;
+    const blocking = findingsAtLeast(findings, this.securityReview.blockOn);
+    console.log(chalk.gray(`   🛡️  ${review.god}: ${findings.length} finding(s), ${blocking.length} blocking`));
+    this.emit('mutation:reviewed', { mutationId: mutation.id, god: review.god, findings, blocking });
+    return { findings, blocking };
+  }
+
+  // Conflicts a merge into targetBranch would hit, from git merge-tree: no merge is started and the checkout is left alone
+  async checkMergeConflicts(mutation, targetBranch = 'HEAD') {
     try {
-      const currentBranch = await this.getCurrentBranch();
-      
-      // Simulate merge to detect conflicts
-      await this.git.raw(['merge', '--no-commit', '--no-ff', mutation.branchName]);
-      
-      // Check for conflicted files
-      const status = await this.git.status();
-      const conflicts = status.conflicted || [];
-      
-      // Abort the test merge
-      await this.git.raw(['merge', '--abort']);
-      
-      return conflicts.map(file => ({
+      const [, ...files] = (await this.git.raw(['merge-tree', '--write-tree', '--name-only', '--no-messages', targetBranch, mutation.branchName]))
+        .split('\n\n')[0].split('\n').filter(Boolean);
+
+      return files.map(file => ({
         file,
         type: 'merge_conflict',
         severity: this.assessConflictSeverity(file)
       }));
 
     } catch (error) {
-      // If merge --abort fails, we're probably not in a merge state
-      try {
-        await this.git.raw(['merge', '--abort']);
-      } catch (abortError) {
-        // Ignore abort errors
-      }
-      
       logger.warn('Conflict check failed', { 
         mutationId: mutation.id, 
         error: error.message 
@@ -210,33 +249,49 @@ export class EvolutionMerger extends EventEmitter {
     return 'low';
   }
 
-  // Assess tree balance impact
+  // Assess tree balance impact from the persisted balance and its event history
   async assessTreeBalanceImpact(mutation) {
-    const currentBalance = treeCoordinator.getTreeHealth().trunk.balance;
+    const currentBalance = treeCoordinator.getTreeHealth({ events: 0 }).trunk.balance;
     const mutationRealm = mutation.divineGuidance?.realm || 'unknown';
+    const ledger = treeCoordinator.ledger;
     
-    let projectedBalance = currentBalance;
-    if (mutationRealm === 'light') {
-      projectedBalance += 10;
-    } else if (mutationRealm === 'shadow') {
-      projectedBalance -= 10;
+    // What merges from this realm actually did to the balance so far (±10 before any history)
+    let expectedForce = 0;
+    if (mutationRealm === 'light' || mutationRealm === 'shadow') {
+      const fallback = mutationRealm === 'light' ? 10 : -10;
+      expectedForce = ledger.averageImpact({ source: 'mutation_merge', realm: mutationRealm }) ?? fallback;
     }
+    const projectedBalance = currentBalance + expectedForce;
+
+    // Recent drift in the same direction makes an imbalance more likely to stick
+    const drift = ledger.drift();
+    const sameDirection = Math.sign(drift) !== 0 && Math.sign(drift) === Math.sign(expectedForce);
 
     const balanceThreshold = 80; // Maximum allowed imbalance
     const compatible = Math.abs(projectedBalance) <= balanceThreshold;
+    const driftPenalty = sameDirection ? Math.min(0.2, Math.abs(drift) / 500) : 0;
 
     return {
       compatible,
       currentBalance,
       projectedBalance,
+      expectedForce,
+      drift24h: drift,
       impact: Math.abs(projectedBalance - currentBalance),
-      compatibility: compatible ? 1.0 : 1.0 - (Math.abs(projectedBalance) - balanceThreshold) / 100,
-      reason: compatible ? 'Tree balance maintained' : `Would cause excessive imbalance: ${projectedBalance}`
+      compatibility: Math.max(0, (compatible ? 1.0 : 1.0 - (Math.abs(projectedBalance) - balanceThreshold) / 100) - driftPenalty),
+      reason: compatible
+        ? (sameDirection ? `Tree balance maintained (recent ${mutationRealm} drift ${drift})` : 'Tree balance maintained')
+        : `Would cause excessive imbalance: ${projectedBalance}`
     };
   }
 
-  // Execute intelligent merge with strategy selection
-  async executeIntelligentMerge(mutations, strategy = 'auto', targetBranch = 'main') {
+  // Execute intelligent merge with strategy selection; dryRun returns the plan instead
+  async executeIntelligentMerge(mutations, strategy = 'auto', targetBranch = 'main', { dryRun = false } = {}) {
+    if (dryRun) {
+      return this.planIntelligentMerge(mutations, strategy, targetBranch);
+    }
+
+    await this.workspace.assertReady();
     const mergeId = `merge_${Date.now()}`;
     
     console.log(chalk.magenta('\n🔄 Executing Intelligent Evolution Merge'));
@@ -246,7 +301,7 @@ export class EvolutionMerger extends EventEmitter {
 
     // Auto-select strategy if needed
     if (strategy === 'auto') {
-      strategy = await this.selectOptimalStrategy(mutations);
+      strategy = await this.selectOptimalStrategy(mutations, { targetBranch });
       console.log(chalk.yellow(`Auto-selected strategy: ${strategy}`));
     }
 
@@ -264,7 +319,7 @@ export class EvolutionMerger extends EventEmitter {
 
     try {
       // Evaluate mutations
-      const evaluation = await this.evaluateMutationsForMerge(mutations);
+      const evaluation = await this.evaluateMutationsForMerge(mutations, { targetBranch });
       
       // Handle conflicts if any
       if (evaluation.conflicts.length > 0) {
@@ -310,11 +365,111 @@ export class EvolutionMerger extends EventEmitter {
     }
   }
 
-  // Select optimal merge strategy
-  async selectOptimalStrategy(mutations) {
+  // Plan of executeIntelligentMerge: the same strategy choice and evaluation, and every god invocation
+  // and merge it would make in order
+  async planIntelligentMerge(mutations, strategy = 'auto', targetBranch = 'main') {
+    await this.workspace.assertReady();
+    const autoSelected = strategy === 'auto';
+    if (autoSelected) {
+      strategy = await this.selectOptimalStrategy(mutations, { targetBranch });
+    }
+    if (!this.mergeStrategies.has(strategy)) {
+      throw new Error(`Unknown merge strategy: ${strategy}`);
+    }
+
+    const evaluation = await this.evaluateMutationsForMerge(mutations, { dryRun: true, targetBranch });
+    const checkedOutAt = await this.workspace.checkedOutAt(targetBranch);
+    const plan = new EvolutionPlan('merge', {
+      strategy,
+      autoSelected,
+      targetBranch,
+      fitnessThreshold: this.fitnessThresholds.individual,
+      averageFitness: Math.round(evaluation.averageFitness * 100) / 100
+    });
+    const assessed = [...evaluation.eligible, ...evaluation.pending, ...evaluation.rejected, ...evaluation.conflicts];
+    const describe = mutation => `${mutation.id} (fitness ${mutation.fitness.toFixed(2)})`;
+    const fields = mutation => ({ mutationId: mutation.id, branch: mutation.branchName, fitness: mutation.fitness });
+
+    // Evaluation: security reviews, then the mutations it holds back
+    for (const { mutation } of assessed.filter(({ assessment }) => assessment.securityReview === 'pending')) {
+      plan.add('invoke', `Invoke ${this.securityReview.god} to review ${mutation.id} - findings at ${this.securityReview.blockOn} or above block it`, {
+        god: this.securityReview.god, mutationId: mutation.id
+      });
+    }
+    for (const { mutation, assessment } of [...evaluation.pending, ...evaluation.rejected]) {
+      plan.add('skip', `No merge for ${describe(mutation)} - ${assessment.reason}`, {
+        ...fields(mutation), threshold: this.fitnessThresholds.individual, reason: assessment.reason
+      });
+    }
+    for (const { mutation, assessment } of evaluation.conflicts) {
+      plan.add('invoke', `Invoke ${mutation.god} for guidance on ${assessment.conflicts.length} conflict(s) in ${mutation.id}`, {
+        god: mutation.god, mutationId: mutation.id, conflicts: assessment.conflicts.map(c => c.file)
+      });
+    }
+
+    const merge = ({ mutation, assessment }, conditions = []) => {
+      conditions = [...(assessment.securityReview === 'pending' ? [`the ${this.securityReview.god} review passes`] : []), ...conditions];
+      if (checkedOutAt) {
+        plan.add('skip', `Leave ${mutation.branchName} ready to merge - ${targetBranch} is checked out at ${checkedOutAt}`, {
+          ...fields(mutation), into: targetBranch, threshold: this.fitnessThresholds.individual, conditions, checkedOutAt
+        });
+        return;
+      }
+      plan.add('merge', `Merge ${mutation.branchName} into ${targetBranch} - ${describe(mutation)}${conditions.length > 0 ? ` if ${conditions.join(' and ')}` : ''}`, {
+        ...fields(mutation), into: targetBranch, threshold: this.fitnessThresholds.individual, conditions
+      });
+    };
+
+    switch (strategy) {
+      case 'fitness_based':
+        [...evaluation.eligible].sort((a, b) => b.mutation.fitness - a.mutation.fitness).forEach(entry => merge(entry));
+        break;
+
+      case 'god_coordinated':
+        plan.add('invoke', `Run a workflow coordinating the merge of ${evaluation.eligible.length} mutation(s)`, { workflow: true });
+        for (const entry of evaluation.eligible) {
+          plan.add('invoke', `Invoke ${entry.mutation.god} and shiva to approve ${entry.mutation.id}`, {
+            god: [entry.mutation.god, 'shiva'], mutationId: entry.mutation.id
+          });
+          merge(entry, ['their balance is above -50']);
+        }
+        break;
+
+      case 'tree_balanced': {
+        const realm = realmName => evaluation.eligible.filter(e => e.mutation.divineGuidance?.realm === realmName);
+        const [light, shadow] = [realm('light'), realm('shadow')];
+        const pairs = Math.min(light.length, shadow.length);
+        for (let i = 0; i < pairs; i++) {
+          merge(light[i]);
+          merge(shadow[i]);
+        }
+        for (const { mutation } of evaluation.eligible.filter(e => !light.slice(0, pairs).includes(e) && !shadow.slice(0, pairs).includes(e))) {
+          const reason = `no ${mutation.divineGuidance?.realm === 'shadow' ? 'light' : 'shadow'} mutation to pair it with`;
+          plan.add('skip', `No merge for ${describe(mutation)} - ${reason}`, { ...fields(mutation), reason });
+        }
+        break;
+      }
+
+      case 'conflict_resolved':
+        evaluation.eligible.forEach(entry => merge(entry));
+        for (const { mutation, assessment } of evaluation.conflicts) {
+          plan.add('invoke', `Invoke ${mutation.god} again to resolve the conflicts in ${mutation.id}`, {
+            god: mutation.god, mutationId: mutation.id
+          });
+          const reason = `conflicts in ${assessment.conflicts.map(c => c.file).join(', ')} get guidance only`;
+          plan.add('skip', `No merge for ${describe(mutation)} - ${reason}`, { ...fields(mutation), reason });
+        }
+        break;
+    }
+
+    return plan;
+  }
+
+  // Select optimal merge strategy for a merge into targetBranch
+  async selectOptimalStrategy(mutations, { targetBranch = 'HEAD' } = {}) {
     const totalFitness = mutations.reduce((sum, m) => sum + m.fitness, 0);
     const avgFitness = totalFitness / mutations.length;
-    const hasConflicts = await this.hasAnyConflicts(mutations);
+    const hasConflicts = await this.hasAnyConflicts(mutations, { targetBranch });
     const treeBalance = Math.abs(treeCoordinator.getTreeHealth().trunk.balance);
 
     if (hasConflicts) {
@@ -329,25 +484,36 @@ export class EvolutionMerger extends EventEmitter {
   }
 
   // Check if mutations have any conflicts
-  async hasAnyConflicts(mutations) {
+  async hasAnyConflicts(mutations, { targetBranch = 'HEAD' } = {}) {
     for (const mutation of mutations) {
-      const conflicts = await this.checkMergeConflicts(mutation);
+      const conflicts = await this.checkMergeConflicts(mutation, targetBranch);
       if (conflicts.length > 0) return true;
     }
     return false;
   }
 
+  // Merge one mutation in a throwaway worktree (see EvolutionWorkspace.mergeInto); a target that is checked out
+  // is left alone and the mutation recorded as ready on the merge record
+  async mergeMutationBranch(mutation, targetBranch, mergeRecord) {
+    const merge = await this.workspace.mergeInto(targetBranch, mutation.branchName,
+      `Merge mutation ${mutation.id} (fitness ${mutation.fitness.toFixed(2)})`);
+
+    if (!merge.merged) {
+      mergeRecord.ready = [...(mergeRecord.ready || []), mutation.id];
+      console.log(chalk.yellow(`   ⏸️  ${targetBranch} is checked out at ${merge.checkedOutAt} - ${mutation.branchName} is ready to merge`));
+    }
+    return merge.merged;
+  }
+
   // Fitness-based merge strategy
   async fitnessBasedMerge(evaluation, targetBranch, mergeRecord) {
     const eligible = evaluation.eligible.sort((a, b) => b.mutation.fitness - a.mutation.fitness);
     let merged = 0;
     let totalFitness = 0;
 
-    await this.git.checkout(targetBranch);
-
     for (const { mutation } of eligible) {
       try {
-        await this.git.mergeFromTo(mutation.branchName, targetBranch);
+        if (!await this.mergeMutationBranch(mutation, targetBranch, mergeRecord)) continue;
         merged++;
         totalFitness += mutation.fitness;
         
@@ -377,19 +543,18 @@ export class EvolutionMerger extends EventEmitter {
     let merged = 0;
     let totalFitness = 0;
 
-    await this.git.checkout(targetBranch);
-
     for (const { mutation } of eligible) {
       // Get divine approval for each merge
       const approval = await treeCoordinator.invokeDualGods(
         mutation.god,
         'shiva', // Transformation god for merge guidance
-        `Approve merge for mutation ${mutation.id}`
+        `Approve merge for mutation ${mutation.id}`,
+        { source: 'merge_approval', mutationId: mutation.id }
       );
 
       if (approval.balance > -50) { // Divine approval threshold
         try {
-          await this.git.mergeFromTo(mutation.branchName, targetBranch);
+          if (!await this.mergeMutationBranch(mutation, targetBranch, mergeRecord)) continue;
           merged++;
           totalFitness += mutation.fitness;
           
@@ -415,34 +580,37 @@ export class EvolutionMerger extends EventEmitter {
     let merged = 0;
     let totalFitness = 0;
 
-    await this.git.checkout(targetBranch);
-
     // Alternate between light and shadow mutations to maintain balance
     const maxPairs = Math.min(lightMutations.length, shadowMutations.length);
     
     for (let i = 0; i < maxPairs; i++) {
       // Merge light mutation
       try {
-        await this.git.mergeFromTo(lightMutations[i].mutation.branchName, targetBranch);
-        merged++;
-        totalFitness += lightMutations[i].mutation.fitness;
-        console.log(chalk.yellow(`   ☀️  Merged light: ${lightMutations[i].mutation.id}`));
+        if (await this.mergeMutationBranch(lightMutations[i].mutation, targetBranch, mergeRecord)) {
+          merged++;
+          totalFitness += lightMutations[i].mutation.fitness;
+          console.log(chalk.yellow(`   ☀️  Merged light: ${lightMutations[i].mutation.id}`));
+        }
       } catch (error) {
         console.log(chalk.red(`   ❌ Light merge failed: ${lightMutations[i].mutation.id}`));
       }
 
       // Merge shadow mutation
       try {
-        await this.git.mergeFromTo(shadowMutations[i].mutation.branchName, targetBranch);
-        merged++;
-        totalFitness += shadowMutations[i].mutation.fitness;
-        console.log(chalk.magenta(`   🌙 Merged shadow: ${shadowMutations[i].mutation.id}`));
+        if (await this.mergeMutationBranch(shadowMutations[i].mutation, targetBranch, mergeRecord)) {
+          merged++;
+          totalFitness += shadowMutations[i].mutation.fitness;
+          console.log(chalk.magenta(`   🌙 Merged shadow: ${shadowMutations[i].mutation.id}`));
+        }
       } catch (error) {
         console.log(chalk.red(`   ❌ Shadow merge failed: ${shadowMutations[i].mutation.id}`));
       }
 
       // Update tree balance
-      treeCoordinator.balanceForces(10, 10);
+      treeCoordinator.balanceForces(10, 10, {
+        source: 'balanced_merge',
+        mutations: [lightMutations[i].mutation.id, shadowMutations[i].mutation.id]
+      });
     }
 
     return { merged, totalFitness, strategy: 'tree_balanced', pairs: maxPairs };
@@ -456,12 +624,10 @@ export class EvolutionMerger extends EventEmitter {
     let totalFitness = 0;
     const resolutions = [];
 
-    await this.git.checkout(targetBranch);
-
     // Handle eligible mutations first
     for (const { mutation } of evaluation.eligible) {
       try {
-        await this.git.mergeFromTo(mutation.branchName, targetBranch);
+        if (!await this.mergeMutationBranch(mutation, targetBranch, mergeRecord)) continue;
         merged++;
         totalFitness += mutation.fitness;
         console.log(chalk.green(`   ✅ Clean merge: ${mutation.id}`));
@@ -534,10 +700,9 @@ export class EvolutionMerger extends EventEmitter {
     }
   }
 
-  // Get current branch
+  // Get current branch ('HEAD' when detached) without refreshing the index like git status does
   async getCurrentBranch() {
-    const status = await this.git.status();
-    return status.current;
+    return (await this.git.raw(['rev-parse', '--abbrev-ref', 'HEAD'])).trim();
   }
 
   // Get merge statistics
@@ -0,0 +1,69 @@
+/**
+ * EvolutionPlan.js - Dry-Run Plans for Evolution Operations
+ * The steps an evolution operation would take (checkouts, branches, worktrees, commits, merges,
+ * deletions and god invocations) with the fitness behind each decision, collected without touching git
+ */
+
+import chalk from 'chalk';
+
+// Step actions and how they are printed
+export const PLAN_ACTIONS = {
+  checkout: { icon: '↪️ ', color: 'yellow' },
+  create_branch: { icon: '🌿', color: 'green' },
+  create_worktree: { icon: '📂', color: 'green' },
+  invoke: { icon: '🔮', color: 'magenta' },
+  commit: { icon: '📝', color: 'cyan' },
+  merge: { icon: '🔄', color: 'green' },
+  delete_branch: { icon: '🗑️ ', color: 'red' },
+  remove_worktree: { icon: '🧹', color: 'red' },
+  keep: { icon: '✋', color: 'gray' },
+  skip: { icon: '⏭️ ', color: 'gray' }
+};
+
+export class EvolutionPlan {
+  constructor(operation, details = {}) {
+    this.operation = operation;
+    this.details = details;
+    this.steps = [];
+  }
+
+  // Record a step: a one-line description plus the fields a reviewer (or a script) needs
+  add(action, description, details = {}) {
+    if (!PLAN_ACTIONS[action]) {
+      throw new Error(`Unknown plan action: ${action}`);
+    }
+    const step = { step: this.steps.length + 1, action, description, ...details };
+    this.steps.push(step);
+    return step;
+  }
+
+  // Step count per action
+  summary() {
+    const summary = {};
+    for (const { action } of this.steps) {
+      summary[action] = (summary[action] || 0) + 1;
+    }
+    return summary;
+  }
+
+  print() {
+    console.log(chalk.magenta(`\n📋 Dry run: ${this.operation} - nothing was changed`));
+    for (const [key, value] of Object.entries(this.details)) {
+      console.log(chalk.gray(`   ${key}: ${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`));
+    }
+
+    for (const step of this.steps) {
+      const { icon, color } = PLAN_ACTIONS[step.action];
+      console.log(chalk[color](`   ${String(step.step).padStart(2)}. ${icon} ${step.description}`));
+    }
+
+    const counts = Object.entries(this.summary()).map(([action, count]) => `${count} ${action}`).join(', ');
+    console.log(chalk.cyan(`   ${this.steps.length} step(s)${counts ? `: ${counts}` : ''}`));
+  }
+
+  toJSON() {
+    return { operation: this.operation, dryRun: true, details: this.details, steps: this.steps, summary: this.summary() };
+  }
+}
+
+export default EvolutionPlan;
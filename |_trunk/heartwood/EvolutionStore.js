@@ -0,0 +1,171 @@
+/**
+ * EvolutionStore.js - Persistent Evolution State
+ * Keeps mutations, worktrees, lineages and generations in the project's .gaia/evolution.json across
+ * CLI runs, and reconciles them with the mutation/* and evolution/* branches and worktrees git actually has
+ */
+
+import simpleGit from 'simple-git';
+import { EventEmitter } from 'events';
+import fs from 'fs-extra';
+import path from 'path';
+import { findProjectRoot } from '../core/ProjectConfig.js';
+import { logger } from '../core/Logger.js';
+
+export const EVOLUTION_STATE_VERSION = 1;
+
+// One section per owner: GitEvolutionEngine, MutationBrancher, WorktreeManager and EvolutionBirther (two)
+export const EVOLUTION_SECTIONS = ['mutations', 'branches', 'worktrees', 'lineages', 'generations'];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z$/;
+
+// Default location: <project>/.gaia/evolution.json (override with GAIA_EVOLUTION_FILE)
+export function defaultEvolutionPath(repoPath = '.') {
+  return process.env.GAIA_EVOLUTION_FILE || path.join(findProjectRoot(repoPath), '.gaia', 'evolution.json');
+}
+
+// A record as stored: git handles dropped, divine responses cut down to what merges and balance use
+function serializeRecord(record) {
+  return JSON.parse(JSON.stringify(record, (key, value) => {
+    if (key === 'git') return undefined;
+    if ((key === 'divineGuidance' || key === 'divineBlessing') && value) {
+      return { realm: value.realm ?? null, balance: value.balance ?? null };
+    }
+    return value;
+  }));
+}
+
+const emptyState = () => ({
+  version: EVOLUTION_STATE_VERSION,
+  updatedAt: null,
+  ...Object.fromEntries(EVOLUTION_SECTIONS.map(section => [section, {}]))
+});
+
+export class EvolutionStore extends EventEmitter {
+  constructor(repoPath = '.', file = defaultEvolutionPath(repoPath)) {
+    super();
+    this.git = simpleGit(repoPath);
+    this.repoPath = path.resolve(repoPath);
+    this.file = file;
+  }
+
+  // Whole state (missing or corrupt state starts empty); dates come back as Dates
+  read() {
+    try {
+      if (fs.existsSync(this.file)) {
+        const state = JSON.parse(fs.readFileSync(this.file, 'utf-8'), (key, value) =>
+          typeof value === 'string' && ISO_DATE.test(value) ? new Date(value) : value);
+        return { ...emptyState(), ...state };
+      }
+    } catch (error) {
+      logger.warn('Evolution state unreadable, starting empty', { file: this.file, error: error.message });
+    }
+    return emptyState();
+  }
+
+  // Records of one section, keyed by id
+  load(section) {
+    return new Map(Object.entries(this.read()[section] || {}));
+  }
+
+  // Replace one section, leaving the others as they are on disk (failures are logged, never thrown)
+  save(section, records) {
+    try {
+      const state = this.read();
+      state[section] = Object.fromEntries([...records].map(([id, record]) => [id, serializeRecord(record)]));
+      state.updatedAt = new Date();
+
+      // Write then rename, so a crash mid-write never leaves half a file
+      const temporary = `${this.file}.${process.pid}.tmp`;
+      fs.ensureDirSync(path.dirname(this.file));
+      fs.writeJsonSync(temporary, state, { spaces: 2 });
+      fs.renameSync(temporary, this.file);
+      this.emit('state:saved', { section, records: records.size });
+    } catch (error) {
+      logger.warn('Failed to persist evolution state', { file: this.file, section, error: error.message });
+    }
+  }
+
+  // Base for branches nobody recorded: the one the newest record was cut from if it still exists, else the current branch
+  async baseBranch() {
+    const state = this.read();
+    const recorded = EVOLUTION_SECTIONS.flatMap(section => Object.values(state[section] || {}))
+      .filter(record => record.baseBranch && record.baseBranch !== 'HEAD')
+      .sort((a, b) => new Date(b.created || 0) - new Date(a.created || 0))[0]?.baseBranch;
+
+    if (recorded) {
+      const exists = await this.git.raw(['rev-parse', '--verify', '--quiet', `refs/heads/${recorded}`]).then(Boolean, () => false);
+      if (exists) return recorded;
+    }
+    return (await this.git.raw(['rev-parse', '--abbrev-ref', 'HEAD'])).trim();
+  }
+
+  // What git has: mutation/* and evolution/* branches with their tips, and every worktree with its branch
+  async scan() {
+    const branches = new Map();
+    const refs = await this.git.raw(['for-each-ref', '--format=%(refname:short) %(objectname)', 'refs/heads/mutation', 'refs/heads/evolution']);
+    for (const line of refs.split('\n').filter(Boolean)) {
+      const [branch, commit] = line.split(' ');
+      branches.set(branch, commit);
+    }
+
+    const worktrees = new Map(); // branch -> path
+    const worktreePaths = new Set();
+    let current = null;
+    for (const line of (await this.git.raw(['worktree', 'list', '--porcelain'])).split('\n')) {
+      if (line.startsWith('worktree ')) {
+        current = path.resolve(line.slice('worktree '.length));
+        worktreePaths.add(current);
+      }
+      if (line.startsWith('branch refs/heads/')) worktrees.set(line.slice('branch refs/heads/'.length), current);
+    }
+
+    return { branches, worktrees, worktreePaths };
+  }
+}
+
+// Reconcile an owner's records with a scan: records whose branch is gone are marked missing (repair forgets them),
+// worktree paths that no longer exist are cleared, and branches matching owns() that no record knows are adopted
+export async function reconcileRecords(records, scan, { owns, adopt, pathField, terminal = [], detachedStatus = null, repair = false }) {
+  const report = { restored: 0, adopted: [], missing: [], forgotten: [], staleWorktrees: [] };
+  const known = new Set();
+
+  for (const [id, record] of records) {
+    known.add(record.branchName);
+    if (terminal.includes(record.status)) continue;
+
+    if (!scan.branches.has(record.branchName)) {
+      if (repair) {
+        records.delete(id);
+        report.forgotten.push(id);
+      } else {
+        record.status = 'missing';
+        report.missing.push(id);
+      }
+      continue;
+    }
+
+    if (record[pathField] && !scan.worktreePaths.has(path.resolve(record[pathField]))) {
+      record[pathField] = null;
+      if (detachedStatus) record.status = detachedStatus;
+      report.staleWorktrees.push(id);
+    }
+    report.restored++;
+  }
+
+  for (const [branch, commit] of scan.branches) {
+    if (known.has(branch) || !owns(branch)) continue;
+    try {
+      const record = await adopt(branch, commit, scan.worktrees.get(branch) || null);
+      if (!record) continue;
+      record.recovered = true;
+      records.set(record.id, record);
+      report.adopted.push(record.id);
+    } catch (error) {
+      logger.warn('Failed to adopt evolution branch', { branch, error: error.message });
+    }
+  }
+
+  return report;
+}
+
+export default EvolutionStore;
@@ -0,0 +1,99 @@
+/**
+ * EvolutionWorkspace.js - Isolated Checkouts for Evolution
+ * Mutation branches are created without a checkout, worked on in worktrees under .gaia-worktrees/
+ * and merged in throwaway worktrees, so the user's HEAD, index, working tree and stash stay as they are
+ */
+
+import simpleGit from 'simple-git';
+import { EventEmitter } from 'events';
+import fs from 'fs-extra';
+import path from 'path';
+import { logger } from '../core/Logger.js';
+
+// Unfinished operations that make the repo unsafe to evolve: marker under the git dir -> what is going on
+const BUSY_MARKERS = {
+  MERGE_HEAD: 'a merge',
+  'rebase-merge': 'a rebase',
+  'rebase-apply': 'a rebase',
+  CHERRY_PICK_HEAD: 'a cherry-pick',
+  REVERT_HEAD: 'a revert'
+};
+
+export class EvolutionWorkspace extends EventEmitter {
+  constructor(repoPath = '.') {
+    super();
+    this.git = simpleGit(repoPath);
+    this.repoPath = path.resolve(repoPath);
+    this.worktreeDir = path.join(this.repoPath, '.gaia-worktrees');
+  }
+
+  // Refuse a repo that is mid-merge, mid-rebase, mid-cherry-pick or mid-revert
+  async assertReady() {
+    for (const [marker, operation] of Object.entries(BUSY_MARKERS)) {
+      const markerPath = path.resolve(this.repoPath, (await this.git.raw(['rev-parse', '--git-path', marker])).trim());
+      if (await fs.pathExists(markerPath)) {
+        const error = new Error(`Repository is in the middle of ${operation} - finish or abort it before evolving`);
+        error.code = 'repo_busy';
+        throw error;
+      }
+    }
+  }
+
+  // Create a branch at a commit without checking it out
+  async createBranch(branchName, startPoint) {
+    await this.git.raw(['branch', branchName, startPoint]);
+  }
+
+  // Check a branch out (or a commit, detached) in a new worktree; the directory ignores itself so git status stays clean
+  async addWorktree(name, ref, { detach = false } = {}) {
+    const worktreePath = path.join(this.worktreeDir, name);
+    await fs.outputFile(path.join(this.worktreeDir, '.gitignore'), '*\n');
+    await this.git.raw(['worktree', 'add', ...(detach ? ['--detach'] : []), worktreePath, ref]);
+    return worktreePath;
+  }
+
+  async removeWorktree(worktreePath) {
+    try {
+      await this.git.raw(['worktree', 'remove', '--force', worktreePath]);
+    } catch (error) {
+      logger.warn('Failed to remove evolution worktree', { worktreePath, error: error.message });
+    }
+  }
+
+  // Forget worktrees whose directories were deleted by hand
+  async pruneWorktrees() {
+    await this.git.raw(['worktree', 'prune']);
+  }
+
+  // Worktree a branch is checked out in (the user's own checkout included), or null
+  async checkedOutAt(branchName) {
+    let current = null;
+    for (const line of (await this.git.raw(['worktree', 'list', '--porcelain'])).split('\n')) {
+      if (line.startsWith('worktree ')) current = line.slice('worktree '.length);
+      if (line === `branch refs/heads/${branchName}`) return current;
+    }
+    return null;
+  }
+
+  // Merge a branch into a target in a throwaway worktree, then move the target ref only if nobody moved it meanwhile.
+  // A target that is checked out somewhere cannot move without changing that checkout: { merged: false, checkedOutAt }
+  async mergeInto(targetBranch, branchName, message) {
+    const checkedOutAt = await this.checkedOutAt(targetBranch);
+    if (checkedOutAt) return { merged: false, checkedOutAt };
+
+    const target = (await this.git.revparse([`refs/heads/${targetBranch}`])).trim();
+    const worktreePath = await this.addWorktree(`merge_${target.slice(0, 12)}_${Date.now()}`, target, { detach: true });
+
+    try {
+      const worktreeGit = simpleGit(worktreePath);
+      await worktreeGit.raw(['merge', '--no-ff', '-m', message, branchName]);
+      const commit = (await worktreeGit.revparse(['HEAD'])).trim();
+      await this.git.raw(['update-ref', '-m', message, `refs/heads/${targetBranch}`, commit, target]);
+      return { merged: true, commit };
+    } finally {
+      await this.removeWorktree(worktreePath);
+    }
+  }
+}
+
+export default EvolutionWorkspace;
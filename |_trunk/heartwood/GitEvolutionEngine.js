@@ -1,42 +1,60 @@
 /**
  * GitEvolutionEngine.js - M1-Optimized Evolutionary Algorithms
- * Automated git branch evolution with Ashvattha tree integration
+ * Automated git branch evolution with Ashvattha tree integration; mutations live in their own
+ * worktrees, so the user's checkout, index and stash are never touched
  */
 
 import simpleGit from 'simple-git';
 import { EventEmitter } from 'events';
 import chalk from 'chalk';
+import path from 'path';
 import { ashvatthaTree } from '../core/GodRealms.js';
 import { treeCoordinator } from '../core/TreeCoordinator.js';
+import { DiffFitness, describeFitness } from './DiffFitness.js';
+import { TestFitness } from './TestFitness.js';
+import { EvolutionWorkspace } from './EvolutionWorkspace.js';
+import { PatchEngine } from '../core/PatchEngine.js';
+import { EvolutionPlan } from './EvolutionPlan.js';
+import { EvolutionStore, reconcileRecords } from './EvolutionStore.js';
 
 export class GitEvolutionEngine extends EventEmitter {
   constructor(repoPath = '.') {
     super();
     this.git = simpleGit(repoPath);
     this.repoPath = repoPath;
-    this.mutationBranches = new Map(); // Track mutation branches
-    this.evolutionHistory = [];
+    this.store = new EvolutionStore(repoPath);
+    this.mutationBranches = this.store.load('mutations'); // Track mutation branches (persisted across runs)
+    this.evolutionHistory = Array.from(this.mutationBranches.values()).filter(m => m.status === 'merged');
     this.isM1Optimized = process.arch === 'arm64'; // Apple Silicon detection
+    this.diffFitness = new DiffFitness(repoPath);
+    this.testFitness = new TestFitness(repoPath);
+    this.workspace = new EvolutionWorkspace(repoPath);
+    this.mergeThreshold = 60; // Fitness a mutation needs before it is merged
     
     console.log(chalk.cyan(`🧬 Git Evolution Engine initialized ${this.isM1Optimized ? '(M1 Optimized)' : ''}`));
   }
 
-  // Create mutation branch with divine intervention
+  // Create mutation branch (off HEAD, checked out in its own worktree) with divine intervention
   async createMutationBranch(mutationId, godName = 'Brahma') {
     try {
+      await this.workspace.assertReady();
       const baseBranch = await this.getCurrentBranch();
+      const baseCommit = (await this.git.revparse(['HEAD'])).trim();
       const branchName = `mutation/${mutationId}_${Date.now()}`;
       
       // Invoke god for divine guidance
       await ashvatthaTree.invokeGod(godName, `Creating mutation branch: ${branchName}`);
       
-      // Create and checkout new branch
-      await this.git.checkoutLocalBranch(branchName);
+      // Create the branch and its worktree; the user's checkout stays where it is
+      await this.workspace.createBranch(branchName, baseCommit);
+      const worktreePath = await this.workspace.addWorktree(branchName.replace(/\//g, '_'), branchName);
       
       const mutation = {
         id: mutationId,
         branchName,
         baseBranch,
+        baseCommit,
+        worktreePath,
         god: godName,
         created: new Date(),
         status: 'active',
@@ -45,6 +63,7 @@ export class GitEvolutionEngine extends EventEmitter {
       };
 
       this.mutationBranches.set(mutationId, mutation);
+      this.saveState();
       
       // Create leaf in Ashvattha tree
       ashvatthaTree.createLeaf(mutationId, {
@@ -65,35 +84,43 @@ export class GitEvolutionEngine extends EventEmitter {
     }
   }
 
-  // Evolve code through automated commits
+  // Evolve code through automated commits in the mutation's worktree
   async evolveMutation(mutationId, changes, commitMessage) {
     const mutation = this.mutationBranches.get(mutationId);
     if (!mutation) {
       throw new Error(`Mutation ${mutationId} not found`);
     }
+    if (!mutation.worktreePath) {
+      throw new Error(`Mutation ${mutationId} has no worktree (status: ${mutation.status})`);
+    }
 
     try {
-      // Switch to mutation branch
-      await this.git.checkout(mutation.branchName);
-      
-      // Apply changes (this would be implemented based on specific change types)
       console.log(chalk.cyan(`🔄 Evolving mutation ${mutationId}`));
+      await this.applyChanges(mutation, changes);
       
-      // Stage and commit changes
-      await this.git.add('.');
-      const commit = await this.git.commit(`${commitMessage}\n\n🧬 Mutation: ${mutationId}\n🔮 God: ${mutation.god}`);
+      // Stage and commit what changed in the worktree - nothing else can end up in the commit
+      const worktreeGit = simpleGit(mutation.worktreePath);
+      await worktreeGit.add(['-A']);
+      const staged = (await worktreeGit.raw(['diff', '--cached', '--name-only'])).trim();
       
-      mutation.commits.push({
-        hash: commit.commit,
-        message: commitMessage,
-        timestamp: new Date()
-      });
+      if (staged) {
+        const commit = await worktreeGit.commit(`${commitMessage}\n\n🧬 Mutation: ${mutationId}\n🔮 God: ${mutation.god}`);
+        mutation.commits.push({
+          hash: commit.commit,
+          message: commitMessage,
+          timestamp: new Date()
+        });
+      } else {
+        console.log(chalk.gray('   No changes to commit'));
+      }
 
-      // Calculate fitness based on M1 optimization
+      // Calculate fitness from the mutation's diff
       const fitness = await this.calculateFitness(mutation);
       mutation.fitness = fitness;
+      this.saveState();
 
       console.log(chalk.green(`✨ Mutation evolved | Fitness: ${fitness.toFixed(2)}`));
+      console.log(chalk.gray(`   ${describeFitness(mutation.fitnessBreakdown)}`));
       
       this.emit('mutation:evolved', mutation);
       return mutation;
@@ -104,48 +131,64 @@ export class GitEvolutionEngine extends EventEmitter {
     }
   }
 
-  // Calculate fitness with M1 optimization considerations
+  // Patches in a change set: patch text, { patch } objects or parsed patches (see PatchEngine)
+  parseChanges(patchEngine, changes) {
+    return [changes].flat().flatMap(change =>
+      typeof change === 'string' ? patchEngine.parse(change) :
+      typeof change?.patch === 'string' ? patchEngine.parse(change.patch) :
+      change?.type === 'diff' || change?.type === 'replace' ? [change] : []
+    );
+  }
+
+  // Apply a change set to the mutation's worktree
+  async applyChanges(mutation, changes) {
+    const patchEngine = new PatchEngine(mutation.worktreePath);
+    const patches = this.parseChanges(patchEngine, changes);
+
+    if (patches.length > 0) {
+      await patchEngine.apply(patches);
+    }
+    return patches.length;
+  }
+
+  // Calculate fitness from the diff against the mutation's base (test, lint, complexity and size deltas) and,
+  // when a test command is configured, the test runs; the breakdown is kept on the mutation as fitnessBreakdown
   async calculateFitness(mutation) {
-    let fitness = 0;
-    
+    const base = mutation.baseCommit || mutation.baseBranch;
+
     try {
-      // Base fitness from commit count and recency
-      fitness += mutation.commits.length * 10;
-      
-      // M1 optimization bonus
-      if (this.isM1Optimized) {
-        fitness *= 1.2; // 20% bonus for M1 systems
-      }
-      
-      // Divine intervention bonus based on god type
-      const god = ashvatthaTree.lightGods.get(mutation.god) || 
-                  ashvatthaTree.shadowGods.get(mutation.god);
-      
-      if (god) {
-        fitness += god.realm === 'light' ? 15 : 25; // Shadow gods give higher fitness
-      }
-      
-      // Code complexity and quality factors (simplified)
-      fitness += Math.random() * 50; // Placeholder for actual code analysis
-      
-      return Math.max(0, Math.min(100, fitness)); // Normalize to 0-100
+      mutation.testResults = await this.testFitness.evaluate({ base, head: mutation.branchName, cwd: mutation.worktreePath });
+      const { baseline, result } = mutation.testResults || {};
+      mutation.fitnessBreakdown = await this.diffFitness.evaluate(base, mutation.branchName, {
+        testResults: result ? { before: baseline, after: result } : null
+      });
+      return mutation.fitnessBreakdown.fitness;
       
     } catch (error) {
       console.warn(chalk.yellow(`⚠️  Fitness calculation failed: ${error.message}`));
-      return 50; // Default fitness
+      mutation.fitnessBreakdown = { fitness: 0, error: error.message };
+      return 0; // An unmeasured mutation is never merged
     }
   }
 
   // Merge successful mutations back to main
   async mergeMutation(mutationId, targetBranch = 'main') {
+    await this.syncState();
     const mutation = this.mutationBranches.get(mutationId);
     if (!mutation) {
       throw new Error(`Mutation ${mutationId} not found`);
     }
 
     try {
+      // A test regression vetoes the merge whatever the fitness
+      if (mutation.testResults?.regressed) {
+        console.log(chalk.red(`🚫 Merge vetoed - test regression: ${mutation.testResults.reason}`));
+        this.emit('mutation:vetoed', mutation);
+        return false;
+      }
+
       // Check fitness threshold
-      if (mutation.fitness < 60) {
+      if (mutation.fitness < this.mergeThreshold) {
         console.log(chalk.yellow(`⚠️  Mutation fitness too low (${mutation.fitness.toFixed(2)}), skipping merge`));
         return false;
       }
@@ -154,14 +197,25 @@ export class GitEvolutionEngine extends EventEmitter {
       const mergeDecision = await ashvatthaTree.invokeGod('Shiva', 
         `Evaluating merge for mutation ${mutationId} (fitness: ${mutation.fitness.toFixed(2)})`);
 
-      // Switch to target branch
-      await this.git.checkout(targetBranch);
+      // Merge in a throwaway worktree; a target checked out somewhere (usually the user's branch) is left to the user
+      await this.workspace.assertReady();
+      const merge = await this.workspace.mergeInto(targetBranch, mutation.branchName,
+        `Merge mutation ${mutationId} (fitness ${mutation.fitness.toFixed(2)})`);
       
-      // Merge mutation branch
-      await this.git.mergeFromTo(mutation.branchName, targetBranch);
+      if (!merge.merged) {
+        mutation.status = 'ready';
+        this.saveState();
+        console.log(chalk.yellow(`⏸️  ${targetBranch} is checked out at ${merge.checkedOutAt} - ${mutation.branchName} is ready to merge`));
+        console.log(chalk.gray(`   git merge ${mutation.branchName}`));
+        this.emit('mutation:ready', mutation);
+        return false;
+      }
       
       mutation.status = 'merged';
       mutation.mergedAt = new Date();
+      mutation.mergedTo = targetBranch;
+      mutation.mergeCommit = merge.commit;
+      await this.releaseMutation(mutationId);
 
       // Create branch connection in Ashvattha tree
       const mainLeafId = `main_${Date.now()}`;
@@ -183,21 +237,90 @@ export class GitEvolutionEngine extends EventEmitter {
     } catch (error) {
       console.error(chalk.red(`❌ Merge failed: ${error.message}`));
       mutation.status = 'failed';
+      this.saveState();
       throw error;
     }
   }
 
-  // Prune failed mutations
-  async pruneFailedMutations(fitnessThreshold = 30) {
+  // Add to a plan what createMutationBranch, evolveMutation and mergeMutation would do for one mutation.
+  // Only reads git; an empty change set is known to score 0, any other is scored after its commit.
+  async planMutation(plan, mutationId, godName, changes, commitMessage, targetBranch = 'main') {
+    await this.workspace.assertReady();
+    const baseBranch = await this.getCurrentBranch();
+    const baseCommit = (await this.git.revparse(['HEAD'])).trim();
+    const branchName = `mutation/${mutationId}_${Date.now()}`;
+    const worktreePath = path.join(this.workspace.worktreeDir, branchName.replace(/\//g, '_'));
+    const files = [...new Set(this.parseChanges(new PatchEngine(this.repoPath), changes).map(patch => patch.path))];
+
+    plan.add('invoke', `Invoke ${godName} for mutation ${mutationId}`, { god: godName, mutationId });
+    plan.add('create_branch', `Create ${branchName} at ${baseCommit.slice(0, 12)} (${baseBranch})`, {
+      branch: branchName, at: baseCommit, from: baseBranch, mutationId
+    });
+    plan.add('create_worktree', `Check out ${branchName} in ${worktreePath}`, { path: worktreePath, branch: branchName });
+
+    const merge = { branch: branchName, into: targetBranch, threshold: this.mergeThreshold, mutationId };
+    if (files.length === 0) {
+      plan.add('skip', `No commit on ${branchName} - no changes`, { branch: branchName, mutationId });
+      plan.add('skip', `No merge into ${targetBranch} - an empty diff scores 0 (needs ${this.mergeThreshold})`, {
+        ...merge, fitness: 0
+      });
+    } else {
+      plan.add('commit', `Commit ${files.length} file(s) on ${branchName}: ${commitMessage}`, {
+        branch: branchName, message: commitMessage, files, mutationId
+      });
+
+      const conditions = [`fitness >= ${this.mergeThreshold}`, ...(this.testFitness.enabled ? ['no test regression'] : [])];
+      const checkedOutAt = await this.workspace.checkedOutAt(targetBranch);
+      if (checkedOutAt) {
+        plan.add('skip', `Leave ${branchName} ready to merge if ${conditions.join(' and ')} - ${targetBranch} is checked out at ${checkedOutAt}`, {
+          ...merge, fitness: null, conditions, checkedOutAt
+        });
+      } else {
+        plan.add('invoke', `Invoke Shiva for the merge decision if ${conditions[0]}`, { god: 'Shiva', mutationId });
+        plan.add('merge', `Merge ${branchName} into ${targetBranch} if ${conditions.join(' and ')}`, {
+          ...merge, fitness: null, conditions
+        });
+      }
+    }
+
+    plan.add('remove_worktree', `Remove ${worktreePath} (the branch stays)`, { path: worktreePath, branch: branchName });
+    return plan;
+  }
+
+  // Prune failed mutations; dryRun returns the plan instead
+  async pruneFailedMutations(fitnessThreshold = 30, { dryRun = false } = {}) {
+    if (!dryRun) await this.syncState(); // A dry run only reads
     const failedMutations = Array.from(this.mutationBranches.values())
       .filter(m => m.status === 'active' && m.fitness < fitnessThreshold);
 
+    if (dryRun) {
+      const plan = new EvolutionPlan('prune', { fitnessThreshold });
+      for (const mutation of this.mutationBranches.values()) {
+        if (mutation.status !== 'active') continue;
+        if (!failedMutations.includes(mutation)) {
+          plan.add('keep', `Keep ${mutation.branchName} - fitness ${mutation.fitness.toFixed(2)} >= ${fitnessThreshold}`, {
+            branch: mutation.branchName, fitness: mutation.fitness, threshold: fitnessThreshold
+          });
+          continue;
+        }
+        plan.add('invoke', `Invoke Kali to prune ${mutation.id}`, { god: 'Kali', mutationId: mutation.id });
+        if (mutation.worktreePath) {
+          plan.add('remove_worktree', `Remove ${mutation.worktreePath}`, { path: mutation.worktreePath, branch: mutation.branchName });
+        }
+        plan.add('delete_branch', `Delete ${mutation.branchName} - fitness ${mutation.fitness.toFixed(2)} < ${fitnessThreshold}`, {
+          branch: mutation.branchName, fitness: mutation.fitness, threshold: fitnessThreshold
+        });
+      }
+      return plan;
+    }
+
     for (const mutation of failedMutations) {
       try {
         // Invoke Kali for destruction of failed branches
         await ashvatthaTree.invokeGod('Kali', `Pruning failed mutation ${mutation.id}`);
         
-        // Delete branch
+        // Delete worktree and branch
+        await this.releaseMutation(mutation.id);
         await this.git.deleteLocalBranch(mutation.branchName, true);
         
         mutation.status = 'pruned';
@@ -210,14 +333,79 @@ export class GitEvolutionEngine extends EventEmitter {
       }
     }
 
+    this.saveState();
     this.emit('mutations:pruned', failedMutations);
     return failedMutations.length;
   }
 
-  // Get current branch
+  // Remove a mutation's worktree; its branch stays
+  async releaseMutation(mutationId) {
+    const mutation = this.mutationBranches.get(mutationId);
+    if (!mutation?.worktreePath) return;
+    
+    await this.workspace.removeWorktree(mutation.worktreePath);
+    mutation.worktreePath = null;
+    this.saveState();
+  }
+
+  // Persist mutations to .gaia/evolution.json
+  saveState() {
+    this.store.save('mutations', this.mutationBranches);
+  }
+
+  // Reconcile with git once per process (missing branches marked, orphans adopted), so a lost or stale
+  // state file never hides branches from prune and merge; only evolve reconcile repairs
+  syncState() {
+    if (!this.stateSynced) this.stateSynced = this.reconcileState();
+    return this.stateSynced;
+  }
+
+  // Rebuild mutations from the branches and worktrees git has: orphaned mutation/<id>_<time> branches are adopted
+  // and scored, records whose branch is gone are marked missing (repair forgets them)
+  async reconcileState({ repair = false } = {}) {
+    const baseBranch = await this.store.baseBranch();
+    const report = await reconcileRecords(this.mutationBranches, await this.store.scan(), {
+      owns: branch => /^mutation\/[^/]+_\d+$/.test(branch),
+      adopt: (branch, commit, worktreePath) => this.adoptMutation(branch, worktreePath, baseBranch),
+      pathField: 'worktreePath',
+      terminal: ['merged', 'pruned'],
+      repair
+    });
+
+    this.saveState();
+    this.emit('mutations:reconciled', report);
+    return report;
+  }
+
+  // Mutation record for a branch nobody tracked: id and god from its commit trailers, fitness from its diff
+  // against where it left the recorded base branch
+  async adoptMutation(branchName, worktreePath = null, baseBranch = null) {
+    baseBranch = baseBranch || await this.store.baseBranch();
+    const baseCommit = (await this.git.raw(['merge-base', baseBranch, branchName])).trim();
+    const log = await this.git.log({ from: baseCommit, to: branchName });
+    const trailer = name => log.all.map(commit => commit.body.match(new RegExp(`${name}: (\\S+)`))?.[1]).find(Boolean);
+
+    const mutation = {
+      id: trailer('🧬 Mutation') || branchName.replace(/^mutation\//, '').replace(/_\d+$/, ''),
+      branchName,
+      baseBranch,
+      baseCommit,
+      worktreePath,
+      god: trailer('🔮 God') || 'Brahma',
+      created: log.all.length > 0 ? new Date(log.all[log.all.length - 1].date) : new Date(),
+      status: 'active',
+      fitness: 0,
+      commits: log.all.map(commit => ({ hash: commit.hash, message: commit.message, timestamp: new Date(commit.date) })).reverse()
+    };
+    mutation.fitness = await this.calculateFitness(mutation);
+
+    console.log(chalk.cyan(`🔁 Recovered mutation ${mutation.id} (${branchName}) | Fitness: ${mutation.fitness.toFixed(2)}`));
+    return mutation;
+  }
+
+  // Get current branch ('HEAD' when detached) without refreshing the index like git status does
   async getCurrentBranch() {
-    const status = await this.git.status();
-    return status.current;
+    return (await this.git.raw(['rev-parse', '--abbrev-ref', 'HEAD'])).trim();
   }
 
   // Get evolution statistics
@@ -8,6 +8,7 @@ import chalk from 'chalk';
 import { logger } from '../core/Logger.js';
 import { ashvatthaTree } from '../core/GodRealms.js';
 import { treeCoordinator } from '../core/TreeCoordinator.js';
+import { godRegistry } from '../core/GodRegistry.js';
 
 export class MultiObjectiveOptimizer extends EventEmitter {
   constructor() {
@@ -83,6 +84,9 @@ export class MultiObjectiveOptimizer extends EventEmitter {
     if (!objective.name || typeof objective.maximize !== 'boolean') {
       throw new Error('Objective must have name and maximize properties');
     }
+    if (objective.divine_patron) {
+      godRegistry.assertKnown([objective.divine_patron], `Objective ${id}`);
+    }
     
     const objectiveConfig = {
       id,
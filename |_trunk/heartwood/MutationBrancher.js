@@ -1,6 +1,7 @@
 /**
  * MutationBrancher.js - Automated Git Branch Per Mutation
- * Creates and manages individual git branches for each evolutionary mutation
+ * Creates and manages individual git branches for each evolutionary mutation; changes are committed
+ * in worktrees and merged in throwaway ones, so the user's checkout is never touched
  */
 
 import simpleGit from 'simple-git';
@@ -10,16 +11,53 @@ import crypto from 'crypto';
 import { logger } from '../core/Logger.js';
 import { ashvatthaTree } from '../core/GodRealms.js';
 import { treeCoordinator } from '../core/TreeCoordinator.js';
+import { PatchEngine } from '../core/PatchEngine.js';
+import { godRegistry } from '../core/GodRegistry.js';
+import { TestFitness, applyTestFitness } from './TestFitness.js';
+import { EvolutionPlan } from './EvolutionPlan.js';
+import { EvolutionStore, reconcileRecords } from './EvolutionStore.js';
+import { EvolutionWorkspace } from './EvolutionWorkspace.js';
+
+// Mutation type -> patron god (checked against the god registry at startup)
+const MUTATION_GOD_MAPPINGS = {
+  // Code mutations
+  'refactor': 'modi',        // Courage for bold changes
+  'optimize': 'freyr',       // Growth and optimization
+  'debug': 'thor',           // Testing and debugging
+  'security': 'heimdall',    // Security and monitoring
+  'cleanup': 'vidar',        // Clean code and silence
+  'ui': 'baldr',             // Beauty and harmony
+  'docs': 'bragi',           // Documentation
+  
+  // Destructive mutations (shadow realm)
+  'breaking': 'shiva',       // Transformation
+  'removal': 'kali',         // Destruction and cleanup
+  'deprecate': 'yama',       // Death and termination
+  'legacy': 'jyestha',       // Ancient problems
+  
+  // System mutations
+  'architecture': 'odin',    // Wisdom and design
+  'performance': 'thor',     // Strength and performance
+  'testing': 'thor',         // Testing and validation
+  'api': 'hermes',           // Communication
+  
+  // Default evolution
+  'evolution': 'brahma'      // Creator god for general evolution
+};
 
 export class MutationBrancher extends EventEmitter {
   constructor(repoPath = '.') {
     super();
+    godRegistry.assertKnown(Object.values(MUTATION_GOD_MAPPINGS), 'MutationBrancher.selectGodForMutation');
     this.git = simpleGit(repoPath);
     this.repoPath = repoPath;
-    this.mutationBranches = new Map(); // mutationId -> branch info
-    this.branchHistory = [];
-    this.activeMutations = new Set();
+    this.store = new EvolutionStore(repoPath);
+    this.mutationBranches = this.store.load('branches'); // mutationId -> branch info (persisted across runs)
+    this.branchHistory = Array.from(this.mutationBranches.values()).filter(m => m.status === 'merged' || m.status === 'abandoned');
+    this.activeMutations = new Set(Array.from(this.mutationBranches.values()).filter(m => m.status === 'active').map(m => m.id));
     this.maxConcurrentMutations = 8; // M1 optimization
+    this.testFitness = new TestFitness(repoPath);
+    this.workspace = new EvolutionWorkspace(repoPath);
     
     logger.info('MutationBrancher initialized for automated branching');
   }
@@ -31,8 +69,9 @@ export class MutationBrancher extends EventEmitter {
     return `${type}_${timestamp}_${random}`;
   }
 
-  // Create mutation branch with divine guidance
+  // Create mutation branch (from baseBranch, without a checkout) with divine guidance
   async createMutationBranch(mutationType, baseBranch = 'main', godName = null) {
+    await this.workspace.assertReady();
     if (this.activeMutations.size >= this.maxConcurrentMutations) {
       throw new Error(`Maximum concurrent mutations (${this.maxConcurrentMutations}) reached`);
     }
@@ -50,11 +89,8 @@ export class MutationBrancher extends EventEmitter {
       const divineGuidance = await ashvatthaTree.invokeGod(godName, 
         `Creating mutation branch for ${mutationType}: ${mutationId}`);
 
-      // Ensure we're on the base branch
-      await this.git.checkout(baseBranch);
-      
-      // Create new branch from base
-      await this.git.checkoutLocalBranch(branchName);
+      // Create new branch from base; the user's checkout stays where it is
+      await this.workspace.createBranch(branchName, baseBranch);
       
       const mutation = {
         id: mutationId,
@@ -76,6 +112,7 @@ export class MutationBrancher extends EventEmitter {
 
       this.mutationBranches.set(mutationId, mutation);
       this.activeMutations.add(mutationId);
+      this.saveState();
       
       console.log(chalk.green(`🧬 Mutation branch created: ${branchName}`));
       console.log(chalk.yellow(`   Type: ${mutationType}`));
@@ -101,38 +138,30 @@ export class MutationBrancher extends EventEmitter {
     }
   }
 
+  // Add to a plan what createMutationBranch would do; planned counts mutations already planned alongside this one
+  planMutationBranch(plan, mutationType, baseBranch = 'main', godName = null, planned = 0) {
+    const branchName = `mutation/${mutationType}/${this.generateMutationId(mutationType)}`;
+    if (this.activeMutations.size + planned >= this.maxConcurrentMutations) {
+      plan.add('skip', `No ${mutationType} mutation - maximum concurrent mutations (${this.maxConcurrentMutations}) reached`, {
+        mutationType, maxConcurrentMutations: this.maxConcurrentMutations
+      });
+      return null;
+    }
+
+    godName = godName || this.selectGodForMutation(mutationType);
+    plan.add('invoke', `Invoke ${godName} for the ${mutationType} mutation`, { god: godName, mutationType });
+    plan.add('create_branch', `Create ${branchName} from ${baseBranch}`, {
+      branch: branchName, from: baseBranch, mutationType, god: godName
+    });
+    return branchName;
+  }
+
   // Select appropriate god for mutation type
   selectGodForMutation(mutationType) {
-    const mutationGodMappings = {
-      // Code mutations
-      'refactor': 'modi',        // Courage for bold changes
-      'optimize': 'freyr',       // Growth and optimization
-      'debug': 'thor',           // Testing and debugging
-      'security': 'heimdall',    // Security and monitoring
-      'cleanup': 'vidar',        // Clean code and silence
-      'ui': 'baldr',             // Beauty and harmony
-      'docs': 'bragi',           // Documentation
-      
-      // Destructive mutations (shadow realm)
-      'breaking': 'shiva',       // Transformation
-      'removal': 'kali',         // Destruction and cleanup
-      'deprecate': 'yama',       // Death and termination
-      'legacy': 'jyestha',       // Ancient problems
-      
-      // System mutations
-      'architecture': 'odin',    // Wisdom and design
-      'performance': 'thor',     // Strength and performance
-      'testing': 'thor',         // Testing and validation
-      'api': 'hermes',           // Communication
-      
-      // Default evolution
-      'evolution': 'brahma'      // Creator god for general evolution
-    };
-
-    return mutationGodMappings[mutationType] || 'odin'; // Default to wisdom
+    return MUTATION_GOD_MAPPINGS[mutationType] || 'odin'; // Default to wisdom
   }
 
-  // Apply code changes to mutation branch
+  // Apply code changes to mutation branch, committed in a worktree removed again afterwards
   async applyMutationChanges(mutationId, changes, commitMessage) {
     const mutation = this.mutationBranches.get(mutationId);
     if (!mutation) {
@@ -143,17 +172,20 @@ export class MutationBrancher extends EventEmitter {
       throw new Error(`Mutation ${mutationId} is not active (status: ${mutation.status})`);
     }
 
+    let worktreePath = null;
     try {
-      // Switch to mutation branch
-      await this.git.checkout(mutation.branchName);
+      // Check the mutation branch out in its own worktree
+      await this.workspace.assertReady();
+      worktreePath = await this.workspace.addWorktree(mutation.branchName.replace(/\//g, '_'), mutation.branchName);
+      const worktreeGit = simpleGit(worktreePath);
       
       console.log(chalk.cyan(`🔄 Applying changes to mutation ${mutationId}`));
       
       // Apply the changes (this would involve actual file modifications)
-      await this.applyCodeChanges(mutation, changes);
+      await this.applyCodeChanges(mutation, changes, worktreePath);
       
-      // Stage all changes
-      await this.git.add('.');
+      // Stage what changed in the worktree - nothing else can end up in the commit
+      await worktreeGit.add(['-A']);
       
       // Create commit with divine signature
       const divineCommitMessage = `${commitMessage}
@@ -165,7 +197,7 @@ export class MutationBrancher extends EventEmitter {
 
 Blessed by ${mutation.god} in the ${mutation.divineGuidance?.realm || 'unknown'} realm`;
 
-      const commit = await this.git.commit(divineCommitMessage);
+      const commit = await worktreeGit.commit(divineCommitMessage);
       
       mutation.commits.push({
         hash: commit.commit,
@@ -179,6 +211,7 @@ Blessed by ${mutation.god} in the ${mutation.divineGuidance?.realm || 'unknown'}
       
       // Calculate fitness after changes
       mutation.fitness = await this.calculateMutationFitness(mutation);
+      this.saveState();
       
       console.log(chalk.green(`✨ Changes applied | Fitness: ${mutation.fitness.toFixed(2)}`));
       
@@ -194,27 +227,48 @@ Blessed by ${mutation.god} in the ${mutation.divineGuidance?.realm || 'unknown'}
     } catch (error) {
       mutation.status = 'error';
       mutation.error = error.message;
+      this.saveState();
       logger.error('Failed to apply mutation changes', { mutationId, error: error.message });
       throw error;
+    } finally {
+      if (worktreePath) await this.workspace.removeWorktree(worktreePath);
     }
   }
 
-  // Apply actual code changes (placeholder for real implementation)
-  async applyCodeChanges(mutation, changes) {
-    // This is where you would apply actual code mutations
-    // For now, we'll simulate by creating mutation metadata
+  // Apply actual code changes - patch text (unified diff / file blocks) or parsed patches - to a checkout of the branch
+  async applyCodeChanges(mutation, changes, worktreePath) {
+    const patchEngine = new PatchEngine(worktreePath);
+    const patches = [];
+
+    for (const change of changes) {
+      if (typeof change === 'string') {
+        patches.push(...patchEngine.parse(change));
+      } else if (typeof change?.patch === 'string') {
+        patches.push(...patchEngine.parse(change.patch));
+      } else if (change?.type === 'diff' || change?.type === 'replace') {
+        patches.push(change);
+      }
+    }
+
     const mutationLog = {
       mutationId: mutation.id,
       type: mutation.type,
       god: mutation.god,
-      changes: changes,
+      changes: changes.length,
+      patches: patches.length,
       applied: new Date(),
       guidance: mutation.divineGuidance?.intervention || 'Divine transformation applied'
     };
-    
-    // In a real implementation, this would modify actual source files
-    // based on the changes parameter
-    logger.debug('Code changes applied', mutationLog);
+
+    if (patches.length === 0) {
+      logger.debug('No file patches in mutation changes', mutationLog);
+      return [];
+    }
+
+    // Validates every hunk first; any failure leaves the branch untouched
+    const result = await patchEngine.apply(patches);
+    logger.debug('Code changes applied', { ...mutationLog, files: result.files });
+    return result.files;
   }
 
   // Calculate mutation fitness
@@ -251,7 +305,7 @@ Blessed by ${mutation.god} in the ${mutation.divineGuidance?.realm || 'unknown'}
         'mara': 14       // Anti-pattern detection
       };
       
-      fitness += godFitnessMap[mutation.god] || 10;
+      fitness += godRegistry.lookup(godFitnessMap, mutation.god) ?? 10;
       
       // Mutation type multipliers
       const typeBonuses = {
@@ -275,8 +329,11 @@ Blessed by ${mutation.god} in the ${mutation.divineGuidance?.realm || 'unknown'}
       const ageInHours = (Date.now() - mutation.created.getTime()) / (1000 * 60 * 60);
       const timeFactor = Math.max(0.7, 1 - (ageInHours / 48)); // Decay over 48 hours
       fitness *= timeFactor;
+      fitness = Math.max(0, Math.min(100, fitness)); // Normalize to 0-100
       
-      return Math.max(0, Math.min(100, fitness)); // Normalize to 0-100
+      // Test suite (when configured): pass rate and duration scale the score, a regression vetoes the merge
+      mutation.testResults = await this.testFitness.evaluate({ base: mutation.baseBranch, head: mutation.branchName });
+      return applyTestFitness(fitness, mutation.testResults);
       
     } catch (error) {
       logger.warn('Mutation fitness calculation failed', { 
@@ -287,38 +344,57 @@ Blessed by ${mutation.god} in the ${mutation.divineGuidance?.realm || 'unknown'}
     }
   }
 
-  // Merge successful mutation
+  // Merge successful mutation in a throwaway worktree; a target checked out somewhere is left to the user
   async mergeMutation(mutationId, targetBranch = 'main', fitnessThreshold = 60) {
+    await this.syncState();
     const mutation = this.mutationBranches.get(mutationId);
     if (!mutation) {
       throw new Error(`Mutation ${mutationId} not found`);
     }
 
+    // A test regression vetoes the merge whatever the fitness
+    if (mutation.testResults?.regressed) {
+      console.log(chalk.red(`🚫 Merge vetoed - test regression: ${mutation.testResults.reason}`));
+      this.emit('mutation:vetoed', mutation);
+      return false;
+    }
+
     if (mutation.fitness < fitnessThreshold) {
       console.log(chalk.yellow(`⚠️  Mutation fitness too low (${mutation.fitness.toFixed(2)} < ${fitnessThreshold})`));
       return false;
     }
 
     try {
+      await this.workspace.assertReady();
       console.log(chalk.green(`🔄 Merging mutation ${mutationId} to ${targetBranch}`));
       
-      // Switch to target branch
-      await this.git.checkout(targetBranch);
-      
-      // Merge mutation branch
-      await this.git.mergeFromTo(mutation.branchName, targetBranch);
+      const merge = await this.workspace.mergeInto(targetBranch, mutation.branchName,
+        `Merge mutation ${mutationId} (fitness ${mutation.fitness.toFixed(2)})`);
+      
+      if (!merge.merged) {
+        mutation.status = 'ready';
+        this.activeMutations.delete(mutationId);
+        this.saveState();
+        console.log(chalk.yellow(`⏸️  ${targetBranch} is checked out at ${merge.checkedOutAt} - ${mutation.branchName} is ready to merge`));
+        console.log(chalk.gray(`   git merge ${mutation.branchName}`));
+        this.emit('mutation:ready', mutation);
+        return false;
+      }
       
       mutation.status = 'merged';
       mutation.mergedAt = new Date();
       mutation.mergedTo = targetBranch;
+      mutation.mergeCommit = merge.commit;
       
       this.activeMutations.delete(mutationId);
       this.branchHistory.push(mutation);
+      this.saveState();
       
       // Update tree balance after successful merge
       treeCoordinator.balanceForces(
         mutation.divineGuidance?.realm === 'light' ? 10 : 0,
-        mutation.divineGuidance?.realm === 'shadow' ? 10 : 0
+        mutation.divineGuidance?.realm === 'shadow' ? 10 : 0,
+        { source: 'mutation_merge', mutationId, god: mutation.god, realm: mutation.divineGuidance?.realm || null }
       );
       
       console.log(chalk.green(`✅ Mutation merged successfully`));
@@ -338,6 +414,7 @@ Blessed by ${mutation.god} in the ${mutation.divineGuidance?.realm || 'unknown'}
     } catch (error) {
       mutation.status = 'merge_failed';
       mutation.error = error.message;
+      this.saveState();
       logger.error('Mutation merge failed', { mutationId, error: error.message });
       throw error;
     }
@@ -351,10 +428,8 @@ Blessed by ${mutation.god} in the ${mutation.divineGuidance?.realm || 'unknown'}
     }
 
     try {
-      // Switch away from mutation branch
-      await this.git.checkout(mutation.baseBranch);
-      
-      // Delete mutation branch
+      // Delete mutation branch (git refuses while it is checked out anywhere)
+      await this.workspace.assertReady();
       await this.git.deleteLocalBranch(mutation.branchName, true);
       
       mutation.status = 'abandoned';
@@ -363,6 +438,7 @@ Blessed by ${mutation.god} in the ${mutation.divineGuidance?.realm || 'unknown'}
       
       this.activeMutations.delete(mutationId);
       this.branchHistory.push(mutation);
+      this.saveState();
       
       console.log(chalk.red(`🗑️  Mutation abandoned: ${mutationId}`));
       console.log(chalk.gray(`   Reason: ${reason}`));
@@ -376,11 +452,30 @@ Blessed by ${mutation.god} in the ${mutation.divineGuidance?.realm || 'unknown'}
     }
   }
 
-  // Prune low-fitness mutations
-  async pruneLowFitnessMutations(fitnessThreshold = 30) {
+  // Prune low-fitness mutations; dryRun returns the plan instead
+  async pruneLowFitnessMutations(fitnessThreshold = 30, { dryRun = false } = {}) {
+    if (!dryRun) await this.syncState(); // A dry run only reads
     const lowFitnessMutations = Array.from(this.mutationBranches.values())
       .filter(m => m.status === 'active' && m.fitness < fitnessThreshold);
 
+    if (dryRun) {
+      const plan = new EvolutionPlan('prune', { fitnessThreshold });
+      for (const mutation of this.mutationBranches.values()) {
+        if (mutation.status !== 'active') continue;
+        const fitness = mutation.fitness.toFixed(2);
+        if (!lowFitnessMutations.includes(mutation)) {
+          plan.add('keep', `Keep ${mutation.branchName} - fitness ${fitness} >= ${fitnessThreshold}`, {
+            branch: mutation.branchName, fitness: mutation.fitness, threshold: fitnessThreshold
+          });
+          continue;
+        }
+        plan.add('delete_branch', `Delete ${mutation.branchName} - fitness ${fitness} < ${fitnessThreshold}`, {
+          branch: mutation.branchName, fitness: mutation.fitness, threshold: fitnessThreshold
+        });
+      }
+      return plan;
+    }
+
     console.log(chalk.yellow(`🧬 Pruning ${lowFitnessMutations.length} low-fitness mutations`));
 
     let prunedCount = 0;
@@ -399,6 +494,61 @@ Blessed by ${mutation.god} in the ${mutation.divineGuidance?.realm || 'unknown'}
     return prunedCount;
   }
 
+  // Persist mutation branches to .gaia/evolution.json
+  saveState() {
+    this.store.save('branches', this.mutationBranches);
+  }
+
+  // Reconcile with git once per process (missing branches marked, orphans adopted) before pruning or merging
+  syncState() {
+    if (!this.stateSynced) this.stateSynced = this.reconcileState();
+    return this.stateSynced;
+  }
+
+  // Rebuild mutation branches from git: orphaned mutation/<type>/<id> branches are adopted and scored,
+  // records whose branch is gone are marked missing (repair forgets them)
+  async reconcileState({ repair = false } = {}) {
+    const baseBranch = await this.store.baseBranch();
+    const report = await reconcileRecords(this.mutationBranches, await this.store.scan(), {
+      owns: branch => /^mutation\/[^/]+\/[^/]+$/.test(branch),
+      adopt: branch => this.adoptMutation(branch, baseBranch),
+      pathField: null,
+      terminal: ['abandoned'],
+      repair
+    });
+
+    this.activeMutations = new Set(Array.from(this.mutationBranches.values()).filter(m => m.status === 'active').map(m => m.id));
+    this.saveState();
+    this.emit('mutations:reconciled', report);
+    return report;
+  }
+
+  // Mutation record for a branch nobody tracked: type, id and god from its name, commits since its base
+  async adoptMutation(branchName, baseBranch = null) {
+    baseBranch = baseBranch || await this.store.baseBranch();
+    const [, mutationType, mutationId] = branchName.split('/');
+    const log = await this.git.log({ from: baseBranch, to: branchName });
+
+    const mutation = {
+      id: mutationId,
+      type: mutationType,
+      branchName,
+      baseBranch,
+      god: this.selectGodForMutation(mutationType),
+      created: log.all.length > 0 ? new Date(log.all[log.all.length - 1].date) : new Date(),
+      status: 'active',
+      commits: log.all.map(commit => ({ hash: commit.hash, message: commit.message, timestamp: new Date(commit.date) })).reverse(),
+      changes: [],
+      fitness: 0,
+      metadata: {
+        realmBalance: treeCoordinator.getTreeHealth().trunk.balance,
+        godEnergy: 100
+      }
+    };
+    mutation.fitness = await this.calculateMutationFitness(mutation);
+    return mutation;
+  }
+
   // Get mutation statistics
   getMutationStats() {
     const activeMutations = Array.from(this.mutationBranches.values());
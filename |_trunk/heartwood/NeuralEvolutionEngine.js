@@ -9,6 +9,7 @@ import crypto from 'crypto';
 import { logger } from '../core/Logger.js';
 import { ashvatthaTree } from '../core/GodRealms.js';
 import { treeCoordinator } from '../core/TreeCoordinator.js';
+import { godRegistry } from '../core/GodRegistry.js';
 
 export class NeuralEvolutionEngine extends EventEmitter {
   constructor() {
@@ -37,6 +38,7 @@ export class NeuralEvolutionEngine extends EventEmitter {
       complexity: { weight: 0.2, maximize: false }, // Lower complexity is better
       divineAlignment: { weight: 0.1, maximize: true }
     };
+    godRegistry.assertKnown(['brahma', 'freyr', 'loki'], 'NeuralEvolutionEngine');
     
     logger.info('NeuralEvolutionEngine initialized with divine ML capabilities');
   }
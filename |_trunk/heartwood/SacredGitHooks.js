@@ -13,6 +13,7 @@ import { ashvatthaTree } from '../core/GodRealms.js';
 import { treeCoordinator } from '../core/TreeCoordinator.js';
 import MutationBrancher from './MutationBrancher.js';
 import EvolutionBirther from './EvolutionBirther.js';
+import { godRegistry } from '../core/GodRegistry.js';
 
 export class SacredGitHooks extends EventEmitter {
   constructor(repoPath = '.') {
@@ -46,6 +47,10 @@ export class SacredGitHooks extends EventEmitter {
         gods: ['apollo', 'freyr'] // Celebration and growth
       }
     };
+    godRegistry.assertKnown(
+      [...Object.values(this.hookConfigs).flatMap(config => config.gods), 'loki'],
+      'SacredGitHooks.hookConfigs'
+    );
     
     logger.info('SacredGitHooks initialized for evolutionary development');
   }
@@ -297,8 +302,8 @@ node "${sacredHookPath}" "$@"
       }
       
       // Restore tree balance after merge
-      const balanceRestoration = treeCoordinator.balanceForces(10, 10);
-      console.log(chalk.cyan(`   ⚖️  Balance restored: ${balanceRestoration.newBalance}`));
+      const balanceRestoration = treeCoordinator.balanceForces(10, 10, { source: 'post-merge hook' });
+      console.log(chalk.cyan(`   ⚖️  Balance restored: ${balanceRestoration}`));
       
       // Assess merged evolution fitness
       const mergeCommit = execSync('git rev-parse HEAD', { encoding: 'utf-8' }).trim();
@@ -0,0 +1,300 @@
+/**
+ * TestFitness.js - Test-Suite Fitness Provider
+ * Runs the project's test command on a mutation's checkout and on its base, parses
+ * Jest, TAP or JUnit results and reports regressions, which veto the mutation's merge
+ */
+
+import simpleGit from 'simple-git';
+import { EventEmitter } from 'events';
+import { spawn } from 'child_process';
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+import { logger } from '../core/Logger.js';
+import { loadProjectConfig } from '../core/ProjectConfig.js';
+import { EvolutionWorkspace } from './EvolutionWorkspace.js';
+
+export const TEST_FORMATS = ['auto', 'jest', 'tap', 'junit'];
+
+// .gaiarc "fitness.tests": no command means the test suite is not part of fitness
+export const DEFAULT_TEST_CONFIG = {
+  command: null,
+  format: 'auto',
+  timeoutMs: 300000,
+  reportFile: null // read results from this file (e.g. jest-junit's junit.xml) instead of the command's output
+};
+
+const MAX_OUTPUT = 10 * 1024 * 1024;
+
+const emptyResult = format => ({ format, total: 0, passed: 0, failed: 0, skipped: 0, tests: {} });
+
+// Totals from per-test statuses
+function tally(result) {
+  for (const status of Object.values(result.tests)) {
+    result[status]++;
+    result.total++;
+  }
+  return result;
+}
+
+const decodeXml = text => text
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+
+// jest --json output, else the "Tests: 1 failed, 5 passed, 6 total" summary
+export function parseJest(output) {
+  const candidates = [...output.split('\n').filter(line => line.trimStart().startsWith('{')), output.slice(output.indexOf('{'))];
+  for (const candidate of candidates) {
+    let report;
+    try {
+      report = JSON.parse(candidate.slice(0, candidate.lastIndexOf('}') + 1));
+    } catch {
+      continue;
+    }
+    if (report?.numTotalTests === undefined) continue;
+
+    const result = emptyResult('jest');
+    for (const suite of report.testResults || []) {
+      for (const assertion of suite.assertionResults || []) {
+        result.tests[assertion.fullName || assertion.title] =
+          assertion.status === 'passed' ? 'passed' : assertion.status === 'failed' ? 'failed' : 'skipped';
+      }
+    }
+    if (Object.keys(result.tests).length > 0) return tally(result);
+    return {
+      ...result,
+      total: report.numTotalTests,
+      passed: report.numPassedTests,
+      failed: report.numFailedTests,
+      skipped: report.numPendingTests + (report.numTodoTests || 0)
+    };
+  }
+
+  const summary = output.match(/^Tests:\s+(.*\d+ total)/m)?.[1];
+  if (!summary) return null;
+  const field = name => Number(summary.match(new RegExp(`(\\d+) ${name}`))?.[1] || 0);
+  return {
+    ...emptyResult('jest'),
+    total: field('total'),
+    passed: field('passed'),
+    failed: field('failed'),
+    skipped: field('skipped') + field('todo')
+  };
+}
+
+// TAP: ok / not ok lines (SKIP and TODO directives count as skipped); "# pass" / "# fail" totals win when present
+export function parseTap(output) {
+  const lines = output.split('\n');
+  const points = lines
+    .map(line => line.match(/^(\s*)(not )?ok\b(?:\s+\d+)?(?:\s*-)?\s*([^#]*?)\s*(?:#\s*(\w+).*)?$/))
+    .filter(Boolean);
+  if (points.length === 0) return null;
+
+  const result = emptyResult('tap');
+  const indent = Math.min(...points.map(point => point[1].length));
+  points.forEach(([, spaces, not, name, directive], index) => {
+    const status = /^(skip|todo)$/i.test(directive || '') ? 'skipped' : not ? 'failed' : 'passed';
+    // Parents of subtests repeat their children's outcome, so only the outermost level is tallied by count
+    if (spaces.length === indent) result[status]++;
+    result.tests[name || `test ${index + 1}`] = status;
+  });
+  result.total = result.passed + result.failed + result.skipped;
+
+  const comment = name => output.match(new RegExp(`^#\\s*${name}\\s+(\\d+)`, 'm'))?.[1];
+  if (comment('pass') !== undefined || comment('fail') !== undefined) {
+    result.passed = Number(comment('pass') || 0);
+    result.failed = Number(comment('fail') || 0);
+    result.skipped = Number(comment('skip') || 0) + Number(comment('todo') || 0);
+    result.total = Number(comment('tests') || result.passed + result.failed + result.skipped);
+  }
+  return result;
+}
+
+// JUnit XML: each <testcase>, failed with a <failure> or <error>, skipped with <skipped>
+export function parseJUnit(output) {
+  const cases = [...output.matchAll(/<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g)];
+  if (cases.length === 0) return null;
+
+  const result = emptyResult('junit');
+  for (const [, attributes, body = ''] of cases) {
+    const attribute = name => decodeXml(attributes.match(new RegExp(`\\b${name}="([^"]*)"`))?.[1] || '');
+    const name = [attribute('classname'), attribute('name')].filter(Boolean).join(' ');
+    result.tests[name] = /<(failure|error)\b/.test(body) ? 'failed' : /<skipped\b/.test(body) ? 'skipped' : 'passed';
+  }
+  return tally(result);
+}
+
+const PARSERS = { jest: parseJest, tap: parseTap, junit: parseJUnit };
+
+// Parse with the configured format, or guess it: XML is JUnit, ok/not ok lines are TAP, anything else Jest
+export function parseTestOutput(output, format = 'auto') {
+  if (format !== 'auto') return PARSERS[format](output);
+  if (/<testsuites?\b|<testcase\b/.test(output)) return parseJUnit(output);
+  if (/^TAP version|^\s*(not )?ok \d+/m.test(output)) return parseTap(output);
+  return parseJest(output);
+}
+
+// Passing share of the tests that ran (skipped ones do not count); 1 when there were none
+export function passRate(result) {
+  const ran = (result?.passed || 0) + (result?.failed || 0);
+  return ran > 0 ? result.passed / ran : 1;
+}
+
+// Regressions of a run against its baseline: tests that passed and now fail, more failures, or a run that broke
+export function compareTestRuns(baseline, result) {
+  const regressions = Object.entries(result.tests)
+    .filter(([name, status]) => status === 'failed' && baseline.tests[name] === 'passed')
+    .map(([name]) => name);
+
+  const reasons = [];
+  if (regressions.length > 0) reasons.push(`${regressions.length} test(s) no longer pass: ${regressions.slice(0, 3).join(', ')}`);
+  if (result.failed > baseline.failed) reasons.push(`failures up from ${baseline.failed} to ${result.failed}`);
+  if (result.error && !baseline.error) reasons.push(result.error);
+
+  return { baseline, result, regressions, regressed: reasons.length > 0, reason: reasons.join('; ') || null };
+}
+
+// Fitness scaled by the mutation's pass rate, minus up to 10 points when the suite got more than 25% slower
+export function applyTestFitness(fitness, evaluation) {
+  if (!evaluation?.result) return fitness;
+  const { baseline, result } = evaluation;
+  const slowdown = baseline.durationMs > 0 ? result.durationMs / baseline.durationMs : 1;
+  const penalty = Math.min(10, Math.max(0, (slowdown - 1.25) * 20));
+  return Math.max(0, fitness * passRate(result) - penalty);
+}
+
+// One-line summary of a test evaluation
+export function describeTestRun(evaluation) {
+  const { result } = evaluation;
+  if (!result) return evaluation.reason;
+  const counts = `${result.passed} passed, ${result.failed} failed, ${result.skipped} skipped (${(result.durationMs / 1000).toFixed(1)}s)`;
+  return evaluation.regressed ? `${counts} - regression: ${evaluation.reason}` : counts;
+}
+
+export class TestFitness extends EventEmitter {
+  constructor(repoPath = '.', options = {}) {
+    super();
+    this.git = simpleGit(repoPath);
+    this.repoPath = path.resolve(repoPath);
+    this.workspace = new EvolutionWorkspace(repoPath);
+    this.config = {
+      ...DEFAULT_TEST_CONFIG,
+      ...(loadProjectConfig(repoPath)?.config.fitness?.tests || {}),
+      ...options
+    };
+    if (!TEST_FORMATS.includes(this.config.format)) {
+      throw new Error(`Unknown test result format: ${this.config.format} (use ${TEST_FORMATS.join(', ')})`);
+    }
+    this.baselines = new Map(); // commit -> test run
+  }
+
+  get enabled() {
+    return Boolean(this.config.command);
+  }
+
+  // Run the test command in a directory: parsed counts plus durationMs, exitCode and error (timeout, unparseable output)
+  run(cwd) {
+    const { command, timeoutMs } = this.config;
+    const started = Date.now();
+
+    return new Promise(resolve => {
+      let output = '';
+      let timedOut = false;
+      let settled = false;
+      // Own process group, so a timeout stops the whole test run and not just the shell
+      const child = spawn(command, { cwd, shell: true, detached: true, env: { ...process.env, CI: 'true' } });
+      const collect = chunk => {
+        if (output.length < MAX_OUTPUT) output += chunk;
+      };
+      for (const stream of [child.stdout, child.stderr]) {
+        stream.setEncoding('utf-8');
+        stream.on('data', collect);
+      }
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        try {
+          process.kill(-child.pid, 'SIGKILL');
+        } catch {
+          child.kill('SIGKILL');
+        }
+      }, timeoutMs);
+
+      const finish = async (exitCode, spawnError = null) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        resolve(await this.parseRun({ cwd, output, exitCode, timedOut, spawnError, durationMs: Date.now() - started }));
+      };
+      child.on('error', error => finish(null, error));
+      child.on('close', code => finish(code));
+    });
+  }
+
+  // Results of a finished run; without parseable results the exit code stands in as a single test
+  async parseRun({ cwd, output, exitCode, timedOut, spawnError, durationMs }) {
+    let report = output;
+    if (this.config.reportFile) {
+      const reportPath = path.resolve(cwd, this.config.reportFile);
+      report = (await fs.pathExists(reportPath)) ? await fs.readFile(reportPath, 'utf-8') : '';
+    }
+
+    const parsed = parseTestOutput(report, this.config.format);
+    const result = parsed && parsed.total > 0 ? parsed : {
+      ...emptyResult('exit-code'),
+      total: 1,
+      passed: exitCode === 0 ? 1 : 0,
+      failed: exitCode === 0 ? 0 : 1
+    };
+
+    const error = timedOut ? `Test command timed out after ${this.config.timeoutMs}ms` :
+      spawnError ? `Test command failed to start: ${spawnError.message}` : null;
+    return { ...result, durationMs, exitCode, error };
+  }
+
+  // Run the tests on a commit in a throwaway worktree (the current checkout is left alone)
+  async runAt(revision) {
+    const commit = (await this.git.revparse([revision])).trim();
+    const checkout = await this.workspace.addWorktree(`tests_${commit.slice(0, 12)}_${Date.now()}`, commit, { detach: true });
+
+    try {
+      return await this.run(checkout);
+    } finally {
+      await this.workspace.removeWorktree(checkout);
+    }
+  }
+
+  // Baseline run of a commit, run once per commit
+  async baselineFor(commit) {
+    if (!this.baselines.has(commit)) this.baselines.set(commit, await this.runAt(commit));
+    return this.baselines.get(commit);
+  }
+
+  // Test a mutation against its base: head is a branch or commit, cwd an existing checkout of it (a worktree).
+  // A run that cannot happen at all counts as a regression rather than letting the mutation through.
+  async evaluate({ base, head, cwd = null }) {
+    if (!this.enabled) return null;
+
+    let evaluation;
+    try {
+      const baseCommit = (await this.git.raw(['merge-base', base, head])).trim();
+      const baseline = await this.baselineFor(baseCommit);
+      const result = cwd ? await this.run(cwd) : await this.runAt(head);
+      evaluation = compareTestRuns(baseline, result);
+    } catch (error) {
+      evaluation = { baseline: null, result: null, regressions: [], regressed: true, reason: `Tests could not run: ${error.message}` };
+    }
+
+    console.log((evaluation.regressed ? chalk.red : chalk.gray)(`   🧪 Tests: ${describeTestRun(evaluation)}`));
+    logger.info('Test fitness evaluated', {
+      head,
+      passed: evaluation.result?.passed,
+      failed: evaluation.result?.failed,
+      durationMs: evaluation.result?.durationMs,
+      regressed: evaluation.regressed
+    });
+    this.emit('tests:evaluated', { base, head, ...evaluation });
+    return evaluation;
+  }
+}
+
+export default TestFitness;
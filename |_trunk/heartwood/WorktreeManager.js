@@ -1,6 +1,7 @@
 /**
  * WorktreeManager.js - Parallel Evolution Worktrees Management
- * Manages multiple git worktrees for parallel evolutionary development
+ * Manages multiple git worktrees for parallel evolutionary development; branches are created without
+ * a checkout and merged in throwaway worktrees, so the user's checkout is never touched
  */
 
 import simpleGit from 'simple-git';
@@ -10,15 +11,25 @@ import fs from 'fs-extra';
 import path from 'path';
 import { logger } from '../core/Logger.js';
 import { ashvatthaTree } from '../core/GodRealms.js';
+import { godRegistry } from '../core/GodRegistry.js';
+import { TestFitness, applyTestFitness } from './TestFitness.js';
+import { EvolutionStore, reconcileRecords } from './EvolutionStore.js';
+import { EvolutionWorkspace } from './EvolutionWorkspace.js';
 
 export class WorktreeManager extends EventEmitter {
   constructor(repoPath = '.') {
     super();
     this.git = simpleGit(repoPath);
     this.repoPath = path.resolve(repoPath);
-    this.worktrees = new Map(); // worktreeId -> worktree info
-    this.worktreeDir = path.join(this.repoPath, '.gaia-worktrees');
+    this.store = new EvolutionStore(repoPath);
+    this.worktrees = this.store.load('worktrees'); // worktreeId -> worktree info (persisted across runs)
+    for (const worktree of this.worktrees.values()) {
+      if (worktree.path && fs.existsSync(worktree.path)) worktree.git = simpleGit(worktree.path); // reconcileState detaches the rest
+    }
+    this.workspace = new EvolutionWorkspace(repoPath);
+    this.worktreeDir = this.workspace.worktreeDir;
     this.maxWorktrees = 10; // M1 optimized for 10 parallel cores
+    this.testFitness = new TestFitness(repoPath);
     
     this.initializeWorktreeSystem();
     logger.info('WorktreeManager initialized', { repoPath: this.repoPath });
@@ -41,26 +52,23 @@ export class WorktreeManager extends EventEmitter {
     }
   }
 
-  // Create a new worktree for evolution
+  // Create a new worktree for evolution (its branch starts at baseBranch)
   async createEvolutionWorktree(evolutionId, baseBranch = 'main', godName = 'Brahma') {
+    await this.workspace.assertReady();
     if (this.worktrees.size >= this.maxWorktrees) {
       throw new Error(`Maximum worktrees (${this.maxWorktrees}) reached. Clean up before creating new ones.`);
     }
 
     const worktreeId = `evolution_${evolutionId}_${Date.now()}`;
     const branchName = `evolution/${evolutionId}`;
-    const worktreePath = path.join(this.worktreeDir, worktreeId);
 
     try {
       // Invoke god for divine guidance on worktree creation
       await ashvatthaTree.invokeGod(godName, `Creating evolution worktree: ${worktreeId}`);
 
-      // Create new branch for evolution
-      await this.git.checkoutLocalBranch(branchName);
-      await this.git.checkout(baseBranch);
-
-      // Create worktree
-      await this.git.raw(['worktree', 'add', worktreePath, branchName]);
+      // Create the evolution branch and its worktree; the user's checkout stays where it is
+      await this.workspace.createBranch(branchName, baseBranch);
+      const worktreePath = await this.workspace.addWorktree(worktreeId, branchName);
       
       const worktree = {
         id: worktreeId,
@@ -78,6 +86,7 @@ export class WorktreeManager extends EventEmitter {
       };
 
       this.worktrees.set(worktreeId, worktree);
+      this.saveState();
       
       console.log(chalk.green(`🌿 Evolution worktree created: ${worktreeId}`));
       console.log(chalk.yellow(`   Path: ${worktreePath}`));
@@ -98,6 +107,23 @@ export class WorktreeManager extends EventEmitter {
     }
   }
 
+  // Add to a plan what createEvolutionWorktree would do; planned counts worktrees already planned alongside this one
+  planEvolutionWorktree(plan, evolutionId, baseBranch = 'main', godName = 'Brahma', planned = 0) {
+    if (this.worktrees.size + planned >= this.maxWorktrees) {
+      plan.add('skip', `No worktree for ${evolutionId} - maximum worktrees (${this.maxWorktrees}) reached`, {
+        evolutionId, maxWorktrees: this.maxWorktrees
+      });
+      return null;
+    }
+
+    const branchName = `evolution/${evolutionId}`;
+    const worktreePath = path.join(this.worktreeDir, `evolution_${evolutionId}_${Date.now()}`);
+    plan.add('invoke', `Invoke ${godName} for the ${evolutionId} worktree`, { god: godName, evolutionId });
+    plan.add('create_branch', `Create ${branchName} from ${baseBranch}`, { branch: branchName, from: baseBranch, evolutionId });
+    plan.add('create_worktree', `Check out ${branchName} in ${worktreePath}`, { path: worktreePath, branch: branchName });
+    return worktreePath;
+  }
+
   // Apply mutation to a specific worktree
   async applyMutation(worktreeId, mutation, commitMessage) {
     const worktree = this.worktrees.get(worktreeId);
@@ -124,6 +150,7 @@ export class WorktreeManager extends EventEmitter {
       
       worktree.mutations++;
       worktree.fitness = await this.calculateWorktreeFitness(worktree);
+      this.saveState();
       
       console.log(chalk.green(`✨ Mutation applied | Fitness: ${worktree.fitness.toFixed(2)}`));
       
@@ -179,7 +206,7 @@ export class WorktreeManager extends EventEmitter {
         'Durga': 16      // Protection bonus
       };
       
-      fitness += godBonuses[worktree.god] || 10;
+      fitness += godRegistry.lookup(godBonuses, worktree.god) ?? 10;
       
       // Time factor (newer mutations get slight bonus)
       const ageInHours = (Date.now() - worktree.created.getTime()) / (1000 * 60 * 60);
@@ -189,8 +216,11 @@ export class WorktreeManager extends EventEmitter {
       // Check if worktree has any actual code (file count bonus)
       const stats = await this.getWorktreeStats(worktree);
       fitness += stats.fileCount * 2;
+      fitness = Math.max(0, Math.min(100, fitness)); // Normalize to 0-100
       
-      return Math.max(0, Math.min(100, fitness)); // Normalize to 0-100
+      // Test suite (when configured) run in the worktree itself: pass rate and duration scale the score, a regression vetoes the merge
+      worktree.testResults = await this.testFitness.evaluate({ base: worktree.baseBranch, head: worktree.branchName, cwd: worktree.path });
+      return applyTestFitness(fitness, worktree.testResults);
       
     } catch (error) {
       logger.warn('Fitness calculation failed', { worktreeId: worktree.id, error: error.message });
@@ -247,30 +277,47 @@ export class WorktreeManager extends EventEmitter {
     }
   }
 
-  // Merge successful evolution back to main
+  // Merge successful evolution back to main in a throwaway worktree; a target checked out somewhere is left to the user
   async mergeEvolution(worktreeId, targetBranch = 'main', fitnessThreshold = 70) {
+    await this.syncState();
     const worktree = this.worktrees.get(worktreeId);
     if (!worktree) {
       throw new Error(`Worktree ${worktreeId} not found`);
     }
 
+    // A test regression vetoes the merge whatever the fitness
+    if (worktree.testResults?.regressed) {
+      console.log(chalk.red(`🚫 Merge vetoed - test regression: ${worktree.testResults.reason}`));
+      this.emit('evolution:vetoed', worktree);
+      return false;
+    }
+
     if (worktree.fitness < fitnessThreshold) {
       console.log(chalk.yellow(`⚠️  Evolution fitness too low (${worktree.fitness.toFixed(2)} < ${fitnessThreshold})`));
       return false;
     }
 
     try {
+      await this.workspace.assertReady();
       console.log(chalk.green(`🔄 Merging evolution ${worktreeId} to ${targetBranch}`));
       
-      // Switch to target branch in main repo
-      await this.git.checkout(targetBranch);
+      const merge = await this.workspace.mergeInto(targetBranch, worktree.branchName,
+        `Merge evolution ${worktreeId} (fitness ${worktree.fitness.toFixed(2)})`);
       
-      // Merge the evolution branch
-      await this.git.mergeFromTo(worktree.branchName, targetBranch);
+      if (!merge.merged) {
+        worktree.status = 'ready';
+        this.saveState();
+        console.log(chalk.yellow(`⏸️  ${targetBranch} is checked out at ${merge.checkedOutAt} - ${worktree.branchName} is ready to merge`));
+        console.log(chalk.gray(`   git merge ${worktree.branchName}`));
+        this.emit('evolution:ready', worktree);
+        return false;
+      }
       
       worktree.status = 'merged';
       worktree.mergedAt = new Date();
       worktree.mergedTo = targetBranch;
+      worktree.mergeCommit = merge.commit;
+      this.saveState();
       
       console.log(chalk.green(`✅ Evolution merged successfully`));
       console.log(chalk.cyan(`   Fitness: ${worktree.fitness.toFixed(2)}`));
@@ -289,6 +336,7 @@ export class WorktreeManager extends EventEmitter {
     } catch (error) {
       worktree.status = 'merge_failed';
       worktree.error = error.message;
+      this.saveState();
       logger.error('Evolution merge failed', { worktreeId, error: error.message });
       throw error;
     }
@@ -302,8 +350,10 @@ export class WorktreeManager extends EventEmitter {
     }
 
     try {
-      // Remove worktree
-      await this.git.raw(['worktree', 'remove', worktree.path, '--force']);
+      // Remove worktree (a recovered branch may have none)
+      if (worktree.path) {
+        await this.git.raw(['worktree', 'remove', worktree.path, '--force']);
+      }
       
       // Delete the evolution branch
       try {
@@ -319,6 +369,7 @@ export class WorktreeManager extends EventEmitter {
       worktree.cleanedAt = new Date();
       
       this.worktrees.delete(worktreeId);
+      this.saveState();
       
       console.log(chalk.red(`🗑️  Worktree cleaned: ${worktreeId}`));
       
@@ -333,6 +384,7 @@ export class WorktreeManager extends EventEmitter {
 
   // Prune low-fitness worktrees
   async pruneLowFitnessWorktrees(fitnessThreshold = 30) {
+    await this.syncState();
     const lowFitnessWorktrees = Array.from(this.worktrees.values())
       .filter(w => w.status === 'active' && w.fitness < fitnessThreshold);
 
@@ -352,6 +404,60 @@ export class WorktreeManager extends EventEmitter {
     return lowFitnessWorktrees.length;
   }
 
+  // Persist worktrees to .gaia/evolution.json
+  saveState() {
+    this.store.save('worktrees', this.worktrees);
+  }
+
+  // Reconcile with git once per process (missing branches marked, orphans adopted) before pruning or merging
+  syncState() {
+    if (!this.stateSynced) this.stateSynced = this.reconcileState();
+    return this.stateSynced;
+  }
+
+  // Rebuild worktrees from git: orphaned evolution/* branches are adopted (detached when checked out nowhere),
+  // worktrees whose directory is gone become detached, records whose branch is gone are marked missing (repair forgets them)
+  async reconcileState({ repair = false } = {}) {
+    const baseBranch = await this.store.baseBranch();
+    const report = await reconcileRecords(this.worktrees, await this.store.scan(), {
+      owns: branch => branch.startsWith('evolution/'),
+      adopt: (branch, commit, worktreePath) => this.adoptWorktree(branch, worktreePath, baseBranch),
+      pathField: 'path',
+      terminal: ['merged'],
+      detachedStatus: 'detached',
+      repair
+    });
+
+    this.saveState();
+    this.emit('worktrees:reconciled', report);
+    return report;
+  }
+
+  // Worktree record for an evolution branch nobody tracked, based on the recorded base branch
+  async adoptWorktree(branchName, worktreePath = null, baseBranch = null) {
+    baseBranch = baseBranch || await this.store.baseBranch();
+    const evolutionId = branchName.slice('evolution/'.length);
+    const worktree = {
+      id: worktreePath && path.dirname(worktreePath) === this.worktreeDir ? path.basename(worktreePath) : `evolution_${evolutionId}_recovered`,
+      evolutionId,
+      path: worktreePath,
+      branchName,
+      baseBranch,
+      god: 'Brahma',
+      created: new Date(),
+      status: worktreePath ? 'active' : 'detached',
+      commits: [],
+      mutations: 0,
+      fitness: 0
+    };
+
+    if (worktreePath) {
+      worktree.git = simpleGit(worktreePath);
+      worktree.fitness = await this.calculateWorktreeFitness(worktree);
+    }
+    return worktree;
+  }
+
   // Get all worktrees status
   getWorktreesStatus() {
     const worktrees = Array.from(this.worktrees.values());
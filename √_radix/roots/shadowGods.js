@@ -1,6 +1,7 @@
 /**
  * shadowGods.js - 16 Shadow Gods (Ashvattha Roots)
  * Divine shadow realm - roots reaching toward cosmic depths
+ * Load through GodRegistry.js, which resolves aliases and validates references
  */
 
 export const shadowRoots = {
@@ -13,7 +14,9 @@ export const shadowRoots = {
       domain: 'Underworld & Death',
       power: 'Deep Memory Management',
       energy: 100,
-      tools: ['helmet', 'underworld', 'souls']
+      tools: ['helmet', 'underworld', 'souls'],
+      aliases: ['jyestha'],
+      capabilities: ['memory-management', 'legacy-code', 'persistence', 'deep-storage']
     },
     loki: {
       id: 'shadow_1',
@@ -22,7 +25,9 @@ export const shadowRoots = {
       domain: 'Chaos & Trickery',
       power: 'Creative Chaos',
       energy: 95,
-      tools: ['shapeshifting', 'fire', 'cunning']
+      tools: ['shapeshifting', 'fire', 'cunning'],
+      aliases: [],
+      capabilities: ['chaos-testing', 'mutation', 'experimentation', 'trickery']
     },
     mara: {
       id: 'shadow_2',
@@ -31,7 +36,9 @@ export const shadowRoots = {
       domain: 'Temptation & Illusion',
       power: 'Edge Case Generation',
       energy: 88,
-      tools: ['illusion', 'temptation', 'shadows']
+      tools: ['illusion', 'temptation', 'shadows'],
+      aliases: [],
+      capabilities: ['anti-patterns', 'temptation-detection', 'bad-practices', 'edge-cases']
     },
     nyx: {
       id: 'shadow_3',
@@ -40,7 +47,9 @@ export const shadowRoots = {
       domain: 'Night & Darkness',
       power: 'Hidden Logic',
       energy: 92,
-      tools: ['night', 'stars', 'darkness']
+      tools: ['night', 'stars', 'darkness'],
+      aliases: ['tamas'],
+      capabilities: ['hidden-logic', 'obscurity', 'concealment', 'dark-paths']
     },
     rahu: {
       id: 'shadow_4',
@@ -49,7 +58,9 @@ export const shadowRoots = {
       domain: 'Eclipse & Obsession',
       power: 'Consuming Algorithms',
       energy: 90,
-      tools: ['eclipse', 'hunger', 'shadow']
+      tools: ['eclipse', 'hunger', 'shadow'],
+      aliases: [],
+      capabilities: ['hidden-dependencies', 'dark-imports', 'obscurity']
     }
   },
 
@@ -62,7 +73,9 @@ export const shadowRoots = {
       domain: 'Divine Warrior',
       power: 'Protective Destruction',
       energy: 100,
-      tools: ['weapons', 'lion', 'protection']
+      tools: ['weapons', 'lion', 'protection'],
+      aliases: [],
+      capabilities: ['defense', 'protection', 'security', 'barriers']
     },
     kali: {
       id: 'shadow_6',
@@ -71,7 +84,9 @@ export const shadowRoots = {
       domain: 'Time & Destruction',
       power: 'Temporal Manipulation',
       energy: 100,
-      tools: ['sword', 'time', 'destruction']
+      tools: ['sword', 'time', 'destruction'],
+      aliases: [],
+      capabilities: ['destruction', 'cleanup', 'removal', 'purification']
     },
     shiva: {
       id: 'shadow_7',
@@ -80,7 +95,9 @@ export const shadowRoots = {
       domain: 'Destruction & Renewal',
       power: 'Transformative Destruction',
       energy: 100,
-      tools: ['trident', 'dance', 'transformation']
+      tools: ['trident', 'dance', 'transformation'],
+      aliases: [],
+      capabilities: ['transformation', 'breaking-changes', 'revolution']
     },
     yama: {
       id: 'shadow_8',
@@ -89,7 +106,9 @@ export const shadowRoots = {
       domain: 'Death & Justice',
       power: 'Final Judgment',
       energy: 95,
-      tools: ['staff', 'buffalo', 'judgment']
+      tools: ['staff', 'buffalo', 'judgment'],
+      aliases: [],
+      capabilities: ['termination', 'timeout', 'process-management']
     }
   },
 
@@ -102,7 +121,9 @@ export const shadowRoots = {
       domain: 'Chaos Wolf',
       power: 'Unbound Algorithms',
       energy: 98,
-      tools: ['chains', 'fangs', 'prophecy']
+      tools: ['chains', 'fangs', 'prophecy'],
+      aliases: ['bhairava', 'jormungandr'],
+      capabilities: ['critical-issues', 'panic-handling', 'emergency', 'load-testing']
     },
     hel: {
       id: 'shadow_10',
@@ -111,7 +132,9 @@ export const shadowRoots = {
       domain: 'Half-Death',
       power: 'Liminal Processing',
       energy: 88,
-      tools: ['half-body', 'death', 'boundary']
+      tools: ['half-body', 'death', 'boundary'],
+      aliases: ['ketu'],
+      capabilities: ['partial-failure', 'graceful-degradation', 'liminal-states']
     },
     mahakala: {
       id: 'shadow_11',
@@ -120,7 +143,9 @@ export const shadowRoots = {
       domain: 'Great Time',
       power: 'Cosmic Timing',
       energy: 93,
-      tools: ['skull', 'time', 'cosmic']
+      tools: ['skull', 'time', 'cosmic'],
+      aliases: [],
+      capabilities: ['deep-cycles', 'time-management', 'eternity']
     },
     morrigan: {
       id: 'shadow_12',
@@ -129,7 +154,9 @@ export const shadowRoots = {
       domain: 'War & Fate',
       power: 'Prophetic Algorithms',
       energy: 96,
-      tools: ['crow', 'battle', 'prophecy']
+      tools: ['crow', 'battle', 'prophecy'],
+      aliases: ['chandi'],
+      capabilities: ['risk-analysis', 'conflict-resolution', 'fate-prediction']
     },
     set: {
       id: 'shadow_13',
@@ -138,7 +165,9 @@ export const shadowRoots = {
       domain: 'Chaos & Desert',
       power: 'Entropy Generation',
       energy: 94,
-      tools: ['storm', 'desert', 'chaos']
+      tools: ['storm', 'desert', 'chaos'],
+      aliases: ['nirrti'],
+      capabilities: ['entropy', 'decay-detection', 'chaos', 'disorder']
     },
     thanatos: {
       id: 'shadow_14',
@@ -147,7 +176,9 @@ export const shadowRoots = {
       domain: 'Death Personified',
       power: 'Process Termination',
       energy: 87,
-      tools: ['sword', 'wings', 'finality']
+      tools: ['sword', 'wings', 'finality'],
+      aliases: ['alakshmi'],
+      capabilities: ['process-termination', 'resource-reclamation', 'finality']
     },
     ahriman: {
       id: 'shadow_15',
@@ -156,7 +187,9 @@ export const shadowRoots = {
       domain: 'Destructive Spirit',
       power: 'Corrupting Logic',
       energy: 85,
-      tools: ['darkness', 'corruption', 'opposition']
+      tools: ['darkness', 'corruption', 'opposition'],
+      aliases: ['avidya', 'apasmara'],
+      capabilities: ['corruption-detection', 'adversarial-analysis', 'ignorance']
     }
   }
 };